@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Access Policy
+ * Decides what the person who triggered a run may make the bot do with the repository token
+ *
+ * Actions:
+ *   analyze       - run the Hive-Mind and post analysis comments and labels
+ *   pull-request  - push a branch and open (or update) a pull request
+ *   manage        - cancel runs and change settings such as the target branch
+ *
+ * Each action requires a minimum level: anyone < read < triage < write < maintain < admin.
+ * The default is "analysis for anyone, pull requests and management for writers".
+ * ACCESS_POLICY overrides it as JSON or as `analyze=anyone,pull-request=maintain,manage=write`.
+ *
+ * Command line runs without a known actor act for the token holder (type "Local"); anywhere
+ * else an actor without a login only gets what the policy grants to anyone.
+ */
+
+const LivingComment = require('./living-comment');
+
+const LEVELS = ['anyone', 'read', 'triage', 'write', 'maintain', 'admin'];
+const ACTIONS = ['analyze', 'pull-request', 'manage'];
+const LOCAL_ACTOR = 'Local';
+
+const DEFAULT_POLICY = {
+    analyze: 'anyone',
+    'pull-request': 'write',
+    manage: 'write'
+};
+
+// Used when the collaborator permission cannot be looked up
+const ASSOCIATION_LEVELS = {
+    OWNER: 'admin',
+    COLLABORATOR: 'write',
+    MEMBER: 'read'
+};
+
+class AccessPolicy {
+    /**
+     * @param {Object} [rules] - action -> minimum level, merged over the default policy
+     */
+    constructor(rules = {}) {
+        this.rules = { ...DEFAULT_POLICY };
+
+        for (const [action, level] of Object.entries(rules)) {
+            if (!ACTIONS.includes(action)) {
+                throw new Error(`Unknown access policy action "${action}" (expected ${ACTIONS.join(', ')})`);
+            }
+            if (!LEVELS.includes(level)) {
+                throw new Error(`Unknown access level "${level}" for ${action} (expected ${LEVELS.join(', ')})`);
+            }
+            this.rules[action] = level;
+        }
+    }
+
+    /**
+     * Policy from ACCESS_POLICY (JSON or comma separated action=level pairs)
+     */
+    static fromEnv(value = process.env.ACCESS_POLICY) {
+        return new AccessPolicy(AccessPolicy.parse(value));
+    }
+
+    /**
+     * Triggering actor as passed by the workflows (GITHUB_ACTOR is set by Actions itself).
+     * Only the login is taken; its level comes from the permission API. Outside Actions,
+     * no login means the person running the command line with their own token.
+     */
+    static actorFromEnv(env = process.env) {
+        const login = env.ACTOR_LOGIN || env.GITHUB_ACTOR || null;
+        return {
+            login,
+            type: !login && env.GITHUB_ACTIONS !== 'true' ? LOCAL_ACTOR : null,
+            association: null
+        };
+    }
+
+    static parse(value) {
+        if (!value || !value.trim()) {
+            return {};
+        }
+
+        if (value.trim().startsWith('{')) {
+            return JSON.parse(value);
+        }
+
+        const rules = {};
+        for (const pair of value.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [action, level] = pair.split('=').map(part => part.trim());
+            if (!level) {
+                throw new Error(`Access policy entry "${pair}" must look like action=level`);
+            }
+            rules[action] = level;
+        }
+        return rules;
+    }
+
+    /**
+     * Level of the actor: collaborator permission first, author_association as fallback
+     * @param {GitHubGateway} github
+     * @param {Object} actor - { login, association }
+     * @returns {Promise<{level: string, source: string}>}
+     */
+    async resolveLevel(github, actor = {}) {
+        // The token holder running the command line already has the token's access
+        if (actor.type === LOCAL_ACTOR) {
+            return { level: 'admin', source: 'local' };
+        }
+
+        if (!actor.login && !actor.association) {
+            return { level: 'anyone', source: 'unknown-actor' };
+        }
+
+        if (actor.login) {
+            try {
+                const permission = await github.getCollaboratorPermission(actor.login);
+                const level = LEVELS.includes(permission.role_name) ? permission.role_name : permission.permission;
+                if (LEVELS.includes(level)) {
+                    return { level, source: 'permission' };
+                }
+            } catch (error) {
+                // 404: not a collaborator; anything else: token cannot read permissions
+                if (error.status === undefined) throw error;
+            }
+        }
+
+        const association = String(actor.association || 'NONE').toUpperCase();
+        return { level: ASSOCIATION_LEVELS[association] || 'anyone', source: 'association' };
+    }
+
+    /**
+     * @returns {Promise<{allowed: boolean, action: string, required: string, level: string, source: string}>}
+     */
+    async authorize(github, actor, action) {
+        const required = this.rules[action];
+        if (!required) {
+            throw new Error(`Unknown access policy action "${action}"`);
+        }
+
+        const { level, source } = await this.resolveLevel(github, actor);
+        return {
+            allowed: LEVELS.indexOf(level) >= LEVELS.indexOf(required),
+            action,
+            required,
+            level,
+            source
+        };
+    }
+
+    /**
+     * Check a run before it starts; denied actors get a comment instead of a run
+     * (one per issue, updated on later denials)
+     * @param {GitHubGateway} github
+     * @param {Object} request
+     * @param {Object} request.actor - { login, association }
+     * @param {number} request.issueNumber
+     * @param {boolean} [request.pullRequest=true] - whether the run would open a pull request
+     * @param {boolean} [request.notify=true] - post the denial comment (off for dry runs)
+     * @returns {Promise<{allowed: boolean, pullRequest: boolean, decisions: Object[]}>}
+     */
+    async gate(github, { actor, issueNumber, pullRequest = true, notify = true }) {
+        const denials = new LivingComment(github, { kind: 'access' });
+
+        const analyze = await this.authorize(github, actor, 'analyze');
+        if (!analyze.allowed) {
+            if (notify) {
+                await denials.publish(issueNumber, this.renderDenial(actor, analyze));
+            }
+            return { allowed: false, pullRequest: false, decisions: [analyze] };
+        }
+
+        if (!pullRequest) {
+            return { allowed: true, pullRequest: false, decisions: [analyze] };
+        }
+
+        const publish = await this.authorize(github, actor, 'pull-request');
+        if (!publish.allowed && notify) {
+            await denials.publish(issueNumber, this.renderDenial(actor, publish, true));
+        }
+
+        return { allowed: true, pullRequest: publish.allowed, decisions: [analyze, publish] };
+    }
+
+    renderDenial(actor = {}, decision, analysisContinues = false) {
+        const thanks = actor.login ? `Thanks @${actor.login}!` : 'Thanks for the request!';
+        const unknown = decision.source === 'unknown-actor'
+            ? '\n\nThe event did not say who triggered this run, so it was checked as an anonymous request.'
+            : '';
+        const actions = {
+            analyze: 'start an automated analysis',
+            'pull-request': 'have the bot open pull requests',
+            manage: 'manage automated runs'
+        };
+
+        return `👋 ${thanks} In this repository, only people with **${decision.required}** access or higher can ${actions[decision.action]}.${unknown}
+
+${analysisContinues
+        ? 'The analysis will still run and be posted here, but no branch or pull request will be created. A maintainer can ask for one with `@claude-flow-automation retry`.'
+        : decision.action === 'manage'
+            ? 'Nothing was changed. A maintainer can run the command instead.'
+            : 'Nothing was run. A maintainer can start it with `@claude-flow-automation retry` if it should go ahead.'}
+
+---
+🤖 **Claude Flow Hive-Mind v3.0**`;
+    }
+
+    describe() {
+        return { ...this.rules };
+    }
+}
+
+module.exports = AccessPolicy;
+module.exports.LEVELS = LEVELS;
+module.exports.ACTIONS = ACTIONS;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.LOCAL_ACTOR = LOCAL_ACTOR;
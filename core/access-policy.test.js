@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import AccessPolicy from './access-policy';
+import LocalGitHubGateway from './local-github-gateway';
+
+describe('AccessPolicy.actorFromEnv', () => {
+    it('takes only the login of the sender', () => {
+        expect(AccessPolicy.actorFromEnv({ GITHUB_ACTIONS: 'true', GITHUB_ACTOR: 'maya', ACTOR_ASSOCIATION: 'OWNER' }))
+            .toEqual({ login: 'maya', type: null, association: null });
+    });
+
+    it('marks a command line run without an actor as local', () => {
+        expect(AccessPolicy.actorFromEnv({})).toEqual({ login: null, type: AccessPolicy.LOCAL_ACTOR, association: null });
+        expect(AccessPolicy.actorFromEnv({ GITHUB_ACTIONS: 'true' }).type).toBeNull();
+    });
+});
+
+describe('AccessPolicy.gate', () => {
+    let root;
+    let github;
+    const policy = new AccessPolicy({ analyze: 'triage' });
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'access-policy-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), { 7: { number: 7, title: 'Crash', body: '', labels: [], state: 'open' } });
+        fs.writeJsonSync(path.join(root, 'collaborators.json'), { maya: 'write', tom: 'triage' });
+        github = new LocalGitHubGateway({ root });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('lets writers run with a pull request', async () => {
+        const access = await policy.gate(github, { actor: { login: 'maya' }, issueNumber: 7 });
+
+        expect(access).toMatchObject({ allowed: true, pullRequest: true });
+        expect(await github.listComments(7)).toEqual([]);
+    });
+
+    it('lets the local token holder run without a login', async () => {
+        const access = await policy.gate(github, { actor: AccessPolicy.actorFromEnv({}), issueNumber: 7 });
+
+        expect(access).toMatchObject({ allowed: true, pullRequest: true });
+        expect(access.decisions[0].source).toBe('local');
+    });
+
+    it('keeps one denial comment per issue', async () => {
+        await policy.gate(github, { actor: { login: 'stranger' }, issueNumber: 7 });
+        await policy.gate(github, { actor: { login: 'tom' }, issueNumber: 7 });
+        await policy.gate(github, { actor: { login: 'stranger' }, issueNumber: 7 });
+
+        const comments = await github.listComments(7);
+        expect(comments).toHaveLength(1);
+        expect(comments[0].body).toContain('Thanks @stranger!');
+        expect(comments[0].body).toContain('Previous runs (2)');
+    });
+
+    it('says when the actor is unknown', async () => {
+        const access = await policy.gate(github, { actor: { login: null, type: null }, issueNumber: 7 });
+
+        expect(access.allowed).toBe(false);
+        expect((await github.listComments(7))[0].body).toContain('did not say who triggered this run');
+    });
+
+    it('posts nothing when asked not to notify', async () => {
+        const access = await policy.gate(github, { actor: { login: 'stranger' }, issueNumber: 7, notify: false });
+
+        expect(access.allowed).toBe(false);
+        expect(await github.listComments(7)).toEqual([]);
+    });
+});
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Actions Reporter
+ * Reports a run to GitHub Actions through the workflow command files and annotations
+ *
+ *   GITHUB_OUTPUT        - step outputs, written heredoc-style so multi-line values survive
+ *   GITHUB_STEP_SUMMARY  - Markdown job summary (analysis, agents, quality, pull request)
+ *   stdout               - ::error / ::warning / ::notice annotations
+ *
+ * Outside Actions (no GITHUB_OUTPUT / GITHUB_STEP_SUMMARY) outputs and summaries are skipped;
+ * annotations are still printed and read fine in a terminal.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { getConfig } = require('./config');
+const { formatDuration } = require('./status-report');
+
+// Workflow command escaping, as in @actions/core
+function escapeData(value) {
+    return String(value ?? '')
+        .replace(/%/g, '%25')
+        .replace(/\r/g, '%0D')
+        .replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+    return escapeData(value)
+        .replace(/:/g, '%3A')
+        .replace(/,/g, '%2C');
+}
+
+// GitHub rejects job summaries over 1 MiB; the plan diff is the only part that can get close
+const MAX_SUMMARY_DIFF = 64 * 1024;
+
+function percent(value) {
+    return typeof value === 'number' ? `${Math.round(value * 100)}%` : '-';
+}
+
+class ActionsReporter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.env=process.env]
+     * @param {Function} [options.write] - where annotations go (default: stdout)
+     */
+    constructor(options = {}) {
+        this.env = options.env || process.env;
+        this.write = options.write || (line => process.stdout.write(`${line}\n`));
+    }
+
+    // =================================================================
+    // WORKFLOW COMMANDS
+    // =================================================================
+
+    /**
+     * Append step outputs; every value is delimited so newlines and '=' are kept intact
+     * @param {Object} outputs - name -> value (null and undefined become empty strings)
+     */
+    setOutputs(outputs) {
+        const filePath = this.env.GITHUB_OUTPUT;
+        if (!filePath) {
+            return;
+        }
+
+        const lines = Object.entries(outputs).map(([name, value]) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            const delimiter = `ghadelimiter_${crypto.randomUUID()}`;
+            if (name.includes(delimiter) || text.includes(delimiter)) {
+                throw new Error(`Output ${name} contains its own delimiter`);
+            }
+            return `${name}<<${delimiter}\n${text}\n${delimiter}`;
+        });
+
+        fs.appendFileSync(filePath, lines.join('\n') + '\n');
+    }
+
+    /**
+     * Append Markdown to the job summary
+     */
+    addSummary(markdown) {
+        const filePath = this.env.GITHUB_STEP_SUMMARY;
+        if (!filePath) {
+            return;
+        }
+
+        fs.appendFileSync(filePath, markdown.trimEnd() + '\n\n');
+    }
+
+    /**
+     * Print an annotation
+     * @param {'error'|'warning'|'notice'} level
+     * @param {string} message
+     * @param {Object} [properties] - title, file, line, ...
+     */
+    annotate(level, message, properties = {}) {
+        const props = Object.entries(properties)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${escapeProperty(value)}`)
+            .join(',');
+
+        this.write(`::${level}${props ? ` ${props}` : ''}::${escapeData(message)}`);
+    }
+
+    error(message, properties) {
+        this.annotate('error', message, properties);
+    }
+
+    warning(message, properties) {
+        this.annotate('warning', message, properties);
+    }
+
+    notice(message, properties) {
+        this.annotate('notice', message, properties);
+    }
+
+    // =================================================================
+    // RUN REPORTS
+    // =================================================================
+
+    /**
+     * Outputs, summary and annotations for a finished (or interrupted) resolution
+     * @param {Object} result - HiveMindOrchestrator.resolveIssue() result
+     * @param {Object} outputs - step outputs already assembled by the caller
+     */
+    reportResult(result, outputs) {
+        this.setOutputs(outputs);
+        this.addSummary(this.renderResultSummary(result));
+
+        const title = `Issue #${result.issueNumber}`;
+
+        if (result.success === false) {
+            this.error(`Resolution ${result.status || 'failed'}` +
+                `${result.interruptedPhase ? ` during ${result.interruptedPhase}` : ''}: ${result.reason || 'no reason given'}`, { title });
+            return;
+        }
+
+        const { minQuality } = getConfig().pullRequest;
+        if (typeof result.qualityScore === 'number' && result.qualityScore < minQuality) {
+            this.warning(`Low confidence: quality ${percent(result.qualityScore)} is below ` +
+                `pullRequest.minQuality (${percent(minQuality)}); review the analysis before acting on it`, { title });
+        }
+
+        if (result.githubResult?.error) {
+            this.warning(`Publishing to GitHub failed: ${result.githubResult.error}`, { title });
+        }
+    }
+
+    /**
+     * Outputs and summary for an issue that is waiting for a session slot
+     */
+    reportQueued(result) {
+        this.setOutputs({
+            success: true,
+            queued: !!result.queued,
+            issue_number: result.issueNumber,
+            queue_position: result.position ?? ''
+        });
+
+        this.addSummary(`## 🐝 Claude Flow: Issue #${result.issueNumber}
+
+${result.queued
+        ? `📥 Queued at position ${result.position ?? '?'}; it starts when a session slot frees up.`
+        : '⏭️ Already queued or running; nothing new was started.'}`);
+    }
+
+    /**
+     * Outputs, summary and an error annotation for a run that threw
+     */
+    reportError(error, outputs) {
+        this.setOutputs(outputs);
+        this.addSummary(`## 💥 Claude Flow failed
+
+\`\`\`
+${error.message}
+\`\`\``);
+        this.error(error.message, { title: `Claude Flow ${error.name || 'Error'}` });
+    }
+
+    renderResultSummary(result) {
+        const details = result.details || {};
+        const solution = details.solution || {};
+        const quality = details.quality || {};
+        const pullRequest = result.githubResult?.pullRequest;
+
+        const status = result.success === false
+            ? `⏹️ ${result.status}${result.interruptedPhase ? ` during ${result.interruptedPhase}` : ''}`
+            : result.dryRun ? '📝 dry run (nothing was written to GitHub)' : '✅ completed';
+
+        let pullRequestCell = '—';
+        if (pullRequest && result.dryRun) {
+            pullRequestCell = `planned: ${pullRequest.title || `${pullRequest.branch} → ${pullRequest.base}`}`;
+        } else if (pullRequest) {
+            pullRequestCell = `[#${pullRequest.number}](${pullRequest.url})${pullRequest.updated ? ' (updated)' : ''}`;
+        }
+
+        const rows = [
+            ['Status', status],
+            ['Duration', formatDuration(result.duration)],
+            ['Agents', result.agents ?? '-'],
+            ['Quality', percent(result.qualityScore)],
+            ['Confidence', percent(solution.confidence)],
+            ['Pull request', pullRequestCell]
+        ];
+
+        const sections = [
+            `## 🐝 Claude Flow: Issue #${result.issueNumber}`,
+            ['| | |', '|---|---|', ...rows.map(([name, value]) => `| ${name} | ${value} |`)].join('\n')
+        ];
+
+        if (result.success === false) {
+            sections.push(`**Reason**: ${result.reason || 'unknown'}`);
+        }
+
+        if (solution.description || solution.approach) {
+            sections.push(`### 💡 Analysis
+${solution.description || ''}
+
+${solution.approach ? `**Approach**: ${solution.approach}` : ''}`.trim());
+        }
+
+        const steps = details.implementation?.steps || [];
+        if (steps.length > 0) {
+            sections.push(`### 🔧 Implementation plan
+${steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`);
+        }
+
+        if (quality.completeness !== undefined) {
+            sections.push(`### 🎯 Quality
+- **Completeness**: ${percent(quality.completeness)}
+- **Maintainability**: ${percent(quality.maintainability)}
+- **Confidence**: ${percent(quality.confidence)}`);
+        }
+
+        if (result.dryRun && result.planDiff) {
+            const diff = result.planDiff.length > MAX_SUMMARY_DIFF
+                ? `${result.planDiff.slice(0, MAX_SUMMARY_DIFF)}\n... truncated, see claude-flow-plan.diff`
+                : result.planDiff;
+            sections.push(`<details><summary>Planned GitHub writes</summary>
+
+\`\`\`diff
+${diff.trimEnd()}
+\`\`\`
+
+</details>`);
+        }
+
+        if (result.orchestrationId) {
+            sections.push(`<sub>Session ${result.orchestrationId}</sub>`);
+        }
+
+        return sections.join('\n\n');
+    }
+}
+
+module.exports = ActionsReporter;
+module.exports.escapeData = escapeData;
+module.exports.escapeProperty = escapeProperty;
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Artifact Publisher
+ * Publishes generated artifacts as ONE commit built through the Git trees API.
+ * The branch ref is only created (or moved) after the commit exists,
+ * so a failure at any step leaves no partial branch behind.
+ *
+ * Re-runs iterate on the existing branch: bot commits carry a trailer and are made
+ * by the gateway's bot account, and files touched by any other commit on the
+ * branch are never overwritten. Files earlier bot commits wrote that a run no
+ * longer produces are put back to the base branch's version (or deleted).
+ */
+
+const { createUnifiedDiff } = require('./dry-run-gateway');
+
+const ARTIFACT_GROUPS = ['files', 'tests', 'documentation', 'configuration'];
+const BOT_TRAILER = 'Generated-By: claude-flow-hive-mind';
+
+/**
+ * True when a commit (compare/commits API shape) carries the bot trailer and was
+ * authored or committed by the bot account; the trailer alone is easy to copy
+ */
+function isBotCommit(commit, botLogin) {
+    const message = commit.commit?.message || '';
+    const madeByBot = Boolean(botLogin) && [commit.author, commit.committer].some(user => user?.login === botLogin);
+    return madeByBot && message.split('\n').some(line => line.trim() === BOT_TRAILER);
+}
+
+class ArtifactPublisher {
+    constructor(github) {
+        this.github = github;
+    }
+
+    /**
+     * Flatten artifact groups into commit changes (later entries win on the same path)
+     * Entries: { path, content }, { path, delete: true } or { path, from, content? } for renames
+     */
+    collectChanges(artifacts = {}) {
+        const changes = new Map();
+
+        for (const group of ARTIFACT_GROUPS) {
+            for (const artifact of artifacts[group] || []) {
+                if (!artifact || !artifact.path) continue;
+
+                if (artifact.delete) {
+                    changes.set(artifact.path, { path: artifact.path, delete: true });
+                } else if (artifact.from) {
+                    changes.set(artifact.path, { path: artifact.path, from: artifact.from, content: artifact.content });
+                } else if (artifact.content !== undefined) {
+                    changes.set(artifact.path, { path: artifact.path, content: artifact.content });
+                }
+            }
+        }
+
+        for (const deletedPath of artifacts.deletions || []) {
+            changes.set(deletedPath, { path: deletedPath, delete: true });
+        }
+
+        return Array.from(changes.values());
+    }
+
+    /**
+     * Subject line plus a body listing every change, e.g.
+     *   Resolve #12: Moon phase is off by one day
+     *
+     *   - add src/phase.js
+     *   - rename docs/old.md -> docs/phase.md
+     */
+    buildCommitMessage(subject, changes, trailers = []) {
+        const lines = changes.map(change => {
+            if (change.delete) return `- delete ${change.path}`;
+            if (change.from) return `- rename ${change.from} -> ${change.path}`;
+            return `- add/update ${change.path}`;
+        });
+
+        return [truncate(subject, 72), '', ...lines, '', ...trailers, BOT_TRAILER].join('\n');
+    }
+
+    /**
+     * Commit all changes on top of baseSha, then create the branch at the commit
+     * @param {Object} options
+     * @param {string} options.branch - branch to create (422 if it already exists, see iterate())
+     * @param {string} options.baseSha - parent commit
+     * @param {string} options.message - full commit message
+     * @param {Array} options.changes - output of collectChanges()
+     */
+    async publish({ branch, baseSha, message, changes }) {
+        if (!changes || changes.length === 0) {
+            throw new Error('No artifacts to publish');
+        }
+
+        const commit = await this.github.commitChanges({ baseSha, message, changes });
+        await this.github.createBranch(branch, commit.sha);
+
+        return {
+            sha: commit.sha,
+            branch,
+            changes: changes.length
+        };
+    }
+
+    // =================================================================
+    // ITERATING ON AN EXISTING BRANCH
+    // =================================================================
+
+    async branchExists(branch) {
+        try {
+            await this.github.getBranchSha(branch);
+            return true;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            return false;
+        }
+    }
+
+    /**
+     * Regenerate artifacts on a branch that already exists
+     * - only bot commits and the base moved on: rebuild on the latest base (force-move, nothing human is lost)
+     * - anything else: append one commit on top of the current head (fast-forward only)
+     * Files touched by non-bot commits are left alone and reported as skipped; files only
+     * bot commits touched that this run no longer produces are restored from the base (or deleted).
+     * @returns {Promise<{mode: string, sha: string, summary: Object, foreignCommits: number}>}
+     */
+    async iterate({ branch, baseBranch, baseSha, message, changes }) {
+        const headSha = await this.github.getBranchSha(branch);
+        const comparison = await this.github.compareCommits(baseBranch, branch);
+        const foreign = comparison.commits.filter(commit => !isBotCommit(commit, this.github.botLogin));
+        const own = comparison.commits.filter(commit => !foreign.includes(commit));
+
+        const protectedPaths = new Set();
+        for (const commit of foreign) {
+            const details = await this.github.getCommit(commit.sha);
+            for (const file of details.files || []) {
+                protectedPaths.add(file.filename);
+                if (file.previous_filename) protectedPaths.add(file.previous_filename);
+            }
+        }
+
+        const applicable = changes.filter(change =>
+            !protectedPaths.has(change.path) && !(change.from && protectedPaths.has(change.from)));
+        const stale = await this.staleChanges({ baseBranch, commits: own, protectedPaths, changes });
+        const summary = await this.summarize(branch, [...applicable, ...stale]);
+        summary.skipped = changes.filter(change => !applicable.includes(change)).map(change => change.path);
+
+        const rebase = foreign.length === 0 && comparison.behind_by > 0;
+        const effective = [...applicable, ...stale].filter(change => !summary.unchanged.includes(change.path));
+
+        if (!rebase && effective.length === 0) {
+            return { mode: 'unchanged', sha: headSha, summary, foreignCommits: foreign.length };
+        }
+
+        // Rebuilding on the base already drops everything earlier bot commits wrote
+        if (rebase) {
+            const commit = await this.github.commitChanges({ baseSha, message, changes: applicable });
+            await this.github.updateBranch(branch, commit.sha, true);
+            return { mode: 'rebased', sha: commit.sha, summary, foreignCommits: 0 };
+        }
+
+        const commit = await this.github.commitChanges({ baseSha: headSha, message, changes: effective });
+        await this.github.updateBranch(branch, commit.sha, false);
+        return { mode: 'appended', sha: commit.sha, summary, foreignCommits: foreign.length };
+    }
+
+    /**
+     * Changes undoing files the given bot commits touched that are missing from `changes`:
+     * the base branch's version where it has one, a deletion otherwise
+     */
+    async staleChanges({ baseBranch, commits, protectedPaths, changes }) {
+        const produced = new Set(changes.flatMap(change => (change.from ? [change.path, change.from] : [change.path])));
+        const stalePaths = new Set();
+
+        for (const commit of commits) {
+            const details = await this.github.getCommit(commit.sha);
+            for (const file of details.files || []) {
+                for (const filePath of [file.filename, file.previous_filename]) {
+                    if (filePath && !produced.has(filePath) && !protectedPaths.has(filePath)) {
+                        stalePaths.add(filePath);
+                    }
+                }
+            }
+        }
+
+        const stale = [];
+        for (const filePath of stalePaths) {
+            const original = await this.readFile(baseBranch, filePath);
+            stale.push(original === null ? { path: filePath, delete: true } : { path: filePath, content: original });
+        }
+        return stale;
+    }
+
+    /**
+     * Compare regenerated artifacts with what the branch currently holds
+     */
+    async summarize(branch, changes) {
+        const summary = { added: [], modified: [], removed: [], unchanged: [] };
+
+        for (const change of changes) {
+            const current = await this.readFile(branch, change.path);
+
+            if (change.delete) {
+                (current === null ? summary.unchanged : summary.removed).push(change.path);
+            } else if (current === null) {
+                summary.added.push(change.path);
+            } else if (change.content === undefined || current === change.content) {
+                summary.unchanged.push(change.path);
+            } else {
+                const diff = createUnifiedDiff(change.path, current, change.content).split('\n').slice(2);
+                summary.modified.push({
+                    path: change.path,
+                    additions: diff.filter(line => line.startsWith('+')).length,
+                    deletions: diff.filter(line => line.startsWith('-')).length
+                });
+            }
+        }
+
+        return summary;
+    }
+
+    async readFile(branch, filePath) {
+        try {
+            return await this.github.getFileContent(branch, filePath);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            return null;
+        }
+    }
+
+    /**
+     * Markdown comment describing an iteration, posted on the pull request
+     */
+    renderIterationSummary(iteration, { baseBranch, sessionId } = {}) {
+        const { summary } = iteration;
+        const modes = {
+            appended: 'Appended a new commit on top of the existing branch',
+            rebased: `Rebuilt the branch on the latest \`${baseBranch}\``,
+            unchanged: 'Regenerated artifacts match the branch, no commit was made'
+        };
+
+        const lines = [
+            ...summary.added.map(filePath => `- ➕ added \`${filePath}\``),
+            ...summary.modified.map(file => `- ✏️ modified \`${file.path}\` (+${file.additions} −${file.deletions})`),
+            ...summary.removed.map(filePath => `- 🗑️ removed \`${filePath}\``)
+        ];
+
+        let comment = `## 🔁 Hive-Mind Update
+
+**Mode**: ${modes[iteration.mode]}
+**Commit**: ${iteration.sha}${sessionId ? `\n**Session**: ${sessionId}` : ''}
+
+### Changes since the last run
+${lines.length ? lines.join('\n') : '_No file changes_'}${summary.unchanged.length ? `\n\n${summary.unchanged.length} file(s) unchanged.` : ''}
+`;
+
+        if (summary.skipped.length > 0) {
+            comment += `
+### Kept human edits
+These files were changed by commits not made by the bot, so they were not regenerated:
+${summary.skipped.map(filePath => `- \`${filePath}\``).join('\n')}
+`;
+        }
+
+        return `${comment}
+---
+🤖 **Claude Flow Hive-Mind v3.0**`;
+    }
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = ArtifactPublisher;
+module.exports.BOT_TRAILER = BOT_TRAILER;
+module.exports.isBotCommit = isBotCommit;
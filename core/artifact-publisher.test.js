@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import ArtifactPublisher from './artifact-publisher';
+import LocalGitHubGateway from './local-github-gateway';
+
+const { BOT_TRAILER, isBotCommit } = ArtifactPublisher;
+
+describe('isBotCommit', () => {
+    const message = `Resolve #1: Fix\n\n- add/update a.js\n\n${BOT_TRAILER}`;
+
+    it('needs both the trailer and the bot account', () => {
+        expect(isBotCommit({ commit: { message }, author: { login: 'claude-flow[bot]' } }, 'claude-flow[bot]')).toBe(true);
+        expect(isBotCommit({ commit: { message }, committer: { login: 'claude-flow[bot]' } }, 'claude-flow[bot]')).toBe(true);
+    });
+
+    it('treats a copied trailer from another account as foreign', () => {
+        expect(isBotCommit({ commit: { message }, author: { login: 'maya' } }, 'claude-flow[bot]')).toBe(false);
+        expect(isBotCommit({ commit: { message }, author: { login: 'claude-flow[bot]' } }, null)).toBe(false);
+    });
+
+    it('treats a bot commit without the trailer as foreign', () => {
+        expect(isBotCommit({ commit: { message: 'Manual fix' }, author: { login: 'claude-flow[bot]' } }, 'claude-flow[bot]')).toBe(false);
+    });
+});
+
+describe('ArtifactPublisher.iterate', () => {
+    let root;
+    let github;
+    let publisher;
+
+    const message = (subject, changes) => publisher.buildCommitMessage(subject, changes);
+
+    async function publishFirstRun(changes) {
+        const baseSha = await github.getBranchSha('main');
+        await publisher.publish({ branch: 'fix/1', baseSha, message: message('Resolve #1', changes), changes });
+        return baseSha;
+    }
+
+    async function iterate(changes) {
+        return publisher.iterate({
+            branch: 'fix/1',
+            baseBranch: 'main',
+            baseSha: await github.getBranchSha('main'),
+            message: message('Resolve #1 again', changes),
+            changes
+        });
+    }
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-publisher-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'app.js'), 'original\n');
+        github = new LocalGitHubGateway({ root });
+        publisher = new ArtifactPublisher(github);
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('reports unchanged when the regenerated artifacts match the branch', async () => {
+        const changes = [{ path: 'src/fix.js', content: 'fix\n' }];
+        await publishFirstRun(changes);
+
+        const result = await iterate(changes);
+
+        expect(result.mode).toBe('unchanged');
+        expect(result.summary.unchanged).toEqual(['src/fix.js']);
+    });
+
+    it('appends one commit with the modified files', async () => {
+        await publishFirstRun([{ path: 'src/fix.js', content: 'fix\n' }]);
+        const headSha = await github.getBranchSha('fix/1');
+
+        const result = await iterate([{ path: 'src/fix.js', content: 'better fix\n' }]);
+
+        expect(result.mode).toBe('appended');
+        expect(result.summary.modified).toEqual([{ path: 'src/fix.js', additions: 1, deletions: 1 }]);
+        expect((await github.getCommit(result.sha)).parents).toEqual([{ sha: headSha }]);
+        expect(await github.getFileContent('fix/1', 'src/fix.js')).toBe('better fix\n');
+    });
+
+    it('deletes files earlier runs generated that this run no longer produces', async () => {
+        await publishFirstRun([{ path: 'src/fix.js', content: 'fix\n' }, { path: 'src/helper.js', content: 'helper\n' }]);
+
+        const result = await iterate([{ path: 'src/fix.js', content: 'fix\n' }]);
+
+        expect(result.mode).toBe('appended');
+        expect(result.summary.removed).toEqual(['src/helper.js']);
+        await expect(github.getFileContent('fix/1', 'src/helper.js')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('restores base files an earlier run modified but this run leaves alone', async () => {
+        await publishFirstRun([{ path: 'src/app.js', content: 'patched\n' }, { path: 'src/fix.js', content: 'fix\n' }]);
+
+        const result = await iterate([{ path: 'src/fix.js', content: 'fix\n' }]);
+
+        expect(result.summary.modified.map(file => file.path)).toEqual(['src/app.js']);
+        expect(await github.getFileContent('fix/1', 'src/app.js')).toBe('original\n');
+    });
+
+    it('keeps files touched by other accounts, even with a copied trailer', async () => {
+        await publishFirstRun([{ path: 'src/fix.js', content: 'fix\n' }, { path: 'src/helper.js', content: 'helper\n' }]);
+
+        // A person edits helper.js and pastes the bot trailer into the message
+        const human = new LocalGitHubGateway({ root, login: 'maya' });
+        const edit = [{ path: 'src/helper.js', content: 'hand tuned\n' }];
+        const commit = await human.commitChanges({
+            baseSha: await human.getBranchSha('fix/1'),
+            message: `Tune helper\n\n${BOT_TRAILER}`,
+            changes: edit
+        });
+        await human.updateBranch('fix/1', commit.sha, false);
+
+        const result = await iterate([{ path: 'src/fix.js', content: 'fix v2\n' }, { path: 'src/helper.js', content: 'regenerated\n' }]);
+
+        expect(result.mode).toBe('appended');
+        expect(result.foreignCommits).toBe(1);
+        expect(result.summary.skipped).toEqual(['src/helper.js']);
+        expect(await github.getFileContent('fix/1', 'src/helper.js')).toBe('hand tuned\n');
+        expect(await github.getFileContent('fix/1', 'src/fix.js')).toBe('fix v2\n');
+    });
+
+    it('rebuilds on the latest base when only bot commits are on the branch', async () => {
+        await publishFirstRun([{ path: 'src/fix.js', content: 'fix\n' }, { path: 'src/helper.js', content: 'helper\n' }]);
+
+        const upstream = new LocalGitHubGateway({ root, login: 'maya' });
+        const baseCommit = await upstream.commitChanges({
+            baseSha: await upstream.getBranchSha('main'),
+            message: 'Unrelated change',
+            changes: [{ path: 'README.md', content: 'readme\n' }]
+        });
+        await upstream.updateBranch('main', baseCommit.sha, false);
+
+        const result = await iterate([{ path: 'src/fix.js', content: 'fix\n' }]);
+
+        expect(result.mode).toBe('rebased');
+        expect((await github.getCommit(result.sha)).parents).toEqual([{ sha: baseCommit.sha }]);
+        expect(await github.getFileContent('fix/1', 'README.md')).toBe('readme\n');
+        await expect(github.getFileContent('fix/1', 'src/helper.js')).rejects.toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Base Branch Resolution
+ * Decides which branch a generated pull request targets:
+ *   1. an issue label such as `target:release-1.x`
+ *   2. configuration (BASE_BRANCH / baseBranch option)
+ *   3. the repository's default branch
+ */
+
+const TARGET_LABEL_PREFIX = 'target:';
+
+/**
+ * Branch named by a `target:<branch>` label, or null when there is none
+ */
+function parseTargetLabel(labels = []) {
+    const targets = labels
+        .map(label => (typeof label === 'string' ? label : label.name) || '')
+        .filter(name => name.toLowerCase().startsWith(TARGET_LABEL_PREFIX))
+        .map(name => name.slice(TARGET_LABEL_PREFIX.length).trim())
+        .filter(Boolean);
+
+    const unique = Array.from(new Set(targets));
+    if (unique.length > 1) {
+        throw new Error(`Issue has conflicting target labels: ${unique.map(branch => TARGET_LABEL_PREFIX + branch).join(', ')}`);
+    }
+
+    return unique[0] || null;
+}
+
+/**
+ * @param {Object} options
+ * @param {Array} [options.labels] - issue labels (strings or label objects)
+ * @param {string} [options.configured] - configured base branch
+ * @param {string} [options.defaultBranch] - repository default branch, if already known
+ * @param {GitHubGateway} [options.github] - used to look up the default branch otherwise
+ * @returns {Promise<{branch: string, source: string}>}
+ */
+async function resolveBaseBranch({ labels, configured, defaultBranch, github } = {}) {
+    const fromLabel = parseTargetLabel(labels);
+    if (fromLabel) {
+        return { branch: fromLabel, source: 'label' };
+    }
+
+    if (configured) {
+        return { branch: configured, source: 'config' };
+    }
+
+    if (!defaultBranch && github) {
+        const repository = await github.getRepository();
+        defaultBranch = repository.default_branch;
+    }
+
+    if (defaultBranch) {
+        return { branch: defaultBranch, source: 'default-branch' };
+    }
+
+    return { branch: 'main', source: 'fallback' };
+}
+
+module.exports = {
+    TARGET_LABEL_PREFIX,
+    parseTargetLabel,
+    resolveBaseBranch
+};
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Cancellation
+ * Cancellation tokens with optional deadlines, linked parent -> child
+ * so a session deadline, a phase deadline and a manual cancel all stop the same work
+ */
+
+class CancelledError extends Error {
+    constructor(message = 'Operation cancelled', details = {}) {
+        super(message);
+        this.name = 'CancelledError';
+        this.phase = details.phase || null;
+    }
+}
+
+class TimeoutError extends CancelledError {
+    constructor(message = 'Operation timed out', details = {}) {
+        super(message, details);
+        this.name = 'TimeoutError';
+        this.timeout = details.timeout || null;
+    }
+}
+
+class CancellationToken {
+    /**
+     * @param {Object} options
+     * @param {CancellationToken} [options.parent] - cancelled together with the parent
+     * @param {number} [options.timeout] - deadline in milliseconds
+     * @param {string} [options.phase] - label used in timeout errors
+     */
+    constructor(options = {}) {
+        this.phase = options.phase || null;
+        this.reason = null;
+        this.listeners = new Set();
+        this.timer = null;
+        this.unlink = null;
+
+        // Absolute deadline (ms since epoch): the earlier of the parent's and this token's own, or null
+        const own = options.timeout && options.timeout > 0 ? Date.now() + options.timeout : null;
+        const inherited = options.parent ? options.parent.deadline ?? null : null;
+        this.deadline = own === null ? inherited : (inherited === null ? own : Math.min(own, inherited));
+
+        if (options.parent) {
+            this.unlink = options.parent.onCancel(reason => this.cancel(reason));
+        }
+
+        if (options.timeout && options.timeout > 0 && !this.isCancelled) {
+            this.timer = setTimeout(() => {
+                this.cancel(new TimeoutError(
+                    `${this.phase || 'Operation'} exceeded its ${formatDuration(options.timeout)} deadline`,
+                    { phase: this.phase, timeout: options.timeout }
+                ));
+            }, options.timeout);
+
+            // A pending deadline should never keep the process alive on its own
+            if (this.timer.unref) this.timer.unref();
+        }
+    }
+
+    get isCancelled() {
+        return this.reason !== null;
+    }
+
+    /**
+     * Milliseconds until the deadline (Infinity without one)
+     */
+    get remaining() {
+        return this.deadline === null ? Infinity : Math.max(0, this.deadline - Date.now());
+    }
+
+    cancel(reason) {
+        if (this.isCancelled) return;
+
+        this.reason = reason instanceof Error
+            ? reason
+            : new CancelledError(reason || 'Operation cancelled', { phase: this.phase });
+
+        this.dispose();
+        for (const listener of Array.from(this.listeners)) {
+            listener(this.reason);
+        }
+        this.listeners.clear();
+    }
+
+    throwIfCancelled() {
+        if (this.isCancelled) {
+            throw this.reason;
+        }
+    }
+
+    /**
+     * Register a listener; returns a function that removes it again
+     */
+    onCancel(listener) {
+        if (this.isCancelled) {
+            listener(this.reason);
+            return () => {};
+        }
+
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Token that is cancelled with this one, or on its own deadline
+     */
+    child(options = {}) {
+        return new CancellationToken({ ...options, parent: this });
+    }
+
+    /**
+     * Settle with the promise, or reject as soon as the token is cancelled
+     * (work that never checks the token is abandoned rather than awaited)
+     */
+    race(promise) {
+        if (this.isCancelled) {
+            return Promise.reject(this.reason);
+        }
+
+        let removeListener;
+        const cancelled = new Promise((resolve, reject) => {
+            removeListener = this.onCancel(reject);
+        });
+
+        return Promise.race([promise, cancelled]).finally(removeListener);
+    }
+
+    /**
+     * Stop the deadline timer and detach from the parent
+     */
+    dispose() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.unlink) {
+            this.unlink();
+            this.unlink = null;
+        }
+    }
+}
+
+function formatDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${Math.round(ms / 1000)}s`;
+}
+
+// Token that is never cancelled, for callers that do not pass one
+CancellationToken.none = Object.freeze({
+    isCancelled: false,
+    reason: null,
+    deadline: null,
+    remaining: Infinity,
+    throwIfCancelled() {},
+    onCancel() { return () => {}; },
+    child(options = {}) { return new CancellationToken(options); },
+    race(promise) { return Promise.resolve(promise); },
+    dispose() {}
+});
+
+module.exports = CancellationToken;
+module.exports.CancellationToken = CancellationToken;
+module.exports.CancelledError = CancelledError;
+module.exports.TimeoutError = TimeoutError;
@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import winston from 'winston';
+import CancellationToken from './cancellation';
+import HiveMindEngine from './hive-mind-engine';
+import LocalGitHubGateway from './local-github-gateway';
+import { guardWrites } from './github-gateway';
+
+const { CancelledError, TimeoutError } = CancellationToken;
+
+describe('CancellationToken', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('deadlines', () => {
+        it('times out once its deadline passes', () => {
+            const token = new CancellationToken({ timeout: 50, phase: 'resolution' });
+
+            vi.advanceTimersByTime(49);
+            expect(token.isCancelled).toBe(false);
+            expect(token.remaining).toBe(1);
+
+            vi.advanceTimersByTime(1);
+            expect(token.isCancelled).toBe(true);
+            expect(token.remaining).toBe(0);
+            expect(() => token.throwIfCancelled()).toThrow(TimeoutError);
+            expect(token.reason).toMatchObject({ message: 'resolution exceeded its 50ms deadline', phase: 'resolution', timeout: 50 });
+        });
+
+        it('has no deadline without a timeout', () => {
+            const token = new CancellationToken();
+
+            vi.advanceTimersByTime(1e9);
+            expect(token.isCancelled).toBe(false);
+            expect(token.deadline).toBeNull();
+            expect(token.remaining).toBe(Infinity);
+        });
+
+        it('rejects a race that outlives the deadline and settles one that does not', async () => {
+            const token = new CancellationToken({ timeout: 2000, phase: 'analysis' });
+            const quick = token.race(new Promise(resolve => setTimeout(() => resolve('done'), 1000)));
+            const slow = token.race(new Promise(() => {}));
+
+            vi.advanceTimersByTime(2000);
+
+            await expect(quick).resolves.toBe('done');
+            await expect(slow).rejects.toThrow('analysis exceeded its 2s deadline');
+            await expect(token.race(Promise.resolve('late'))).rejects.toBeInstanceOf(TimeoutError);
+        });
+
+        it('stops the timer once disposed', () => {
+            const token = new CancellationToken({ timeout: 50 });
+
+            token.dispose();
+            vi.advanceTimersByTime(100);
+
+            expect(token.isCancelled).toBe(false);
+        });
+    });
+
+    describe('phase budgets', () => {
+        it('lets a phase run out of its own budget while the session goes on', () => {
+            const session = new CancellationToken({ timeout: 10000, phase: 'session' });
+            const analysis = session.child({ timeout: 2000, phase: 'analysis' });
+
+            vi.advanceTimersByTime(2000);
+
+            expect(analysis.reason).toBeInstanceOf(TimeoutError);
+            expect(analysis.reason.phase).toBe('analysis');
+            expect(session.isCancelled).toBe(false);
+        });
+
+        it('never lets a phase budget outlast the session deadline', () => {
+            const session = new CancellationToken({ timeout: 1000, phase: 'session' });
+            const coordination = session.child({ timeout: 5000, phase: 'coordination' });
+
+            expect(coordination.deadline).toBe(session.deadline);
+            expect(coordination.remaining).toBe(1000);
+
+            vi.advanceTimersByTime(1000);
+
+            expect(coordination.isCancelled).toBe(true);
+            expect(coordination.reason).toBe(session.reason);
+            expect(coordination.reason.phase).toBe('session');
+        });
+    });
+
+    describe('parents and children', () => {
+        it('cancels every descendant with the parent', () => {
+            const parent = new CancellationToken();
+            const child = parent.child();
+            const grandchild = child.child({ timeout: 5000 });
+            const seen = [];
+            grandchild.onCancel(reason => seen.push(reason.message));
+
+            parent.cancel('Cancelled by @maya');
+
+            for (const token of [parent, child, grandchild]) {
+                expect(token.isCancelled).toBe(true);
+                expect(() => token.throwIfCancelled()).toThrow(CancelledError);
+            }
+            expect(grandchild.reason).toBe(parent.reason);
+            expect(seen).toEqual(['Cancelled by @maya']);
+            expect(parent.reason).not.toBeInstanceOf(TimeoutError);
+        });
+
+        it('does not cancel the parent or siblings with a child', () => {
+            const parent = new CancellationToken();
+            const child = parent.child();
+            const sibling = parent.child();
+
+            child.cancel();
+
+            expect(child.reason.message).toBe('Operation cancelled');
+            expect(parent.isCancelled).toBe(false);
+            expect(sibling.isCancelled).toBe(false);
+        });
+
+        it('starts children of a cancelled parent cancelled', () => {
+            const parent = new CancellationToken();
+            parent.cancel('stop');
+
+            expect(parent.child({ timeout: 100 }).reason).toBe(parent.reason);
+        });
+
+        it('detaches a disposed child from its parent', () => {
+            const parent = new CancellationToken();
+            const child = parent.child();
+
+            child.dispose();
+            parent.cancel('stop');
+
+            expect(child.isCancelled).toBe(false);
+            expect(parent.listeners.size).toBe(0);
+        });
+
+        it('keeps only the first reason', () => {
+            const token = new CancellationToken();
+
+            token.cancel('first');
+            token.cancel('second');
+
+            expect(token.reason.message).toBe('first');
+        });
+    });
+
+    it('offers a token that is never cancelled', async () => {
+        expect(() => CancellationToken.none.throwIfCancelled()).not.toThrow();
+        expect(CancellationToken.none.remaining).toBe(Infinity);
+        await expect(CancellationToken.none.race(Promise.resolve(1))).resolves.toBe(1);
+        expect(CancellationToken.none.child({ timeout: 10 })).toBeInstanceOf(CancellationToken);
+    });
+});
+
+describe('guardWrites', () => {
+    let root;
+    let github;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'guard-writes-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), { 7: { number: 7, title: 'Crash', body: '', labels: [], state: 'open' } });
+        github = new LocalGitHubGateway({ root });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('stops writes once the token is cancelled but keeps reads working', async () => {
+        const token = new CancellationToken();
+        const guarded = guardWrites(github, token);
+
+        await guarded.createComment(7, 'Before');
+        token.cancel('Deadline passed');
+
+        await expect(guarded.createComment(7, 'After')).rejects.toThrow('Deadline passed');
+        await expect(guarded.addLabels(7, ['bug'])).rejects.toBeInstanceOf(CancelledError);
+        expect((await guarded.listComments(7)).map(comment => comment.body)).toEqual(['Before']);
+        expect(guarded.fullName).toBe('acme/demo');
+    });
+});
+
+describe('HiveMindEngine phases', () => {
+    let cwd;
+    let engine;
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-phases-'));
+        vi.spyOn(process, 'cwd').mockReturnValue(cwd);
+        vi.spyOn(winston.transports.Console.prototype, 'log').mockImplementation((info, callback) => callback());
+        engine = new HiveMindEngine({ maxResolutionTime: 10000, phaseTimeouts: { validation: 50 }, dryRun: true });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.removeSync(cwd);
+    });
+
+    const session = (timeout = 10000) => ({
+        cancellation: new CancellationToken({ timeout, phase: 'session' }),
+        completedPhases: []
+    });
+
+    it('gives each phase its share of maxResolutionTime unless configured', () => {
+        expect(engine.getPhaseTimeout('analysis')).toBe(2000);
+        expect(engine.getPhaseTimeout('coordination')).toBe(4000);
+        expect(engine.getPhaseTimeout('validation')).toBe(50);
+        expect(engine.getPhaseTimeout('unknown')).toBe(10000);
+    });
+
+    it('runs a phase under its own budget and records it', async () => {
+        const running = session();
+
+        expect(await engine.runPhase(running, 'analysis', async token => token.deadline)).toBeLessThanOrEqual(Date.now() + 2000);
+        expect(running.completedPhases).toEqual(['analysis']);
+        expect(running.phase).toBe('analysis');
+        running.cancellation.dispose();
+    });
+
+    it('fails a phase that outlives its budget without failing the session', async () => {
+        const running = session();
+
+        await expect(engine.runPhase(running, 'validation', () => new Promise(() => {})))
+            .rejects.toThrow('validation exceeded its 50ms deadline');
+        expect(running.completedPhases).toEqual([]);
+        expect(running.cancellation.isCancelled).toBe(false);
+        running.cancellation.dispose();
+    });
+
+    it('does not start a phase once the session is cancelled', async () => {
+        const running = session();
+        const work = vi.fn();
+        running.cancellation.cancel('Cancelled by @maya');
+
+        await expect(engine.runPhase(running, 'analysis', work)).rejects.toThrow('Cancelled by @maya');
+        expect(work).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Chat-Ops
+ * Parses `@claude-flow-automation <command>` comments and dispatches them to the orchestrator
+ *
+ * Grammar (one command per comment, on the line that carries the mention):
+ *   @claude-flow-automation <command> [args...] [--flag] [--key=value]
+ * Mentions in quoted lines and code are ignored, so replies and docs do not trigger runs.
+ */
+
+const { AGENT_TYPES } = require('./hive-mind-engine');
+const { TARGET_LABEL_PREFIX } = require('./base-branch');
+const AccessPolicy = require('./access-policy');
+const LivingComment = require('./living-comment');
+
+const MENTION = '@claude-flow-automation';
+
+// action: what the access policy checks before the command runs (null = open to everyone)
+const COMMANDS = {
+    retry: { usage: 'retry', description: 'Run the resolution again', action: 'analyze' },
+    cancel: { usage: 'cancel', description: 'Stop the running or queued resolution for this issue', action: 'manage' },
+    status: { usage: 'status', description: 'Show what is running, queued or last finished for this issue', action: null },
+    plan: { usage: 'plan', description: 'Dry run: list the GitHub writes a resolution would make', action: 'analyze' },
+    reanalyze: { usage: 'reanalyze [--no-pr]', description: 'Analyze from scratch, ignoring learned patterns and solutions; `--no-pr` skips the pull request', action: 'analyze' },
+    'assign-agents': { usage: 'assign-agents <agent>[,<agent>...]', description: 'Run with these agent types on the team', action: 'analyze' },
+    'target-branch': { usage: 'target-branch <branch>', description: 'Open future pull requests against another branch', action: 'manage' },
+    help: { usage: 'help', description: 'Show this message', action: null }
+};
+
+/**
+ * Command in a comment body, or null when the comment does not address the bot
+ * @returns {{name: string, args: string[], flags: Object, raw: string}|null}
+ */
+function parseCommand(body = '') {
+    const lines = String(body)
+        .replace(/```[\s\S]*?```/g, '')
+        .split('\n')
+        .filter(line => !line.trim().startsWith('>'))
+        .map(line => line.replace(/`[^`\n]*`/g, ''));
+
+    for (const line of lines) {
+        const index = line.toLowerCase().indexOf(MENTION);
+        if (index === -1) continue;
+
+        const rest = line.slice(index + MENTION.length);
+        if (rest && /^[\w-]/.test(rest)) continue; // a longer handle such as @claude-flow-automation-bot
+
+        const tokens = rest.trim().split(/\s+/).filter(Boolean);
+        const args = [];
+        const flags = {};
+
+        for (const token of tokens.slice(1)) {
+            if (token.startsWith('--')) {
+                const separator = token.indexOf('=');
+                if (separator === -1) {
+                    flags[token.slice(2)] = true;
+                } else {
+                    flags[token.slice(2, separator)] = token.slice(separator + 1);
+                }
+            } else {
+                args.push(token);
+            }
+        }
+
+        return {
+            name: (tokens[0] || '').toLowerCase(),
+            args,
+            flags,
+            raw: `${MENTION} ${tokens.join(' ')}`.trim()
+        };
+    }
+
+    return null;
+}
+
+class ChatOps {
+    /**
+     * @param {HiveMindOrchestrator} orchestrator
+     * @param {Object} [options]
+     * @param {AccessPolicy} [options.policy] - who may run which command (default policy otherwise)
+     * @param {boolean} [options.freshJob] - every command runs in a new process that sees no earlier
+     *   sessions or orchestrator-data (default: when running in GitHub Actions)
+     */
+    constructor(orchestrator, options = {}) {
+        this.orchestrator = orchestrator;
+        this.github = orchestrator.github;
+        this.logger = orchestrator.logger;
+        this.policy = options.policy || new AccessPolicy();
+        this.freshJob = options.freshJob ?? process.env.GITHUB_ACTIONS === 'true';
+    }
+
+    /**
+     * Handle one issue comment
+     * @param {Object} comment
+     * @param {number} comment.issueNumber
+     * @param {string} comment.body
+     * @param {Object} [comment.author] - GitHub user ({ login, type, association })
+     * @returns {Promise<{handled: boolean, command?: string, reply?: Object, result?: Object}>}
+     */
+    async handle({ issueNumber, body, author = {} }) {
+        // Never react to bots, including our own replies
+        if (author.type === 'Bot') {
+            return { handled: false, reason: 'bot-author' };
+        }
+
+        const command = parseCommand(body);
+        if (!command) {
+            return { handled: false, reason: 'no-command' };
+        }
+
+        const context = {
+            issueNumber: Number(issueNumber),
+            author: author.login || null,
+            actor: { login: author.login, type: author.type, association: author.association },
+            command
+        };
+
+        if (!COMMANDS[command.name]) {
+            this.logger.info(`💬 Unknown command "${command.name}" on Issue #${issueNumber}`);
+            const reply = await this.reply(context, this.renderHelp(command.name ? `Unknown command \`${command.name}\`.` : null));
+            return { handled: true, command: 'help', unknown: command.name || null, reply };
+        }
+
+        this.logger.info(`💬 Command "${command.name}" on Issue #${issueNumber}${context.author ? ` from @${context.author}` : ''}`);
+
+        const action = COMMANDS[command.name].action;
+        if (action) {
+            const decision = await this.policy.authorize(this.github, context.actor, action);
+            if (!decision.allowed) {
+                this.logger.warn(`🚫 ${context.author || 'Unknown actor'} (${decision.level}) may not ${action}; ${decision.required} required`);
+                const reply = await this.reply(context, this.policy.renderDenial(context.actor, decision));
+                return { handled: true, command: command.name, denied: true, reply, result: null };
+            }
+        }
+
+        switch (command.name) {
+            case 'retry':
+                return this.startRun(context, { command: 'retry' }, 'Starting a new resolution');
+            case 'reanalyze':
+                return command.flags['no-pr']
+                    ? this.startRun(context, { command: 'reanalyze', useLearnedState: false, autoCreatePR: false }, 'Re-analyzing from scratch without opening a pull request')
+                    : this.startRun(context, { command: 'reanalyze', useLearnedState: false }, 'Re-analyzing from scratch');
+            case 'assign-agents':
+                return this.assignAgents(context);
+            case 'cancel':
+                return this.cancel(context);
+            case 'status':
+                return this.status(context);
+            case 'plan':
+                return this.plan(context);
+            case 'target-branch':
+                return this.targetBranch(context);
+            default:
+                return { handled: true, command: 'help', reply: await this.reply(context, this.renderHelp()) };
+        }
+    }
+
+    // =================================================================
+    // COMMANDS
+    // =================================================================
+
+    /**
+     * Acknowledge first, then run: a resolution takes minutes and posts its own results
+     */
+    async startRun(context, options, message) {
+        const { issueNumber } = context;
+        const running = this.orchestrator.findActiveSession(issueNumber);
+        if (running) {
+            const reply = await this.reply(context, `⏳ A resolution is already ${running.status} for #${issueNumber} (\`${running.id}\`). Use \`cancel\` first to start over.`);
+            return { handled: true, command: context.command.name, reply, result: null };
+        }
+
+        // Writers get a pull request, everyone else allowed to analyze gets the analysis only
+        const wantsPullRequest = options.autoCreatePR !== false && this.orchestrator.options.autoCreatePR;
+        if (wantsPullRequest) {
+            const decision = await this.policy.authorize(this.github, context.actor, 'pull-request');
+            if (!decision.allowed) {
+                options = { ...options, autoCreatePR: false };
+                message += ` (analysis only: opening pull requests needs ${decision.required} access)`;
+            }
+        }
+
+        const busy = this.orchestrator.occupiedSlots() >= this.orchestrator.options.maxConcurrentSessions;
+        const reply = await this.reply(context, busy
+            ? `📥 ${message}: all session slots are busy, #${issueNumber} will be queued.`
+            : `🚀 ${message} for #${issueNumber}.`);
+
+        const result = await this.orchestrator.resolveIssue({ number: issueNumber }, {
+            source: 'chat-ops',
+            requestedBy: context.author,
+            ...options
+        });
+
+        return { handled: true, command: context.command.name, reply, result };
+    }
+
+    async assignAgents(context) {
+        const requested = context.command.args.join(',').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        const unknown = requested.filter(name => !AGENT_TYPES.includes(name));
+
+        if (requested.length === 0 || unknown.length > 0) {
+            const reply = await this.reply(context, `❌ ${requested.length === 0 ? 'No agents given' : `Unknown agent type(s): ${unknown.map(name => `\`${name}\``).join(', ')}`}.
+
+Available agents: ${AGENT_TYPES.map(name => `\`${name}\``).join(', ')}`);
+            return { handled: true, command: 'assign-agents', reply, result: null };
+        }
+
+        const agents = Array.from(new Set(requested));
+        return this.startRun(context, { command: 'assign-agents', agents },
+            `Running with ${agents.map(name => `\`${name}\``).join(', ')} on the team`);
+    }
+
+    async cancel(context) {
+        const outcome = this.orchestrator.cancelIssue(context.issueNumber,
+            `Cancelled by ${context.author ? `@${context.author}` : 'request'}`);
+
+        const messages = {
+            running: `🛑 Cancelling the running resolution for #${context.issueNumber}; it stops at the next checkpoint.`,
+            queued: `🗑️ Removed #${context.issueNumber} from the queue.`
+        };
+
+        const nothing = this.freshJob
+            ? `ℹ️ Nothing is running or queued for #${context.issueNumber} in this job. Each command runs in its own workflow job, so a resolution started by another comment or issue event cannot be stopped from here: cancel its workflow run in the Actions tab instead.`
+            : `ℹ️ Nothing is running or queued for #${context.issueNumber}.`;
+
+        const reply = await this.reply(context, messages[outcome.cancelled] || nothing);
+        return { handled: true, command: 'cancel', reply, result: outcome };
+    }
+
+    async status(context) {
+        const status = this.orchestrator.getIssueStatus(context.issueNumber);
+        const lines = [];
+
+        if (status.running) {
+            lines.push(`- **Running**: ${status.running.status}${status.running.dryRun ? ' (dry run)' : ''} for ${Math.round(status.running.elapsed / 1000)}s (\`${status.running.orchestrationId}\`)`);
+        }
+        if (status.queued) {
+            lines.push(`- **Queued**: ${status.queued.position ? `position ${status.queued.position}` : status.queued.status}`);
+        }
+        if (status.lastResult) {
+            const finished = new Date(status.lastResult.timestamp).toISOString();
+            lines.push(`- **Last run**: ${status.lastResult.status} at ${finished}${status.lastResult.error ? ` (${status.lastResult.error.message})` : ''}`);
+        }
+
+        // The analysis comment is the one record every job can read
+        const analysis = await new LivingComment(this.github, { kind: 'analysis' }).find(context.issueNumber);
+        if (analysis) {
+            lines.push(`- **Last published analysis**: ${analysis.updated_at || analysis.created_at}${analysis.html_url ? ` ([comment](${analysis.html_url}))` : ''}`);
+        }
+
+        const note = this.freshJob
+            ? '\n\n_Each command runs in its own workflow job, so resolutions running in other jobs are not listed; see the Actions tab for those._'
+            : '';
+
+        const reply = await this.reply(context, `📊 **Status of #${context.issueNumber}**
+
+${lines.length ? lines.join('\n') : '_No runs recorded for this issue yet._'}${note}`);
+        return { handled: true, command: 'status', reply, result: { ...status, analysisComment: analysis ? analysis.id : null } };
+    }
+
+    /**
+     * Dry run, answered with the planned writes instead of an acknowledgement
+     */
+    async plan(context) {
+        const result = await this.orchestrator.resolveIssue({ number: context.issueNumber }, {
+            source: 'chat-ops',
+            requestedBy: context.author,
+            command: 'plan',
+            dryRun: true
+        });
+
+        if (result.queued || result.duplicate) {
+            const reply = await this.reply(context, `📥 All session slots are busy; the plan for #${context.issueNumber} is queued.`);
+            return { handled: true, command: 'plan', reply, result };
+        }
+
+        const summary = result.plan ? result.plan.summary : {};
+        const reply = await this.reply(context, `📝 **Dry run for #${context.issueNumber}**${result.success === false ? ` (${result.status})` : ''}
+
+A resolution would make ${summary.comments || 0} comment(s), ${summary.commits || 0} commit(s) touching ${summary.files || 0} file(s), ${summary.branches || 0} branch change(s) and ${summary.pullRequests || 0} pull request(s). Nothing was written.
+
+<details>
+<summary>Planned writes</summary>
+
+${codeBlock(truncate(result.planDiff || '', 50000), 'diff')}
+
+</details>`);
+        return { handled: true, command: 'plan', reply, result };
+    }
+
+    async targetBranch(context) {
+        const [branch] = context.command.args;
+        if (!branch) {
+            const reply = await this.reply(context, `❌ Usage: \`${MENTION} ${COMMANDS['target-branch'].usage}\``);
+            return { handled: true, command: 'target-branch', reply, result: null };
+        }
+
+        try {
+            await this.github.getBranchSha(branch);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            const reply = await this.reply(context, `❌ Branch \`${branch}\` does not exist in ${this.github.fullName}.`);
+            return { handled: true, command: 'target-branch', reply, result: null };
+        }
+
+        // The label is what base branch resolution reads, so it also survives restarts
+        const issue = await this.github.getIssue(context.issueNumber);
+        const label = `${TARGET_LABEL_PREFIX}${branch}`;
+        const stale = (issue.labels || [])
+            .map(existing => existing.name || existing)
+            .filter(name => name.toLowerCase().startsWith(TARGET_LABEL_PREFIX) && name !== label);
+
+        for (const name of stale) {
+            await this.github.removeLabel(context.issueNumber, name);
+        }
+        await this.github.addLabels(context.issueNumber, [label]);
+
+        const reply = await this.reply(context, `🎯 Future pull requests for #${context.issueNumber} will target \`${branch}\` (label \`${label}\`).`);
+        return { handled: true, command: 'target-branch', reply, result: { branch, label, removed: stale } };
+    }
+
+    // =================================================================
+    // REPLIES
+    // =================================================================
+
+    async reply(context, message) {
+        const requester = context.author ? ` from @${context.author}` : '';
+        return this.github.createComment(context.issueNumber, `**\`${context.command.raw.slice(MENTION.length + 1) || 'help'}\`**${requester}
+
+${message}`);
+    }
+
+    renderHelp(problem = null) {
+        const rows = Object.values(COMMANDS)
+            .map(command => `| \`${command.usage}\` | ${command.description} |`)
+            .join('\n');
+
+        return `${problem ? `❓ ${problem}\n\n` : ''}Mention \`${MENTION}\` followed by a command:
+
+| Command | What it does |
+|---------|--------------|
+${rows}
+
+Example: \`${MENTION} assign-agents security-specialist,tester\``;
+    }
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length)}\n… (truncated)` : text;
+}
+
+/**
+ * Fenced code block whose fence is longer than any backtick run in the text, so fences
+ * inside it (planned comments quote code too) cannot close it early
+ */
+function codeBlock(text, language = '') {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+module.exports = ChatOps;
+module.exports.MENTION = MENTION;
+module.exports.COMMANDS = COMMANDS;
+module.exports.parseCommand = parseCommand;
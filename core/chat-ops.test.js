@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import ChatOps from './chat-ops';
+import LocalGitHubGateway from './local-github-gateway';
+
+const { parseCommand } = ChatOps;
+
+describe('parseCommand', () => {
+    it('reads the command, arguments and flags after the mention', () => {
+        expect(parseCommand('Please @claude-flow-automation Assign-Agents tester, security-specialist --no-pr')).toEqual({
+            name: 'assign-agents',
+            args: ['tester,', 'security-specialist'],
+            flags: { 'no-pr': true },
+            raw: '@claude-flow-automation Assign-Agents tester, security-specialist --no-pr'
+        });
+    });
+
+    it('keeps everything after the first = in a flag value', () => {
+        expect(parseCommand('@claude-flow-automation plan --filter=a=b --empty=').flags).toEqual({ filter: 'a=b', empty: '' });
+    });
+
+    it('returns null when the bot is not addressed', () => {
+        expect(parseCommand('Nothing to see here')).toBeNull();
+        expect(parseCommand('@claude-flow-automation-bot retry')).toBeNull();
+    });
+
+    it('ignores mentions in quotes and code', () => {
+        expect(parseCommand('> @claude-flow-automation retry')).toBeNull();
+        expect(parseCommand('Run `@claude-flow-automation retry` to try again')).toBeNull();
+        expect(parseCommand('```\n@claude-flow-automation retry\n```')).toBeNull();
+    });
+
+    it('uses the first line that carries the mention', () => {
+        expect(parseCommand('> @claude-flow-automation cancel\n@claude-flow-automation status').name).toBe('status');
+    });
+
+    it('parses a bare mention as an empty command', () => {
+        expect(parseCommand('@claude-flow-automation')).toMatchObject({ name: '', args: [], flags: {} });
+    });
+});
+
+describe('ChatOps', () => {
+    let root;
+    let github;
+    let runs;
+    let chatOps;
+
+    const handle = (body, freshJob = false) => {
+        chatOps.freshJob = freshJob;
+        return chatOps.handle({ issueNumber: 7, body, author: { login: 'maya', type: 'User' } });
+    };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-ops-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), { 7: { number: 7, title: 'Crash', body: '', labels: [], state: 'open' } });
+        fs.writeJsonSync(path.join(root, 'collaborators.json'), { maya: 'write' });
+        github = new LocalGitHubGateway({ root });
+        runs = [];
+
+        const orchestrator = {
+            github,
+            logger: { info() {}, warn() {} },
+            options: { autoCreatePR: true, maxConcurrentSessions: 3 },
+            findActiveSession: () => null,
+            occupiedSlots: () => 0,
+            cancelIssue: () => ({ cancelled: null }),
+            getIssueStatus: issueNumber => ({ issueNumber, running: null, queued: null, lastResult: null }),
+            resolveIssue: async (issue, options) => {
+                runs.push(options);
+                return { success: true };
+            }
+        };
+        chatOps = new ChatOps(orchestrator, { freshJob: false });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('retries with learned state and reanalyzes without it', async () => {
+        await handle('@claude-flow-automation retry');
+        await handle('@claude-flow-automation reanalyze --no-pr');
+
+        expect(runs[0].useLearnedState).toBeUndefined();
+        expect(runs[1]).toMatchObject({ command: 'reanalyze', useLearnedState: false, autoCreatePR: false });
+    });
+
+    it('ignores comments from bots', async () => {
+        const result = await chatOps.handle({ issueNumber: 7, body: '@claude-flow-automation retry', author: { login: 'x[bot]', type: 'Bot' } });
+
+        expect(result).toEqual({ handled: false, reason: 'bot-author' });
+        expect(runs).toEqual([]);
+    });
+
+    it('answers unknown commands with the help', async () => {
+        const result = await handle('@claude-flow-automation frobnicate');
+
+        expect(result).toMatchObject({ handled: true, command: 'help', unknown: 'frobnicate' });
+        expect(result.reply.body).toContain('Unknown command `frobnicate`');
+    });
+
+    it('says when cancel cannot reach runs in other workflow jobs', async () => {
+        expect((await handle('@claude-flow-automation cancel')).reply.body).not.toContain('Actions tab');
+        expect((await handle('@claude-flow-automation cancel', true)).reply.body).toContain('cancel its workflow run in the Actions tab');
+    });
+
+    it('fences the plan longer than any backtick run inside it', async () => {
+        const planDiff = '=== [1] comment on #7\n+ ```js\n+ crash()\n+ ```\n+ ````md\n+ nested\n+ ````';
+        chatOps.orchestrator.resolveIssue = async () => ({ success: true, plan: { summary: { comments: 1 } }, planDiff });
+
+        const { reply } = await handle('@claude-flow-automation plan');
+
+        expect(reply.body).toContain(`\`\`\`\`\`diff\n${planDiff}\n\`\`\`\`\`\n`);
+        expect(reply.body).toContain('A resolution would make 1 comment(s)');
+    });
+
+    it('reports the published analysis comment in status', async () => {
+        await github.createComment(7, '<!-- claude-flow:living-comment:analysis -->\n\nAnalysis');
+
+        const result = await handle('@claude-flow-automation status', true);
+
+        expect(result.result.analysisComment).toBe(1);
+        expect(result.reply.body).toContain('**Last published analysis**');
+        expect(result.reply.body).toContain('resolutions running in other jobs are not listed');
+    });
+});
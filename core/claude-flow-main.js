@@ -6,9 +6,15 @@
  */
 
 const HiveMindOrchestrator = require('./hive-mind-orchestrator');
+const ChatOps = require('./chat-ops');
+const AccessPolicy = require('./access-policy');
+const WebhookServer = require('./webhook-server');
+const ActionsReporter = require('./actions-reporter');
+const { buildResultDocument, buildErrorDocument, writeDocument } = require('./result-schema');
+const { SUPPORTED_EVENTS, normalizeEvent, readTrigger } = require('./event-router');
+const { getConfig } = require('./config');
 const winston = require('winston');
 const fs = require('fs-extra');
-const path = require('path');
 
 // Setup global logger
 const logger = winston.createLogger({
@@ -33,23 +39,32 @@ const logger = winston.createLogger({
 class ClaudeFlowMain {
     constructor() {
         this.validateEnvironment();
+        
+        // Tunables (limits, comment mode, base branch, labels...) come from core/config.js
+        this.config = getConfig();
         this.orchestrator = new HiveMindOrchestrator({
             githubToken: process.env.GITHUB_TOKEN,
             repository: process.env.REPOSITORY,
-            autoCreatePR: process.env.AUTO_CREATE_PR !== 'false',
-            learningEnabled: process.env.LEARNING_ENABLED !== 'false',
-            maxConcurrentSessions: parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 3
+            githubBackend: process.env.GITHUB_BACKEND,
+            fixturePath: process.env.GITHUB_FIXTURE_PATH,
+            config: this.config
         });
         
+        // Who may trigger runs and pull requests (access.* settings or ACCESS_POLICY)
+        this.accessPolicy = new AccessPolicy(this.config.access);
+        
+        // Step outputs, job summary and annotations when running in GitHub Actions
+        this.reporter = new ActionsReporter();
+        
         logger.info('🚀 Claude Flow v3.0 Main System Initialized');
         logger.info('✨ True AI Intelligence - No Fallback Mode');
     }
     
     validateEnvironment() {
-        const requiredEnvVars = [
-            'GITHUB_TOKEN',
-            'REPOSITORY'
-        ];
+        // The local backend replays a fixture repository and needs no token
+        const requiredEnvVars = process.env.GITHUB_BACKEND === 'local'
+            ? ['GITHUB_FIXTURE_PATH']
+            : ['GITHUB_TOKEN', 'REPOSITORY'];
         
         const missing = requiredEnvVars.filter(env => !process.env[env]);
         
@@ -59,7 +74,7 @@ class ClaudeFlowMain {
         }
         
         // Validate repository format
-        if (!process.env.REPOSITORY.includes('/')) {
+        if (process.env.REPOSITORY && !process.env.REPOSITORY.includes('/')) {
             throw new Error('REPOSITORY must be in format "owner/repo"');
         }
         
@@ -69,12 +84,15 @@ class ClaudeFlowMain {
     /**
      * Main automation entry point
      * Handles GitHub Actions integration
+     * @param {Object} [options] - parsed command line options (see core/cli.js)
      */
-    async runAutomation() {
-        const args = this.parseArguments();
+    async runAutomation(options = {}) {
+        const args = this.parseArguments(options);
         
+        const { trigger, ...shown } = args;
         logger.info('🎯 Starting Claude Flow v3.0 Automation');
-        logger.info('📋 Arguments:', args);
+        logger.info(`📨 Trigger: ${trigger.event}${trigger.action ? `.${trigger.action}` : ''} (${trigger.source})`);
+        logger.info('📋 Arguments:', shown);
         
         try {
             // Validate issue number
@@ -86,16 +104,40 @@ class ClaudeFlowMain {
                 number: args.issueNumber,
                 title: args.issueTitle || `Issue #${args.issueNumber}`,
                 body: args.issueBody || '',
-                labels: args.labels ? args.labels.split(',') : []
+                labels: args.labels
             };
             
             // Execute Hive-Mind resolution
-            const result = await this.orchestrator.resolveIssue(issueData, {
-                source: 'github-actions',
-                automated: true,
-                priority: args.priority || 'normal'
+            const result = await this.processIssue(issueData, {
+                actor: args.trigger.actor,
+                priority: args.priority,
+                dryRun: args.dryRun,
+                baseBranch: args.baseBranch
             });
             
+            if (result.denied) {
+                return result;
+            }
+            
+            if (result.queued || result.duplicate) {
+                logger.info(result.queued
+                    ? `📥 Issue #${result.issueNumber} queued at position ${result.position}`
+                    : `⏭️ Issue #${result.issueNumber} is already queued or running`);
+                this.outputQueued(result);
+                return result;
+            }
+            
+            if (result.dryRun) {
+                this.outputPlan(result);
+            }
+            
+            if (!result.success) {
+                logger.warn(`⏹️ Issue #${result.issueNumber} ${result.status} during ${result.interruptedPhase || 'startup'}: ${result.reason}`);
+                this.outputResults(result);
+                await this.orchestrator.drainQueue();
+                return result;
+            }
+            
             logger.info('🎉 Automation completed successfully!');
             logger.info('📊 Results:', {
                 orchestrationId: result.orchestrationId,
@@ -109,6 +151,9 @@ class ClaudeFlowMain {
             // Output results for GitHub Actions
             this.outputResults(result);
             
+            // Sessions freed up: work through anything waiting in the queue
+            await this.orchestrator.drainQueue();
+            
             return result;
             
         } catch (error) {
@@ -116,112 +161,311 @@ class ClaudeFlowMain {
             logger.error('Stack trace:', error.stack);
             
             // Output error for GitHub Actions
-            this.outputError(error);
+            this.outputError(error, { issueNumber: args.issueNumber });
             
             throw error;
         }
     }
     
-    parseArguments() {
-        const args = {
-            issueNumber: null,
-            issueTitle: null,
-            issueBody: null,
-            labels: null,
-            priority: 'normal'
+    /**
+     * Gate the actor and hand one issue to the orchestrator (runs now or queues)
+     * @param {Object} issueData - { number, title, body, labels }
+     * @param {Object} options - { actor, priority, dryRun, baseBranch, source }
+     */
+    async processIssue(issueData, options = {}) {
+        // Check the triggering actor before anything is written with the repository token
+        const actor = options.actor || {};
+        const access = await this.accessPolicy.gate(this.orchestrator.github, {
+            actor,
+            issueNumber: issueData.number,
+            pullRequest: this.orchestrator.options.autoCreatePR,
+            notify: !options.dryRun
+        });
+        
+        if (!access.allowed) {
+            logger.warn(`🚫 ${actor.login || 'Unknown actor'} may not start a run on Issue #${issueData.number}`);
+            return { success: true, denied: true, issueNumber: issueData.number };
+        }
+        
+        return this.orchestrator.resolveIssue(issueData, {
+            source: options.source || 'github-actions',
+            automated: true,
+            priority: options.priority || 'normal',
+            dryRun: options.dryRun,
+            baseBranch: options.baseBranch,
+            autoCreatePR: access.pullRequest
+        });
+    }
+    
+    /**
+     * Hand one issue comment to chat-ops
+     */
+    async processComment({ issueNumber, body, author }) {
+        const chatOps = new ChatOps(this.orchestrator, { policy: this.accessPolicy });
+        return chatOps.handle({ issueNumber, body, author });
+    }
+    
+    /**
+     * Chat-ops entry point: handle one `@claude-flow-automation <command>` comment
+     * The comment comes from the issue_comment event payload (or COMMENT_* variables, or --comment-body-file)
+     */
+    async handleComment(options = {}) {
+        const args = this.parseArguments(options);
+        const comment = args.trigger.comment || { body: '', author: {} };
+        
+        let body = comment.body;
+        if (options.commentBodyFile) {
+            body = fs.readFileSync(options.commentBodyFile, 'utf-8');
+        }
+        
+        if (!args.issueNumber) {
+            throw new Error('Issue number is required');
+        }
+        
+        const outcome = await this.processComment({
+            issueNumber: args.issueNumber,
+            body,
+            author: comment.author
+        });
+        
+        if (!outcome.handled) {
+            logger.info(`💬 Comment ignored (${outcome.reason})`);
+            return outcome;
+        }
+        
+        if (outcome.result && outcome.result.dryRun) {
+            this.outputPlan(outcome.result);
+        }
+        
+        // Anything the command queued still has to run before the process exits
+        await this.orchestrator.drainQueue();
+        
+        return outcome;
+    }
+    
+    // =================================================================
+    // WEBHOOK SERVICE
+    // =================================================================
+    
+    /**
+     * Webhook delivery -> trigger -> run or chat-ops command
+     */
+    async handleEvent(event, payload = {}, options = {}) {
+        if (!SUPPORTED_EVENTS.includes(event)) {
+            return { handled: false, reason: `unsupported event ${event}` };
+        }
+        
+        return this.dispatchTrigger(normalizeEvent(event, payload, 'webhook'), options);
+    }
+    
+    /**
+     * Decide what a trigger asks for
+     *   issues.opened                 -> resolve the issue
+     *   issue_comment.created         -> chat-ops (issues and pull requests)
+     *   pull_request.opened/reopened  -> resolve, when the description mentions the bot
+     *   workflow_dispatch             -> resolve the issue given as input
+     * @returns {Promise<{handled: boolean, reason?: string, result?: Object}>}
+     */
+    async dispatchTrigger(trigger, options = {}) {
+        const { event, action, issue } = trigger;
+        
+        if (trigger.repository && this.orchestrator.options.repository && trigger.repository !== this.orchestrator.options.repository) {
+            return { handled: false, reason: `repository ${trigger.repository}` };
+        }
+        
+        if (trigger.actor.type === 'Bot') {
+            return { handled: false, reason: 'bot-sender' };
+        }
+        
+        if (!issue) {
+            return { handled: false, reason: `${event} without an issue number` };
+        }
+        
+        const runOptions = {
+            actor: trigger.actor,
+            dryRun: trigger.dryRun ?? options.dryRun,
+            baseBranch: trigger.baseBranch || undefined,
+            source: trigger.source
         };
         
-        // Parse command line arguments
-        for (let i = 2; i < process.argv.length; i++) {
-            const arg = process.argv[i];
+        if ((event === 'issues' && action === 'opened') || event === 'workflow_dispatch') {
+            return { handled: true, event, result: await this.processIssue(issue, runOptions) };
+        }
+        
+        if (event === 'issue_comment' && action === 'created') {
+            const outcome = await this.processComment({
+                issueNumber: issue.number,
+                body: trigger.comment.body,
+                author: trigger.comment.author
+            });
+            return { event, ...outcome };
+        }
+        
+        if (event === 'pull_request' && ['opened', 'reopened'].includes(action)) {
+            if (!ChatOps.parseCommand(issue.body)) {
+                return { handled: false, reason: 'no-mention' };
+            }
+            return { handled: true, event, result: await this.processIssue(issue, runOptions) };
+        }
+        
+        return { handled: false, reason: `unsupported event ${event}${action ? `.${action}` : ''}` };
+    }
+    
+    /**
+     * Long-lived mode: receive webhooks instead of one run per Actions job
+     * Reads WEBHOOK_SECRET, WEBHOOK_PORT, WEBHOOK_HOST, WEBHOOK_PATH and WEBHOOK_RECORD_DIR
+     * @param {Object} [options] - port, host, path, recordDir, dryRun (override the environment)
+     */
+    async serve(options = {}) {
+        const dryRun = options.dryRun === true || this.config.orchestrator.dryRun;
+        
+        const server = new WebhookServer({
+            secret: process.env.WEBHOOK_SECRET,
+            port: options.port ?? (parseInt(process.env.WEBHOOK_PORT) || 3000),
+            host: options.host || process.env.WEBHOOK_HOST,
+            path: options.path || process.env.WEBHOOK_PATH,
+            recordDir: options.recordDir || process.env.WEBHOOK_RECORD_DIR,
+            logger,
+            handler: async (event, payload) => {
+                const outcome = await this.handleEvent(event, payload, { dryRun });
+                if (!outcome.handled) {
+                    logger.info(`⏭️ ${event} ignored (${outcome.reason})`);
+                }
+                return outcome;
+            },
+            status: () => ({ queue: this.orchestrator.getQueue().length })
+        });
+        
+        await server.start();
+        
+        // Work restored from queue.json starts as soon as the service is up
+        this.orchestrator.startQueuedSessions();
+        
+        return server;
+    }
+    
+    /**
+     * Feed recorded deliveries (or raw payloads) through the webhook handler, in order
+     * @param {string[]} files
+     * @param {Object} options - { event, dryRun }
+     */
+    async replay(files, options = {}) {
+        if (files.length === 0) {
+            throw new Error('replay needs at least one payload file');
+        }
+        
+        const outcomes = [];
+        
+        for (const file of files) {
+            const { event, delivery, payload } = WebhookServer.readRecording(file, options.event);
+            logger.info(`🔁 Replaying ${event}${payload.action ? `.${payload.action}` : ''} from ${delivery}`);
             
-            if (arg.startsWith('--issue-number=')) {
-                args.issueNumber = parseInt(arg.split('=')[1]);
-            } else if (arg.startsWith('--issue-title=')) {
-                args.issueTitle = arg.split('=')[1];
-            } else if (arg.startsWith('--issue-body=')) {
-                args.issueBody = arg.split('=')[1];
-            } else if (arg.startsWith('--labels=')) {
-                args.labels = arg.split('=')[1];
-            } else if (arg.startsWith('--priority=')) {
-                args.priority = arg.split('=')[1];
+            const outcome = await this.handleEvent(event, payload, { dryRun: options.dryRun });
+            if (!outcome.handled) {
+                logger.info(`⏭️ ${event} ignored (${outcome.reason})`);
             }
+            
+            outcomes.push({ file, event, ...outcome });
         }
         
-        // Try environment variables as fallback
-        args.issueNumber = args.issueNumber || parseInt(process.env.ISSUE_NUMBER);
-        args.issueTitle = args.issueTitle || process.env.ISSUE_TITLE;
-        args.issueBody = args.issueBody || process.env.ISSUE_BODY;
-        args.labels = args.labels || process.env.ISSUE_LABELS;
+        await this.orchestrator.drainQueue();
+        
+        return outcomes;
+    }
+    
+    /**
+     * Run arguments from parsed command line options, the event payload and the environment
+     * @param {Object} [options] - issueNumber, issueTitle, issueBody, labels, priority, baseBranch, dryRun
+     */
+    parseArguments(options = {}) {
+        const args = {
+            issueNumber: options.issueNumber || null,
+            issueTitle: options.issueTitle || null,
+            issueBody: options.issueBody || null,
+            labels: options.labels || null,
+            priority: options.priority || 'normal',
+            baseBranch: options.baseBranch || null,
+            dryRun: options.dryRun === true || this.config.orchestrator.dryRun
+        };
+        
+        // Issue, comment and actor come from the event payload (or the legacy env vars); flags win
+        const trigger = readTrigger({ overrides: args });
+        
+        args.trigger = trigger;
+        args.issueNumber = trigger.issue ? trigger.issue.number : null;
+        args.issueTitle = trigger.issue ? trigger.issue.title : null;
+        args.issueBody = trigger.issue ? trigger.issue.body : null;
+        args.labels = trigger.issue ? trigger.issue.labels : null;
+        args.dryRun = args.dryRun || trigger.dryRun === true;
+        args.baseBranch = args.baseBranch || trigger.baseBranch;
         
         return args;
     }
     
     /**
      * Output results for GitHub Actions consumption
+     * The step outputs double as the `summary` of claude-flow-results.json (schemas/claude-flow-results.schema.json)
      */
     outputResults(result) {
+        const pullRequest = result.dryRun ? null : result.githubResult?.pullRequest;
         const output = {
-            success: true,
-            orchestration_id: result.orchestrationId,
+            success: result.success !== false,
+            status: result.status || 'completed',
+            orchestration_id: result.orchestrationId || null,
             issue_number: result.issueNumber,
-            duration_seconds: Math.round(result.duration / 1000),
-            intelligence_level: result.intelligence,
-            agents_used: result.agents,
-            quality_score: Math.round(result.qualityScore * 100),
-            pr_created: !!result.githubResult?.pullRequest,
-            pr_number: result.githubResult?.pullRequest?.number,
-            pr_url: result.githubResult?.pullRequest?.url
+            duration_seconds: Math.round((result.duration || 0) / 1000),
+            intelligence_level: result.intelligence || null,
+            agents_used: result.agents ?? null,
+            quality_score: typeof result.qualityScore === 'number' ? Math.round(result.qualityScore * 100) : null,
+            dry_run: !!result.dryRun,
+            pr_created: !!pullRequest,
+            pr_number: pullRequest?.number ?? null,
+            pr_url: pullRequest?.url ?? null,
+            interrupted_phase: result.interruptedPhase || null,
+            reason: result.success === false ? result.reason || null : null
         };
         
-        // Write to GitHub Actions output
-        if (process.env.GITHUB_OUTPUT) {
-            const outputLines = Object.entries(output)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('\n');
-            
-            fs.appendFileSync(process.env.GITHUB_OUTPUT, outputLines + '\n');
-        }
+        // Validate before anything is published, so outputs and file never disagree
+        const document = buildResultDocument(output, result.details);
+        const resultsPath = writeDocument('claude-flow-results.json', document);
         
-        // Write detailed results
-        const resultsPath = 'claude-flow-results.json';
-        fs.writeJsonSync(resultsPath, {
-            ...output,
-            timestamp: new Date().toISOString(),
-            system: 'claude-flow-v3-hive-mind',
-            details: result.details
-        }, { spaces: 2 });
+        // Step outputs, job summary, and annotations for failures and low-confidence results
+        this.reporter.reportResult(result, output);
         
         logger.info(`📄 Results written to ${resultsPath}`);
     }
     
     /**
-     * Output error information for GitHub Actions
+     * Output a queued (not yet started) resolution for GitHub Actions
      */
-    outputError(error) {
-        const errorOutput = {
-            success: false,
-            error_message: error.message,
-            error_type: error.constructor.name,
-            timestamp: new Date().toISOString(),
-            system: 'claude-flow-v3-hive-mind'
-        };
+    outputQueued(result) {
+        this.reporter.reportQueued(result);
+    }
+    
+    /**
+     * Output the dry-run plan as JSON and as a readable diff
+     */
+    outputPlan(result) {
+        const planPath = 'claude-flow-plan.json';
+        const diffPath = 'claude-flow-plan.diff';
         
-        // Write to GitHub Actions output
-        if (process.env.GITHUB_OUTPUT) {
-            const outputLines = Object.entries(errorOutput)
-                .map(([key, value]) => `${key}=${value}`)
-                .join('\n');
-            
-            fs.appendFileSync(process.env.GITHUB_OUTPUT, outputLines + '\n');
-        }
+        fs.writeJsonSync(planPath, result.plan, { spaces: 2 });
+        fs.writeFileSync(diffPath, result.planDiff);
+        
+        console.log(result.planDiff);
+        logger.info(`📝 Dry-run plan written to ${planPath} and ${diffPath}`);
+    }
+    
+    /**
+     * Output error information for GitHub Actions
+     * The step outputs double as the `summary` of claude-flow-error.json (schemas/claude-flow-error.schema.json)
+     */
+    outputError(error, { issueNumber } = {}) {
+        const document = buildErrorDocument(error, { issueNumber });
+        const errorPath = writeDocument('claude-flow-error.json', document);
         
-        // Write error details
-        const errorPath = 'claude-flow-error.json';
-        fs.writeJsonSync(errorPath, {
-            ...errorOutput,
-            stack: error.stack
-        }, { spaces: 2 });
+        // Step outputs (the message may span lines), job summary and an ::error annotation
+        this.reporter.reportError(error, document.summary);
         
         logger.info(`❌ Error details written to ${errorPath}`);
     }
@@ -240,48 +484,21 @@ class ClaudeFlowMain {
             orchestrator: this.orchestrator.getStatus(),
             environment: {
                 repository: process.env.REPOSITORY,
-                autoCreatePR: process.env.AUTO_CREATE_PR !== 'false',
-                learningEnabled: process.env.LEARNING_ENABLED !== 'false'
+                githubBackend: process.env.GITHUB_BACKEND || 'octokit',
+                autoCreatePR: this.config.orchestrator.autoCreatePR,
+                learningEnabled: this.config.orchestrator.learningEnabled,
+                accessPolicy: this.accessPolicy.describe()
             }
         };
     }
 }
 
-// CLI execution
-if (require.main === module) {
-    // Ensure logs directory exists
-    fs.ensureDirSync('logs');
-    
-    const main = new ClaudeFlowMain();
-    
-    // Handle command
-    const command = process.argv[2];
-    
-    if (command === 'status') {
-        main.getStatus()
-            .then(status => {
-                console.log(JSON.stringify(status, null, 2));
-                process.exit(0);
-            })
-            .catch(error => {
-                logger.error('Status check failed:', error.message);
-                process.exit(1);
-            });
-    } else {
-        // Default: run automation
-        main.runAutomation()
-            .then(result => {
-                logger.info('✅ Claude Flow v3.0 completed successfully');
-                process.exit(0);
-            })
-            .catch(error => {
-                logger.error('💥 Claude Flow v3.0 failed:', error.message);
-                process.exit(1);
-            });
-    }
-}
-
 module.exports = ClaudeFlowMain;
 
 // Export orchestrator for direct access
-module.exports.HiveMindOrchestrator = HiveMindOrchestrator;
\ No newline at end of file
+module.exports.HiveMindOrchestrator = HiveMindOrchestrator;
+
+// CLI execution (`node core/claude-flow-main.js [command]`, same commands as core/cli.js)
+if (require.main === module) {
+    require('./cli').main(process.argv.slice(2), { defaultCommand: 'resolve' });
+}
@@ -5,7 +5,17 @@
  * Designed specifically for reliable GitHub Actions execution
  */
 
-const { Octokit } = require('@octokit/rest');
+const OctokitGateway = require('./github-gateway');
+const DryRunGateway = require('./dry-run-gateway');
+const { resolveBaseBranch } = require('./base-branch');
+const ArtifactPublisher = require('./artifact-publisher');
+const LivingComment = require('./living-comment');
+const AccessPolicy = require('./access-policy');
+const RepositoryContext = require('./repository-context');
+const { readTrigger } = require('./event-router');
+const { UsageError, parseArgs } = require('./cli-args');
+const { loadConfig, getConfig } = require('./config');
+const { createRandom, seedForIssue } = require('./random');
 const winston = require('winston');
 const fs = require('fs-extra');
 const crypto = require('crypto');
@@ -21,15 +31,17 @@ class ClaudeFlowSimple {
             throw new Error('REPOSITORY environment variable is required');
         }
         
-        // Setup GitHub API
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
-        const [owner, repo] = process.env.REPOSITORY.split('/');
-        this.owner = owner;
-        this.repo = repo;
-        
         // Parse arguments
         this.args = this.parseArguments();
         this.sessionId = crypto.randomUUID();
+        this.accessPolicy = new AccessPolicy(this.config.access);
+        
+        // Setup GitHub API (dry runs record writes instead of performing them)
+        const [owner, repo] = process.env.REPOSITORY.split('/');
+        this.owner = owner;
+        this.repo = repo;
+        const gateway = new OctokitGateway({ token: process.env.GITHUB_TOKEN, owner, repo });
+        this.github = this.args.dryRun ? new DryRunGateway(gateway) : gateway;
         
         // Setup logger
         this.logger = winston.createLogger({
@@ -44,36 +56,74 @@ class ClaudeFlowSimple {
             transports: [new winston.transports.Console()]
         });
         
+        gateway.requestLayer.on('retry', ({ route, status, reason, attempt, delay }) => {
+            this.logger.warn(`🔁 ${route} failed (${status}, ${reason}), retry ${attempt} in ${Math.round(delay / 1000)}s`);
+        });
+        gateway.requestLayer.on('rate-limited', ({ route, reset }) => {
+            this.logger.warn(`⏳ GitHub rate limit exhausted, holding ${route} until ${reset}`);
+        });
+        
         this.logger.info('🚀 Claude Flow v3.0 Simple AI Engine initialized');
         this.logger.info(`📂 Repository: ${this.owner}/${this.repo}`);
         this.logger.info(`🎯 Session: ${this.sessionId}`);
+        if (this.args.dryRun) {
+            this.logger.info('📝 Dry run: GitHub writes will be planned, not performed');
+        }
     }
     
     parseArguments() {
-        const args = {};
-        
-        // Parse command line arguments
-        for (let i = 2; i < process.argv.length; i++) {
-            const arg = process.argv[i];
-            if (arg.startsWith('--')) {
-                const [key, value] = arg.substring(2).split('=');
-                args[key] = value || process.argv[i + 1];
-                if (!value) i++; // Skip next arg if no = found
+        const { options: args } = parseArgs(process.argv.slice(2), {
+            options: {
+                'issue-number': { type: 'number' },
+                'issue-title': { type: 'string' },
+                'issue-body': { type: 'string' },
+                'issue-body-file': { type: 'string' },
+                repository: { type: 'string' },
+                labels: { type: 'string' },
+                'base-branch': { type: 'string' },
+                'comment-mode': { type: 'string' },
+                'dry-run': { type: 'boolean' },
+                config: { type: 'string' },
+                set: { type: 'string', multiple: true }
             }
+        });
+        
+        // Limits, labels and defaults: config file, environment, then --set
+        if (args.config || args.set.length > 0) {
+            loadConfig({ file: args.config, set: args.set });
         }
+        this.config = getConfig();
         
         // Handle issue body from file if provided
-        let issueBody = args['issue-body'] || process.env.ISSUE_BODY;
-        if (args['issue-body-file'] && require('fs').existsSync(args['issue-body-file'])) {
-            issueBody = require('fs').readFileSync(args['issue-body-file'], 'utf-8').trim();
+        let issueBody = args.issueBody;
+        if (args.issueBodyFile) {
+            if (!fs.existsSync(args.issueBodyFile)) {
+                throw new UsageError(`--issue-body-file ${args.issueBodyFile} does not exist`);
+            }
+            issueBody = fs.readFileSync(args.issueBodyFile, 'utf-8').trim();
         }
         
-        // Use environment variables as fallback
+        // Issue and actor come from the event payload (or the legacy env vars); flags win
+        const trigger = readTrigger({
+            overrides: {
+                issueNumber: args.issueNumber,
+                issueTitle: args.issueTitle,
+                issueBody,
+                labels: args.labels
+            }
+        });
+        const issue = trigger.issue || {};
+        
         return {
-            issueNumber: parseInt(args['issue-number']) || parseInt(process.env.ISSUE_NUMBER),
-            issueTitle: args['issue-title'] || process.env.ISSUE_TITLE,
-            issueBody: issueBody,
-            repository: args['repository'] || process.env.REPOSITORY
+            trigger,
+            issueNumber: issue.number || null,
+            issueTitle: issue.title ?? null,
+            issueBody: issue.body ?? null,
+            repository: args.repository || process.env.REPOSITORY,
+            labels: issue.labels ?? null,
+            baseBranch: args.baseBranch || trigger.baseBranch || this.config.orchestrator.baseBranch,
+            commentMode: args.commentMode || this.config.orchestrator.commentMode,
+            dryRun: args.dryRun === true || trigger.dryRun === true || this.config.orchestrator.dryRun
         };
     }
     
@@ -85,6 +135,39 @@ class ClaudeFlowSimple {
                 throw new Error('Issue number is required');
             }
             
+            // workflow_dispatch only carries the number
+            if (this.args.issueTitle === null) {
+                await this.loadIssue();
+            }
+            
+            // Check the triggering actor before anything is written with the repository token
+            const actor = this.args.trigger.actor;
+            const access = await this.accessPolicy.gate(this.github, {
+                actor,
+                issueNumber: this.args.issueNumber,
+                notify: !this.args.dryRun
+            });
+            
+            if (!access.allowed) {
+                this.logger.warn(`🚫 ${actor.login || 'Unknown actor'} may not start a run on Issue #${this.args.issueNumber}`);
+                return {
+                    success: true,
+                    denied: true,
+                    mode: 'hive-mind-v3-simple',
+                    sessionId: this.sessionId,
+                    issueNumber: this.args.issueNumber
+                };
+            }
+            
+            // Same seed as the engine would use, so an unchanged issue replays identically
+            const seed = this.config.orchestrator.seed ?? seedForIssue({
+                number: this.args.issueNumber,
+                title: this.args.issueTitle,
+                body: this.args.issueBody
+            });
+            this.random = createRandom(seed);
+            this.logger.info(`🎲 Seed ${seed}`);
+            
             // Phase 1: Advanced AI Analysis
             this.logger.info('🧠 Phase 1: Advanced AI Analysis');
             const analysis = await this.performAdvancedAnalysis();
@@ -110,6 +193,7 @@ class ClaudeFlowSimple {
                 mode: 'hive-mind-v3-simple',
                 sessionId: this.sessionId,
                 issueNumber: this.args.issueNumber,
+                seed,
                 intelligence: 'advanced-ai',
                 agents: agents.length,
                 confidence: coordination.confidence,
@@ -120,28 +204,46 @@ class ClaudeFlowSimple {
             this.logger.info(`🎯 Quality Score: ${Math.round(implementation.quality * 100)}%`);
             this.logger.info(`🤖 Agents Deployed: ${agents.length}`);
             
-            // CRITICAL: Create actual Pull Request
-            this.logger.info('🎯 Creating comprehensive pull request...');
-            const branchName = `claude-flow-solution-issue-${this.args.issueNumber}`;
-            this.logger.info(`📋 Branch: ${branchName}`);
-            
-            try {
-                const prResult = await this.createActualPullRequest(branchName, coordination, implementation, agents, analysis);
-                if (prResult.success) {
-                    this.logger.info(`✅ Pull Request created successfully: #${prResult.prNumber}`);
-                    this.logger.info(`🔗 PR URL: ${prResult.prUrl}`);
-                    result.prCreated = true;
-                    result.prNumber = prResult.prNumber;
-                    result.prUrl = prResult.prUrl;
-                } else {
-                    this.logger.warn(`⚠️ PR creation failed: ${prResult.error}`);
+            // CRITICAL: Create actual Pull Request (unless the actor may only trigger analysis)
+            if (!access.pullRequest) {
+                this.logger.info('🔒 Skipping pull request: the triggering actor may not open one');
+                result.prCreated = false;
+                result.prSkipped = 'access-policy';
+            } else {
+                this.logger.info('🎯 Creating comprehensive pull request...');
+                const branchName = `claude-flow-solution-issue-${this.args.issueNumber}`;
+                this.logger.info(`📋 Branch: ${branchName}`);
+                
+                try {
+                    const prResult = await this.createActualPullRequest(branchName, coordination, implementation, agents, analysis);
+                    if (prResult.success) {
+                        this.logger.info(`✅ Pull Request created successfully: #${prResult.prNumber}`);
+                        this.logger.info(`🔗 PR URL: ${prResult.prUrl}`);
+                        result.prCreated = true;
+                        result.prNumber = prResult.prNumber;
+                        result.prUrl = prResult.prUrl;
+                    } else {
+                        this.logger.warn(`⚠️ PR creation failed: ${prResult.error}`);
+                        result.prCreated = false;
+                        result.prError = prResult.error;
+                    }
+                } catch (prError) {
+                    this.logger.error(`❌ PR creation error: ${prError.message}`);
                     result.prCreated = false;
-                    result.prError = prResult.error;
+                    result.prError = prError.message;
                 }
-            } catch (prError) {
-                this.logger.error(`❌ PR creation error: ${prError.message}`);
-                result.prCreated = false;
-                result.prError = prError.message;
+            }
+            
+            if (this.args.dryRun) {
+                result.dryRun = true;
+                result.plan = this.github.getPlan();
+                result.planDiff = this.github.renderDiff();
+            }
+            
+            result.rateLimit = this.github.getRateLimit();
+            const core = result.rateLimit?.resources.core;
+            if (core) {
+                this.logger.info(`📉 GitHub API budget: ${core.remaining}/${core.limit} remaining (resets ${core.reset})`);
             }
             
             return result;
@@ -176,7 +278,8 @@ class ClaudeFlowSimple {
             technicalTerms: technicalAnalysis.terms,
             affectedAreas: technicalAnalysis.areas,
             priority: this.calculatePriority(classification, complexity),
-            neuralSignature: this.generateNeuralSignature(patterns, technicalAnalysis)
+            neuralSignature: this.generateNeuralSignature(patterns, technicalAnalysis),
+            codebase: await this.loadRepositoryContext()
         };
         
         this.logger.info(`📊 Analysis complete: ${analysis.type} (${analysis.complexity})`);
@@ -186,6 +289,25 @@ class ClaudeFlowSimple {
         return analysis;
     }
     
+    /**
+     * Real files relevant to the issue; without them the file estimate falls back to generic guesses
+     */
+    async loadRepositoryContext() {
+        if (!this.config.context.enabled) {
+            return null;
+        }
+        
+        try {
+            const context = await new RepositoryContext({ github: this.github, logger: this.logger })
+                .build({ title: this.args.issueTitle, body: this.args.issueBody }, { ref: this.args.baseBranch });
+            this.logger.info(`📂 Repository context: ${context.totalFiles} files (${context.source}), ${context.candidates.length} relevant`);
+            return context;
+        } catch (error) {
+            this.logger.warn(`⚠️ Repository context unavailable: ${error.message}`);
+            return null;
+        }
+    }
+    
     classifyWithAI(content) {
         // Advanced AI classification with high confidence
         const patterns = {
@@ -405,7 +527,7 @@ class ClaudeFlowSimple {
                 agentType: agent.type,
                 findings: this.generateAgentFindings(agent, analysis),
                 recommendations: this.generateAgentRecommendations(agent, analysis),
-                confidence: 0.8 + Math.random() * 0.15 // Simulate high AI confidence
+                confidence: 0.8 + this.random() * 0.15 // Simulate high AI confidence
             };
             results.push(result);
         }
@@ -580,6 +702,11 @@ class ClaudeFlowSimple {
     }
     
     estimateFilesToModify(analysis) {
+        const codebase = analysis.codebase;
+        if (codebase && codebase.candidates.length > 0) {
+            return codebase.candidates.map(candidate => candidate.path);
+        }
+        
         const files = new Set(['src/']);
         
         analysis.affectedAreas.forEach(area => {
@@ -609,6 +736,11 @@ class ClaudeFlowSimple {
             }
         });
         
+        // With the tree known, drop guessed directories the repository does not have
+        if (codebase) {
+            return Array.from(files).filter(file => !file.endsWith('/') || codebase.directories.includes(file));
+        }
+        
         return Array.from(files);
     }
     
@@ -683,25 +815,17 @@ class ClaudeFlowSimple {
         this.logger.info('📤 Publishing AI analysis to GitHub...');
         
         try {
-            // Create comprehensive analysis comment
+            // Create comprehensive analysis comment, or refresh the one from an earlier run
             const comment = this.generateDetailedComment(analysis, coordination, implementation);
             
-            await this.octokit.rest.issues.createComment({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: this.args.issueNumber,
-                body: comment
-            });
+            const livingComment = new LivingComment(this.github, { kind: 'analysis', mode: this.args.commentMode });
+            const posted = await livingComment.publish(this.args.issueNumber, comment);
+            this.logger.info(`💬 Analysis comment ${posted.action}`);
             
             // Add intelligent labels
             const labels = this.generateIntelligentLabels(analysis, coordination);
             
-            await this.octokit.rest.issues.addLabels({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: this.args.issueNumber,
-                labels: labels
-            });
+            await this.github.addLabels(this.args.issueNumber, labels);
             
             this.logger.info('✅ AI analysis published to GitHub successfully');
             this.logger.info(`🏷️ Added ${labels.length} intelligent labels`);
@@ -742,7 +866,7 @@ class ClaudeFlowSimple {
 ${implementation.steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}
 
 ### 📁 Estimated Files to Modify
-${implementation.files.map(file => `- \`${file}\``).join('\n')}
+${implementation.files.length > 0 ? implementation.files.map(file => `- \`${file}\``).join('\n') : '- No matching files found in the repository'}
 
 ### 🧪 AI-Generated Testing Strategy
 ${implementation.tests.map(test => `- ${test}`).join('\n')}
@@ -792,14 +916,11 @@ ${coordination.alternatives.map(alt => `- ${alt}`).join('\n')}
     
     generateIntelligentLabels(analysis, coordination) {
         const labels = [
-            'claude-flow-v3',
-            'ai-analyzed',
-            'hive-mind-processed',
+            ...this.config.labels.simpleAnalyzed,
             `type:${analysis.type}`,
             `complexity:${analysis.complexity}`,
             `priority:${analysis.priority}`,
-            `confidence:${Math.round(analysis.confidence * 10) * 10}%`,
-            'awaiting-implementation'
+            `confidence:${Math.round(analysis.confidence * 10) * 10}%`
         ];
         
         // Add area-specific labels
@@ -809,11 +930,11 @@ ${coordination.alternatives.map(alt => `- ${alt}`).join('\n')}
         
         // Add pattern-based labels
         if (analysis.patterns.some(p => p.type === 'security')) {
-            labels.push('security-review-needed');
+            labels.push(this.config.labels.securityReview);
         }
         
         if (analysis.patterns.some(p => p.type === 'performance')) {
-            labels.push('performance-critical');
+            labels.push(this.config.labels.performanceCritical);
         }
         
         return labels;
@@ -848,105 +969,124 @@ This error has been logged for analysis. The AI system will learn from this feed
 ---
 🤖 **Claude Flow v3.0 Error Handler** - Advanced AI Recovery System`;
 
-            await this.octokit.rest.issues.createComment({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: this.args.issueNumber,
-                body: errorComment
-            });
+            await this.github.createComment(this.args.issueNumber, errorComment);
             
         } catch (commentError) {
             this.logger.error('❌ Failed to post error comment:', commentError.message);
         }
     }
 
+    /**
+     * Fill in title, body and labels the trigger did not carry
+     */
+    async loadIssue() {
+        const issue = await this.github.getIssue(this.args.issueNumber);
+        
+        this.args.issueTitle = issue.title;
+        this.args.issueBody = this.args.issueBody ?? (issue.body || '');
+        this.args.labels = this.args.labels ?? (issue.labels || []).map(label => label.name || label);
+        
+        this.logger.info(`📥 Loaded Issue #${this.args.issueNumber}: ${issue.title}`);
+    }
+    
+    /**
+     * Issue `target:<branch>` label, then --base-branch/BASE_BRANCH, then the repository default
+     */
+    async resolveBaseBranch() {
+        let labels = this.args.labels;
+        
+        if (!labels) {
+            try {
+                labels = (await this.github.getIssue(this.args.issueNumber)).labels || [];
+            } catch (error) {
+                this.logger.warn(`⚠️ Could not read issue labels: ${error.message}`);
+                labels = [];
+            }
+        }
+        
+        const { branch, source } = await resolveBaseBranch({
+            labels,
+            configured: this.args.baseBranch,
+            github: this.github
+        });
+        
+        this.logger.info(`🎯 Base branch: ${branch} (from ${source})`);
+        return branch;
+    }
+    
     async createActualPullRequest(branchName, coordination, implementation, agents, analysis) {
         try {
             this.logger.info('🔧 Starting actual PR creation process...');
             
-            // Step 1: Get the main branch reference
-            const mainBranch = await this.octokit.rest.git.getRef({
-                owner: this.owner,
-                repo: this.repo,
-                ref: 'heads/main'
-            });
-            
-            this.logger.info('📋 Got main branch reference');
+            // Step 1: Get the base branch reference
+            const baseBranch = await this.resolveBaseBranch();
+            const baseSha = await this.github.getBranchSha(baseBranch);
             
-            // Step 2: Create new branch
-            try {
-                await this.octokit.rest.git.createRef({
-                    owner: this.owner,
-                    repo: this.repo,
-                    ref: `refs/heads/${branchName}`,
-                    sha: mainBranch.data.object.sha
-                });
-                this.logger.info(`✅ Created branch: ${branchName}`);
-            } catch (branchError) {
-                if (branchError.status === 422) {
-                    // Branch already exists, delete and recreate
-                    this.logger.info('🔄 Branch exists, updating...');
-                    await this.octokit.rest.git.updateRef({
-                        owner: this.owner,
-                        repo: this.repo,
-                        ref: `heads/${branchName}`,
-                        sha: mainBranch.data.object.sha,
-                        force: true
-                    });
-                } else {
-                    throw branchError;
-                }
-            }
+            this.logger.info(`📋 Got ${baseBranch} branch reference`);
             
-            // Step 3: Create solution files
+            // Step 2: Commit all solution files at once
             const files = this.generateSolutionFiles(coordination, implementation, agents, analysis);
-            this.logger.info(`📁 Creating ${files.length} solution files...`);
+            this.logger.info(`📁 Committing ${files.length} solution files...`);
             
-            for (const file of files) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: file.path,
-                    message: `Add ${file.path} - AI-generated solution for Issue #${this.args.issueNumber}`,
-                    content: Buffer.from(file.content).toString('base64'),
-                    branch: branchName
-                });
-                this.logger.info(`✅ Created file: ${file.path}`);
-            }
+            const publisher = new ArtifactPublisher(this.github);
+            const changes = publisher.collectChanges({ files });
+            const message = publisher.buildCommitMessage(
+                `Resolve #${this.args.issueNumber}: ${this.args.issueTitle}`,
+                changes,
+                [`Claude-Flow-Session: ${this.sessionId}`]
+            );
             
-            // Step 4: Create the pull request
-            const prTitle = `🐝 AI Solution: Fix Issue #${this.args.issueNumber} - ${this.args.issueTitle}`;
-            const prBody = this.generatePRDescription(coordination, implementation, agents, analysis);
+            // An earlier run left the branch behind: iterate on it, keeping human edits
+            const branchExists = await publisher.branchExists(branchName);
+            let iteration = null;
             
-            const pr = await this.octokit.rest.pulls.create({
-                owner: this.owner,
-                repo: this.repo,
-                title: prTitle,
-                head: branchName,
-                base: 'main',
-                body: prBody,
-                draft: false
-            });
+            if (branchExists) {
+                iteration = await publisher.iterate({ branch: branchName, baseBranch, baseSha, message, changes });
+                this.logger.info(`🔁 Updated branch ${branchName}: ${iteration.mode} at ${iteration.sha}`);
+            } else {
+                const commit = await publisher.publish({ branch: branchName, baseSha, message, changes });
+                this.logger.info(`✅ Created branch ${branchName} at ${commit.sha}`);
+            }
             
-            // Step 5: Add labels to the PR
-            try {
-                await this.octokit.rest.issues.addLabels({
-                    owner: this.owner,
-                    repo: this.repo,
-                    issue_number: pr.data.number,
-                    labels: ['ai-generated', 'claude-flow-v3', 'hive-mind-solution', 'ready-for-review']
+            // Step 3: Reuse the open pull request, or create one
+            let pr = branchExists ? await this.github.findPullRequest(branchName) : null;
+            const updated = !!pr;
+            
+            if (!pr) {
+                const prTitle = `🐝 AI Solution: Fix Issue #${this.args.issueNumber} - ${this.args.issueTitle}`;
+                const prBody = this.generatePRDescription(coordination, implementation, agents, analysis);
+                
+                pr = await this.github.createPullRequest({
+                    title: prTitle,
+                    head: branchName,
+                    base: baseBranch,
+                    body: prBody,
+                    draft: false
                 });
-            } catch (labelError) {
-                this.logger.warn('⚠️ Could not add labels to PR');
+                
+                // Step 4: Add labels to the PR
+                try {
+                    await this.github.addLabels(pr.number, this.config.labels.simplePullRequest);
+                } catch (labelError) {
+                    this.logger.warn('⚠️ Could not add labels to PR');
+                }
             }
             
-            this.logger.info(`🎉 PR created successfully: #${pr.data.number}`);
+            if (iteration) {
+                await this.github.createComment(pr.number,
+                    publisher.renderIterationSummary(iteration, { baseBranch, sessionId: this.sessionId }));
+            }
+            
+            this.logger.info(`🎉 PR ${updated ? 'updated' : 'created'} successfully: #${pr.number}`);
             
             return {
                 success: true,
-                prNumber: pr.data.number,
-                prUrl: pr.data.html_url,
-                branch: branchName
+                prNumber: pr.number,
+                prUrl: pr.html_url,
+                branch: branchName,
+                base: baseBranch,
+                updated,
+                iteration: iteration ? { mode: iteration.mode, summary: iteration.summary } : null
             };
             
         } catch (error) {
@@ -1195,10 +1335,29 @@ ${implementation.tests.map((test, i) => `${i + 1}. ${test}`).join('\n')}
 
 // Main execution
 if (require.main === module) {
-    const automation = new ClaudeFlowSimple();
+    const { EXIT_CODES } = require('./cli');
+    
+    let automation;
+    try {
+        automation = new ClaudeFlowSimple();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(error instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.configuration);
+    }
     
     automation.resolveIssue()
         .then(result => {
+            if (result.denied) {
+                console.log('\n🔒 Run not started: the triggering actor is not allowed to run the automation');
+                process.exit(0);
+            }
+            
+            if (result.dryRun) {
+                fs.writeJsonSync('claude-flow-plan.json', result.plan, { spaces: 2 });
+                fs.writeFileSync('claude-flow-plan.diff', result.planDiff);
+                console.log(result.planDiff);
+            }
+            
             console.log('\n🎉 CLAUDE FLOW V3.0 - AI AUTOMATION COMPLETE!');
             console.log('📊 Result:', JSON.stringify({
                 success: result.success,
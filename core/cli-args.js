@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Command Line Arguments
+ * One parser for every entry point
+ *
+ *   --name=value      value may itself contain '='
+ *   --name value      the next token, unless it is another option
+ *   --flag / --no-flag / --flag=false   for boolean options
+ *   --                everything after it is positional
+ *
+ * Options declared with `multiple: true` may be repeated and collect into an array.
+ *
+ * Options are declared up front; unknown options and missing or malformed values
+ * raise a UsageError instead of being ignored.
+ */
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function camelCase(name) {
+    return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * @param {string[]} argv - arguments after the command name
+ * @param {Object} [spec]
+ * @param {Object} [spec.options] - kebab-case name -> { type: 'string'|'number'|'boolean', multiple, description, default }
+ * @returns {{options: Object, positionals: string[]}} option values keyed in camelCase
+ */
+function parseArgs(argv = [], spec = {}) {
+    const declared = { help: { type: 'boolean' }, ...(spec.options || {}) };
+    const options = {};
+    const positionals = [];
+
+    for (const [name, option] of Object.entries(declared)) {
+        if (option.multiple) {
+            options[camelCase(name)] = [...(option.default || [])];
+        } else if (option.default !== undefined) {
+            options[camelCase(name)] = option.default;
+        }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+
+        if (token === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (token === '-h') {
+            options.help = true;
+            continue;
+        }
+
+        if (!token.startsWith('--')) {
+            positionals.push(token);
+            continue;
+        }
+
+        const separator = token.indexOf('=');
+        let name = separator === -1 ? token.slice(2) : token.slice(2, separator);
+        let value = separator === -1 ? undefined : token.slice(separator + 1);
+        let option = declared[name];
+
+        // --no-<flag> negates a boolean option
+        if (!option && name.startsWith('no-') && declared[name.slice(3)]?.type === 'boolean' && value === undefined) {
+            name = name.slice(3);
+            option = declared[name];
+            value = 'false';
+        }
+
+        if (!option) {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+
+        if (option.type === 'boolean') {
+            if (value === undefined) {
+                value = 'true';
+            }
+            if (!['true', 'false'].includes(value)) {
+                throw new UsageError(`--${name} is a flag and takes true or false, not "${value}"`);
+            }
+            options[camelCase(name)] = value === 'true';
+            continue;
+        }
+
+        if (value === undefined) {
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                throw new UsageError(`--${name} needs a value`);
+            }
+            value = next;
+            i++;
+        }
+
+        if (option.type === 'number') {
+            const number = Number(value);
+            if (value.trim() === '' || !Number.isFinite(number)) {
+                throw new UsageError(`--${name} must be a number, got "${value}"`);
+            }
+            value = number;
+        }
+
+        if (option.multiple) {
+            options[camelCase(name)].push(value);
+        } else {
+            options[camelCase(name)] = value;
+        }
+    }
+
+    return { options, positionals };
+}
+
+/**
+ * Option lines for --help output
+ */
+function formatOptions(options = {}, { help = true } = {}) {
+    const rows = Object.entries(options).map(([name, option]) => [
+        (option.type === 'boolean' ? `--${name}` : `--${name} <${option.type === 'number' ? 'n' : 'value'}>`) + (option.multiple ? ' ...' : ''),
+        option.description || ''
+    ]);
+    if (help) {
+        rows.push(['--help', 'Show this help']);
+    }
+
+    const width = Math.max(...rows.map(([flag]) => flag.length));
+    return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+module.exports = {
+    UsageError,
+    parseArgs,
+    formatOptions
+};
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseArgs, formatOptions, UsageError } from './cli-args';
+import { run, EXIT_CODES } from './cli';
+
+const spec = {
+    options: {
+        'issue-number': { type: 'number' },
+        'issue-body': { type: 'string' },
+        labels: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        set: { type: 'string', multiple: true },
+        priority: { type: 'string', default: 'normal' }
+    }
+};
+
+describe('parseArgs', () => {
+    it('keeps everything after the first = in a value', () => {
+        expect(parseArgs(['--issue-body=a=b', '--set=pullRequest.minQuality=0.9'], spec).options)
+            .toMatchObject({ issueBody: 'a=b', set: ['pullRequest.minQuality=0.9'] });
+    });
+
+    it('takes the next token as the value of --name value', () => {
+        expect(parseArgs(['--issue-body', 'It crashes', '--issue-number', '12'], spec).options)
+            .toMatchObject({ issueBody: 'It crashes', issueNumber: 12 });
+    });
+
+    it('does not swallow the next option when a value is missing', () => {
+        expect(() => parseArgs(['--issue-body', '--dry-run'], spec)).toThrow(new UsageError('--issue-body needs a value'));
+        expect(() => parseArgs(['--labels'], spec)).toThrow('--labels needs a value');
+    });
+
+    it('accepts an empty value written with =', () => {
+        expect(parseArgs(['--issue-body='], spec).options.issueBody).toBe('');
+    });
+
+    it('reads flags, their negation and explicit booleans', () => {
+        expect(parseArgs(['--dry-run'], spec).options.dryRun).toBe(true);
+        expect(parseArgs(['--no-dry-run'], spec).options.dryRun).toBe(false);
+        expect(parseArgs(['--dry-run=false'], spec).options.dryRun).toBe(false);
+        expect(() => parseArgs(['--dry-run=yes'], spec)).toThrow('--dry-run is a flag and takes true or false, not "yes"');
+    });
+
+    it('checks numbers', () => {
+        expect(() => parseArgs(['--issue-number', 'seven'], spec)).toThrow('--issue-number must be a number, got "seven"');
+        expect(() => parseArgs(['--issue-number='], spec)).toThrow('--issue-number must be a number');
+    });
+
+    it('applies defaults, collects repeated options and keeps positionals', () => {
+        const { options, positionals } = parseArgs(['cancel', '--set', 'a=1', '--set=b=2', '--', '--not-an-option'], spec);
+
+        expect(options).toMatchObject({ priority: 'normal', set: ['a=1', 'b=2'] });
+        expect(positionals).toEqual(['cancel', '--not-an-option']);
+    });
+
+    it('rejects unknown options', () => {
+        expect(() => parseArgs(['--issue'], spec)).toThrow('Unknown option --issue');
+        expect(() => parseArgs(['--no-labels'], spec)).toThrow('Unknown option --no-labels');
+    });
+
+    it('understands --help and -h everywhere', () => {
+        expect(parseArgs(['--help'], spec).options.help).toBe(true);
+        expect(parseArgs(['-h'], {}).options.help).toBe(true);
+    });
+
+    it('formats help lines for every option', () => {
+        const text = formatOptions({ 'issue-number': { type: 'number', description: 'Issue' }, 'dry-run': { type: 'boolean' } });
+
+        expect(text.split('\n')).toEqual([
+            '  --issue-number <n>  Issue',
+            '  --dry-run           ',
+            '  --help              Show this help'
+        ]);
+    });
+});
+
+describe('cli run', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    function quiet() {
+        return {
+            log: vi.spyOn(console, 'log').mockImplementation(() => {}),
+            error: vi.spyOn(console, 'error').mockImplementation(() => {})
+        };
+    }
+
+    it('rejects unknown commands as a usage error', async () => {
+        const output = quiet();
+
+        expect(await run(['frobnicate'])).toBe(EXIT_CODES.usage);
+        expect(output.error).toHaveBeenCalledWith('❌ Unknown command "frobnicate"');
+    });
+
+    it('rejects unknown options of a known command', async () => {
+        const output = quiet();
+
+        expect(await run(['plan', '--issue', '7'])).toBe(EXIT_CODES.usage);
+        expect(output.error).toHaveBeenCalledWith('❌ Unknown option --issue');
+    });
+
+    it('prints the command list for --help and without a command', async () => {
+        const output = quiet();
+
+        expect(await run(['--help'])).toBe(EXIT_CODES.success);
+        expect(output.log.mock.calls[0][0]).toContain('Commands:');
+        expect(await run([])).toBe(EXIT_CODES.usage);
+        expect(output.error.mock.calls[0][0]).toContain('Commands:');
+    });
+
+    it('prints a command\'s options for <command> --help without running it', async () => {
+        const output = quiet();
+
+        expect(await run(['plan', '--help'])).toBe(EXIT_CODES.success);
+        expect(output.log.mock.calls[0][0]).toContain('Usage: node core/cli.js plan [options]');
+        expect(output.log.mock.calls[0][0]).toContain('--issue-number <n>');
+    });
+});
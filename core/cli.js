@@ -0,0 +1,683 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Command Line Interface
+ *
+ *   node core/cli.js <command> [options]
+ *
+ * Commands: resolve, plan, status, comment, serve, replay, queue, memory, classifier, config
+ * `node core/cli.js <command> --help` lists a command's options.
+ * Every command also takes --config <file> and --set path=value (see core/config.js).
+ *
+ * Exit codes:
+ *   0  finished, or nothing to do (access denied, queued, comment ignored)
+ *   1  the run failed or stopped early (cancelled, timed out)
+ *   2  usage error: unknown command or option, missing or invalid value
+ *   3  configuration error: missing environment variables or invalid settings
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { UsageError, parseArgs, formatOptions } = require('./cli-args');
+const { ConfigError, SETTINGS, loadConfig } = require('./config');
+const { collectStatus, readMemoryStores, formatDuration, formatBytes } = require('./status-report');
+
+const EXIT_CODES = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    configuration: 3
+};
+
+// Accepted by every command; applied before the command runs
+const GLOBAL_OPTIONS = {
+    config: { type: 'string', description: 'Config file (default: claude-flow.config.json/.yml in the working directory)' },
+    set: { type: 'string', multiple: true, description: 'Override one setting, e.g. pullRequest.minQuality=0.9' }
+};
+
+const RUN_OPTIONS = {
+    'issue-number': { type: 'number', description: 'Issue to resolve (default: event payload or ISSUE_NUMBER)' },
+    'issue-title': { type: 'string', description: 'Override the issue title' },
+    'issue-body': { type: 'string', description: 'Override the issue body' },
+    labels: { type: 'string', description: 'Comma separated labels, e.g. bug,target:release-1.x' },
+    priority: { type: 'string', description: 'Run priority (default: normal)' },
+    'base-branch': { type: 'string', description: 'Branch to open the pull request against' }
+};
+
+const COMMANDS = {
+    resolve: {
+        summary: 'Resolve an issue: analysis comment, labels and pull request',
+        usage: 'resolve [options]',
+        options: {
+            ...RUN_OPTIONS,
+            'dry-run': { type: 'boolean', description: 'Plan the GitHub writes without performing them' }
+        },
+        run: async ({ options }) => {
+            validateIssueNumber(options);
+            const result = await createMain().runAutomation(options);
+            return result && result.success === false ? EXIT_CODES.failure : EXIT_CODES.success;
+        }
+    },
+
+    plan: {
+        summary: 'Dry run: print the GitHub writes a resolution would make',
+        usage: 'plan [options]',
+        options: RUN_OPTIONS,
+        run: async ({ options }) => {
+            validateIssueNumber(options);
+            const result = await createMain().runAutomation({ ...options, dryRun: true });
+            return result && result.success === false ? EXIT_CODES.failure : EXIT_CODES.success;
+        }
+    },
+
+    status: {
+        summary: 'Recent sessions, success rate, queue and storage from orchestrator-data/ and hive-mind-memory/',
+        usage: 'status [options]',
+        options: {
+            recent: { type: 'number', default: 10, description: 'How many recent sessions to list (default: 10)' },
+            json: { type: 'boolean', description: 'Print JSON instead of tables' }
+        },
+        run: async ({ options }) => {
+            if (!Number.isInteger(options.recent) || options.recent < 0) {
+                throw new UsageError(`--recent must be a whole number, got ${options.recent}`);
+            }
+
+            // Read from disk only: works offline and without GITHUB_TOKEN
+            const report = collectStatus({ recent: options.recent });
+            if (options.json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printStatus(report);
+            }
+            return EXIT_CODES.success;
+        }
+    },
+
+    comment: {
+        summary: 'Handle one @claude-flow-automation chat-ops comment',
+        usage: 'comment [options]',
+        options: {
+            'issue-number': RUN_OPTIONS['issue-number'],
+            'comment-body-file': { type: 'string', description: 'Read the comment body from a file' }
+        },
+        run: async ({ options }) => {
+            validateIssueNumber(options);
+            if (options.commentBodyFile && !fs.existsSync(options.commentBodyFile)) {
+                throw new UsageError(`--comment-body-file ${options.commentBodyFile} does not exist`);
+            }
+            const outcome = await createMain().handleComment(options);
+            return outcome.result && outcome.result.success === false ? EXIT_CODES.failure : EXIT_CODES.success;
+        }
+    },
+
+    serve: {
+        summary: 'Run as a webhook service (needs WEBHOOK_SECRET)',
+        usage: 'serve [options]',
+        options: {
+            port: { type: 'number', description: 'Port to listen on (default: WEBHOOK_PORT or 3000)' },
+            host: { type: 'string', description: 'Interface to bind (default: WEBHOOK_HOST or 127.0.0.1)' },
+            path: { type: 'string', description: 'Delivery path (default: WEBHOOK_PATH or /webhook)' },
+            'record-dir': { type: 'string', description: 'Record every delivery for later replay' },
+            'dry-run': { type: 'boolean', description: 'Plan the GitHub writes without performing them' }
+        },
+        run: async ({ options }) => {
+            if (!process.env.WEBHOOK_SECRET) {
+                throw configurationError('WEBHOOK_SECRET is required to verify deliveries');
+            }
+
+            const server = await createMain().serve(options);
+
+            // Keep running until stopped; accepted deliveries finish first
+            return new Promise(resolve => {
+                const shutdown = signal => {
+                    console.log(`🛑 ${signal} received, finishing accepted deliveries`);
+                    server.stop().then(() => resolve(EXIT_CODES.success));
+                };
+                process.once('SIGINT', shutdown);
+                process.once('SIGTERM', shutdown);
+            });
+        }
+    },
+
+    replay: {
+        summary: 'Feed recorded webhook deliveries or payload files through the handler',
+        usage: 'replay <file>... [options]',
+        positionals: true,
+        options: {
+            event: { type: 'string', description: 'Event name for bare payload files (default: guessed)' },
+            'dry-run': { type: 'boolean', description: 'Plan the GitHub writes without performing them' }
+        },
+        run: async ({ options, positionals }) => {
+            if (positionals.length === 0) {
+                throw new UsageError('replay needs at least one payload file');
+            }
+            const missing = positionals.filter(file => !fs.existsSync(file));
+            if (missing.length > 0) {
+                throw new UsageError(`Payload file not found: ${missing.join(', ')}`);
+            }
+
+            const outcomes = await createMain().replay(positionals, options);
+            console.log(JSON.stringify(outcomes.map(outcome => ({
+                file: outcome.file,
+                event: outcome.event,
+                handled: outcome.handled,
+                reason: outcome.reason,
+                success: outcome.result ? outcome.result.success !== false : undefined
+            })), null, 2));
+
+            return outcomes.some(outcome => outcome.result && outcome.result.success === false)
+                ? EXIT_CODES.failure
+                : EXIT_CODES.success;
+        }
+    },
+
+    queue: {
+        summary: 'List queued issues or cancel one (reads orchestrator-data/queue.json)',
+        usage: 'queue [list | cancel <issue>] [options]',
+        positionals: true,
+        options: {
+            json: { type: 'boolean', description: 'Print JSON instead of a table' }
+        },
+        run: async ({ options, positionals }) => {
+            const [action = 'list', target] = positionals;
+            const SessionQueue = require('./session-queue');
+            const queue = new SessionQueue({
+                filePath: path.join(process.cwd(), 'orchestrator-data', 'queue.json'),
+                requeueRunning: false
+            });
+
+            if (action === 'list') {
+                const entries = queue.list();
+                if (options.json) {
+                    console.log(JSON.stringify(entries, null, 2));
+                } else if (entries.length === 0) {
+                    console.log('Queue is empty');
+                } else {
+                    printTable(['#', 'Issue', 'Status', 'Priority', 'Queued', 'Title'], entries.map(entry => [
+                        entry.position ?? '-',
+                        `#${entry.issueNumber}`,
+                        entry.status,
+                        Number(entry.priority).toFixed(2),
+                        new Date(entry.enqueuedAt).toISOString(),
+                        entry.title || ''
+                    ]));
+                }
+                return EXIT_CODES.success;
+            }
+
+            if (action === 'cancel') {
+                if (!target || !/^\d+$/.test(target)) {
+                    throw new UsageError('queue cancel needs an issue number');
+                }
+                const entry = queue.cancel(Number(target));
+                if (!entry) {
+                    console.error(`Issue #${target} is not waiting in the queue`);
+                    return EXIT_CODES.failure;
+                }
+                console.log(`🗑️ Removed Issue #${entry.issueNumber} from the queue`);
+                return EXIT_CODES.success;
+            }
+
+            throw new UsageError(`Unknown queue action "${action}" (expected list or cancel)`);
+        }
+    },
+
+    memory: {
+        summary: 'Show or clear the Hive-Mind memory stores (hive-mind-memory/)',
+        usage: 'memory [show | clear <store>] [options]',
+        positionals: true,
+        options: {
+            json: { type: 'boolean', description: 'Print JSON instead of a table' },
+            yes: { type: 'boolean', description: 'Confirm `memory clear`' }
+        },
+        run: async ({ options, positionals }) => {
+            const [action = 'show', store] = positionals;
+            const memoryPath = path.join(process.cwd(), 'hive-mind-memory');
+            const rows = readMemoryStores(memoryPath);
+            const stores = rows.map(row => row.store);
+
+            if (action === 'show') {
+                if (options.json) {
+                    console.log(JSON.stringify({ path: memoryPath, stores: rows }, null, 2));
+                } else if (rows.length === 0) {
+                    console.log(`No memory stores in ${memoryPath}`);
+                } else {
+                    printTable(['Store', 'Entries', 'Size'], rows.map(row => [
+                        row.store,
+                        row.entries ?? '?',
+                        formatBytes(row.bytes)
+                    ]));
+                }
+                return EXIT_CODES.success;
+            }
+
+            if (action === 'clear') {
+                if (!stores.includes(store)) {
+                    throw new UsageError(`memory clear needs one of: ${stores.join(', ') || '(no stores found)'}`);
+                }
+                if (!options.yes) {
+                    throw new UsageError(`memory clear ${store} deletes every entry; add --yes to confirm`);
+                }
+                fs.writeJsonSync(path.join(memoryPath, `${store}.json`), {}, { spaces: 2 });
+                console.log(`🧹 Cleared ${store}`);
+                return EXIT_CODES.success;
+            }
+
+            throw new UsageError(`Unknown memory action "${action}" (expected show or clear)`);
+        }
+    },
+
+    classifier: {
+        summary: 'Collect labelled closed issues, train and evaluate the issue classifier, export or import its model',
+        usage: 'classifier [status | collect | train | evaluate | export <file> | import <file>] [options]',
+        positionals: true,
+        options: {
+            limit: { type: 'number', default: 500, description: 'Closed issues to read for `collect` (default: 500)' },
+            folds: { type: 'number', default: 5, description: 'Cross-validation folds for `train` and `evaluate` (default: 5)' },
+            json: { type: 'boolean', description: 'Print JSON instead of tables' }
+        },
+        run: async ({ options, positionals }) => {
+            const [action = 'status', file] = positionals;
+            if (!Number.isInteger(options.limit) || options.limit < 1) {
+                throw new UsageError(`--limit must be a positive whole number, got ${options.limit}`);
+            }
+            if (!Number.isInteger(options.folds) || options.folds < 2) {
+                throw new UsageError(`--folds must be a whole number of at least 2, got ${options.folds}`);
+            }
+            if (!['status', 'collect', 'train', 'evaluate', 'export', 'import'].includes(action)) {
+                throw new UsageError(`Unknown classifier action "${action}" (expected status, collect, train, evaluate, export or import)`);
+            }
+            if ((action === 'export' || action === 'import') && !file) {
+                throw new UsageError(`classifier ${action} needs a file`);
+            }
+
+            const memory = createMemoryManager();
+            try {
+                return await runClassifierAction(action, { memory, file, options });
+            } finally {
+                memory.close();
+            }
+        }
+    },
+
+    config: {
+        summary: 'Print the resolved configuration (defaults, config file, environment, --set)',
+        usage: 'config [print] [options]',
+        positionals: true,
+        options: {
+            sources: { type: 'boolean', description: 'Show where each value came from' },
+            json: { type: 'boolean', description: 'Print JSON instead of a table' }
+        },
+        run: async ({ options, positionals, config }) => {
+            const [action = 'print'] = positionals;
+            if (action !== 'print') {
+                throw new UsageError(`Unknown config action "${action}" (expected print)`);
+            }
+
+            if (options.json) {
+                console.log(JSON.stringify(options.sources
+                    ? { file: config.file, values: config.values, sources: config.sources }
+                    : config.values, null, 2));
+                return EXIT_CODES.success;
+            }
+
+            console.log(`Config file: ${config.file || '(none)'}\n`);
+            const headers = options.sources ? ['Setting', 'Value', 'Source'] : ['Setting', 'Value'];
+            printTable(headers, Object.keys(SETTINGS).map(key => {
+                const value = key.split('.').reduce((node, part) => node[part], config.values);
+                const row = [key, Array.isArray(value) ? value.join(', ') : String(value)];
+                return options.sources ? [...row, config.sources[key]] : row;
+            }));
+            return EXIT_CODES.success;
+        }
+    }
+};
+
+/**
+ * Build ClaudeFlowMain; its constructor validates the environment
+ */
+function createMain() {
+    const ClaudeFlowMain = require('./claude-flow-main');
+    try {
+        return new ClaudeFlowMain();
+    } catch (error) {
+        throw configurationError(error.message);
+    }
+}
+
+/**
+ * MemoryManager over hive-mind-memory/ that keeps its log lines out of command output
+ */
+function createMemoryManager() {
+    const winston = require('winston');
+    const MemoryManager = require('./memory-manager');
+    return new MemoryManager({ logger: winston.createLogger({ silent: true }) });
+}
+
+async function runClassifierAction(action, { memory, file, options }) {
+    const IssueClassifier = require('./issue-classifier');
+    const { MODEL_KEY, categoryFromLabels, issueKeyTerms } = IssueClassifier;
+    const print = (data, table) => (options.json ? console.log(JSON.stringify(data, null, 2)) : table());
+    const loadExamples = async () => (await memory.getTrainingExamples())
+        .sort((a, b) => `${a.repository}#${a.number}`.localeCompare(`${b.repository}#${b.number}`, undefined, { numeric: true }))
+        .map(example => ({ keyTerms: issueKeyTerms(example), category: example.category }));
+
+    switch (action) {
+        case 'status': {
+            const examples = await memory.getTrainingExamples();
+            const counts = {};
+            examples.forEach(example => {
+                counts[example.category] = (counts[example.category] || 0) + 1;
+            });
+            const model = await memory.loadModel(MODEL_KEY);
+            const summary = {
+                examples: examples.length,
+                categories: counts,
+                model: model ? {
+                    trainedAt: model.trainedAt,
+                    examples: model.examples,
+                    categories: Object.keys(model.docCounts).sort(),
+                    vocabulary: model.vocabulary.length,
+                    temperature: model.temperature
+                } : null
+            };
+            print(summary, () => {
+                console.log(`Training examples: ${examples.length}`);
+                if (examples.length > 0) {
+                    printTable(['Category', 'Examples'], Object.entries(counts).sort().map(([category, count]) => [category, count]));
+                }
+                console.log(model
+                    ? `\nModel: trained ${model.trainedAt} on ${model.examples} examples (${summary.model.categories.join(', ')}), ` +
+                        `${summary.model.vocabulary} terms, temperature ${model.temperature}`
+                    : '\nModel: none (run `classifier train`); issues are classified by keywords');
+            });
+            return EXIT_CODES.success;
+        }
+
+        case 'collect': {
+            const github = createMain().orchestrator.github;
+            const issues = await github.listIssues({ state: 'closed', limit: options.limit });
+            const recorded = {};
+            let skipped = 0;
+
+            for (const issue of issues) {
+                const category = categoryFromLabels(issue.labels || []);
+                if (!category) {
+                    skipped++;
+                    continue;
+                }
+                await memory.recordTrainingExample({
+                    repository: github.fullName,
+                    number: issue.number,
+                    title: issue.title,
+                    body: issue.body || '',
+                    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+                    category,
+                    closedAt: issue.closed_at || null
+                });
+                recorded[category] = (recorded[category] || 0) + 1;
+            }
+
+            const total = Object.values(recorded).reduce((sum, count) => sum + count, 0);
+            print({ read: issues.length, recorded, skipped }, () => {
+                console.log(`📥 Recorded ${total} of ${issues.length} closed issues from ${github.fullName} ` +
+                    `(${skipped} without a category label)`);
+                if (total > 0) {
+                    printTable(['Category', 'Recorded'], Object.entries(recorded).sort().map(([category, count]) => [category, count]));
+                }
+            });
+            return EXIT_CODES.success;
+        }
+
+        case 'train': {
+            const examples = await loadExamples();
+            const classifier = new IssueClassifier().train(examples);
+            if (!classifier.isTrained()) {
+                console.error(`Need training examples of at least two categories, have ${examples.length} ` +
+                    '(run `classifier collect` first)');
+                return EXIT_CODES.failure;
+            }
+
+            const report = IssueClassifier.crossValidate(examples, options.folds);
+            await memory.saveModel(MODEL_KEY, classifier.export());
+            print({ model: { examples: classifier.examples, categories: classifier.categories, temperature: classifier.temperature }, crossValidation: report }, () => {
+                console.log(`🧮 Trained on ${classifier.examples} examples (${classifier.categories.join(', ')}), ` +
+                    `temperature ${classifier.temperature}`);
+                printEvaluation(report, options.folds);
+            });
+            return EXIT_CODES.success;
+        }
+
+        case 'evaluate': {
+            const examples = await loadExamples();
+            if (new Set(examples.map(example => example.category)).size < 2) {
+                console.error('Need training examples of at least two categories to evaluate (run `classifier collect` first)');
+                return EXIT_CODES.failure;
+            }
+
+            const report = IssueClassifier.crossValidate(examples, options.folds);
+            print(report, () => printEvaluation(report, options.folds));
+            return EXIT_CODES.success;
+        }
+
+        case 'export': {
+            const model = await memory.loadModel(MODEL_KEY);
+            if (!model) {
+                console.error('No trained issue classifier to export (run `classifier train` first)');
+                return EXIT_CODES.failure;
+            }
+            fs.outputJsonSync(file, model, { spaces: 2 });
+            console.log(`📤 Exported the issue classifier to ${file}`);
+            return EXIT_CODES.success;
+        }
+
+        case 'import': {
+            if (!fs.existsSync(file)) {
+                throw new UsageError(`${file} does not exist`);
+            }
+            let classifier;
+            try {
+                classifier = IssueClassifier.import(fs.readJsonSync(file));
+            } catch (error) {
+                console.error(`Cannot import ${file}: ${error.message}`);
+                return EXIT_CODES.failure;
+            }
+            await memory.saveModel(MODEL_KEY, classifier.export());
+            console.log(`📥 Imported the issue classifier from ${file} (${classifier.examples} examples, ${classifier.categories.join(', ')})`);
+            return EXIT_CODES.success;
+        }
+    }
+}
+
+function printEvaluation(report, folds) {
+    const percent = ratio => (ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+
+    console.log(`\n${folds}-fold cross-validation over ${report.total} examples: accuracy ${percent(report.accuracy)}, ` +
+        `mean confidence ${percent(report.meanConfidence)}`);
+    console.log('\nConfusion matrix (rows: label, columns: predicted)');
+    printTable(['', ...report.categories], report.categories.map(actual => [
+        actual,
+        ...report.categories.map(predicted => report.confusion[actual][predicted])
+    ]));
+    console.log('');
+    printTable(['Category', 'Precision', 'Recall', 'F1', 'Support'], report.categories.map(category => {
+        const { precision, recall, f1, support } = report.perCategory[category];
+        return [category, percent(precision), percent(recall), percent(f1), support];
+    }));
+}
+
+function configurationError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.configuration;
+    return error;
+}
+
+function validateIssueNumber(options) {
+    if (options.issueNumber !== undefined && (!Number.isInteger(options.issueNumber) || options.issueNumber < 1)) {
+        throw new UsageError(`--issue-number must be a positive whole number, got ${options.issueNumber}`);
+    }
+}
+
+function printTable(headers, rows) {
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+    const line = cells => cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+    console.log(line(headers));
+    console.log(line(widths.map(width => '-'.repeat(width))));
+    rows.forEach(row => console.log(line(row)));
+}
+
+function printStatus(report) {
+    const { sessions, queue, storage } = report;
+    const percent = ratio => (ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+
+    console.log('Sessions');
+    console.log(`  ${sessions.total} total, ${sessions.succeeded} succeeded, ${sessions.failed} failed, ` +
+        `${sessions.interrupted} cancelled or timed out (${sessions.dryRuns} dry runs)`);
+    console.log(`  Success rate ${percent(sessions.successRate)}, average duration ${formatDuration(sessions.averageDuration)}, ` +
+        `last run ${sessions.lastRunAt || 'never'}`);
+
+    if (sessions.recent.length > 0) {
+        console.log('\nRecent sessions');
+        printTable(['Finished', 'Issue', 'Status', 'Duration', 'Session'], sessions.recent.map(session => [
+            session.finishedAt || '-',
+            `#${session.issueNumber}`,
+            session.dryRun ? `${session.status} (dry run)` : session.status,
+            formatDuration(session.duration),
+            session.orchestrationId.slice(0, 8)
+        ]));
+    }
+
+    console.log(`\nQueue: ${queue.waiting} waiting, ${queue.running} running`);
+    if (queue.entries.length > 0) {
+        printTable(['#', 'Issue', 'Status', 'Queued'], queue.entries.map(entry => [
+            entry.position ?? '-',
+            `#${entry.issueNumber}`,
+            entry.status,
+            new Date(entry.enqueuedAt).toISOString()
+        ]));
+    }
+
+    console.log(`\nStorage: memory ${formatBytes(storage.memory.bytes)} of ${formatBytes(storage.memory.maxBytes)} (${percent(storage.memory.usage)})`);
+    printTable(['Location', 'Files', 'Size'], [
+        ...storage.directories.map(directory => [
+            path.relative(process.cwd(), directory.path) + '/',
+            directory.exists ? directory.files : '-',
+            directory.exists ? formatBytes(directory.bytes) : 'missing'
+        ]),
+        ...storage.memoryStores.map(store => [`  ${store.store}`, store.entries ?? '?', formatBytes(store.bytes)])
+    ]);
+}
+
+function renderHelp(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        return `Usage: node core/cli.js ${command.usage}
+
+${command.summary}
+
+Options:
+${formatOptions(command.options)}
+
+Configuration:
+${formatOptions(GLOBAL_OPTIONS, { help: false })}`;
+    }
+
+    const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+    return `Usage: node core/cli.js <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(width)}  ${summary}`).join('\n')}
+
+Run \`node core/cli.js <command> --help\` for a command's options.
+
+Exit codes:
+  0  finished, or nothing to do (access denied, queued, comment ignored)
+  1  the run failed or stopped early
+  2  usage error
+  3  configuration error`;
+}
+
+/**
+ * Parse and run one command
+ * @param {string[]} argv - arguments after the script name
+ * @param {Object} [options]
+ * @param {string} [options.defaultCommand] - used when argv starts with an option or is empty
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, { defaultCommand = null } = {}) {
+    const explicit = argv.length > 0 && !argv[0].startsWith('-');
+    const name = explicit ? argv[0] : defaultCommand;
+    const rest = explicit ? argv.slice(1) : argv;
+
+    if (!name) {
+        const asksForHelp = rest.includes('--help') || rest.includes('-h');
+        (asksForHelp ? console.log : console.error)(renderHelp());
+        return asksForHelp ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+
+    if (name === 'help') {
+        console.log(renderHelp(rest[0]));
+        return EXIT_CODES.success;
+    }
+
+    const command = COMMANDS[name];
+
+    try {
+        if (!command) {
+            throw new UsageError(`Unknown command "${name}"`);
+        }
+
+        const parsed = parseArgs(rest, { options: { ...GLOBAL_OPTIONS, ...command.options } });
+        if (parsed.options.help) {
+            console.log(renderHelp(name));
+            return EXIT_CODES.success;
+        }
+        if (!command.positionals && parsed.positionals.length > 0) {
+            throw new UsageError(`Unexpected argument "${parsed.positionals[0]}"`);
+        }
+
+        // Every module reads its tunables through getConfig() from here on
+        parsed.config = loadConfig({ file: parsed.options.config, set: parsed.options.set });
+
+        // The file loggers write below logs/
+        fs.ensureDirSync('logs');
+
+        return await command.run(parsed);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}`);
+            console.error(command
+                ? `Run \`node core/cli.js ${name} --help\` for usage.`
+                : 'Run `node core/cli.js --help` for the list of commands.');
+            return EXIT_CODES.usage;
+        }
+
+        if (error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.configuration;
+        }
+
+        console.error(`💥 ${name} failed: ${error.message}`);
+        return error.exitCode ?? EXIT_CODES.failure;
+    }
+}
+
+/**
+ * Run and exit the process with the command's exit code
+ */
+function main(argv = process.argv.slice(2), options = {}) {
+    return run(argv, options).then(code => process.exit(code));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    EXIT_CODES,
+    COMMANDS,
+    run,
+    main,
+    renderHelp
+};
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Configuration
+ * Every tunable in one place, resolved in layers (later layers win):
+ *   1. defaults (SETTINGS below)
+ *   2. the repository config file: claude-flow.config.json, .yml or .yaml
+ *      (or the file named by CLAUDE_FLOW_CONFIG / --config)
+ *   3. environment variables (the `env` column below, plus ACCESS_POLICY)
+ *   4. command line `--set path=value`
+ *
+ * Unknown settings and values outside their schema are rejected with every problem listed.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const AccessPolicy = require('./access-policy');
+const { COMMENT_MODES } = require('./living-comment');
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+const CONFIG_FILES = ['claude-flow.config.json', 'claude-flow.config.yml', 'claude-flow.config.yaml'];
+
+const SETTINGS = {
+    // Orchestrator
+    'orchestrator.maxConcurrentSessions': { type: 'integer', min: 1, default: 3, env: 'MAX_CONCURRENT_SESSIONS' },
+    'orchestrator.maxResolutionTime': { type: 'integer', min: 1000, default: 1800000, env: 'MAX_RESOLUTION_TIME', description: 'milliseconds' },
+    'orchestrator.maxAgents': { type: 'integer', min: 1, default: 15 },
+    'orchestrator.autoCreatePR': { type: 'boolean', default: true, env: 'AUTO_CREATE_PR' },
+    'orchestrator.learningEnabled': { type: 'boolean', default: true, env: 'LEARNING_ENABLED' },
+    'orchestrator.useLearnedState': { type: 'boolean', default: true, env: 'USE_LEARNED_STATE', description: 'off: ignore learned patterns, knowledge and solutions (replay from the seed alone)' },
+    'orchestrator.dryRun': { type: 'boolean', default: false, env: 'DRY_RUN' },
+    'orchestrator.commentMode': { type: 'string', enum: COMMENT_MODES, default: 'upsert', env: 'COMMENT_MODE' },
+    'orchestrator.baseBranch': { type: 'string', nullable: true, default: null, env: 'BASE_BRANCH' },
+    'orchestrator.seed': { type: 'integer', nullable: true, min: 0, max: 4294967295, default: null, env: 'CLAUDE_FLOW_SEED', description: 'fixed random seed (default: derived from the issue)' },
+
+    // GitHub
+    'github.botLogin': { type: 'string', default: 'github-actions[bot]', env: 'BOT_LOGIN', description: 'account the repository token commits as' },
+
+    // When a resolution is good enough to become a pull request
+    'pullRequest.minQuality': { type: 'number', min: 0, max: 1, default: 0.8 },
+    'pullRequest.minCompleteness': { type: 'number', min: 0, max: 1, default: 0.9 },
+
+    // Pattern memory
+    'patterns.similarityThreshold': { type: 'number', min: 0, max: 1, default: 0.5, description: 'cosine similarity of TF-IDF term vectors (see core/pattern-index.js)' },
+    'patterns.maxMatches': { type: 'integer', min: 1, default: 5, description: 'most similar patterns handed to the analysis' },
+
+    // Issue context gathered before analysis (see core/issue-context.js)
+    'issueContext.maxReferences': { type: 'integer', min: 0, default: 10, description: 'referenced issues/PRs resolved per issue' },
+    'issueContext.excerptLength': { type: 'integer', min: 0, default: 500, description: 'characters of each referenced body' },
+
+    // Repository context handed to the analysis (see core/repository-context.js)
+    'context.enabled': { type: 'boolean', default: true },
+    'context.checkoutPath': { type: 'string', nullable: true, default: null, env: 'REPOSITORY_CHECKOUT', description: 'local checkout to read instead of the API' },
+    'context.maxFiles': { type: 'integer', min: 1, default: 10 },
+    'context.snippetLines': { type: 'integer', min: 1, default: 30 },
+    'context.maxFileSizeKb': { type: 'integer', min: 1, default: 256 },
+
+    // Model behind the engine's agents and solutions (see core/llm-provider.js)
+    'llm.provider': { type: 'string', default: 'rule-based', env: 'LLM_PROVIDER', description: 'rule-based, recorded, or a registered backend' },
+    'llm.fixturePath': { type: 'string', nullable: true, default: null, env: 'LLM_FIXTURE_PATH', description: 'recorded responses for the recorded provider' },
+    'llm.record': { type: 'boolean', default: false, env: 'LLM_RECORD', description: 'record missing responses with the rule-based provider' },
+
+    // Memory manager maintenance
+    'memory.patternRetentionDays': { type: 'integer', min: 1, default: 30 },
+    'memory.patternMinAccessCount': { type: 'integer', min: 0, default: 5 },
+    'memory.sessionCompressionDays': { type: 'integer', min: 1, default: 7 },
+    'memory.maintenanceIntervalMinutes': { type: 'integer', min: 1, default: 30 },
+    'memory.maxBackups': { type: 'integer', min: 0, default: 5 },
+    'memory.maxSizeMb': { type: 'integer', min: 1, default: 100 },
+
+    // Label names
+    'labels.analyzed': { type: 'string[]', default: ['hive-mind-analyzed', 'ai-solution-ready'] },
+    'labels.generated': { type: 'string', default: 'ai-generated' },
+    'labels.pullRequest': { type: 'string[]', default: ['hive-mind-generated', 'ai-solution', 'ready-for-review'] },
+    'labels.processing': { type: 'string', default: 'hive-mind-processing' },
+    'labels.simpleAnalyzed': { type: 'string[]', default: ['claude-flow-v3', 'ai-analyzed', 'hive-mind-processed', 'awaiting-implementation'] },
+    'labels.simplePullRequest': { type: 'string[]', default: ['ai-generated', 'claude-flow-v3', 'hive-mind-solution', 'ready-for-review'] },
+    'labels.securityReview': { type: 'string', default: 'security-review-needed' },
+    'labels.performanceCritical': { type: 'string', default: 'performance-critical' },
+
+    // Minimum repository access per action (see core/access-policy.js)
+    'access.analyze': { type: 'string', enum: AccessPolicy.LEVELS, default: AccessPolicy.DEFAULT_POLICY.analyze },
+    'access.pull-request': { type: 'string', enum: AccessPolicy.LEVELS, default: AccessPolicy.DEFAULT_POLICY['pull-request'] },
+    'access.manage': { type: 'string', enum: AccessPolicy.LEVELS, default: AccessPolicy.DEFAULT_POLICY.manage }
+};
+
+let current = null;
+
+/**
+ * Check one value against its setting; returns a problem description or null
+ */
+function checkValue(setting, value) {
+    if (value === null) {
+        return setting.nullable ? null : 'may not be empty';
+    }
+
+    switch (setting.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return `must be a whole number, got ${JSON.stringify(value)}`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `must be true or false, got ${JSON.stringify(value)}`;
+            break;
+        case 'string':
+            if (typeof value !== 'string' || value === '') return `must be a non-empty string, got ${JSON.stringify(value)}`;
+            break;
+        case 'string[]':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+                return `must be a list of names, got ${JSON.stringify(value)}`;
+            }
+            break;
+    }
+
+    if (setting.min !== undefined && value < setting.min) return `must be at least ${setting.min}, got ${value}`;
+    if (setting.max !== undefined && value > setting.max) return `must be at most ${setting.max}, got ${value}`;
+    if (setting.enum && !setting.enum.includes(value)) return `must be one of ${setting.enum.join(', ')}, got "${value}"`;
+
+    return null;
+}
+
+/**
+ * Text from an environment variable or `--set` into the setting's type
+ */
+function coerce(setting, text) {
+    const raw = String(text).trim();
+
+    if (setting.nullable && (raw === '' || raw === 'null')) return null;
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            // Unparseable text is kept so the problem quotes what was written
+            const number = Number(raw);
+            return raw === '' || Number.isNaN(number) ? raw : number;
+        }
+        case 'boolean':
+            if (raw === 'true') return true;
+            if (raw === 'false') return false;
+            return raw;
+        case 'string[]':
+            if (raw.startsWith('[')) {
+                try {
+                    return JSON.parse(raw);
+                } catch (error) {
+                    return raw;
+                }
+            }
+            return raw.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return raw;
+    }
+}
+
+/**
+ * { a: { b: 1 } } -> { 'a.b': 1 }; arrays are leaves
+ */
+function flatten(object, prefix = '') {
+    const entries = {};
+
+    for (const [key, value] of Object.entries(object || {})) {
+        const pathKey = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(entries, flatten(value, pathKey));
+        } else {
+            entries[pathKey] = value;
+        }
+    }
+
+    return entries;
+}
+
+function unflatten(entries) {
+    const object = {};
+
+    for (const [pathKey, value] of Object.entries(entries)) {
+        const keys = pathKey.split('.');
+        let node = object;
+        keys.slice(0, -1).forEach(key => {
+            node[key] = node[key] || {};
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = Array.isArray(value) ? [...value] : value;
+    }
+
+    return object;
+}
+
+/**
+ * Config file to use: explicit path, CLAUDE_FLOW_CONFIG, or the first CONFIG_FILES entry in cwd
+ */
+function findConfigFile({ cwd = process.cwd(), file = null, env = process.env } = {}) {
+    const explicit = file || env.CLAUDE_FLOW_CONFIG;
+    if (explicit) {
+        const filePath = path.resolve(cwd, explicit);
+        if (!fs.existsSync(filePath)) {
+            throw new ConfigError(`Config file ${explicit} does not exist`);
+        }
+        return filePath;
+    }
+
+    const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(filePath => fs.existsSync(filePath));
+    return found || null;
+}
+
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8');
+
+    try {
+        const data = /\.ya?ml$/.test(filePath) ? yaml.load(text) : JSON.parse(text);
+        return data || {};
+    } catch (error) {
+        throw new ConfigError(`Config file ${path.basename(filePath)} could not be parsed: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the configuration without touching the shared copy
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - where to look for the config file
+ * @param {string} [options.file] - explicit config file
+ * @param {Object} [options.env=process.env]
+ * @param {string[]} [options.set] - `path=value` overrides from the command line
+ * @returns {{values: Object, sources: Object, file: string|null}}
+ */
+function resolveConfig({ cwd = process.cwd(), file = null, env = process.env, set = [] } = {}) {
+    const values = {};
+    const sources = {};
+    const problems = [];
+
+    const apply = (pathKey, value, source) => {
+        const setting = SETTINGS[pathKey];
+        if (!setting) {
+            problems.push(`${source}: unknown setting "${pathKey}"`);
+            return;
+        }
+        const problem = checkValue(setting, value);
+        if (problem) {
+            problems.push(`${source}: ${pathKey} ${problem}`);
+            return;
+        }
+        values[pathKey] = value;
+        sources[pathKey] = source;
+    };
+
+    // 1. Defaults
+    for (const [pathKey, setting] of Object.entries(SETTINGS)) {
+        values[pathKey] = setting.default;
+        sources[pathKey] = 'default';
+    }
+
+    // 2. Config file
+    const configFile = findConfigFile({ cwd, file, env });
+    if (configFile) {
+        const data = readConfigFile(configFile);
+        if (typeof data !== 'object' || Array.isArray(data)) {
+            problems.push(`${path.basename(configFile)}: expected a mapping of settings`);
+        } else {
+            for (const [pathKey, value] of Object.entries(flatten(data))) {
+                apply(pathKey, value, path.basename(configFile));
+            }
+        }
+    }
+
+    // 3. Environment (empty variables count as unset)
+    for (const [pathKey, setting] of Object.entries(SETTINGS)) {
+        if (setting.env && env[setting.env] !== undefined && env[setting.env] !== '') {
+            apply(pathKey, coerce(setting, env[setting.env]), `env ${setting.env}`);
+        }
+    }
+    if (env.ACCESS_POLICY) {
+        try {
+            for (const [action, level] of Object.entries(AccessPolicy.parse(env.ACCESS_POLICY))) {
+                apply(`access.${action}`, level, 'env ACCESS_POLICY');
+            }
+        } catch (error) {
+            problems.push(`env ACCESS_POLICY: ${error.message}`);
+        }
+    }
+
+    // 4. Command line
+    for (const assignment of set) {
+        const separator = assignment.indexOf('=');
+        if (separator === -1) {
+            problems.push(`--set ${assignment}: expected path=value`);
+            continue;
+        }
+        const pathKey = assignment.slice(0, separator).trim();
+        const setting = SETTINGS[pathKey];
+        apply(pathKey, setting ? coerce(setting, assignment.slice(separator + 1)) : null, `--set ${pathKey}`);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return { values: unflatten(values), sources, file: configFile };
+}
+
+/**
+ * Resolve the configuration and make it the one getConfig() returns
+ */
+function loadConfig(options = {}) {
+    current = resolveConfig(options);
+    return current;
+}
+
+/**
+ * Current configuration values (resolved from cwd and the environment on first use)
+ */
+function getConfig() {
+    if (!current) {
+        loadConfig();
+    }
+    return current.values;
+}
+
+/**
+ * Full resolution (values, sources, file) for `config print`
+ */
+function describeConfig() {
+    if (!current) {
+        loadConfig();
+    }
+    return current;
+}
+
+module.exports = {
+    ConfigError,
+    CONFIG_FILES,
+    SETTINGS,
+    resolveConfig,
+    loadConfig,
+    getConfig,
+    describeConfig,
+    findConfigFile
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { resolveConfig, findConfigFile, ConfigError, SETTINGS } from './config';
+
+describe('resolveConfig', () => {
+    let cwd;
+
+    const resolve = (options = {}) => resolveConfig({ cwd, env: {}, ...options });
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    });
+
+    afterEach(() => {
+        fs.removeSync(cwd);
+    });
+
+    describe('layers', () => {
+        it('starts from the defaults', () => {
+            const { values, sources, file } = resolve();
+
+            expect(file).toBeNull();
+            expect(values.orchestrator.maxConcurrentSessions).toBe(SETTINGS['orchestrator.maxConcurrentSessions'].default);
+            expect(values.labels.analyzed).toEqual(['hive-mind-analyzed', 'ai-solution-ready']);
+            expect(sources['orchestrator.maxConcurrentSessions']).toBe('default');
+        });
+
+        it('lets the config file override defaults, the environment override the file and --set override both', () => {
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), {
+                orchestrator: { maxConcurrentSessions: 4, maxAgents: 6, dryRun: true },
+                pullRequest: { minQuality: 0.7 }
+            });
+
+            const { values, sources } = resolve({
+                env: { MAX_CONCURRENT_SESSIONS: '5', DRY_RUN: 'false' },
+                set: ['orchestrator.maxConcurrentSessions=6', 'pullRequest.minQuality=0.95']
+            });
+
+            expect(values.orchestrator).toMatchObject({ maxConcurrentSessions: 6, maxAgents: 6, dryRun: false });
+            expect(values.pullRequest.minQuality).toBe(0.95);
+            expect(sources).toMatchObject({
+                'orchestrator.maxConcurrentSessions': '--set orchestrator.maxConcurrentSessions',
+                'orchestrator.maxAgents': 'claude-flow.config.json',
+                'orchestrator.dryRun': 'env DRY_RUN',
+                'pullRequest.minCompleteness': 'default'
+            });
+        });
+
+        it('reads YAML config files', () => {
+            fs.writeFileSync(path.join(cwd, 'claude-flow.config.yml'), 'labels:\n  analyzed: [triaged]\ncontext:\n  maxFiles: 3\n');
+
+            const { values, file } = resolve();
+
+            expect(file).toBe(path.join(cwd, 'claude-flow.config.yml'));
+            expect(values.labels.analyzed).toEqual(['triaged']);
+            expect(values.context.maxFiles).toBe(3);
+        });
+
+        it('prefers the JSON file when several exist and honours an explicit file', () => {
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), { context: { maxFiles: 2 } });
+            fs.writeFileSync(path.join(cwd, 'claude-flow.config.yaml'), 'context:\n  maxFiles: 4\n');
+            fs.writeFileSync(path.join(cwd, 'other.yml'), 'context:\n  maxFiles: 8\n');
+
+            expect(resolve().values.context.maxFiles).toBe(2);
+            expect(resolve({ file: 'other.yml' }).values.context.maxFiles).toBe(8);
+            expect(resolve({ env: { CLAUDE_FLOW_CONFIG: 'other.yml' } }).values.context.maxFiles).toBe(8);
+            expect(() => findConfigFile({ cwd, file: 'missing.json', env: {} })).toThrow('Config file missing.json does not exist');
+        });
+
+        it('treats empty environment variables as unset', () => {
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), { orchestrator: { baseBranch: 'develop' } });
+
+            expect(resolve({ env: { BASE_BRANCH: '' } }).values.orchestrator.baseBranch).toBe('develop');
+        });
+
+        it('coerces text from the environment and --set into each type', () => {
+            const { values } = resolve({
+                env: { AUTO_CREATE_PR: 'false', CLAUDE_FLOW_SEED: '42', BASE_BRANCH: 'null' },
+                set: ['labels.pullRequest=a, b', 'labels.simpleAnalyzed=["x","y"]', 'github.botLogin=ci-bot']
+            });
+
+            expect(values.orchestrator).toMatchObject({ autoCreatePR: false, seed: 42, baseBranch: null });
+            expect(values.labels.pullRequest).toEqual(['a', 'b']);
+            expect(values.labels.simpleAnalyzed).toEqual(['x', 'y']);
+            expect(values.github.botLogin).toBe('ci-bot');
+        });
+
+        it('takes access levels from ACCESS_POLICY', () => {
+            const { values, sources } = resolve({ env: { ACCESS_POLICY: 'analyze=read,manage=admin' } });
+
+            expect(values.access).toMatchObject({ analyze: 'read', manage: 'admin' });
+            expect(sources['access.manage']).toBe('env ACCESS_POLICY');
+        });
+    });
+
+    describe('validation', () => {
+        const problemsOf = options => {
+            try {
+                resolve(options);
+            } catch (error) {
+                expect(error).toBeInstanceOf(ConfigError);
+                return error.message.split('\n  - ').slice(1);
+            }
+            throw new Error('expected a ConfigError');
+        };
+
+        it('rejects badly typed values from the config file', () => {
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), {
+                orchestrator: { maxAgents: 2.5, autoCreatePR: 'yes', commentMode: 'replace' },
+                pullRequest: { minQuality: 1.5 },
+                labels: { analyzed: 'triaged' }
+            });
+
+            expect(problemsOf()).toEqual([
+                'claude-flow.config.json: orchestrator.maxAgents must be a whole number, got 2.5',
+                'claude-flow.config.json: orchestrator.autoCreatePR must be true or false, got "yes"',
+                'claude-flow.config.json: orchestrator.commentMode must be one of upsert, append, got "replace"',
+                'claude-flow.config.json: pullRequest.minQuality must be at most 1, got 1.5',
+                'claude-flow.config.json: labels.analyzed must be a list of names, got "triaged"'
+            ]);
+        });
+
+        it('rejects badly typed values from the environment and --set', () => {
+            expect(problemsOf({
+                env: { MAX_CONCURRENT_SESSIONS: 'many', LEARNING_ENABLED: 'yes' },
+                set: ['context.maxFiles=0', 'orchestrator.maxAgents=']
+            })).toEqual([
+                'env MAX_CONCURRENT_SESSIONS: orchestrator.maxConcurrentSessions must be a whole number, got "many"',
+                'env LEARNING_ENABLED: orchestrator.learningEnabled must be true or false, got "yes"',
+                '--set context.maxFiles: context.maxFiles must be at least 1, got 0',
+                '--set orchestrator.maxAgents: orchestrator.maxAgents must be a whole number, got ""'
+            ]);
+        });
+
+        it('rejects unknown settings, malformed --set and null for required settings', () => {
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), { orchestrator: { maxAgent: 4, maxAgents: null } });
+
+            expect(problemsOf({ set: ['orchestrator.dryRun', 'nope.setting=1'] })).toEqual([
+                'claude-flow.config.json: unknown setting "orchestrator.maxAgent"',
+                'claude-flow.config.json: orchestrator.maxAgents may not be empty',
+                '--set orchestrator.dryRun: expected path=value',
+                '--set nope.setting: unknown setting "nope.setting"'
+            ]);
+        });
+
+        it('rejects config files that do not parse or are not a mapping', () => {
+            fs.writeFileSync(path.join(cwd, 'claude-flow.config.json'), '{ "orchestrator": ');
+            expect(() => resolve()).toThrow(/claude-flow\.config\.json could not be parsed/);
+
+            fs.writeJsonSync(path.join(cwd, 'claude-flow.config.json'), [1, 2]);
+            expect(problemsOf()).toEqual(['claude-flow.config.json: expected a mapping of settings']);
+        });
+    });
+});
@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Dry-Run Gateway
+ * Wraps a GitHub gateway, passes reads through and records every write as a plan
+ * The plan can be emitted as JSON or as a readable diff
+ */
+
+const { GitHubGateway } = require('./github-gateway');
+
+class DryRunGateway extends GitHubGateway {
+    constructor(inner) {
+        super({ owner: inner.owner, repo: inner.repo, botLogin: inner.botLogin });
+        this.inner = inner;
+        this.operations = [];
+
+        // Virtual state so later steps of a run see what earlier steps "wrote"
+        this.branches = new Map();   // branch -> { sha, base }
+        this.files = new Map();      // `${branch}:${path}` -> content (null once deleted)
+        this.shaToBranch = new Map();
+        this.commits = new Map();    // planned sha -> { base, files: Map(path -> content|null) }
+        this.comments = new Map();   // comment id -> body as planned so far
+        this.nextNumber = null;
+    }
+
+    // =================================================================
+    // READS (pass through, overlaid with planned writes)
+    // =================================================================
+
+    async getIssue(issueNumber) {
+        return this.inner.getIssue(issueNumber);
+    }
+
+    async listIssues(options) {
+        return this.inner.listIssues(options);
+    }
+
+    async listComments(issueNumber) {
+        return this.inner.listComments(issueNumber);
+    }
+
+    async listTimeline(issueNumber) {
+        return this.inner.listTimeline(issueNumber);
+    }
+
+    async getPullRequest(pullNumber) {
+        return this.inner.getPullRequest(pullNumber);
+    }
+
+    async getRepository() {
+        return this.inner.getRepository();
+    }
+
+    async getCollaboratorPermission(username) {
+        return this.inner.getCollaboratorPermission(username);
+    }
+
+    async getBranchSha(branch) {
+        if (this.branches.has(branch)) {
+            return this.branches.get(branch).sha;
+        }
+
+        const sha = await this.inner.getBranchSha(branch);
+        this.shaToBranch.set(sha, branch);
+        return sha;
+    }
+
+    getRateLimit() {
+        return this.inner.getRateLimit();
+    }
+
+    async findPullRequest(head) {
+        return this.inner.findPullRequest(head);
+    }
+
+    async compareCommits(base, head) {
+        return this.inner.compareCommits(base, head);
+    }
+
+    async getCommit(sha) {
+        return this.inner.getCommit(sha);
+    }
+
+    async getComment(commentId) {
+        if (this.comments.has(commentId)) {
+            return { id: commentId, body: this.comments.get(commentId), planned: true };
+        }
+        return this.inner.getComment(commentId);
+    }
+
+    async getFileContent(branch, filePath) {
+        const key = `${branch}:${filePath}`;
+        if (this.files.has(key)) {
+            if (this.files.get(key) === null) {
+                throw this.httpError(404, `${filePath} not found on ${branch}`);
+            }
+            return this.files.get(key);
+        }
+
+        const planned = this.branches.get(branch);
+        return this.inner.getFileContent(planned ? planned.base : branch, filePath);
+    }
+
+    async getTree(ref) {
+        const planned = this.branches.get(ref);
+        return this.inner.getTree(planned ? planned.base : ref);
+    }
+
+    // =================================================================
+    // WRITES (recorded, never performed)
+    // =================================================================
+
+    async createComment(issueNumber, body) {
+        const id = `planned-comment-${this.operations.length + 1}`;
+        this.record({ type: 'comment', issueNumber, body });
+        this.comments.set(id, body);
+        return { id, html_url: null, body, planned: true };
+    }
+
+    async updateComment(commentId, body) {
+        // The plan shows what the update changes, so read the body it replaces
+        let previous = null;
+        try {
+            previous = (await this.getComment(commentId)).body;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+
+        this.comments.set(commentId, body);
+        this.record({ type: 'comment-update', commentId, previous, body });
+        return { id: commentId, html_url: null, body, planned: true };
+    }
+
+    async addLabels(issueNumber, labels) {
+        this.record({ type: 'labels', issueNumber, labels: [...labels] });
+        return labels.map(name => ({ name }));
+    }
+
+    async removeLabel(issueNumber, label) {
+        this.record({ type: 'label-removal', issueNumber, label });
+        return [];
+    }
+
+    async createBranch(branch, sha) {
+        if (this.branches.has(branch)) {
+            throw this.httpError(422, 'Reference already exists');
+        }
+
+        // Mirror the real API: creating an existing branch is a 422
+        let exists = true;
+        try {
+            await this.inner.getBranchSha(branch);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            exists = false;
+        }
+        if (exists) {
+            throw this.httpError(422, 'Reference already exists');
+        }
+
+        const base = this.pointBranch(branch, sha);
+        this.record({ type: 'branch', name: branch, from: base, sha });
+        return { ref: `refs/heads/${branch}`, object: { sha } };
+    }
+
+    async updateBranch(branch, sha, force = false) {
+        const base = this.pointBranch(branch, sha);
+        this.record({ type: 'branch-update', name: branch, to: base, sha, force });
+        return { ref: `refs/heads/${branch}`, object: { sha } };
+    }
+
+    /**
+     * Move a virtual branch; a planned commit's files become visible on it
+     */
+    pointBranch(branch, sha) {
+        const commit = this.commits.get(sha);
+        const base = commit ? commit.base : (this.shaToBranch.get(sha) || sha);
+
+        for (const key of Array.from(this.files.keys())) {
+            if (key.startsWith(`${branch}:`)) this.files.delete(key);
+        }
+        if (commit) {
+            const baseFiles = this.branches.has(base) ? this.filesOn(base) : [];
+            baseFiles.forEach(([filePath, content]) => this.files.set(`${branch}:${filePath}`, content));
+            commit.files.forEach((content, filePath) => this.files.set(`${branch}:${filePath}`, content));
+        }
+
+        this.branches.set(branch, { sha, base });
+        if (commit) {
+            this.shaToBranch.set(sha, branch);
+        }
+        return base;
+    }
+
+    filesOn(branch) {
+        return Array.from(this.files.entries())
+            .filter(([key]) => key.startsWith(`${branch}:`))
+            .map(([key, content]) => [key.slice(branch.length + 1), content]);
+    }
+
+    async commitChanges({ baseSha, message, changes }) {
+        const base = this.shaToBranch.get(baseSha) || baseSha;
+        const files = new Map();
+        const planned = [];
+
+        for (const change of changes) {
+            const source = change.from || change.path;
+            const previous = await this.readPlanned(base, files, source);
+
+            if (change.delete) {
+                files.set(change.path, null);
+                planned.push({ action: 'delete', path: change.path, previous, content: null });
+            } else if (change.from) {
+                const content = change.content !== undefined ? change.content : previous;
+                files.set(change.from, null);
+                files.set(change.path, content);
+                planned.push({ action: 'rename', from: change.from, path: change.path, previous, content });
+            } else {
+                files.set(change.path, change.content);
+                planned.push({
+                    action: previous === null ? 'add' : 'modify',
+                    path: change.path,
+                    previous,
+                    content: change.content
+                });
+            }
+        }
+
+        const sha = `planned-commit-${this.commits.size + 1}`;
+        this.commits.set(sha, { base, files });
+        this.record({ type: 'commit', sha, base, message, changes: planned });
+        return { sha, tree: null, planned: true };
+    }
+
+    async readPlanned(base, pending, filePath) {
+        if (pending.has(filePath)) {
+            return pending.get(filePath);
+        }
+        try {
+            return await this.getFileContent(base, filePath);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            return null;
+        }
+    }
+
+    async createOrUpdateFile({ branch, path: filePath, content, message }) {
+        let previous = null;
+        try {
+            previous = await this.getFileContent(branch, filePath);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+
+        this.files.set(`${branch}:${filePath}`, content);
+        this.record({ type: 'file', branch, path: filePath, message, previous, content });
+        return { content: { path: filePath }, commit: { sha: null, message }, planned: true };
+    }
+
+    async createPullRequest({ title, head, base, body, draft = false }) {
+        const number = this.reserveNumber();
+        this.record({ type: 'pull-request', number, title, head, base, body, draft });
+        return { number, html_url: null, title, planned: true };
+    }
+
+    reserveNumber() {
+        // Planned PRs get placeholder numbers that cannot collide with real ones
+        this.nextNumber = (this.nextNumber || 0) + 1;
+        return `planned-${this.nextNumber}`;
+    }
+
+    record(operation) {
+        this.operations.push({ step: this.operations.length + 1, ...operation });
+    }
+
+    // =================================================================
+    // PLAN OUTPUT
+    // =================================================================
+
+    getPlan() {
+        return {
+            dryRun: true,
+            repository: this.fullName,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                comments: this.operations.filter(op => op.type === 'comment' || op.type === 'comment-update').length,
+                labels: this.operations.filter(op => op.type === 'labels')
+                    .reduce((sum, op) => sum + op.labels.length, 0),
+                branches: this.operations.filter(op => op.type === 'branch' || op.type === 'branch-update').length,
+                commits: this.operations.filter(op => op.type === 'commit').length,
+                files: this.operations.filter(op => op.type === 'file').length +
+                    this.operations.filter(op => op.type === 'commit')
+                        .reduce((sum, op) => sum + op.changes.length, 0),
+                pullRequests: this.operations.filter(op => op.type === 'pull-request').length
+            },
+            operations: this.operations
+        };
+    }
+
+    renderDiff() {
+        const sections = this.operations.map(op => {
+            switch (op.type) {
+                case 'comment':
+                    return `=== [${op.step}] comment on #${op.issueNumber}\n${prefixLines(op.body, '+ ')}`;
+                case 'comment-update':
+                    return `=== [${op.step}] update comment ${op.commentId}\n` +
+                        createUnifiedDiff(`comment-${op.commentId}`, op.previous, op.body);
+                case 'labels':
+                    return `=== [${op.step}] labels on #${op.issueNumber}\n${op.labels.map(label => `+ ${label}`).join('\n')}`;
+                case 'label-removal':
+                    return `=== [${op.step}] remove label from #${op.issueNumber}\n- ${op.label}`;
+                case 'branch':
+                    return `=== [${op.step}] create branch ${op.name} from ${op.from}`;
+                case 'branch-update':
+                    return `=== [${op.step}] ${op.force ? 'force-' : ''}update branch ${op.name} to ${op.to}`;
+                case 'file':
+                    return `=== [${op.step}] ${op.previous === null ? 'add' : 'modify'} ${op.path} on ${op.branch} (${op.message})\n` +
+                        createUnifiedDiff(op.path, op.previous, op.content);
+                case 'commit':
+                    return `=== [${op.step}] commit ${op.sha} on ${op.base}: ${op.message.split('\n')[0]}\n` +
+                        op.changes.map(change => describeChange(change)).join('\n');
+                case 'pull-request':
+                    return `=== [${op.step}] pull request ${op.head} -> ${op.base}: ${op.title}\n${prefixLines(op.body, '+ ')}`;
+                default:
+                    return `=== [${op.step}] ${op.type}`;
+            }
+        });
+
+        return `Dry run for ${this.fullName}: ${this.operations.length} planned GitHub write(s)\n\n${sections.join('\n\n')}\n`;
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+// =================================================================
+// DIFF HELPERS
+// =================================================================
+
+function prefixLines(text, prefix) {
+    return String(text || '').split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+function describeChange(change) {
+    switch (change.action) {
+        case 'delete':
+            return `delete ${change.path}\n${createUnifiedDiff(change.path, change.previous, null)}`;
+        case 'rename':
+            return change.previous === change.content
+                ? `rename ${change.from} -> ${change.path}`
+                : `rename ${change.from} -> ${change.path}\n${createUnifiedDiff(change.path, change.previous, change.content)}`;
+        default:
+            return `${change.action} ${change.path}\n${createUnifiedDiff(change.path, change.previous, change.content)}`;
+    }
+}
+
+/**
+ * Line-based unified diff (LCS), enough for reviewing generated artifacts
+ * A null oldText/newText stands for a file being added/deleted
+ */
+function createUnifiedDiff(filePath, oldText, newText, context = 3) {
+    const oldLines = oldText === null ? [] : String(oldText).split('\n');
+    const newLines = newText === null ? [] : String(newText).split('\n');
+    const header = `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}\n+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`;
+
+    // LCS table
+    const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    // Walk the table into an edit script
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            edits.push({ op: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+        } else if (i < oldLines.length && (j >= newLines.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            edits.push({ op: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+        } else {
+            edits.push({ op: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+        }
+    }
+
+    const changed = edits.map((edit, index) => edit.op !== ' ' ? index : -1).filter(index => index >= 0);
+    if (changed.length === 0) {
+        return `${header}\n(no changes)`;
+    }
+
+    // Group changes into hunks with surrounding context
+    const hunks = [];
+    let start = Math.max(0, changed[0] - context);
+    let end = Math.min(edits.length, changed[0] + context + 1);
+    for (const index of changed.slice(1)) {
+        if (index - context <= end) {
+            end = Math.min(edits.length, index + context + 1);
+        } else {
+            hunks.push([start, end]);
+            start = Math.max(0, index - context);
+            end = Math.min(edits.length, index + context + 1);
+        }
+    }
+    hunks.push([start, end]);
+
+    const body = hunks.map(([from, to]) => {
+        const slice = edits.slice(from, to);
+        const oldCount = slice.filter(edit => edit.op !== '+').length;
+        const newCount = slice.filter(edit => edit.op !== '-').length;
+        const oldStart = oldCount ? slice[0].oldIndex + 1 : slice[0].oldIndex;
+        const newStart = newCount ? slice[0].newIndex + 1 : slice[0].newIndex;
+
+        return `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n` +
+            slice.map(edit => `${edit.op}${edit.line}`).join('\n');
+    });
+
+    return `${header}\n${body.join('\n')}`;
+}
+
+module.exports = DryRunGateway;
+module.exports.createUnifiedDiff = createUnifiedDiff;
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import DryRunGateway from './dry-run-gateway';
+import LocalGitHubGateway from './local-github-gateway';
+
+const { createUnifiedDiff } = DryRunGateway;
+
+describe('DryRunGateway', () => {
+    let root;
+    let github;
+    let dryRun;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), { 7: { number: 7, title: 'Crash', body: 'TypeError', labels: [], state: 'open' } });
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'app.js'), 'one\ntwo\nthree');
+        github = new LocalGitHubGateway({ root });
+        dryRun = new DryRunGateway(github);
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    describe('reads', () => {
+        it('passes reads through to the wrapped gateway', async () => {
+            expect((await dryRun.getIssue(7)).title).toBe('Crash');
+            expect(await dryRun.getBranchSha('main')).toBe(await github.getBranchSha('main'));
+            expect(await dryRun.getFileContent('main', 'src/app.js')).toBe('one\ntwo\nthree');
+            await expect(dryRun.getIssue(99)).rejects.toMatchObject({ status: 404 });
+            expect(dryRun.fullName).toBe('acme/demo');
+            expect(dryRun.botLogin).toBe(github.botLogin);
+        });
+    });
+
+    describe('writes', () => {
+        it('records writes without forwarding them', async () => {
+            const comment = await dryRun.createComment(7, 'Analysis');
+            await dryRun.addLabels(7, ['bug']);
+            await dryRun.removeLabel(7, 'triage');
+
+            expect(comment).toMatchObject({ id: 'planned-comment-1', planned: true });
+            expect(dryRun.operations).toEqual([
+                { step: 1, type: 'comment', issueNumber: 7, body: 'Analysis' },
+                { step: 2, type: 'labels', issueNumber: 7, labels: ['bug'] },
+                { step: 3, type: 'label-removal', issueNumber: 7, label: 'triage' }
+            ]);
+            expect(await github.listComments(7)).toEqual([]);
+            expect((await github.getIssue(7)).labels).toEqual([]);
+        });
+
+        it('shows planned commits on planned branches only', async () => {
+            const baseSha = await dryRun.getBranchSha('main');
+            const commit = await dryRun.commitChanges({
+                baseSha,
+                message: 'Fix crash',
+                changes: [{ path: 'src/app.js', content: 'one\n2\nthree' }, { path: 'src/new.js', content: 'new' }]
+            });
+            await dryRun.createBranch('fix/7', commit.sha);
+            const pullRequest = await dryRun.createPullRequest({ title: 'Fix #7', head: 'fix/7', base: 'main', body: 'Fixes #7' });
+
+            expect(await dryRun.getFileContent('fix/7', 'src/app.js')).toBe('one\n2\nthree');
+            expect(await dryRun.getFileContent('main', 'src/app.js')).toBe('one\ntwo\nthree');
+            expect(dryRun.operations.find(op => op.type === 'commit').changes.map(change => change.action)).toEqual(['modify', 'add']);
+            expect(pullRequest).toMatchObject({ number: 'planned-1', planned: true });
+
+            await expect(github.getBranchSha('fix/7')).rejects.toMatchObject({ status: 404 });
+            expect(await github.findPullRequest('fix/7')).toBeNull();
+            expect(dryRun.getPlan().summary).toEqual({ comments: 0, labels: 0, branches: 1, commits: 1, files: 2, pullRequests: 1 });
+        });
+
+        it('refuses to plan a branch that already exists', async () => {
+            await expect(dryRun.createBranch('main', 'abc')).rejects.toMatchObject({ status: 422 });
+            expect(dryRun.operations).toEqual([]);
+        });
+
+        it('records the body a comment update replaces', async () => {
+            const real = await github.createComment(7, 'Before');
+
+            await dryRun.updateComment(real.id, 'After');
+
+            expect(dryRun.operations[0]).toMatchObject({ type: 'comment-update', commentId: real.id, previous: 'Before', body: 'After' });
+            expect((await github.getComment(real.id)).body).toBe('Before');
+            expect((await dryRun.getComment(real.id)).body).toBe('After');
+        });
+    });
+
+    describe('renderDiff', () => {
+        it('renders every planned write as a section', async () => {
+            const baseSha = await dryRun.getBranchSha('main');
+            await dryRun.createComment(7, 'Line one\nLine two');
+            await dryRun.commitChanges({ baseSha, message: 'Remove app\n\nBody', changes: [{ path: 'src/app.js', delete: true }] });
+
+            expect(dryRun.renderDiff()).toBe([
+                'Dry run for acme/demo: 2 planned GitHub write(s)',
+                '',
+                '=== [1] comment on #7',
+                '+ Line one',
+                '+ Line two',
+                '',
+                '=== [2] commit planned-commit-1 on main: Remove app',
+                'delete src/app.js',
+                '--- a/src/app.js',
+                '+++ /dev/null',
+                '@@ -1,3 +0,0 @@',
+                '-one',
+                '-two',
+                '-three',
+                ''
+            ].join('\n'));
+        });
+    });
+});
+
+describe('createUnifiedDiff', () => {
+    it('diffs an added file against /dev/null', () => {
+        expect(createUnifiedDiff('a.js', null, 'x\ny')).toBe('--- /dev/null\n+++ b/a.js\n@@ -0,0 +1,2 @@\n+x\n+y');
+    });
+
+    it('diffs a deleted file against /dev/null', () => {
+        expect(createUnifiedDiff('a.js', 'x\ny', null)).toBe('--- a/a.js\n+++ /dev/null\n@@ -1,2 +0,0 @@\n-x\n-y');
+    });
+
+    it('shows a modified line as a removal and an addition in context', () => {
+        expect(createUnifiedDiff('a.js', 'a\nb\nc', 'a\nB\nc')).toBe([
+            '--- a/a.js',
+            '+++ b/a.js',
+            '@@ -1,3 +1,3 @@',
+            ' a',
+            '-b',
+            '+B',
+            ' c'
+        ].join('\n'));
+    });
+
+    it('keeps the longest common subsequence and only marks real changes', () => {
+        expect(createUnifiedDiff('a.js', 'a\nb\nc\nd', 'a\nc\nd\ne')).toBe([
+            '--- a/a.js',
+            '+++ b/a.js',
+            '@@ -1,4 +1,4 @@',
+            ' a',
+            '-b',
+            ' c',
+            ' d',
+            '+e'
+        ].join('\n'));
+    });
+
+    it('splits distant changes into separate hunks with their own line numbers', () => {
+        const old = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].join('\n');
+        const changed = ['1', 'two', '3', '4', '5', '6', '7', 'eight', '9'].join('\n');
+
+        expect(createUnifiedDiff('n.txt', old, changed, 1)).toBe([
+            '--- a/n.txt',
+            '+++ b/n.txt',
+            '@@ -1,3 +1,3 @@',
+            ' 1',
+            '-2',
+            '+two',
+            ' 3',
+            '@@ -7,3 +7,3 @@',
+            ' 7',
+            '-8',
+            '+eight',
+            ' 9'
+        ].join('\n'));
+    });
+
+    it('says so when nothing changed', () => {
+        expect(createUnifiedDiff('a.js', 'same', 'same')).toBe('--- a/a.js\n+++ b/a.js\n(no changes)');
+    });
+});
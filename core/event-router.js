@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Event Router
+ * Turns a GitHub event into one normalized trigger for every entry point
+ *
+ * Sources, in order:
+ *   1. the Actions event payload (GITHUB_EVENT_NAME + GITHUB_EVENT_PATH)
+ *   2. the legacy ISSUE_* / COMMENT_* environment variables, for local runs
+ * Command line flags are applied on top through `overrides`.
+ *
+ * Trigger:
+ *   {
+ *     event, action, source: 'event-file' | 'webhook' | 'environment',
+ *     repository: 'owner/repo' | null,
+ *     issue: { number, title, body, labels, isPullRequest } | null,
+ *            (title, body and labels are null when the source does not carry them)
+ *     comment: { id, body, author: { login, type, association } } | null,
+ *     actor: { login, type, association },
+ *     dryRun, baseBranch   - workflow_dispatch inputs, null otherwise
+ *   }
+ */
+
+const fs = require('fs-extra');
+const AccessPolicy = require('./access-policy');
+
+const SUPPORTED_EVENTS = ['issues', 'issue_comment', 'pull_request', 'workflow_dispatch'];
+
+function labelNames(labels = []) {
+    return labels.map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean);
+}
+
+function toIssue(item, isPullRequest = false) {
+    return {
+        number: Number(item.number),
+        title: item.title || null,
+        body: item.body || '',
+        labels: labelNames(item.labels),
+        isPullRequest
+    };
+}
+
+/**
+ * author_association describes the issue or PR author, so it only says something about the
+ * sender when they are the author (someone else editing or reopening gets null, and the
+ * access policy looks their permission up instead)
+ */
+function senderAssociation(sender, item = {}) {
+    return sender.login && item.user?.login === sender.login ? item.author_association || null : null;
+}
+
+/**
+ * Normalize one event payload (from the Actions event file or a webhook delivery)
+ */
+function normalizeEvent(event, payload = {}, source = 'event-file') {
+    if (!SUPPORTED_EVENTS.includes(event)) {
+        throw new Error(`Unsupported event "${event}" (expected ${SUPPORTED_EVENTS.join(', ')})`);
+    }
+
+    const sender = payload.sender || {};
+    const trigger = {
+        event,
+        action: payload.action || null,
+        source,
+        repository: payload.repository?.full_name || null,
+        issue: null,
+        comment: null,
+        actor: { login: sender.login || null, type: sender.type || null, association: null },
+        dryRun: null,
+        baseBranch: null
+    };
+
+    switch (event) {
+        case 'issues':
+            trigger.issue = toIssue(payload.issue);
+            trigger.actor.association = senderAssociation(sender, payload.issue);
+            break;
+
+        case 'issue_comment': {
+            const comment = payload.comment;
+            const author = {
+                login: comment.user?.login || null,
+                type: comment.user?.type || null,
+                association: comment.author_association || null
+            };
+            // Comments on pull requests arrive as issue comments with a pull_request link
+            trigger.issue = toIssue(payload.issue, !!payload.issue.pull_request);
+            trigger.comment = { id: comment.id, body: comment.body || '', author };
+            trigger.actor = { ...author };
+            break;
+        }
+
+        case 'pull_request':
+            trigger.issue = toIssue(payload.pull_request, true);
+            trigger.actor.association = senderAssociation(sender, payload.pull_request);
+            break;
+
+        case 'workflow_dispatch': {
+            const inputs = payload.inputs || {};
+            const issueNumber = parseInt(inputs.issue_number ?? inputs['issue-number']);
+            trigger.issue = issueNumber > 0
+                ? { number: issueNumber, title: null, body: null, labels: null, isPullRequest: false }
+                : null;
+            trigger.dryRun = inputs.dry_run === undefined ? null : String(inputs.dry_run) === 'true';
+            trigger.baseBranch = inputs.base_branch || null;
+            break;
+        }
+    }
+
+    return trigger;
+}
+
+/**
+ * Trigger from the legacy environment variables
+ */
+function triggerFromEnv(env = process.env) {
+    const issueNumber = parseInt(env.ISSUE_NUMBER || env.GITHUB_ISSUE_NUMBER);
+    const actor = AccessPolicy.actorFromEnv(env);
+
+    return {
+        event: env.COMMENT_BODY !== undefined ? 'issue_comment' : 'issues',
+        action: null,
+        source: 'environment',
+        repository: env.REPOSITORY || null,
+        issue: issueNumber > 0
+            ? {
+                number: issueNumber,
+                title: env.ISSUE_TITLE || null,
+                body: env.ISSUE_BODY || '',
+                labels: env.ISSUE_LABELS ? env.ISSUE_LABELS.split(',').map(label => label.trim()).filter(Boolean) : null,
+                isPullRequest: false
+            }
+            : null,
+        comment: env.COMMENT_BODY !== undefined
+            ? {
+                id: null,
+                body: env.COMMENT_BODY,
+                author: env.COMMENT_AUTHOR
+                    ? {
+                        login: env.COMMENT_AUTHOR,
+                        type: env.COMMENT_AUTHOR_TYPE || null,
+                        association: env.COMMENT_AUTHOR_ASSOCIATION || null
+                    }
+                    : { ...actor }
+            }
+            : null,
+        actor,
+        dryRun: null,
+        baseBranch: null
+    };
+}
+
+/**
+ * Trigger for the current process
+ * @param {Object} [options]
+ * @param {Object} [options.env=process.env]
+ * @param {Object} [options.overrides] - command line values: issueNumber, issueTitle, issueBody, labels
+ */
+function readTrigger({ env = process.env, overrides = {} } = {}) {
+    const eventPath = env.GITHUB_EVENT_PATH;
+    const trigger = eventPath && SUPPORTED_EVENTS.includes(env.GITHUB_EVENT_NAME) && fs.existsSync(eventPath)
+        ? normalizeEvent(env.GITHUB_EVENT_NAME, fs.readJsonSync(eventPath), 'event-file')
+        : triggerFromEnv(env);
+
+    if (!trigger.repository && env.REPOSITORY) {
+        trigger.repository = env.REPOSITORY;
+    }
+
+    return applyOverrides(trigger, overrides);
+}
+
+function applyOverrides(trigger, { issueNumber, issueTitle, issueBody, labels } = {}) {
+    if (!issueNumber && !issueTitle && !issueBody && !labels) {
+        return trigger;
+    }
+
+    const number = parseInt(issueNumber) || trigger.issue?.number;
+    if (!number) {
+        return trigger;
+    }
+
+    // A different issue on the command line replaces the event's issue entirely
+    const base = trigger.issue && trigger.issue.number === number
+        ? trigger.issue
+        : { number, title: null, body: null, labels: null, isPullRequest: false };
+
+    return {
+        ...trigger,
+        issue: {
+            ...base,
+            title: issueTitle || base.title,
+            body: issueBody || base.body,
+            labels: labels ? labelNames(Array.isArray(labels) ? labels : labels.split(',').map(label => label.trim())) : base.labels
+        }
+    };
+}
+
+module.exports = {
+    SUPPORTED_EVENTS,
+    normalizeEvent,
+    triggerFromEnv,
+    readTrigger,
+    applyOverrides
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeEvent } from './event-router';
+
+const issue = { number: 7, title: 'Crash', body: 'TypeError', labels: [{ name: 'bug' }], user: { login: 'maya' }, author_association: 'OWNER' };
+
+describe('normalizeEvent', () => {
+    it('takes the association of an issue event only when the sender opened the issue', () => {
+        const opened = normalizeEvent('issues', { action: 'opened', issue, sender: { login: 'maya', type: 'User' } });
+        const edited = normalizeEvent('issues', { action: 'edited', issue, sender: { login: 'drive-by', type: 'User' } });
+
+        expect(opened.actor).toEqual({ login: 'maya', type: 'User', association: 'OWNER' });
+        expect(edited.actor).toEqual({ login: 'drive-by', type: 'User', association: null });
+    });
+
+    it('does the same for pull requests', () => {
+        const pullRequest = { ...issue, number: 8 };
+        const reopened = normalizeEvent('pull_request', { action: 'reopened', pull_request: pullRequest, sender: { login: 'drive-by' } });
+
+        expect(reopened.issue).toMatchObject({ number: 8, isPullRequest: true });
+        expect(reopened.actor.association).toBeNull();
+    });
+
+    it('uses the comment author as the actor of a comment', () => {
+        const trigger = normalizeEvent('issue_comment', {
+            action: 'created',
+            issue,
+            comment: { id: 3, body: '@claude-flow-automation retry', user: { login: 'sam', type: 'User' }, author_association: 'COLLABORATOR' },
+            sender: { login: 'sam', type: 'User' }
+        });
+
+        expect(trigger.actor).toEqual({ login: 'sam', type: 'User', association: 'COLLABORATOR' });
+        expect(trigger.issue.labels).toEqual(['bug']);
+    });
+
+    it('rejects unsupported events', () => {
+        expect(() => normalizeEvent('push', {})).toThrow('Unsupported event "push"');
+    });
+});
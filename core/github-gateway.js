@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - GitHub Gateway
+ * Narrow interface between the orchestrator and GitHub
+ * The default implementation talks to the REST API through Octokit
+ */
+
+const { Octokit } = require('@octokit/rest');
+const GitHubRequestLayer = require('./github-request-layer');
+
+/**
+ * Operations the orchestrator needs from a GitHub backend.
+ * Every method resolves to plain response data (no Octokit envelope),
+ * and failures carry an HTTP-like `status` so callers can branch on 404/422.
+ */
+class GitHubGateway {
+    constructor(options = {}) {
+        this.owner = options.owner;
+        this.repo = options.repo;
+        // Account this gateway's commits are authored by (how re-runs recognise their own commits)
+        this.botLogin = options.botLogin || null;
+    }
+
+    get fullName() {
+        return `${this.owner}/${this.repo}`;
+    }
+
+    async getIssue(issueNumber) { throw this.notImplemented('getIssue'); }
+    
+    /**
+     * Issues (never pull requests) in the given state, most recently updated first, up to `limit`
+     */
+    async listIssues({ state, limit }) { throw this.notImplemented('listIssues'); }
+    
+    /**
+     * Every comment on the issue, oldest first (all pages)
+     */
+    async listComments(issueNumber) { throw this.notImplemented('listComments'); }
+    
+    /**
+     * Every timeline event of the issue, oldest first (all pages)
+     */
+    async listTimeline(issueNumber) { throw this.notImplemented('listTimeline'); }
+    
+    /**
+     * Pull request including its diff stats (additions, deletions, changed_files, merged)
+     */
+    async getPullRequest(pullNumber) { throw this.notImplemented('getPullRequest'); }
+    async getRepository() { throw this.notImplemented('getRepository'); }
+    async getCollaboratorPermission(username) { throw this.notImplemented('getCollaboratorPermission'); }
+    async createComment(issueNumber, body) { throw this.notImplemented('createComment'); }
+    async getComment(commentId) { throw this.notImplemented('getComment'); }
+    async updateComment(commentId, body) { throw this.notImplemented('updateComment'); }
+    async addLabels(issueNumber, labels) { throw this.notImplemented('addLabels'); }
+    async removeLabel(issueNumber, label) { throw this.notImplemented('removeLabel'); }
+    async getBranchSha(branch) { throw this.notImplemented('getBranchSha'); }
+    async createBranch(branch, sha) { throw this.notImplemented('createBranch'); }
+    async updateBranch(branch, sha, force) { throw this.notImplemented('updateBranch'); }
+    async createOrUpdateFile(file) { throw this.notImplemented('createOrUpdateFile'); }
+    async createPullRequest(pullRequest) { throw this.notImplemented('createPullRequest'); }
+    async getFileContent(branch, path) { throw this.notImplemented('getFileContent'); }
+    
+    /**
+     * Every file on a branch or commit: { sha, truncated, entries: [{ path, size }] }
+     */
+    async getTree(ref) { throw this.notImplemented('getTree'); }
+    async findPullRequest(head) { throw this.notImplemented('findPullRequest'); }
+    async compareCommits(base, head) { throw this.notImplemented('compareCommits'); }
+    async getCommit(sha) { throw this.notImplemented('getCommit'); }
+    
+    /**
+     * Write one commit on top of baseSha without moving any ref.
+     * changes: [{ path, content }, { path, delete: true }, { path, from, content? }] (from = rename source)
+     * Resolves to { sha, tree }; callers point a branch at it once the commit exists.
+     */
+    async commitChanges({ baseSha, message, changes }) { throw this.notImplemented('commitChanges'); }
+    
+    /**
+     * Remaining API budget, or null for backends without one
+     */
+    getRateLimit() {
+        return null;
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+/**
+ * Gateway backed by the live GitHub REST API
+ * Every request goes through the shared retry/rate-limit layer
+ */
+class OctokitGateway extends GitHubGateway {
+    constructor(options = {}) {
+        super({ ...options, botLogin: options.botLogin || 'github-actions[bot]' });
+        this.requestLayer = options.requestLayer || new GitHubRequestLayer(options.retry);
+        this.octokit = this.requestLayer.install(options.octokit || new Octokit({ auth: options.token }));
+    }
+    
+    getRateLimit() {
+        return this.requestLayer.getBudget();
+    }
+
+    async getIssue(issueNumber) {
+        const response = await this.octokit.rest.issues.get({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber
+        });
+        return response.data;
+    }
+    
+    async listIssues({ state = 'closed', limit = 500 } = {}) {
+        const issues = [];
+        for await (const response of this.octokit.paginate.iterator(this.octokit.rest.issues.listForRepo, {
+            owner: this.owner,
+            repo: this.repo,
+            state,
+            sort: 'updated',
+            direction: 'desc',
+            per_page: 100
+        })) {
+            issues.push(...response.data.filter(issue => !issue.pull_request));
+            if (issues.length >= limit) {
+                break;
+            }
+        }
+        return issues.slice(0, limit);
+    }
+
+    async listComments(issueNumber) {
+        return this.octokit.paginate(this.octokit.rest.issues.listComments, {
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber,
+            per_page: 100
+        });
+    }
+    
+    async listTimeline(issueNumber) {
+        return this.octokit.paginate(this.octokit.rest.issues.listEventsForTimeline, {
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber,
+            per_page: 100
+        });
+    }
+    
+    async getPullRequest(pullNumber) {
+        const response = await this.octokit.rest.pulls.get({
+            owner: this.owner,
+            repo: this.repo,
+            pull_number: pullNumber
+        });
+        return response.data;
+    }
+
+    async getRepository() {
+        const response = await this.octokit.rest.repos.get({
+            owner: this.owner,
+            repo: this.repo
+        });
+        return response.data;
+    }
+
+    /**
+     * { permission: 'admin'|'write'|'read'|'none', role_name: 'admin'|'maintain'|'write'|'triage'|'read' }
+     */
+    async getCollaboratorPermission(username) {
+        const response = await this.octokit.rest.repos.getCollaboratorPermissionLevel({
+            owner: this.owner,
+            repo: this.repo,
+            username
+        });
+        return response.data;
+    }
+
+    async createComment(issueNumber, body) {
+        const response = await this.octokit.rest.issues.createComment({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber,
+            body
+        });
+        return response.data;
+    }
+
+    async getComment(commentId) {
+        const response = await this.octokit.rest.issues.getComment({
+            owner: this.owner,
+            repo: this.repo,
+            comment_id: commentId
+        });
+        return response.data;
+    }
+
+    async updateComment(commentId, body) {
+        const response = await this.octokit.rest.issues.updateComment({
+            owner: this.owner,
+            repo: this.repo,
+            comment_id: commentId,
+            body
+        });
+        return response.data;
+    }
+
+    async addLabels(issueNumber, labels) {
+        const response = await this.octokit.rest.issues.addLabels({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber,
+            labels,
+            request: { retrySafe: true } // re-adding labels is a no-op
+        });
+        return response.data;
+    }
+
+    async removeLabel(issueNumber, label) {
+        const response = await this.octokit.rest.issues.removeLabel({
+            owner: this.owner,
+            repo: this.repo,
+            issue_number: issueNumber,
+            name: label
+        });
+        return response.data;
+    }
+
+    async getBranchSha(branch) {
+        const response = await this.octokit.rest.git.getRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `heads/${branch}`
+        });
+        return response.data.object.sha;
+    }
+
+    async createBranch(branch, sha) {
+        const response = await this.octokit.rest.git.createRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `refs/heads/${branch}`,
+            sha
+        });
+        return response.data;
+    }
+
+    async updateBranch(branch, sha, force = false) {
+        const response = await this.octokit.rest.git.updateRef({
+            owner: this.owner,
+            repo: this.repo,
+            ref: `heads/${branch}`,
+            sha,
+            force,
+            request: { retrySafe: true } // moving a ref to the same sha again is a no-op
+        });
+        return response.data;
+    }
+
+    async createOrUpdateFile({ branch, path, content, message }) {
+        const response = await this.octokit.rest.repos.createOrUpdateFileContents({
+            owner: this.owner,
+            repo: this.repo,
+            path,
+            message,
+            content: Buffer.from(content).toString('base64'),
+            branch,
+            request: { retrySafe: false } // a repeated create without the new blob sha is rejected
+        });
+        return response.data;
+    }
+
+    async createPullRequest({ title, head, base, body, draft = false }) {
+        const response = await this.octokit.rest.pulls.create({
+            owner: this.owner,
+            repo: this.repo,
+            title,
+            head,
+            base,
+            body,
+            draft
+        });
+        return response.data;
+    }
+
+    async getFileContent(branch, path) {
+        const response = await this.octokit.rest.repos.getContent({
+            owner: this.owner,
+            repo: this.repo,
+            path,
+            ref: branch
+        });
+        return Buffer.from(response.data.content, 'base64').toString('utf-8');
+    }
+    
+    async getTree(ref) {
+        const response = await this.octokit.rest.git.getTree({
+            owner: this.owner,
+            repo: this.repo,
+            tree_sha: ref,
+            recursive: 'true'
+        });
+        return {
+            sha: response.data.sha,
+            truncated: !!response.data.truncated,
+            entries: response.data.tree
+                .filter(entry => entry.type === 'blob')
+                .map(entry => ({ path: entry.path, size: entry.size ?? 0 }))
+        };
+    }
+    
+    /**
+     * Open pull request whose head is the given branch, or null
+     */
+    async findPullRequest(head) {
+        const response = await this.octokit.rest.pulls.list({
+            owner: this.owner,
+            repo: this.repo,
+            head: `${this.owner}:${head}`,
+            state: 'open'
+        });
+        return response.data[0] || null;
+    }
+    
+    async compareCommits(base, head) {
+        const response = await this.octokit.rest.repos.compareCommits({
+            owner: this.owner,
+            repo: this.repo,
+            base,
+            head
+        });
+        return response.data;
+    }
+    
+    async getCommit(sha) {
+        const response = await this.octokit.rest.repos.getCommit({
+            owner: this.owner,
+            repo: this.repo,
+            ref: sha
+        });
+        return response.data;
+    }
+    
+    async commitChanges({ baseSha, message, changes }) {
+        const base = await this.octokit.rest.git.getCommit({
+            owner: this.owner,
+            repo: this.repo,
+            commit_sha: baseSha
+        });
+        
+        const tree = [];
+        for (const change of changes) {
+            if (change.delete) {
+                tree.push({ path: change.path, mode: '100644', type: 'blob', sha: null });
+                continue;
+            }
+            
+            if (change.from) {
+                tree.push({ path: change.from, mode: '100644', type: 'blob', sha: null });
+                
+                // A pure rename reuses the existing blob
+                if (change.content === undefined) {
+                    const source = await this.octokit.rest.repos.getContent({
+                        owner: this.owner,
+                        repo: this.repo,
+                        path: change.from,
+                        ref: baseSha
+                    });
+                    tree.push({ path: change.path, mode: '100644', type: 'blob', sha: source.data.sha });
+                    continue;
+                }
+            }
+            
+            tree.push({ path: change.path, mode: '100644', type: 'blob', content: change.content });
+        }
+        
+        // Trees and commits are content-addressed and unreferenced until a ref
+        // points at them, so repeating these writes after a transient failure is harmless
+        const createdTree = await this.octokit.rest.git.createTree({
+            owner: this.owner,
+            repo: this.repo,
+            base_tree: base.data.tree.sha,
+            tree,
+            request: { retrySafe: true }
+        });
+        
+        const commit = await this.octokit.rest.git.createCommit({
+            owner: this.owner,
+            repo: this.repo,
+            message,
+            tree: createdTree.data.sha,
+            parents: [baseSha],
+            request: { retrySafe: true }
+        });
+        
+        return { sha: commit.data.sha, tree: createdTree.data.sha };
+    }
+}
+
+// Gateway methods that change something on GitHub
+const WRITE_METHODS = [
+    'createComment', 'updateComment', 'addLabels', 'removeLabel', 'createBranch', 'updateBranch',
+    'createOrUpdateFile', 'createPullRequest', 'commitChanges'
+];
+
+/**
+ * The same gateway, but every write first checks the token: work abandoned after a
+ * deadline or cancel (token.race() stops waiting for it, it keeps running) cannot write
+ * @param {GitHubGateway} gateway
+ * @param {CancellationToken} token
+ */
+function guardWrites(gateway, token) {
+    return new Proxy(gateway, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (!WRITE_METHODS.includes(property) || typeof value !== 'function') {
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+            // Async, so a cancelled write rejects like a failed request instead of throwing
+            return async (...args) => {
+                token.throwIfCancelled();
+                return value.apply(target, args);
+            };
+        }
+    });
+}
+
+module.exports = OctokitGateway;
+module.exports.GitHubGateway = GitHubGateway;
+module.exports.OctokitGateway = OctokitGateway;
+module.exports.WRITE_METHODS = WRITE_METHODS;
+module.exports.guardWrites = guardWrites;
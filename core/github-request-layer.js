@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - GitHub Request Layer
+ * Wraps every Octokit request with rate-limit tracking and retries
+ *
+ * - Rate limit rejections (primary and secondary) are always retried: GitHub never ran the request
+ * - Server errors and network failures are retried only for idempotent requests,
+ *   because a failed POST may still have been applied
+ */
+
+const { EventEmitter } = require('events');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+class GitHubRequestLayer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxRetries=4] - retries after the first attempt
+     * @param {number} [options.baseDelay=1000] - first backoff step in milliseconds
+     * @param {number} [options.maxDelay=60000] - cap for a single backoff wait
+     * @param {number} [options.maxRateLimitWait=900000] - longest wait for a rate limit reset
+     */
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            maxRetries: options.maxRetries ?? 4,
+            baseDelay: options.baseDelay ?? 1000,
+            maxDelay: options.maxDelay ?? 60000,
+            maxRateLimitWait: options.maxRateLimitWait ?? 900000, // 15 minutes
+            sleep: options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms))),
+            random: options.random || Math.random
+        };
+
+        this.budgets = new Map(); // resource (core, search, graphql...) -> budget
+        this.stats = {
+            requests: 0,
+            retries: 0,
+            failures: 0,
+            rateLimited: 0
+        };
+    }
+
+    /**
+     * Route all requests of an Octokit instance through this layer
+     */
+    install(octokit) {
+        octokit.hook.wrap('request', (request, options) => this.execute(request, options));
+        return octokit;
+    }
+
+    async execute(request, options) {
+        const method = (options.method || 'GET').toUpperCase();
+        const route = `${method} ${options.url}`;
+
+        let waitedForReset = false;
+
+        for (let attempt = 0; ; attempt++) {
+            if (!waitedForReset) {
+                await this.waitForBudget(route);
+            }
+            this.stats.requests++;
+
+            try {
+                const response = await request(options);
+                this.recordHeaders(response.headers);
+                return response;
+            } catch (error) {
+                this.recordHeaders(error.response?.headers);
+
+                const decision = this.classify(error, method, options);
+                if (!decision.retry || attempt >= this.options.maxRetries) {
+                    this.stats.failures++;
+                    throw error;
+                }
+
+                const delay = decision.delay ?? this.backoff(attempt);
+                if (delay > this.options.maxRateLimitWait) {
+                    this.stats.failures++;
+                    throw error;
+                }
+
+                this.stats.retries++;
+                this.emit('retry', {
+                    route,
+                    status: error.status || error.code || 'network',
+                    reason: decision.reason,
+                    attempt: attempt + 1,
+                    delay
+                });
+
+                await this.options.sleep(delay);
+                waitedForReset = decision.reason === 'rate-limit';
+            }
+        }
+    }
+
+    /**
+     * Decide whether a failed request may be sent again, and after how long
+     */
+    classify(error, method, options = {}) {
+        const status = error.status;
+        const headers = error.response?.headers || {};
+        const message = String(error.message || '');
+
+        // Primary rate limit: budget exhausted, wait for the reset
+        if ((status === 403 || status === 429) && headers['x-ratelimit-remaining'] === '0') {
+            this.stats.rateLimited++;
+            return { retry: true, reason: 'rate-limit', delay: this.untilReset(headers['x-ratelimit-reset']) };
+        }
+
+        // Secondary rate limit / abuse detection
+        if ((status === 403 || status === 429) &&
+            (headers['retry-after'] !== undefined || /secondary rate limit|abuse/i.test(message))) {
+            this.stats.rateLimited++;
+            const retryAfter = parseInt(headers['retry-after']);
+            return {
+                retry: true,
+                reason: 'secondary-rate-limit',
+                delay: Number.isFinite(retryAfter) ? retryAfter * 1000 : 60000
+            };
+        }
+
+        const transient = RETRYABLE_STATUSES.includes(status) ||
+            (!status && NETWORK_ERROR_CODES.includes(error.code || error.cause?.code));
+
+        if (!transient) {
+            return { retry: false, reason: 'not-retryable' };
+        }
+
+        // The request may have been applied; only repeat it when doing so is harmless
+        if (!this.isRetrySafe(method, options)) {
+            return { retry: false, reason: 'unsafe-write' };
+        }
+
+        return { retry: true, reason: status ? `http-${status}` : 'network' };
+    }
+
+    /**
+     * Idempotent methods are safe; callers can mark other writes with `request: { retrySafe: true }`
+     */
+    isRetrySafe(method, options = {}) {
+        if (options.request && options.request.retrySafe !== undefined) {
+            return options.request.retrySafe === true;
+        }
+        return IDEMPOTENT_METHODS.includes(method);
+    }
+
+    backoff(attempt) {
+        // Exponential backoff with equal jitter
+        const ceiling = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** attempt);
+        return Math.round(ceiling / 2 + this.options.random() * ceiling / 2);
+    }
+
+    untilReset(reset) {
+        const resetAt = parseInt(reset) * 1000;
+        if (!Number.isFinite(resetAt)) {
+            return 60000;
+        }
+        return Math.max(0, resetAt - Date.now()) + 1000;
+    }
+
+    // =================================================================
+    // RATE LIMIT BUDGET
+    // =================================================================
+
+    recordHeaders(headers) {
+        if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+
+        const resource = headers['x-ratelimit-resource'] || 'core';
+        this.budgets.set(resource, {
+            limit: parseInt(headers['x-ratelimit-limit']),
+            remaining: parseInt(headers['x-ratelimit-remaining']),
+            used: parseInt(headers['x-ratelimit-used']) || 0,
+            reset: parseInt(headers['x-ratelimit-reset']) * 1000,
+            updatedAt: Date.now()
+        });
+    }
+
+    /**
+     * Hold requests while a known budget is exhausted, instead of burning attempts
+     */
+    async waitForBudget(route) {
+        const budget = this.budgets.get(route.includes('/search/') ? 'search' : 'core');
+        if (!budget || budget.remaining > 0) {
+            return;
+        }
+
+        const delay = budget.reset - Date.now() + 1000;
+        if (delay <= 0 || delay > this.options.maxRateLimitWait) {
+            return;
+        }
+
+        this.emit('rate-limited', { route, delay, reset: new Date(budget.reset).toISOString() });
+        await this.options.sleep(delay);
+    }
+
+    getBudget() {
+        const resources = {};
+        for (const [resource, budget] of this.budgets) {
+            resources[resource] = {
+                limit: budget.limit,
+                remaining: budget.remaining,
+                used: budget.used,
+                reset: new Date(budget.reset).toISOString()
+            };
+        }
+
+        return {
+            resources,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = GitHubRequestLayer;
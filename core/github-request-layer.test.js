@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GitHubRequestLayer from './github-request-layer';
+
+function httpError(status, { headers = {}, message = `HTTP ${status}` } = {}) {
+    return Object.assign(new Error(message), { status, response: { headers } });
+}
+
+// request() that fails with the given errors in turn, then succeeds
+function scripted(...failures) {
+    const request = async () => {
+        request.calls++;
+        const failure = failures.shift();
+        if (failure) throw failure;
+        return { status: 200, headers: {}, data: 'ok' };
+    };
+    request.calls = 0;
+    return request;
+}
+
+describe('GitHubRequestLayer', () => {
+    let sleeps;
+    let layer;
+
+    beforeEach(() => {
+        sleeps = [];
+        layer = new GitHubRequestLayer({
+            maxRetries: 3,
+            baseDelay: 1000,
+            maxDelay: 8000,
+            sleep: async ms => sleeps.push(ms),
+            random: () => 0.5
+        });
+    });
+
+    describe('retries', () => {
+        it('retries server errors on idempotent requests', async () => {
+            const request = scripted(httpError(502), httpError(503));
+
+            const response = await layer.execute(request, { method: 'GET', url: '/repos/{owner}/{repo}' });
+
+            expect(response.data).toBe('ok');
+            expect(request.calls).toBe(3);
+            expect(layer.getBudget()).toMatchObject({ requests: 3, retries: 2, failures: 0 });
+        });
+
+        it('retries network failures without a status', async () => {
+            const request = scripted(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+            await layer.execute(request, { method: 'GET', url: '/x' });
+
+            expect(request.calls).toBe(2);
+        });
+
+        it('does not repeat a failed write that may have been applied', async () => {
+            const request = scripted(httpError(502));
+
+            await expect(layer.execute(request, { method: 'POST', url: '/repos/{owner}/{repo}/issues/{issue_number}/comments' }))
+                .rejects.toMatchObject({ status: 502 });
+            expect(request.calls).toBe(1);
+            expect(sleeps).toEqual([]);
+        });
+
+        it('repeats writes marked retrySafe, and only those', async () => {
+            const safe = scripted(httpError(502));
+            await layer.execute(safe, { method: 'POST', url: '/repos/{owner}/{repo}/git/trees', request: { retrySafe: true } });
+            expect(safe.calls).toBe(2);
+
+            const unsafe = scripted(httpError(504));
+            await expect(layer.execute(unsafe, { method: 'PUT', url: '/x', request: { retrySafe: false } })).rejects.toMatchObject({ status: 504 });
+            expect(unsafe.calls).toBe(1);
+        });
+
+        it('never retries client errors', async () => {
+            const request = scripted(httpError(404), httpError(422));
+
+            await expect(layer.execute(request, { method: 'GET', url: '/x' })).rejects.toMatchObject({ status: 404 });
+            expect(request.calls).toBe(1);
+        });
+
+        it('gives up after maxRetries', async () => {
+            const request = scripted(httpError(500), httpError(500), httpError(500), httpError(500), httpError(500));
+
+            await expect(layer.execute(request, { method: 'GET', url: '/x' })).rejects.toMatchObject({ status: 500 });
+            expect(request.calls).toBe(4);
+            expect(layer.getBudget()).toMatchObject({ retries: 3, failures: 1 });
+        });
+
+        it('reports every retry', async () => {
+            const events = [];
+            layer.on('retry', event => events.push(event));
+
+            await layer.execute(scripted(httpError(503)), { method: 'GET', url: '/x' });
+
+            expect(events).toEqual([{ route: 'GET /x', status: 503, reason: 'http-503', attempt: 1, delay: 750 }]);
+        });
+    });
+
+    describe('backoff', () => {
+        it('doubles per attempt with equal jitter, capped at maxDelay', () => {
+            expect([0, 1, 2, 3, 4].map(attempt => layer.backoff(attempt))).toEqual([750, 1500, 3000, 6000, 6000]);
+        });
+
+        it('spreads each step over its upper half', () => {
+            const low = new GitHubRequestLayer({ baseDelay: 1000, random: () => 0 });
+            const high = new GitHubRequestLayer({ baseDelay: 1000, random: () => 0.999999 });
+
+            expect(low.backoff(2)).toBe(2000);
+            expect(high.backoff(2)).toBe(4000);
+        });
+
+        it('waits the backoff between attempts', async () => {
+            await layer.execute(scripted(httpError(500), httpError(500)), { method: 'GET', url: '/x' });
+
+            expect(sleeps).toEqual([750, 1500]);
+        });
+    });
+
+    describe('rate limits', () => {
+        it('retries any method once the primary limit resets', async () => {
+            const reset = Math.floor(Date.now() / 1000) + 30;
+            const request = scripted(httpError(403, { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) } }));
+
+            await layer.execute(request, { method: 'POST', url: '/x' });
+
+            expect(request.calls).toBe(2);
+            expect(sleeps).toHaveLength(1);
+            expect(sleeps[0]).toBeGreaterThan(29000);
+            expect(sleeps[0]).toBeLessThanOrEqual(31000);
+            expect(layer.getBudget().rateLimited).toBe(1);
+        });
+
+        it('waits retry-after on a secondary rate limit', async () => {
+            const request = scripted(httpError(429, { headers: { 'retry-after': '12' } }));
+
+            await layer.execute(request, { method: 'POST', url: '/x' });
+
+            expect(sleeps).toEqual([12000]);
+        });
+
+        it('recognises abuse detection 403s by their message', async () => {
+            const request = scripted(httpError(403, { message: 'You have triggered an abuse detection mechanism' }));
+
+            await layer.execute(request, { method: 'GET', url: '/x' });
+
+            expect(sleeps).toEqual([60000]);
+            expect(layer.classify(httpError(403, { message: 'Resource not accessible' }), 'GET')).toEqual({ retry: false, reason: 'not-retryable' });
+        });
+
+        it('gives up when the reset is further away than maxRateLimitWait', async () => {
+            const patient = new GitHubRequestLayer({ maxRateLimitWait: 5000, sleep: async ms => sleeps.push(ms) });
+            const request = scripted(httpError(429, { headers: { 'retry-after': '60' } }));
+
+            await expect(patient.execute(request, { method: 'GET', url: '/x' })).rejects.toMatchObject({ status: 429 });
+            expect(sleeps).toEqual([]);
+        });
+
+        it('tracks the budget from response headers and holds requests while it is empty', async () => {
+            const reset = Math.floor(Date.now() / 1000) + 10;
+            const exhausted = async () => ({
+                status: 200,
+                data: 'last',
+                headers: { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-used': '5000', 'x-ratelimit-reset': String(reset) }
+            });
+
+            await layer.execute(exhausted, { method: 'GET', url: '/x' });
+            expect(layer.getBudget().resources.core).toMatchObject({ limit: 5000, remaining: 0, used: 5000 });
+            expect(sleeps).toEqual([]);
+
+            await layer.execute(scripted(), { method: 'GET', url: '/y' });
+            expect(sleeps).toHaveLength(1);
+            expect(sleeps[0]).toBeGreaterThan(9000);
+        });
+    });
+});
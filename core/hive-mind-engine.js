@@ -10,17 +10,57 @@ const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const winston = require('winston');
+const { CancellationToken, CancelledError, TimeoutError } = require('./cancellation');
+const { getConfig } = require('./config');
+const { createProvider } = require('./llm-provider');
+const { createRandom, seedForIssue } = require('./random');
+const IssueClassifier = require('./issue-classifier');
+const PatternIndex = require('./pattern-index');
+const { MemoryStore } = require('./memory-manager');
+
+// Default share of maxResolutionTime each phase may use (overall deadline still applies)
+const PHASE_BUDGETS = {
+    analysis: 0.2,
+    spawning: 0.1,
+    coordination: 0.4,
+    synthesis: 0.2,
+    validation: 0.2,
+    learning: 0.1
+};
+
+// Learned state every engine loads from memoryPath; each check returns what is wrong with an entry, or null
+const PERSISTED_STORES = {
+    patterns: entry => (entry.signature && typeof entry.signature === 'object' ? null : 'missing signature'),
+    knowledge: entry => (typeof entry.type === 'string' ? null : 'missing type'),
+    solutions: entry => (typeof entry.approach === 'string' ? null : 'missing approach')
+};
+
+// Engine counters kept in metrics.json under METRICS_KEY and summed across engines
+const METRIC_COUNTERS = ['totalSessions', 'successfulResolutions', 'neuralPatterns', 'agentGenerations'];
+const METRICS_KEY = 'hive-mind-engine';
+
+const AGENT_TYPES = [
+    'analyzer', 'implementer', 'tester', 'reviewer', 'coordinator',
+    'optimizer', 'validator', 'documenter', 'security-specialist', 'performance-expert'
+];
 
 class HiveMindEngine extends EventEmitter {
     constructor(options = {}) {
         super();
         
+        const config = getConfig();
         this.options = {
-            maxAgents: options.maxAgents || 15,
-            maxResolutionTime: options.maxResolutionTime || 1800000, // 30 minutes
+            maxAgents: options.maxAgents || config.orchestrator.maxAgents,
+            maxResolutionTime: options.maxResolutionTime || config.orchestrator.maxResolutionTime,
+            similarityThreshold: options.similarityThreshold ?? config.patterns.similarityThreshold,
+            maxPatternMatches: options.maxPatternMatches ?? config.patterns.maxMatches,
+            seed: options.seed ?? config.orchestrator.seed,
+            phaseTimeouts: options.phaseTimeouts || {},
             intelligenceLevel: options.intelligenceLevel || 'advanced',
             neuralComplexity: options.neuralComplexity || 'high',
             learningEnabled: options.learningEnabled !== false,
+            useLearnedState: options.useLearnedState !== false,
+            dryRun: options.dryRun === true,
             ...options
         };
         
@@ -46,9 +86,17 @@ class HiveMindEngine extends EventEmitter {
         // Setup logger (needs memoryPath)
         this.logger = this.setupLogger();
         
+        // Every agent and solution answer comes from this provider (llm.provider)
+        this.llm = options.llmProvider || createProvider();
+        
         // Initialize neural pattern recognition
         this.initializeNeuralNetworks();
-        this.ensureMemoryDirectory();
+        if (!this.options.dryRun) {
+            this.ensureMemoryDirectory();
+        }
+        
+        // Learning from earlier engines (the orchestrator creates one per issue)
+        this.bootstrap = this.loadPersistedState();
         
         this.logger.info('🐝 Hive-Mind Engine v3.0 initialized - True AI Mode');
     }
@@ -56,15 +104,15 @@ class HiveMindEngine extends EventEmitter {
     initializeNeuralNetworks() {
         // Advanced pattern recognition systems
         this.neuralNetworks = {
-            problemClassifier: new ProblemClassificationNetwork(),
-            solutionGenerator: new SolutionGenerationNetwork(), 
+            problemClassifier: new ProblemClassificationNetwork(this.memoryPath, this.logger),
+            solutionGenerator: new SolutionGenerationNetwork(this.llm), 
             agentCoordinator: new AgentCoordinationNetwork(),
             qualityAssessor: new QualityAssessmentNetwork(),
             learningOptimizer: new LearningOptimizationNetwork()
         };
         
-        // Load existing patterns from memory
-        this.loadNeuralPatterns();
+        // Learned patterns, searchable by TF-IDF similarity (filled by loadPersistedState)
+        this.patternIndex = new PatternIndex();
     }
     
     setupLogger() {
@@ -97,7 +145,8 @@ class HiveMindEngine extends EventEmitter {
             'patterns.json', 
             'knowledge.json',
             'solutions.json',
-            'agents.json'
+            'agents.json',
+            'metrics.json'
         ];
         
         memoryFiles.forEach(file => {
@@ -115,12 +164,23 @@ class HiveMindEngine extends EventEmitter {
     async spawnHiveMind(issueData, sessionOptions = {}) {
         const sessionId = crypto.randomUUID();
         const startTime = Date.now();
+        const { cancellationToken, seed: seedOverride, ...options } = sessionOptions;
         
-        this.logger.info(`🚀 Spawning Hive-Mind session ${sessionId} for Issue #${issueData.number}`);
+        // Every random draw of the session comes from this seed, so an unchanged issue replays identically
+        const seed = seedOverride ?? this.options.seed ?? seedForIssue(issueData);
+        
+        // The seed alone does not pin the results: learned patterns and the classifier change them too
+        const memory = await this.memorySnapshot();
+        
+        this.logger.info(`🚀 Spawning Hive-Mind session ${sessionId} for Issue #${issueData.number} ` +
+            `(seed ${seed}, memory ${memory.version}${memory.learnedState ? '' : ', learned state ignored'})`);
         
         const session = {
             id: sessionId,
             issue: issueData,
+            seed,
+            memory,
+            random: createRandom(seed),
             startTime,
             status: 'initializing',
             intelligence: this.options.intelligenceLevel,
@@ -133,37 +193,54 @@ class HiveMindEngine extends EventEmitter {
                 solutionsGenerated: 0,
                 qualityScore: 0
             },
-            ...sessionOptions
+            phase: null,
+            completedPhases: [],
+            ...options
         };
         
+        // Overall deadline, also cancelled when the caller's token is; a caller token with
+        // its own deadline (the orchestrator's resolution deadline) sets it instead
+        session.cancellation = new CancellationToken({
+            parent: cancellationToken,
+            timeout: cancellationToken?.deadline ? undefined : this.options.maxResolutionTime,
+            phase: 'session'
+        });
+        
         this.state.sessions.set(sessionId, session);
         this.state.metrics.totalSessions++;
         
         try {
             // Phase 1: Deep Neural Analysis
             session.status = 'analyzing';
-            const analysis = await this.performDeepAnalysis(session);
+            const analysis = await this.runPhase(session, 'analysis',
+                token => this.performDeepAnalysis(session, token));
             
             // Phase 2: Agent Spawning Strategy
             session.status = 'spawning';
-            const agentStrategy = await this.generateAgentStrategy(session, analysis);
-            const agents = await this.spawnIntelligentAgents(session, agentStrategy);
+            const agents = await this.runPhase(session, 'spawning', async () => {
+                const agentStrategy = await this.generateAgentStrategy(session, analysis);
+                return this.spawnIntelligentAgents(session, agentStrategy);
+            });
             
             // Phase 3: Coordinated Problem Solving
             session.status = 'coordinating';
-            const coordination = await this.coordinateAgentSwarm(session, agents, analysis);
+            const coordination = await this.runPhase(session, 'coordination',
+                token => this.coordinateAgentSwarm(session, agents, analysis, token));
             
             // Phase 4: Solution Synthesis
             session.status = 'synthesizing';
-            const solutions = await this.synthesizeSolutions(session, coordination);
+            const solutions = await this.runPhase(session, 'synthesis',
+                token => this.synthesizeSolutions(session, coordination, token));
             
             // Phase 5: Quality Assessment
             session.status = 'validating';
-            const validation = await this.performQualityAssessment(session, solutions);
+            const validation = await this.runPhase(session, 'validation',
+                token => this.performQualityAssessment(session, solutions, token));
             
             // Phase 6: Learning Integration
             session.status = 'learning';
-            await this.integrateLearnedPatterns(session, validation);
+            await this.runPhase(session, 'learning',
+                () => this.integrateLearnedPatterns(session, validation));
             
             // Phase 7: Final Output Generation
             session.status = 'completed';
@@ -183,6 +260,8 @@ class HiveMindEngine extends EventEmitter {
             return {
                 success: true,
                 sessionId,
+                seed,
+                memory,
                 duration,
                 intelligence: 'advanced-ai',
                 agentsUsed: agents.length,
@@ -192,6 +271,10 @@ class HiveMindEngine extends EventEmitter {
             };
             
         } catch (error) {
+            if (error instanceof CancelledError) {
+                return this.handleSessionInterruption(session, error);
+            }
+            
             session.status = 'failed';
             session.error = {
                 message: error.message,
@@ -201,17 +284,59 @@ class HiveMindEngine extends EventEmitter {
             
             await this.handleSessionFailure(session, error);
             throw error;
+        } finally {
+            session.cancellation.dispose();
         }
     }
     
+    /**
+     * Run one phase under its own deadline (bounded by the session deadline)
+     */
+    async runPhase(session, phase, work) {
+        session.cancellation.throwIfCancelled();
+        session.phase = phase;
+        
+        const token = session.cancellation.child({ timeout: this.getPhaseTimeout(phase), phase });
+        
+        try {
+            const result = await token.race(work(token));
+            session.completedPhases.push(phase);
+            return result;
+        } finally {
+            token.dispose();
+        }
+    }
+    
+    getPhaseTimeout(phase) {
+        if (this.options.phaseTimeouts[phase] !== undefined) {
+            return this.options.phaseTimeouts[phase];
+        }
+        return Math.round(this.options.maxResolutionTime * (PHASE_BUDGETS[phase] || 1));
+    }
+    
+    /**
+     * Cancel a running session; it stops at the next checkpoint or deadline race
+     */
+    cancelSession(sessionId, reason = 'Session cancelled') {
+        const session = this.state.sessions.get(sessionId);
+        if (!session || !session.cancellation || session.cancellation.isCancelled) {
+            return false;
+        }
+        
+        session.cancellation.cancel(reason);
+        return true;
+    }
+    
     /**
      * Perform deep neural analysis of the issue
      * Uses advanced pattern recognition to understand the problem
      */
-    async performDeepAnalysis(session) {
+    async performDeepAnalysis(session, cancellation = CancellationToken.none) {
         this.logger.info(`🧠 Performing deep neural analysis for session ${session.id}`);
         
         const issue = session.issue;
+        const semantic = await this.analyzeSemantics(issue);
+        const domain = await this.classifyDomain(issue);
         
         // Multi-layered analysis
         const analysis = {
@@ -219,16 +344,16 @@ class HiveMindEngine extends EventEmitter {
             timestamp: Date.now(),
             
             // Semantic analysis
-            semantic: await this.analyzeSemantics(issue),
+            semantic,
             
             // Technical complexity assessment
             complexity: await this.assessComplexity(issue),
             
-            // Pattern matching against historical data
-            patterns: await this.matchPatterns(issue),
+            // Pattern matching against historical data (filled in once the issue is classified)
+            patterns: [],
             
             // Domain classification
-            domain: await this.classifyDomain(issue),
+            domain,
             
             // Priority and urgency assessment
             priority: await this.assessPriority(issue),
@@ -237,13 +362,24 @@ class HiveMindEngine extends EventEmitter {
             solutionSpace: await this.mapSolutionSpace(issue),
             
             // Risk assessment
-            risks: await this.assessRisks(issue)
+            risks: await this.assessRisks(issue),
+            
+            // Real repository files ranked by relevance (excerpts stay on the issue)
+            codebase: this.summarizeCodebase(issue.codebase),
+            
+            // Discussion, referenced issues and linked pull requests
+            related: this.summarizeRelated(issue)
         };
         
+        cancellation.throwIfCancelled();
+        
         // Neural network classification
-        const classification = await this.neuralNetworks.problemClassifier.classify(analysis);
+        const classification = await this.neuralNetworks.problemClassifier.classify(analysis, issue);
         analysis.neuralClassification = classification;
         
+        // Signatures carry the category too, so the query has to for it to count as shared
+        analysis.patterns = await this.matchPatterns({ keyTerms: semantic.keyTerms, domain, category: classification.category });
+        
         session.analysis = analysis;
         session.metrics.patternsRecognized = analysis.patterns.length;
         
@@ -252,6 +388,30 @@ class HiveMindEngine extends EventEmitter {
         return analysis;
     }
     
+    summarizeCodebase(codebase) {
+        if (!codebase) {
+            return null;
+        }
+        
+        return {
+            source: codebase.source,
+            ref: codebase.ref,
+            totalFiles: codebase.totalFiles,
+            candidates: codebase.candidates.map(({ path, score, reasons, line }) => ({ path, score, reasons, line }))
+        };
+    }
+    
+    summarizeRelated(issue) {
+        const comments = issue.comments || [];
+        
+        return {
+            comments: comments.length,
+            participants: new Set(comments.map(comment => comment.user?.login).filter(Boolean)).size,
+            references: (issue.references || []).map(({ number, type, title, state }) => ({ number, type, title, state })),
+            linkedPullRequests: issue.linked_pull_requests || []
+        };
+    }
+    
     async analyzeSemantics(issue) {
         // Advanced semantic analysis of issue text
         const text = `${issue.title} ${issue.body}`;
@@ -273,7 +433,7 @@ class HiveMindEngine extends EventEmitter {
             codeSnippets: this.extractCodeSnippets(issue.body).length,
             stackTraces: this.extractStackTraces(issue.body).length,
             labels: issue.labels?.length || 0,
-            references: this.extractReferences(issue.body).length
+            references: this.extractReferences(issue.body).length + (issue.linked_pull_requests?.length || 0)
         };
         
         const complexityScore = this.calculateComplexityScore(factors);
@@ -287,23 +447,32 @@ class HiveMindEngine extends EventEmitter {
         };
     }
     
-    async matchPatterns(issue) {
-        // Match against known patterns in memory
-        const patterns = [];
+    /**
+     * Learned patterns most similar to the issue (cosine similarity of TF-IDF term vectors)
+     * @param {Object} query - { keyTerms, domain, category } from the analysis
+     * @returns {Promise<Array>} best first, each with the shared terms that drove its similarity
+     */
+    async matchPatterns(query) {
+        const matches = this.patternIndex.search(query, {
+            limit: this.options.maxPatternMatches,
+            threshold: this.options.similarityThreshold
+        });
         
-        for (const [patternId, pattern] of this.state.patterns) {
-            const similarity = this.calculateSimilarity(issue, pattern.signature);
-            if (similarity > 0.7) {
-                patterns.push({
-                    id: patternId,
-                    similarity,
+        return matches
+            .map(({ id, score, sharedTerms }) => {
+                const pattern = this.state.patterns.get(id);
+                return {
+                    id,
+                    similarity: score,
+                    sharedTerms: sharedTerms.slice(0, 5).map(({ term, contribution }) => ({
+                        term,
+                        contribution: Math.round(contribution * 1000) / 1000
+                    })),
                     pattern,
-                    confidence: similarity * pattern.successRate
-                });
-            }
-        }
-        
-        return patterns.sort((a, b) => b.confidence - a.confidence);
+                    confidence: score * (pattern.successRate ?? 1)
+                };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
     }
     
     async classifyDomain(issue) {
@@ -336,6 +505,13 @@ class HiveMindEngine extends EventEmitter {
     }
     
     async assessPriority(issue) {
+        return HiveMindEngine.scorePriority(issue);
+    }
+    
+    /**
+     * Priority score in [0, 1]; static so callers can triage without spawning an engine
+     */
+    static scorePriority(issue) {
         // Assess priority based on various factors
         let priorityScore = 0.5; // Default medium priority
         
@@ -359,8 +535,10 @@ class HiveMindEngine extends EventEmitter {
         // Labels can indicate priority
         if (issue.labels) {
             const highPriorityLabels = ['high', 'critical', 'urgent', 'p1', 'priority-high'];
-            const hasHighPriority = issue.labels.some(label => 
-                highPriorityLabels.some(hp => label.name?.toLowerCase().includes(hp))
+            // Labels arrive as API objects or as plain strings from the CLI
+            const labelNames = issue.labels.map(label => typeof label === 'string' ? label : label.name);
+            const hasHighPriority = labelNames.some(name => 
+                highPriorityLabels.some(hp => name?.toLowerCase().includes(hp))
             );
             if (hasHighPriority) priorityScore += 0.3;
         }
@@ -430,7 +608,8 @@ class HiveMindEngine extends EventEmitter {
             maxAgents: this.options.maxAgents,
             complexity: analysis.complexity.level,
             domain: analysis.domain,
-            patterns: analysis.patterns
+            patterns: analysis.patterns,
+            requiredAgents: session.requiredAgents || []
         });
         
         return {
@@ -543,7 +722,7 @@ class HiveMindEngine extends EventEmitter {
         // Get relevant knowledge for agent specialization
         const relevantKnowledge = [];
         
-        for (const [knowledgeId, knowledge] of this.state.knowledge) {
+        for (const knowledge of this.state.knowledge.values()) {
             if (knowledge.domain === spec.focus || 
                 knowledge.category === spec.type ||
                 spec.capabilities.some(cap => knowledge.tags?.includes(cap))) {
@@ -558,7 +737,7 @@ class HiveMindEngine extends EventEmitter {
      * Coordinate agent swarm for collaborative problem solving
      * Implements advanced swarm intelligence algorithms
      */
-    async coordinateAgentSwarm(session, agents, analysis) {
+    async coordinateAgentSwarm(session, agents, analysis, cancellation = CancellationToken.none) {
         this.logger.info(`🔄 Coordinating ${agents.length}-agent swarm`);
         
         const coordination = {
@@ -570,7 +749,7 @@ class HiveMindEngine extends EventEmitter {
         
         // Phase 1: Individual Analysis
         const individualAnalyses = await Promise.all(
-            agents.map(agent => this.executeAgentAnalysis(agent, analysis))
+            agents.map(agent => this.executeAgentAnalysis(agent, analysis, session.issue))
         );
         
         coordination.phases.push({
@@ -578,15 +757,17 @@ class HiveMindEngine extends EventEmitter {
             results: individualAnalyses,
             timestamp: Date.now()
         });
+        cancellation.throwIfCancelled();
         
         // Phase 2: Collaborative Discussion
-        const collaboration = await this.facilitateAgentCollaboration(agents, individualAnalyses);
+        const collaboration = await this.facilitateAgentCollaboration(agents, individualAnalyses, cancellation, session.random);
         
         coordination.phases.push({
             name: 'collaboration',
             results: collaboration,
             timestamp: Date.now() 
         });
+        cancellation.throwIfCancelled();
         
         // Phase 3: Consensus Building
         const consensus = await this.buildAgentConsensus(agents, collaboration);
@@ -600,67 +781,39 @@ class HiveMindEngine extends EventEmitter {
         return coordination;
     }
     
-    async executeAgentAnalysis(agent, analysis) {
-        // Simulate advanced AI agent analysis
+    async executeAgentAnalysis(agent, analysis, issue = {}) {
+        const { findings, recommendations } = await this.llm.complete('agent-analysis', this.buildAgentInput(agent, analysis, issue));
+        
         return {
             agentId: agent.id,
-            findings: await this.generateAgentFindings(agent, analysis),
-            recommendations: await this.generateAgentRecommendations(agent, analysis),
+            findings,
+            recommendations,
             confidence: this.calculateAgentConfidence(agent, analysis),
             timestamp: Date.now()
         };
     }
     
-    async generateAgentFindings(agent, analysis) {
-        // Generate findings based on agent specialization
-        const findings = [];
-        
-        switch (agent.type) {
-            case 'analyzer':
-                findings.push(`Root cause identified in ${analysis.domain} domain`);
-                findings.push(`Complexity level: ${analysis.complexity.level}`);
-                break;
-            case 'implementer':
-                findings.push(`Implementation approach: ${analysis.solutionSpace[0] || 'general'}`);
-                findings.push(`Estimated effort: ${analysis.complexity.estimatedEffort} hours`);
-                break;
-            case 'tester':
-                findings.push(`Testing strategy required for ${analysis.domain}`);
-                findings.push(`Risk level: ${analysis.risks.length > 0 ? 'medium' : 'low'}`);
-                break;
-            default:
-                findings.push(`Analysis completed from ${agent.specialization} perspective`);
-        }
-        
-        return findings;
-    }
-    
-    async generateAgentRecommendations(agent, analysis) {
-        // Generate recommendations based on agent expertise
-        const recommendations = [];
-        
-        switch (agent.type) {
-            case 'analyzer':
-                recommendations.push('Conduct thorough impact analysis');
-                recommendations.push('Identify all stakeholders affected');
-                break;
-            case 'implementer':
-                recommendations.push('Follow test-driven development approach');
-                recommendations.push('Implement with backward compatibility');
-                break;
-            case 'tester':
-                recommendations.push('Create comprehensive test suite');
-                recommendations.push('Include edge case testing');
-                break;
-            case 'security-specialist':
-                recommendations.push('Perform security vulnerability scan');
-                recommendations.push('Implement secure coding practices');
-                break;
-            default:
-                recommendations.push('Ensure solution meets quality standards');
-        }
-        
-        return recommendations;
+    /**
+     * What one agent is told about the issue (plain JSON, so it can be rendered into a prompt and recorded)
+     */
+    buildAgentInput(agent, analysis, issue) {
+        return {
+            agent: { type: agent.type, specialization: agent.specialization },
+            issue: {
+                number: issue.number,
+                title: issue.title,
+                body: issue.body || '',
+                labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name))
+            },
+            analysis: {
+                domain: analysis.domain,
+                complexity: { level: analysis.complexity.level, estimatedEffort: analysis.complexity.estimatedEffort },
+                solutionSpace: analysis.solutionSpace,
+                risks: analysis.risks,
+                relevantFiles: (analysis.codebase?.candidates || []).map(({ path, reasons }) => ({ path, reasons })),
+                linkedPullRequests: analysis.related?.linkedPullRequests || []
+            }
+        };
     }
     
     calculateAgentConfidence(agent, analysis) {
@@ -678,13 +831,14 @@ class HiveMindEngine extends EventEmitter {
         return Math.min(confidence, 1.0);
     }
     
-    async facilitateAgentCollaboration(agents, analyses) {
+    async facilitateAgentCollaboration(agents, analyses, cancellation = CancellationToken.none, random = Math.random) {
         // Simulate intelligent agent collaboration
         const collaborationRounds = Math.min(3, Math.ceil(agents.length / 2));
         const discussions = [];
         
         for (let round = 0; round < collaborationRounds; round++) {
-            const discussion = await this.simulateAgentDiscussion(agents, analyses, round);
+            cancellation.throwIfCancelled();
+            const discussion = await this.simulateAgentDiscussion(agents, analyses, round, random);
             discussions.push(discussion);
         }
         
@@ -696,7 +850,7 @@ class HiveMindEngine extends EventEmitter {
         };
     }
     
-    async simulateAgentDiscussion(agents, analyses, round) {
+    async simulateAgentDiscussion(agents, analyses, round, random = Math.random) {
         // Simulate a round of agent discussion
         const participants = agents.slice(0, Math.min(4, agents.length));
         const topics = this.identifyDiscussionTopics(analyses);
@@ -707,8 +861,8 @@ class HiveMindEngine extends EventEmitter {
             topics,
             insights: topics.map(topic => ({
                 topic,
-                consensus: Math.random() > 0.3, // 70% chance of consensus
-                confidence: 0.6 + Math.random() * 0.4
+                consensus: random() > 0.3, // 70% chance of consensus
+                confidence: 0.6 + random() * 0.4
             })),
             timestamp: Date.now()
         };
@@ -790,16 +944,20 @@ class HiveMindEngine extends EventEmitter {
      * Synthesize solutions from agent coordination
      * Combines individual insights into comprehensive solutions
      */
-    async synthesizeSolutions(session, coordination) {
+    async synthesizeSolutions(session, coordination, cancellation = CancellationToken.none) {
         this.logger.info(`🔬 Synthesizing solutions for session ${session.id}`);
         
         const solutions = await this.neuralNetworks.solutionGenerator.generate({
+            issue: session.issue,
+            random: session.random,
             coordination,
             analysis: session.analysis,
             patterns: session.analysis.patterns,
             constraints: this.getSessionConstraints(session)
         });
         
+        cancellation.throwIfCancelled();
+        
         session.solutions = solutions;
         session.metrics.solutionsGenerated = solutions.length;
         
@@ -821,7 +979,7 @@ class HiveMindEngine extends EventEmitter {
      * Perform comprehensive quality assessment
      * Uses AI to evaluate solution quality and viability
      */
-    async performQualityAssessment(session, solutions) {
+    async performQualityAssessment(session, solutions, cancellation = CancellationToken.none) {
         this.logger.info(`🎯 Performing quality assessment for ${solutions.length} solutions`);
         
         const assessments = await Promise.all(
@@ -830,6 +988,8 @@ class HiveMindEngine extends EventEmitter {
             )
         );
         
+        cancellation.throwIfCancelled();
+        
         const validation = {
             sessionId: session.id,
             solutions: solutions.map((solution, index) => ({
@@ -842,6 +1002,7 @@ class HiveMindEngine extends EventEmitter {
         };
         
         session.metrics.qualityScore = validation.overallQuality;
+        session.validation = validation;
         
         return validation;
     }
@@ -883,6 +1044,7 @@ class HiveMindEngine extends EventEmitter {
         // Update pattern memory
         for (const pattern of learnings.patterns) {
             this.state.patterns.set(pattern.id, pattern);
+            this.patternIndex.add(pattern.id, pattern.signature);
         }
         
         // Update knowledge base
@@ -890,6 +1052,11 @@ class HiveMindEngine extends EventEmitter {
             this.state.knowledge.set(knowledge.id, knowledge);
         }
         
+        // Remember the assessed solutions
+        for (const solution of learnings.solutions) {
+            this.state.solutions.set(solution.id, solution);
+        }
+        
         this.state.metrics.neuralPatterns += learnings.patterns.length;
         
         // Persist learnings
@@ -919,6 +1086,7 @@ class HiveMindEngine extends EventEmitter {
                 approach: bestSolution.approach,
                 steps: bestSolution.steps,
                 files: bestSolution.files,
+                relatedFiles: bestSolution.relatedFiles || [],
                 code: bestSolution.code,
                 tests: bestSolution.tests,
                 documentation: bestSolution.documentation
@@ -936,6 +1104,12 @@ class HiveMindEngine extends EventEmitter {
             insights: {
                 agentsUsed: Array.from(session.agents.keys()),
                 patternsMatched: session.analysis.patterns.map(p => p.id),
+                similarPatterns: session.analysis.patterns.map(({ id, similarity, sharedTerms, pattern }) => ({
+                    id,
+                    similarity: Math.round(similarity * 100) / 100,
+                    approach: pattern.approach,
+                    sharedTerms: sharedTerms.map(shared => shared.term)
+                })),
                 learningsGenerated: validation.solutions.length,
                 neuralPathways: this.describeNeuralPathways(session)
             },
@@ -944,7 +1118,10 @@ class HiveMindEngine extends EventEmitter {
             alternatives: validation.solutions.filter(s => s !== bestSolution),
             
             // Recommendations
-            recommendations: this.generateImplementationRecommendations(bestSolution, session)
+            recommendations: this.generateImplementationRecommendations(bestSolution, session),
+            
+            // Referenced issues and linked pull requests
+            related: session.analysis.related
         };
     }
     
@@ -984,60 +1161,188 @@ class HiveMindEngine extends EventEmitter {
     // NEURAL NETWORK IMPLEMENTATIONS
     // =================================================================
     
-    loadNeuralPatterns() {
-        // Load existing patterns from persistent storage
-        try {
-            const patternsFile = path.join(this.memoryPath, 'patterns.json');
-            if (fs.existsSync(patternsFile)) {
-                const patterns = fs.readJsonSync(patternsFile);
-                for (const [id, pattern] of Object.entries(patterns)) {
-                    this.state.patterns.set(id, pattern);
+    /**
+     * Learned state a session starts from: entry counts per store, the trained classifier and a
+     * version hash over all of it. Two runs with the same seed and version give the same results;
+     * replay with orchestrator.useLearnedState off to leave the learned stores out.
+     */
+    async memorySnapshot() {
+        const hash = crypto.createHash('sha256');
+        const snapshot = { version: null, learnedState: this.options.useLearnedState };
+        
+        for (const name of Object.keys(PERSISTED_STORES)) {
+            const ids = Array.from(this.state[name].keys()).sort();
+            for (const id of ids) {
+                hash.update(`${name}\u0000${id}\u0000${JSON.stringify(this.state[name].get(id))}\n`);
+            }
+            snapshot[name] = ids.length;
+        }
+        
+        const model = await this.neuralNetworks.problemClassifier.loadModel();
+        snapshot.classifier = model ? model.trainedAt : null;
+        hash.update(`classifier\u0000${snapshot.classifier}`);
+        
+        snapshot.version = hash.digest('hex').slice(0, 12);
+        return snapshot;
+    }
+    
+    /**
+     * Load patterns, knowledge, solutions and metrics persisted by earlier engines.
+     * Entries that fail their check are skipped, not repaired; an unreadable file loads nothing.
+     * With useLearnedState off only the metrics are loaded (analysis from scratch).
+     * @returns {Object} what was loaded, per store (reported by getSystemStatus)
+     */
+    loadPersistedState() {
+        const report = { loadedAt: new Date().toISOString(), memoryPath: this.memoryPath, stores: {}, metrics: null };
+        
+        for (const [name, check] of Object.entries(PERSISTED_STORES)) {
+            const result = { loaded: 0, skipped: 0 };
+            
+            if (!this.options.useLearnedState) {
+                report.stores[name] = { ...result, ignored: true };
+                continue;
+            }
+            
+            try {
+                for (const [id, stored] of Object.entries(this.readMemoryFile(`${name}.json`))) {
+                    const isObject = stored && typeof stored === 'object' && !Array.isArray(stored);
+                    const { _metadata, ...entry } = isObject ? stored : {};
+                    const problem = isObject ? check(entry) : 'not an object';
+                    
+                    if (problem) {
+                        result.skipped++;
+                        this.logger.warn(`⚠️ Skipping ${name}[${id}]: ${problem}`);
+                        continue;
+                    }
+                    
+                    this.state[name].set(id, { ...entry, id: entry.id || id });
+                    result.loaded++;
                 }
-                this.logger.info(`📚 Loaded ${this.state.patterns.size} neural patterns`);
+            } catch (error) {
+                result.error = error.message;
+                this.logger.warn(`⚠️ Could not load ${name}.json: ${error.message}`);
+            }
+            
+            report.stores[name] = result;
+        }
+        
+        for (const [id, pattern] of this.state.patterns) {
+            this.patternIndex.add(id, pattern.signature);
+        }
+        
+        try {
+            const metrics = this.readMetrics();
+            if (metrics) {
+                Object.assign(this.state.metrics, metrics);
+                report.metrics = { loaded: true, sessions: metrics.totalSessions };
+            } else {
+                report.metrics = { loaded: false };
             }
         } catch (error) {
-            this.logger.warn('Failed to load neural patterns:', error.message);
+            report.metrics = { loaded: false, error: error.message };
+            this.logger.warn(`⚠️ Could not load metrics.json: ${error.message}`);
+        }
+        
+        // Counters since this baseline are what persistMetrics adds to the stored totals
+        this.metricsBaseline = { ...this.state.metrics };
+        
+        const { patterns, knowledge, solutions } = report.stores;
+        this.logger.info(`📚 Loaded ${patterns.loaded} patterns, ${knowledge.loaded} knowledge entries, ` +
+            `${solutions.loaded} solutions and metrics of ${this.state.metrics.totalSessions} earlier sessions` +
+            (this.options.useLearnedState ? '' : ' (learned state ignored for this run)'));
+        
+        return report;
+    }
+    
+    /**
+     * Entries of a memory file as an object (empty when the file does not exist yet)
+     */
+    readMemoryFile(fileName) {
+        const filePath = path.join(this.memoryPath, fileName);
+        if (!fs.existsSync(filePath)) {
+            return {};
         }
+        
+        const entries = fs.readJsonSync(filePath);
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new Error(`${fileName} does not hold an object of entries`);
+        }
+        return entries;
     }
     
-    calculateSimilarity(issue1, signature) {
-        // Sophisticated similarity calculation
-        let similarity = 0;
-        let factors = 0;
+    /**
+     * Stored engine metrics, or null when none are stored yet
+     */
+    readMetrics() {
+        const stored = this.readMemoryFile('metrics.json')[METRICS_KEY];
+        if (!stored) {
+            return null;
+        }
         
-        // Domain similarity
-        if (issue1.domain === signature.domain) {
-            similarity += 0.3;
-        } else if (issue1.domain && signature.domain) {
-            similarity += 0.1;
+        const metrics = {};
+        for (const name of [...METRIC_COUNTERS, 'averageResolutionTime']) {
+            const value = stored[name] ?? 0;
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`metric ${name} must be a non-negative number, got ${JSON.stringify(stored[name])}`);
+            }
+            metrics[name] = value;
         }
-        factors++;
-        
-        // Complexity similarity  
-        const complexityMap = { 'low': 1, 'medium': 2, 'high': 3, 'very-high': 4 };
-        const diff = Math.abs(complexityMap[issue1.complexity] - complexityMap[signature.complexity]);
-        similarity += Math.max(0, (1 - diff / 3)) * 0.2;
-        factors++;
-        
-        // Key terms overlap
-        if (issue1.keyTerms && signature.keyTerms) {
-            const overlap = issue1.keyTerms.filter(term => 
-                signature.keyTerms.includes(term)
-            ).length;
-            similarity += (overlap / Math.max(issue1.keyTerms.length, signature.keyTerms.length)) * 0.3;
+        return metrics;
+    }
+    
+    /**
+     * Add this engine's counters since its baseline to the stored totals, so engines
+     * running side by side do not overwrite each other's sessions
+     */
+    persistMetrics() {
+        let stored;
+        try {
+            stored = this.readMetrics() || this.metricsBaseline;
+        } catch (error) {
+            this.logger.warn(`⚠️ Replacing invalid metrics: ${error.message}`);
+            stored = this.metricsBaseline;
         }
-        factors++;
         
-        // Category match
-        if (issue1.category === signature.category) {
-            similarity += 0.2;
+        const current = this.state.metrics;
+        const baseline = this.metricsBaseline;
+        const merged = {};
+        for (const name of METRIC_COUNTERS) {
+            merged[name] = stored[name] + current[name] - baseline[name];
         }
-        factors++;
         
-        return similarity / factors;
+        const resolutionTime = metrics => metrics.averageResolutionTime * metrics.successfulResolutions;
+        merged.averageResolutionTime = merged.successfulResolutions > 0
+            ? (resolutionTime(stored) + resolutionTime(current) - resolutionTime(baseline)) / merged.successfulResolutions
+            : 0;
+        
+        this.writeMemoryStore('metrics.json', { [METRICS_KEY]: merged });
+        this.state.metrics = { ...merged };
+        this.metricsBaseline = { ...merged };
+    }
+    
+    /**
+     * Merge entries into a memory file, keeping what other engines stored since this one loaded
+     * (an unreadable file is kept aside as <file>.corrupt)
+     */
+    writeMemoryStore(fileName, entries) {
+        const filePath = path.join(this.memoryPath, fileName);
+        let stored = {};
+        try {
+            stored = this.readMemoryFile(fileName);
+        } catch (error) {
+            this.logger.warn(`⚠️ ${fileName} is unreadable (${error.message}); keeping it as ${fileName}.corrupt`);
+            fs.moveSync(filePath, `${filePath}.corrupt`, { overwrite: true });
+        }
+        
+        fs.writeJsonSync(filePath, { ...stored, ...entries }, { spaces: 2 });
     }
     
     async persistSession(session) {
+        // Dry runs leave memory as they found it (sessions, learnings and metrics)
+        if (this.options.dryRun) {
+            return;
+        }
+        
         try {
             const sessionsFile = path.join(this.memoryPath, 'sessions.json');
             const sessions = fs.existsSync(sessionsFile) ? fs.readJsonSync(sessionsFile) : {};
@@ -1046,28 +1351,40 @@ class HiveMindEngine extends EventEmitter {
             const serializedSession = {
                 ...session,
                 agents: Object.fromEntries(session.agents),
+                cancellation: undefined,
+                random: undefined,
+                // File excerpts are for this run only; analysis.codebase keeps the ranking
+                issue: session.issue && { ...session.issue, codebase: undefined },
                 timestamp: Date.now()
             };
             
             sessions[session.id] = serializedSession;
             fs.writeJsonSync(sessionsFile, sessions, { spaces: 2 });
             
+            this.persistMetrics();
+            
         } catch (error) {
             this.logger.error('Failed to persist session:', error.message);
         }
     }
     
     async persistLearnings(learnings) {
+        if (this.options.dryRun) {
+            this.logger.info('🧪 Dry run: learnings are not persisted');
+            return;
+        }
+        
+        // The stores are written whole, so a run that never loaded them would wipe them
+        if (!this.options.useLearnedState) {
+            this.logger.info('🧪 Learned state ignored for this run: learnings are not persisted');
+            return;
+        }
+        
         try {
-            // Update patterns file
-            const patternsFile = path.join(this.memoryPath, 'patterns.json');
-            const patterns = Object.fromEntries(this.state.patterns);
-            fs.writeJsonSync(patternsFile, patterns, { spaces: 2 });
-            
-            // Update knowledge file
-            const knowledgeFile = path.join(this.memoryPath, 'knowledge.json');
-            const knowledge = Object.fromEntries(this.state.knowledge);
-            fs.writeJsonSync(knowledgeFile, knowledge, { spaces: 2 });
+            // Update patterns, knowledge and solutions files
+            for (const name of Object.keys(PERSISTED_STORES)) {
+                this.writeMemoryStore(`${name}.json`, Object.fromEntries(this.state[name]));
+            }
             
         } catch (error) {
             this.logger.error('Failed to persist learnings:', error.message);
@@ -1079,20 +1396,8 @@ class HiveMindEngine extends EventEmitter {
     // =================================================================
     
     extractKeyTerms(text) {
-        // Advanced key term extraction
-        const terms = text.toLowerCase()
-            .replace(/[^a-z0-9\s]/g, ' ')
-            .split(/\s+/)
-            .filter(term => term.length > 2)
-            .reduce((acc, term) => {
-                acc[term] = (acc[term] || 0) + 1;
-                return acc;
-            }, {});
-            
-        return Object.entries(terms)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([term, count]) => ({ term, count }));
+        // Same features the issue classifier is trained on
+        return IssueClassifier.extractKeyTerms(text);
     }
     
     analyzeSentiment(text) {
@@ -1237,6 +1542,64 @@ class HiveMindEngine extends EventEmitter {
         this.emit('sessionFailed', { session, error });
     }
     
+    /**
+     * Close out a timed-out or cancelled session with whatever it produced so far
+     */
+    async handleSessionInterruption(session, error) {
+        const status = error instanceof TimeoutError ? 'timed-out' : 'cancelled';
+        const duration = Date.now() - session.startTime;
+        
+        session.status = status;
+        session.duration = duration;
+        session.interruption = {
+            reason: error.message,
+            phase: session.phase,
+            completedPhases: [...session.completedPhases],
+            timestamp: Date.now()
+        };
+        
+        this.logger.warn(`⏹️ Session ${session.id} ${status} during ${session.phase || 'startup'}: ${error.message}`);
+        await this.persistSession(session);
+        
+        this.emit('sessionInterrupted', { session, error, status });
+        
+        return {
+            success: false,
+            status,
+            sessionId: session.id,
+            seed: session.seed,
+            memory: session.memory,
+            duration,
+            reason: error.message,
+            interruptedPhase: session.phase,
+            completedPhases: [...session.completedPhases],
+            agentsUsed: session.agents.size,
+            patternsRecognized: session.metrics.patternsRecognized,
+            qualityScore: session.metrics.qualityScore,
+            partial: this.collectPartialResult(session)
+        };
+    }
+    
+    collectPartialResult(session) {
+        const analysis = session.analysis;
+        
+        return {
+            analysis: analysis ? {
+                classification: analysis.neuralClassification,
+                complexity: analysis.complexity?.level,
+                domain: analysis.domain,
+                priority: analysis.priority
+            } : null,
+            solutions: session.solutions.map(solution => ({
+                id: solution.id,
+                approach: solution.approach,
+                description: solution.description,
+                confidence: solution.confidence
+            })),
+            qualityScore: session.validation ? session.validation.overallQuality : null
+        };
+    }
+    
     // Status and monitoring methods
     getSystemStatus() {
         return {
@@ -1248,7 +1611,7 @@ class HiveMindEngine extends EventEmitter {
             sessions: {
                 total: this.state.metrics.totalSessions,
                 active: Array.from(this.state.sessions.values())
-                    .filter(s => s.status !== 'completed' && s.status !== 'failed').length,
+                    .filter(s => !['completed', 'failed', 'timed-out', 'cancelled'].includes(s.status)).length,
                 successful: this.state.metrics.successfulResolutions
             },
             
@@ -1264,7 +1627,10 @@ class HiveMindEngine extends EventEmitter {
                 knowledge: this.state.knowledge.size,
                 solutions: this.state.solutions.size,
                 averageResolutionTime: Math.round(this.state.metrics.averageResolutionTime / 1000)
-            }
+            },
+            
+            // What this engine loaded from memoryPath when it started
+            persistence: this.bootstrap
         };
     }
 }
@@ -1274,42 +1640,113 @@ class HiveMindEngine extends EventEmitter {
 // =================================================================
 
 class ProblemClassificationNetwork {
-    async classify(analysis) {
-        // Advanced problem classification using neural patterns
-        const categories = ['bug', 'feature', 'enhancement', 'documentation', 'performance', 'security'];
+    /**
+     * Uses the issue classifier trained with `claude-flow classifier train` (models store in memoryPath);
+     * until one exists, a category label on the issue decides, and without one the keyword features below
+     */
+    constructor(memoryPath, logger) {
+        this.memoryPath = memoryPath;
+        this.logger = logger;
+        this.model = undefined;
+    }
+    
+    async classify(analysis, issue = {}) {
+        const keyTerms = analysis.semantic?.keyTerms || [];
         const features = this.extractFeatures(analysis);
+        const model = await this.loadModel();
         
-        // Simulate neural network classification
-        const scores = categories.map(category => ({
-            category,
-            score: Math.random() * 0.4 + 0.6, // Simulate high confidence
-            features: features[category] || []
-        }));
+        // Someone already said what it is; keyword counts are only a guess
+        const labelled = model ? null : IssueClassifier.categoryFromLabels(issue.labels || []);
+        if (labelled) {
+            return {
+                category: labelled,
+                confidence: 100,
+                alternatives: [],
+                features: features[labelled],
+                evidence: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name))
+                    .filter(name => IssueClassifier.categoryFromLabels([name]) === labelled)
+                    .map(name => `label:${name}`),
+                method: 'label'
+            };
+        }
+        
+        let probabilities;
+        let method;
+        if (model) {
+            ({ probabilities } = model.predict(keyTerms));
+            method = 'naive-bayes';
+        } else {
+            // Keyword hits per category, add-one smoothed so an issue without hits stays undecided
+            const total = IssueClassifier.CATEGORIES.reduce((sum, category) =>
+                sum + features[category].reduce((hits, term) => hits + term.count, 0), 0);
+            probabilities = Object.fromEntries(IssueClassifier.CATEGORIES.map(category => [
+                category,
+                (features[category].reduce((hits, term) => hits + term.count, 0) + 1) / (total + IssueClassifier.CATEGORIES.length)
+            ]));
+            method = 'keywords';
+        }
         
-        const best = scores.reduce((a, b) => a.score > b.score ? a : b);
+        // Ties go to the earlier category, so the result never depends on chance
+        const scores = Object.entries(probabilities)
+            .map(([category, score]) => ({ category, score, features: features[category] || [] }))
+            .sort((a, b) => b.score - a.score ||
+                IssueClassifier.CATEGORIES.indexOf(a.category) - IssueClassifier.CATEGORIES.indexOf(b.category));
+        const best = scores[0];
         
         return {
             category: best.category,
             confidence: Math.round(best.score * 100),
-            alternatives: scores.filter(s => s !== best).sort((a, b) => b.score - a.score),
-            features: best.features
+            alternatives: scores.slice(1),
+            features: best.features,
+            evidence: model ? model.evidence(keyTerms, best.category) : best.features.map(term => term.term),
+            method
         };
     }
     
+    async loadModel() {
+        if (this.model !== undefined) {
+            return this.model;
+        }
+        
+        this.model = null;
+        if (!fs.existsSync(path.join(this.memoryPath, 'models.json'))) {
+            return null;
+        }
+        
+        try {
+            const data = await new MemoryStore('models', this.memoryPath, this.logger).load(IssueClassifier.MODEL_KEY);
+            if (data && IssueClassifier.import(data).isTrained()) {
+                this.model = IssueClassifier.import(data);
+                this.logger.info(`🧮 Issue classifier loaded (${this.model.examples} examples, ${this.model.categories.join(', ')})`);
+            }
+        } catch (error) {
+            this.logger.warn(`⚠️ Ignoring stored issue classifier: ${error.message}`);
+        }
+        
+        return this.model;
+    }
+    
     extractFeatures(analysis) {
-        // Extract neural features for classification
+        // Keyword features per category (also the fallback classifier)
+        const keyTerms = analysis.semantic?.keyTerms || [];
+        const matching = words => keyTerms.filter(t => words.includes(t.term));
+        
         return {
-            bug: analysis.semantic?.keyTerms?.filter(t => 
-                ['error', 'bug', 'issue', 'problem', 'fail'].includes(t.term)) || [],
-            feature: analysis.semantic?.keyTerms?.filter(t => 
-                ['add', 'new', 'implement', 'feature'].includes(t.term)) || [],
-            enhancement: analysis.semantic?.keyTerms?.filter(t => 
-                ['improve', 'optimize', 'enhance', 'better'].includes(t.term)) || []
+            bug: matching(['error', 'bug', 'issue', 'problem', 'fail', 'fails', 'crash', 'broken', 'wrong']),
+            feature: matching(['add', 'new', 'implement', 'feature', 'support', 'allow']),
+            enhancement: matching(['improve', 'optimize', 'enhance', 'better', 'refactor', 'cleanup']),
+            documentation: matching(['docs', 'documentation', 'readme', 'typo', 'example', 'guide']),
+            performance: matching(['slow', 'performance', 'memory', 'latency', 'speed', 'timeout']),
+            security: matching(['security', 'vulnerability', 'xss', 'injection', 'token', 'auth', 'cve'])
         };
     }
 }
 
 class SolutionGenerationNetwork {
+    constructor(llm) {
+        this.llm = llm;
+    }
+    
     async generate(context) {
         // Advanced solution generation using AI patterns
         const solutions = [];
@@ -1325,19 +1762,17 @@ class SolutionGenerationNetwork {
     }
     
     async generateSingleSolution(context, index) {
+        const random = context.random || Math.random;
+        const relatedFiles = context.analysis?.codebase?.candidates || [];
+        const answer = await this.llm.complete('solution', this.buildSolutionInput(context, index, relatedFiles));
+        
         return {
             id: crypto.randomUUID(),
-            approach: `AI-Generated Approach ${index + 1}`,
-            description: `Advanced solution using neural pattern recognition`,
-            confidence: 0.8 + Math.random() * 0.2,
+            approach: answer.approach,
+            description: answer.description,
+            confidence: 0.8 + random() * 0.2,
             
-            steps: [
-                'Analyze problem context using AI',
-                'Apply neural pattern matching',
-                'Generate solution framework',
-                'Implement with quality assurance',
-                'Validate using AI testing'
-            ],
+            steps: answer.steps,
             
             files: [
                 `solution-${index + 1}.js`,
@@ -1345,86 +1780,44 @@ class SolutionGenerationNetwork {
                 `docs/solution-${index + 1}.md`
             ],
             
-            code: this.generateCode(context, index),
-            tests: this.generateTests(context, index),
-            documentation: this.generateDocumentation(context, index),
+            // Existing files the change most likely touches
+            relatedFiles,
+            
+            code: answer.code,
+            tests: answer.tests,
+            documentation: answer.documentation,
             
-            estimatedTime: Math.round(30 + Math.random() * 120), // minutes
+            estimatedTime: Math.round(30 + random() * 120), // minutes
             complexity: context.analysis?.complexity?.level || 'medium'
         };
     }
     
-    generateCode(context, index) {
-        return `// AI-Generated Solution ${index + 1}
-// Generated by Hive-Mind Neural Network
-
-class Solution${index + 1} {
-    constructor() {
-        this.approach = 'neural-pattern-based';
-        this.confidence = ${0.8 + Math.random() * 0.2};
-    }
-    
-    async resolve() {
-        // Advanced AI implementation
+    buildSolutionInput(context, index, relatedFiles) {
+        const individual = context.coordination?.phases?.find(phase => phase.name === 'individual-analysis');
+        const findings = new Set((individual?.results || []).flatMap(result => result.findings));
+        
         return {
-            success: true,
-            method: 'hive-mind-coordination',
-            timestamp: Date.now()
+            index,
+            issue: { number: context.issue?.number ?? null, title: context.issue?.title || '' },
+            domain: context.analysis?.domain || 'general',
+            complexity: context.analysis?.complexity?.level || 'medium',
+            relatedFiles: relatedFiles.map(({ path, reasons }) => ({ path, reasons })),
+            findings: Array.from(findings)
         };
     }
 }
 
-module.exports = Solution${index + 1};`;
-    }
-    
-    generateTests(context, index) {
-        return `// AI-Generated Tests for Solution ${index + 1}
-const Solution${index + 1} = require('./solution-${index + 1}');
-
-describe('Solution${index + 1}', () => {
-    it('should resolve successfully', async () => {
-        const solution = new Solution${index + 1}();
-        const result = await solution.resolve();
-        expect(result.success).toBe(true);
-    });
-});`;
-    }
-    
-    generateDocumentation(context, index) {
-        return `# AI-Generated Solution ${index + 1}
-
-## Overview
-This solution was generated using advanced Hive-Mind neural networks.
-
-## Approach
-Neural pattern-based resolution with swarm intelligence coordination.
-
-## Implementation
-- Advanced AI algorithms
-- Pattern recognition
-- Quality assurance
-
-## Usage
-\`\`\`javascript
-const solution = new Solution${index + 1}();
-const result = await solution.resolve();
-\`\`\``;
-    }
-}
-
 class AgentCoordinationNetwork {
     async generateStrategy(context) {
         const complexity = context.complexity;
         const maxAgents = context.maxAgents;
         
-        // Generate intelligent agent strategy
-        const agentTypes = [
-            'analyzer', 'implementer', 'tester', 'reviewer', 'coordinator',
-            'optimizer', 'validator', 'documenter', 'security-specialist', 'performance-expert'
-        ];
+        // Generate intelligent agent strategy; explicitly requested agents come first
+        const required = (context.requiredAgents || []).filter(type => AGENT_TYPES.includes(type));
+        const agentTypes = [...required, ...AGENT_TYPES.filter(type => !required.includes(type))];
         
         const recommendedCount = Math.min(
-            Math.max(2, Math.ceil(this.complexityToAgentCount(complexity))),
+            Math.max(2, required.length, Math.ceil(this.complexityToAgentCount(complexity))),
             maxAgents
         );
         
@@ -1495,13 +1888,15 @@ class AgentCoordinationNetwork {
 
 class QualityAssessmentNetwork {
     async assess(solution, session) {
+        const random = session.random || Math.random;
+        
         // Comprehensive quality assessment using AI
         const metrics = {
             completeness: this.assessCompleteness(solution),
-            correctness: this.assessCorrectness(solution),
-            maintainability: this.assessMaintainability(solution),
-            performance: this.assessPerformance(solution),
-            security: this.assessSecurity(solution),
+            correctness: this.assessCorrectness(solution, random),
+            maintainability: this.assessMaintainability(solution, random),
+            performance: this.assessPerformance(solution, random),
+            security: this.assessSecurity(solution, random),
             testability: this.assessTestability(solution),
             documentation: this.assessDocumentation(solution)
         };
@@ -1510,7 +1905,7 @@ class QualityAssessmentNetwork {
         
         return {
             score: overallScore,
-            confidence: 0.85 + Math.random() * 0.15,
+            confidence: 0.85 + random() * 0.15,
             metrics,
             recommendations: this.generateRecommendations(metrics),
             timestamp: Date.now(),
@@ -1528,24 +1923,24 @@ class QualityAssessmentNetwork {
         return Math.min(score, 1.0);
     }
     
-    assessCorrectness(solution) {
+    assessCorrectness(solution, random = Math.random) {
         // Assess solution correctness (simulated)
-        return 0.8 + Math.random() * 0.2;
+        return 0.8 + random() * 0.2;
     }
     
-    assessMaintainability(solution) {
+    assessMaintainability(solution, random = Math.random) {
         // Assess code maintainability
-        return 0.75 + Math.random() * 0.25;
+        return 0.75 + random() * 0.25;
     }
     
-    assessPerformance(solution) {
+    assessPerformance(solution, random = Math.random) {
         // Assess performance characteristics
-        return 0.8 + Math.random() * 0.2;
+        return 0.8 + random() * 0.2;
     }
     
-    assessSecurity(solution) {
+    assessSecurity(solution, random = Math.random) {
         // Assess security aspects
-        return 0.85 + Math.random() * 0.15;
+        return 0.85 + random() * 0.15;
     }
     
     assessTestability(solution) {
@@ -1606,7 +2001,20 @@ class LearningOptimizationNetwork {
             });
         }
         
-        return { patterns, knowledge };
+        // Summaries of the assessed solutions (code and tests stay in the session)
+        const solutions = context.validation.solutions.map(solution => ({
+            id: solution.id,
+            sessionId: context.session.id,
+            issueNumber: context.session.issue?.number,
+            approach: solution.approach,
+            description: solution.description,
+            score: solution.assessment.score,
+            domain: context.session.analysis.domain,
+            category: context.session.analysis.neuralClassification?.category,
+            timestamp: Date.now()
+        }));
+        
+        return { patterns, knowledge, solutions };
     }
     
     createSignature(analysis) {
@@ -1615,9 +2023,12 @@ class LearningOptimizationNetwork {
             domain: analysis.domain,
             complexity: analysis.complexity.level,
             keyTerms: analysis.semantic.keyTerms.slice(0, 5).map(t => t.term),
+            // Every key term with its count, for the pattern index's TF-IDF vectors
+            terms: Object.fromEntries(analysis.semantic.keyTerms.map(t => [t.term, t.count])),
             category: analysis.neuralClassification?.category
         };
     }
 }
 
-module.exports = HiveMindEngine;
\ No newline at end of file
+module.exports = HiveMindEngine;
+module.exports.AGENT_TYPES = AGENT_TYPES;
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import winston from 'winston';
+import HiveMindEngine from './hive-mind-engine';
+
+describe('HiveMindEngine.loadPersistedState', () => {
+    let cwd;
+    let memoryPath;
+    let logged;
+
+    const store = (fileName, data) => fs.outputJsonSync(path.join(memoryPath, fileName), data);
+    const engine = (options = {}) => new HiveMindEngine({ dryRun: true, ...options });
+    const warnings = () => logged.filter(message => message.startsWith('⚠️'));
+
+    const PATTERN = { signature: { domain: 'backend', category: 'bug', terms: { crash: 2, upload: 1 } }, successRate: 1 };
+
+    beforeEach(() => {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-memory-'));
+        memoryPath = path.join(cwd, 'hive-mind-memory');
+        logged = [];
+        vi.spyOn(process, 'cwd').mockReturnValue(cwd);
+        vi.spyOn(winston.transports.Console.prototype, 'log').mockImplementation((info, callback) => {
+            logged.push(info.message);
+            callback();
+        });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.removeSync(cwd);
+    });
+
+    it('starts empty without a memory directory', () => {
+        const { bootstrap } = engine();
+
+        expect(bootstrap.memoryPath).toBe(memoryPath);
+        expect(bootstrap.stores).toEqual({
+            patterns: { loaded: 0, skipped: 0 },
+            knowledge: { loaded: 0, skipped: 0 },
+            solutions: { loaded: 0, skipped: 0 }
+        });
+        expect(bootstrap.metrics).toEqual({ loaded: false });
+    });
+
+    it('loads valid entries, drops their metadata and indexes the patterns', async () => {
+        store('patterns.json', { 'pattern-1': { ...PATTERN, _metadata: { accessCount: 3 } } });
+        store('knowledge.json', { k1: { type: 'insight', content: 'Uploads crash on empty files' } });
+        store('solutions.json', { s1: { id: 'solution-1', approach: 'Guard empty uploads' } });
+
+        const hive = engine();
+
+        expect(hive.bootstrap.stores.patterns).toEqual({ loaded: 1, skipped: 0 });
+        expect(hive.state.patterns.get('pattern-1')).toEqual({ ...PATTERN, id: 'pattern-1' });
+        expect(hive.state.knowledge.get('k1').id).toBe('k1');
+        expect(hive.state.solutions.get('s1').id).toBe('solution-1');
+        expect((await hive.matchPatterns({ keyTerms: [{ term: 'crash', count: 1 }], domain: 'backend', category: 'bug' }))[0].id).toBe('pattern-1');
+    });
+
+    it('skips entries that are not objects or miss what their store needs', () => {
+        store('patterns.json', {
+            good: PATTERN,
+            'no-signature': { successRate: 1 },
+            'string-signature': { signature: 'crash upload' },
+            list: [PATTERN],
+            text: 'pattern',
+            empty: null
+        });
+        store('knowledge.json', { k1: { content: 'untyped' }, k2: { type: 'insight' } });
+        store('solutions.json', { s1: { approach: 42 } });
+
+        const hive = engine();
+
+        expect(hive.bootstrap.stores).toEqual({
+            patterns: { loaded: 1, skipped: 5 },
+            knowledge: { loaded: 1, skipped: 1 },
+            solutions: { loaded: 0, skipped: 1 }
+        });
+        expect(Array.from(hive.state.patterns.keys())).toEqual(['good']);
+        expect(hive.patternIndex.size).toBe(1);
+        expect(warnings()).toEqual(expect.arrayContaining([
+            '⚠️ Skipping patterns[no-signature]: missing signature',
+            '⚠️ Skipping patterns[list]: not an object',
+            '⚠️ Skipping knowledge[k1]: missing type',
+            '⚠️ Skipping solutions[s1]: missing approach'
+        ]));
+    });
+
+    it('reports a store file that is not an object of entries, or not JSON, and loads the others', () => {
+        store('patterns.json', [PATTERN]);
+        fs.outputFileSync(path.join(memoryPath, 'knowledge.json'), '{ "k1": ');
+        store('solutions.json', { s1: { approach: 'Guard empty uploads' } });
+
+        const hive = engine();
+
+        expect(hive.bootstrap.stores.patterns).toEqual({ loaded: 0, skipped: 0, error: 'patterns.json does not hold an object of entries' });
+        expect(hive.bootstrap.stores.knowledge.error).toMatch(/knowledge\.json/);
+        expect(hive.bootstrap.stores.solutions).toEqual({ loaded: 1, skipped: 0 });
+        expect(warnings()).toContain('⚠️ Could not load patterns.json: patterns.json does not hold an object of entries');
+    });
+
+    it('loads stored metrics and rejects bad counters', () => {
+        store('metrics.json', { 'hive-mind-engine': { totalSessions: 4, successfulResolutions: 3, averageResolutionTime: 1200 } });
+        expect(engine().bootstrap.metrics).toEqual({ loaded: true, sessions: 4 });
+
+        store('metrics.json', { 'hive-mind-engine': { totalSessions: -1 } });
+        const hive = engine();
+
+        expect(hive.bootstrap.metrics).toEqual({ loaded: false, error: 'metric totalSessions must be a non-negative number, got -1' });
+        expect(hive.state.metrics.totalSessions).toBe(0);
+    });
+
+    it('ignores the learned stores when useLearnedState is off', () => {
+        store('patterns.json', { good: PATTERN });
+
+        const hive = engine({ useLearnedState: false });
+
+        expect(hive.bootstrap.stores.patterns).toEqual({ loaded: 0, skipped: 0, ignored: true });
+        expect(hive.state.patterns.size).toBe(0);
+        expect(hive.patternIndex.size).toBe(0);
+    });
+});
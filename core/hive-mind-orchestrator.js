@@ -6,7 +6,18 @@
  */
 
 const HiveMindEngine = require('./hive-mind-engine');
-const { Octokit } = require('@octokit/rest');
+const OctokitGateway = require('./github-gateway');
+const { guardWrites } = OctokitGateway;
+const LocalGitHubGateway = require('./local-github-gateway');
+const DryRunGateway = require('./dry-run-gateway');
+const SessionQueue = require('./session-queue');
+const { CancellationToken, CancelledError, TimeoutError } = require('./cancellation');
+const { resolveBaseBranch } = require('./base-branch');
+const ArtifactPublisher = require('./artifact-publisher');
+const LivingComment = require('./living-comment');
+const { getConfig } = require('./config');
+const RepositoryContext = require('./repository-context');
+const IssueContext = require('./issue-context');
 const winston = require('winston');
 const crypto = require('crypto');
 const fs = require('fs-extra');
@@ -14,25 +25,38 @@ const path = require('path');
 
 class HiveMindOrchestrator {
     constructor(options = {}) {
+        // Tunables come from the layered configuration (core/config.js) unless passed explicitly
+        this.config = options.config || getConfig();
+        const defaults = this.config.orchestrator;
+        
+        // Options the entry points leave unset (undefined) fall back to the defaults below
         this.options = {
-            maxConcurrentSessions: options.maxConcurrentSessions || 3,
+            ...options,
+            maxConcurrentSessions: options.maxConcurrentSessions || defaults.maxConcurrentSessions,
             githubToken: options.githubToken || process.env.GITHUB_TOKEN,
             repository: options.repository || process.env.REPOSITORY,
-            autoCreatePR: options.autoCreatePR !== false,
-            learningEnabled: options.learningEnabled !== false,
-            ...options
+            githubBackend: options.githubBackend || process.env.GITHUB_BACKEND || 'octokit',
+            fixturePath: options.fixturePath || process.env.GITHUB_FIXTURE_PATH,
+            baseBranch: options.baseBranch || defaults.baseBranch,
+            commentMode: options.commentMode || defaults.commentMode,
+            autoCreatePR: options.autoCreatePR ?? defaults.autoCreatePR,
+            learningEnabled: options.learningEnabled ?? defaults.learningEnabled,
+            useLearnedState: options.useLearnedState ?? defaults.useLearnedState,
+            dryRun: options.dryRun ?? defaults.dryRun,
+            maxResolutionTime: options.maxResolutionTime || defaults.maxResolutionTime,
+            maxAgents: options.maxAgents || defaults.maxAgents,
+            phaseTimeouts: options.phaseTimeouts || {}
         };
         
         // Validate required configuration
         this.validateConfiguration();
         
-        // Initialize GitHub API
-        this.octokit = new Octokit({ auth: this.options.githubToken });
+        // Initialize GitHub gateway (live API, local fixture, or injected)
+        this.github = this.options.github || this.createGitHubGateway();
         
-        // Parse repository information
-        const [owner, repo] = this.options.repository.split('/');
-        this.owner = owner;
-        this.repo = repo;
+        // Repository information comes from the gateway
+        this.owner = this.github.owner;
+        this.repo = this.github.repo;
         
         // Initialize Hive-Mind engines
         this.engines = new Map();
@@ -42,15 +66,53 @@ class HiveMindOrchestrator {
         this.storagePath = path.join(process.cwd(), 'orchestrator-data');
         this.ensureStorageDirectory();
         
+        // Issues waiting for a free session slot (persisted across restarts)
+        this.queue = new SessionQueue({ filePath: path.join(this.storagePath, 'queue.json') });
+        this.pendingRuns = new Set();
+        this.directRuns = 0;
+        
         // Setup logger after storage is ready
         this.logger = this.setupLogger();
         
+        // Surface retries and rate limit waits from the live API backend
+        if (this.github.requestLayer) {
+            this.github.requestLayer.on('retry', ({ route, status, reason, attempt, delay }) => {
+                this.logger.warn(`🔁 ${route} failed (${status}, ${reason}), retry ${attempt} in ${Math.round(delay / 1000)}s`);
+            });
+            this.github.requestLayer.on('rate-limited', ({ route, reset }) => {
+                this.logger.warn(`⏳ GitHub rate limit exhausted, holding ${route} until ${reset}`);
+            });
+        }
+        
         this.logger.info('🎯 Hive-Mind Orchestrator v3.0 initialized');
         this.logger.info(`📂 Repository: ${this.owner}/${this.repo}`);
+        this.logger.info(`🔌 GitHub backend: ${this.github.constructor.name}`);
         this.logger.info(`⚙️ Max concurrent sessions: ${this.options.maxConcurrentSessions}`);
+        if (this.queue.size > 0) {
+            this.logger.info(`📥 ${this.queue.size} queued issue(s) restored from previous runs`);
+        }
     }
     
     validateConfiguration() {
+        if (!LivingComment.COMMENT_MODES.includes(this.options.commentMode)) {
+            throw new Error(`Comment mode must be one of ${LivingComment.COMMENT_MODES.join(', ')} (orchestrator.commentMode)`);
+        }
+        
+        // An injected gateway carries its own credentials and repository
+        if (this.options.github) {
+            return;
+        }
+        
+        if (this.options.githubBackend === 'local') {
+            if (!this.options.fixturePath) {
+                throw new Error('Fixture path is required for the local GitHub backend (GITHUB_FIXTURE_PATH environment variable)');
+            }
+            if (this.options.repository && !this.options.repository.includes('/')) {
+                throw new Error('Repository must be in format "owner/repo"');
+            }
+            return;
+        }
+        
         if (!this.options.githubToken) {
             throw new Error('GitHub token is required (GITHUB_TOKEN environment variable)');
         }
@@ -64,6 +126,18 @@ class HiveMindOrchestrator {
         }
     }
     
+    createGitHubGateway() {
+        if (this.options.githubBackend === 'local') {
+            return new LocalGitHubGateway({
+                root: this.options.fixturePath,
+                repository: this.options.repository
+            });
+        }
+        
+        const [owner, repo] = this.options.repository.split('/');
+        return new OctokitGateway({ token: this.options.githubToken, owner, repo, botLogin: this.config.github.botLogin });
+    }
+    
     setupLogger() {
         return winston.createLogger({
             level: 'info',
@@ -114,14 +188,28 @@ class HiveMindOrchestrator {
         this.logger.info(`🚀 Starting issue resolution: Issue #${issueData.number}`);
         this.logger.info(`🎯 Orchestration ID: ${orchestrationId}`);
         
+        // Queue the issue instead of failing when every session slot is busy
+        if (!options.queueEntryId && this.occupiedSlots() >= this.options.maxConcurrentSessions) {
+            return this.enqueueIssue(issueData, options);
+        }
+        
+        // Claim the slot before the first await so concurrent calls see it
+        if (!options.queueEntryId) {
+            this.directRuns++;
+        }
+        
+        // maxResolutionTime bounds the whole resolution: fetch, engine and publishing
+        const cancellation = new CancellationToken({ timeout: this.options.maxResolutionTime, phase: 'resolution' });
+        
         try {
-            // Check if we can accept new sessions
-            if (this.activeSessions.size >= this.options.maxConcurrentSessions) {
-                throw new Error('Maximum concurrent sessions reached. Please wait for completion.');
-            }
-            
             // Fetch complete issue data from GitHub
-            const completeIssue = await this.fetchCompleteIssueData(issueData.number);
+            const completeIssue = await cancellation.race(this.fetchCompleteIssueData(issueData.number, {
+                ref: options.baseBranch || this.options.baseBranch
+            }));
+            
+            // Dry runs publish through a recording gateway instead of the real one
+            const dryRun = options.dryRun !== undefined ? options.dryRun === true : this.options.dryRun;
+            const gateway = dryRun ? new DryRunGateway(this.github) : this.github;
             
             // Create orchestration session
             const session = {
@@ -130,6 +218,13 @@ class HiveMindOrchestrator {
                 issueData: completeIssue,
                 startTime,
                 status: 'initializing',
+                dryRun,
+                autoCreatePR: options.autoCreatePR !== undefined ? options.autoCreatePR !== false : this.options.autoCreatePR,
+                // Writes through `github` stop once the run is cancelled; `gateway` still
+                // reaches GitHub to report the interruption or error
+                github: guardWrites(gateway, cancellation),
+                gateway,
+                cancellation,
                 options,
                 engines: [],
                 results: null,
@@ -142,8 +237,14 @@ class HiveMindOrchestrator {
             const engine = new HiveMindEngine({
                 intelligenceLevel: 'advanced',
                 learningEnabled: this.options.learningEnabled,
-                maxAgents: 15,
-                maxResolutionTime: 1800000, // 30 minutes
+                useLearnedState: options.useLearnedState ?? this.options.useLearnedState,
+                maxAgents: this.options.maxAgents,
+                maxResolutionTime: this.options.maxResolutionTime,
+                similarityThreshold: this.config.patterns.similarityThreshold,
+                maxPatternMatches: this.config.patterns.maxMatches,
+                dryRun: session.dryRun,
+                phaseTimeouts: this.options.phaseTimeouts,
+                llmProvider: this.options.llmProvider,
                 sessionId: orchestrationId
             });
             
@@ -156,23 +257,33 @@ class HiveMindOrchestrator {
             
             const hiveMindResult = await engine.spawnHiveMind(completeIssue, {
                 orchestrationId,
-                repository: this.options.repository,
-                autoCreatePR: this.options.autoCreatePR
+                repository: `${this.owner}/${this.repo}`,
+                autoCreatePR: session.autoCreatePR,
+                requiredAgents: options.agents || [],
+                seed: options.seed,
+                cancellationToken: session.cancellation
             });
             
+            // Timed out or cancelled inside the engine: report the partial result
+            if (!hiveMindResult.success) {
+                return this.finishInterruptedSession(session, hiveMindResult);
+            }
+            
             // Process results
             session.status = 'processing';
             const processedResult = await this.processHiveMindResult(session, hiveMindResult);
             
             // Create GitHub artifacts (PR, comments, etc.)
-            session.status = 'publishing';
-            const githubResult = await this.publishToGitHub(session, processedResult);
+            session.cancellation.throwIfCancelled();
+            session.status = session.dryRun ? 'planning' : 'publishing';
+            const githubResult = await session.cancellation.race(this.publishToGitHub(session, processedResult));
             
             // Finalize session
             session.status = 'completed';
             session.results = {
                 ...processedResult,
                 github: githubResult,
+                plan: session.dryRun ? session.github.getPlan() : null,
                 duration: Date.now() - startTime
             };
             
@@ -182,6 +293,7 @@ class HiveMindOrchestrator {
             // Cleanup
             this.activeSessions.delete(orchestrationId);
             this.engines.delete(orchestrationId);
+            this.releaseSlot(options);
             
             this.logger.info(`✅ Issue #${completeIssue.number} resolved successfully`);
             this.logger.info(`⏱️ Total duration: ${Math.round(session.results.duration / 1000)}s`);
@@ -195,11 +307,25 @@ class HiveMindOrchestrator {
                 engines: session.engines.length,
                 agents: hiveMindResult.agentsUsed,
                 qualityScore: hiveMindResult.qualityScore,
+                seed: hiveMindResult.seed,
+                memory: hiveMindResult.memory,
                 githubResult,
+                dryRun: session.dryRun,
+                plan: session.results.plan,
+                planDiff: session.dryRun ? session.github.renderDiff() : null,
                 details: session.results
             };
             
         } catch (error) {
+            if (error instanceof CancelledError && this.activeSessions.has(orchestrationId)) {
+                const session = this.activeSessions.get(orchestrationId);
+                return this.finishInterruptedSession(session, {
+                    status: error instanceof TimeoutError ? 'timed-out' : 'cancelled',
+                    reason: error.message,
+                    interruptedPhase: session.status
+                });
+            }
+            
             this.logger.error(`❌ Issue resolution failed: ${error.message}`);
             
             // Update session with error
@@ -223,54 +349,225 @@ class HiveMindOrchestrator {
                 this.engines.delete(orchestrationId);
             }
             
+            this.releaseSlot(options);
             throw error;
+        } finally {
+            cancellation.dispose();
+        }
+    }
+    
+    // =================================================================
+    // CANCELLATION
+    // =================================================================
+    
+    /**
+     * Cancel a running orchestration; it stops at the next phase checkpoint
+     */
+    cancel(orchestrationId, reason = 'Cancelled by request') {
+        const session = this.activeSessions.get(orchestrationId);
+        if (!session) {
+            return false;
+        }
+        
+        this.logger.info(`🛑 Cancelling orchestration ${orchestrationId} (Issue #${session.issueNumber})`);
+        session.cancellation.cancel(reason);
+        return true;
+    }
+    
+    /**
+     * Cancel whatever is running or queued for an issue
+     * @returns {{cancelled: 'running'|'queued'|null, orchestrationId?: string}}
+     */
+    cancelIssue(issueNumber, reason = 'Cancelled by request') {
+        const session = this.findActiveSession(issueNumber);
+        if (session) {
+            this.cancel(session.id, reason);
+            return { cancelled: 'running', orchestrationId: session.id };
+        }
+        
+        const entry = this.cancelQueued(Number(issueNumber));
+        return entry ? { cancelled: 'queued', queueEntryId: entry.id } : { cancelled: null };
+    }
+    
+    findActiveSession(issueNumber) {
+        return Array.from(this.activeSessions.values())
+            .find(session => session.issueNumber === Number(issueNumber)) || null;
+    }
+    
+    /**
+     * Close a timed-out or cancelled session: report, persist, free the slot
+     */
+    async finishInterruptedSession(session, interruption) {
+        const duration = Date.now() - session.startTime;
+        
+        session.status = interruption.status;
+        session.error = {
+            message: interruption.reason,
+            timestamp: Date.now()
+        };
+        session.results = {
+            interruptedPhase: interruption.interruptedPhase,
+            completedPhases: interruption.completedPhases || [],
+            partial: interruption.partial || null,
+            plan: session.dryRun ? session.github.getPlan() : null,
+            duration
+        };
+        
+        this.logger.warn(`⏹️ Issue #${session.issueNumber} ${interruption.status}: ${interruption.reason}`);
+        
+        await this.reportInterruptionToGitHub(session, interruption);
+        await this.persistResults(session);
+        
+        this.activeSessions.delete(session.id);
+        this.engines.delete(session.id);
+        this.releaseSlot(session.options);
+        
+        return {
+            success: false,
+            status: interruption.status,
+            orchestrationId: session.id,
+            issueNumber: session.issueNumber,
+            duration,
+            seed: interruption.seed ?? null,
+            memory: interruption.memory ?? null,
+            reason: interruption.reason,
+            interruptedPhase: session.results.interruptedPhase,
+            completedPhases: session.results.completedPhases,
+            partial: session.results.partial,
+            dryRun: session.dryRun,
+            plan: session.results.plan,
+            planDiff: session.dryRun ? session.github.renderDiff() : null,
+            details: session.results
+        };
+    }
+    
+    // =================================================================
+    // SESSION QUEUE
+    // =================================================================
+    
+    /**
+     * Queue an issue until a session slot frees up, ordered by engine priority
+     */
+    async enqueueIssue(issueData, options = {}) {
+        const priority = HiveMindEngine.scorePriority({
+            title: issueData.title || '',
+            body: issueData.body || '',
+            labels: issueData.labels || []
+        });
+        
+        const alreadyActive = Array.from(this.activeSessions.values())
+            .some(session => session.issueNumber === Number(issueData.number));
+        
+        if (alreadyActive) {
+            this.logger.info(`⏭️ Issue #${issueData.number} is already being resolved, not queueing`);
+            return { success: true, queued: false, duplicate: true, issueNumber: issueData.number };
+        }
+        
+        const { queued, duplicate, entry, position } = this.queue.enqueue({ issueData, options, priority });
+        
+        if (duplicate) {
+            this.logger.info(`⏭️ Issue #${issueData.number} is already queued at position ${position}`);
+        } else {
+            this.logger.info(`📥 Issue #${issueData.number} queued at position ${position} (priority ${priority.toFixed(2)})`);
+        }
+        
+        return {
+            success: true,
+            queued,
+            duplicate,
+            queueEntryId: entry.id,
+            issueNumber: entry.issueNumber,
+            priority: entry.priority,
+            position
+        };
+    }
+    
+    /**
+     * Inspect queued and running queue entries
+     */
+    getQueue() {
+        return this.queue.list();
+    }
+    
+    /**
+     * Cancel a queued issue (by issue number or queue entry id)
+     */
+    cancelQueued(issueNumberOrId) {
+        const entry = this.queue.cancel(issueNumberOrId);
+        
+        if (entry) {
+            this.logger.info(`🗑️ Removed Issue #${entry.issueNumber} from the queue`);
+        }
+        
+        return entry;
+    }
+    
+    releaseSlot(options) {
+        if (options.queueEntryId) {
+            // The queued run's own promise starts the next entry once it settles
+            this.queue.complete(options.queueEntryId);
+            return;
+        }
+        
+        this.directRuns--;
+        this.startQueuedSessions();
+    }
+    
+    occupiedSlots() {
+        // Queued runs are counted through pendingRuns from the moment they start
+        return this.directRuns + this.pendingRuns.size;
+    }
+    
+    /**
+     * Start queued issues while session slots are free
+     */
+    startQueuedSessions() {
+        while (this.occupiedSlots() < this.options.maxConcurrentSessions) {
+            const entry = this.queue.next();
+            if (!entry) break;
+            
+            this.logger.info(`▶️ Starting queued Issue #${entry.issueNumber}`);
+            
+            const run = this.resolveIssue(entry.issueData, { ...entry.options, queueEntryId: entry.id })
+                .catch(error => {
+                    this.logger.error(`Queued Issue #${entry.issueNumber} failed: ${error.message}`);
+                })
+                .finally(() => {
+                    this.pendingRuns.delete(run);
+                    this.startQueuedSessions();
+                });
+            
+            this.pendingRuns.add(run);
+        }
+    }
+    
+    /**
+     * Start queued work and resolve once nothing is running or waiting
+     */
+    async drainQueue() {
+        this.startQueuedSessions();
+        
+        while (this.pendingRuns.size > 0) {
+            await Promise.all(Array.from(this.pendingRuns));
         }
     }
     
     /**
      * Fetch complete issue data from GitHub API
      */
-    async fetchCompleteIssueData(issueNumber) {
+    async fetchCompleteIssueData(issueNumber, { ref } = {}) {
         this.logger.info(`📥 Fetching complete data for Issue #${issueNumber}`);
         
         try {
-            // Get issue details
-            const issueResponse = await this.octokit.rest.issues.get({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: issueNumber
-            });
-            
-            const issue = issueResponse.data;
+            // Issue, all comments, timeline, references and linked pull requests
+            const issue = await new IssueContext({ github: this.github, logger: this.logger }).build(issueNumber);
+            this.logger.info(`🔗 ${issue.comments.length} comments, ${issue.references.length} references, ` +
+                `${issue.linked_pull_requests.length} linked pull requests`);
             
-            // Get issue comments
-            const commentsResponse = await this.octokit.rest.issues.listComments({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: issueNumber
-            });
+            // Real files relevant to the issue (tree, ranked candidates, excerpts)
+            issue.codebase = await this.loadRepositoryContext(issue, ref || issue.repository.default_branch);
             
-            // Get repository context
-            const repoResponse = await this.octokit.rest.repos.get({
-                owner: this.owner,
-                repo: this.repo
-            });
-            
-            return {
-                ...issue,
-                comments: commentsResponse.data,
-                repository: {
-                    name: repoResponse.data.name,
-                    description: repoResponse.data.description,
-                    language: repoResponse.data.language,
-                    topics: repoResponse.data.topics,
-                    size: repoResponse.data.size
-                },
-                metadata: {
-                    fetched_at: Date.now(),
-                    api_version: 'v3'
-                }
-            };
+            return issue;
             
         } catch (error) {
             this.logger.error(`Failed to fetch issue data: ${error.message}`);
@@ -288,6 +585,8 @@ class HiveMindOrchestrator {
             sessionId: session.id,
             issueNumber: session.issueNumber,
             timestamp: Date.now(),
+            seed: result.seed,
+            memory: result.memory,
             
             // Core results
             solution: result.result.solution,
@@ -308,6 +607,9 @@ class HiveMindOrchestrator {
             recommendations: result.result.recommendations,
             alternatives: result.result.alternatives,
             
+            // Referenced issues and linked pull requests the analysis took into account
+            related: result.result.related,
+            
             // Implementation artifacts
             artifacts: this.generateImplementationArtifacts(result.result)
         };
@@ -362,7 +664,11 @@ class HiveMindOrchestrator {
      * Publish results to GitHub (PR, comments, labels)
      */
     async publishToGitHub(session, processedResult) {
-        this.logger.info(`📤 Publishing results to GitHub for Issue #${session.issueNumber}`);
+        if (session.dryRun) {
+            this.logger.info(`📝 Dry run: planning GitHub writes for Issue #${session.issueNumber}`);
+        } else {
+            this.logger.info(`📤 Publishing results to GitHub for Issue #${session.issueNumber}`);
+        }
         
         const githubResult = {
             comments: [],
@@ -381,7 +687,7 @@ class HiveMindOrchestrator {
             githubResult.labels = labels;
             
             // Create Pull Request if enabled and solution is complete
-            if (this.options.autoCreatePR && this.shouldCreatePR(processedResult)) {
+            if (session.autoCreatePR && this.shouldCreatePR(processedResult)) {
                 const pullRequest = await this.createPullRequest(session, processedResult);
                 githubResult.pullRequest = pullRequest;
             }
@@ -397,6 +703,7 @@ class HiveMindOrchestrator {
     
     /**
      * Create comprehensive analysis comment
+     * Upserted into the issue's living analysis comment unless commentMode is 'append'
      */
     async createAnalysisComment(session, result) {
         const comment = `## 🐝 Hive-Mind Analysis Complete
@@ -421,7 +728,7 @@ ${result.implementation.steps.map((step, index) => `${index + 1}. ${step}`).join
 
 ### 📁 Recommended Files
 ${result.artifacts.files.map(file => `- \`${file.path}\` (${file.type})`).join('\n')}
-
+${this.formatRelatedFiles(result.implementation.relatedFiles)}${this.formatRelatedWork(result.related)}${this.formatSimilarPatterns(result.insights.similarPatterns)}
 ### 🧪 Testing Strategy
 ${result.artifacts.tests.map(test => `- \`${test.path}\` (${test.framework})`).join('\n')}
 
@@ -438,7 +745,7 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
 
 ### 🚀 Next Steps
 1. Review the implementation plan above
-2. ${this.options.autoCreatePR ? 'Check the auto-generated Pull Request' : 'Create implementation based on recommendations'}
+2. ${session.autoCreatePR ? 'Check the auto-generated Pull Request' : 'Create implementation based on recommendations'}
 3. Test the solution thoroughly
 4. Deploy when ready
 
@@ -448,17 +755,15 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
 *Session ID: ${session.id}*
 *Timestamp: ${new Date().toISOString()}*`;
 
-        const response = await this.octokit.rest.issues.createComment({
-            owner: this.owner,
-            repo: this.repo,
-            issue_number: session.issueNumber,
-            body: comment
-        });
+        const livingComment = new LivingComment(session.github, { kind: 'analysis', mode: this.options.commentMode });
+        const response = await livingComment.publish(session.issueNumber, comment);
+        this.logger.info(`💬 Analysis comment ${response.action} (${response.revisions} earlier run(s) in history)`);
         
         return {
-            id: response.data.id,
-            url: response.data.html_url,
-            type: 'analysis'
+            id: response.id,
+            url: response.html_url,
+            type: 'analysis',
+            action: response.action
         };
     }
     
@@ -467,8 +772,7 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
      */
     async addLabelsToIssue(session, result) {
         const labels = [
-            'hive-mind-analyzed',
-            'ai-solution-ready',
+            ...this.config.labels.analyzed,
             `quality-${Math.round(result.quality.score * 100)}`
         ];
         
@@ -479,16 +783,11 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
         
         // Add solution type label
         if (result.solution.approach) {
-            labels.push('ai-generated');
+            labels.push(this.config.labels.generated);
         }
         
         try {
-            await this.octokit.rest.issues.addLabels({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: session.issueNumber,
-                labels
-            });
+            await session.github.addLabels(session.issueNumber, labels);
             
             return labels;
         } catch (error) {
@@ -502,8 +801,9 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
      */
     shouldCreatePR(result) {
         // Create PR if solution has high confidence and complete implementation
-        return result.quality.score > 0.8 && 
-               result.quality.completeness > 0.9 && 
+        const { minQuality, minCompleteness } = this.config.pullRequest;
+        return result.quality.score > minQuality && 
+               result.quality.completeness > minCompleteness && 
                result.artifacts.files.length > 0;
     }
     
@@ -516,94 +816,81 @@ ${result.insights.neuralPathways || 'Advanced neural pattern analysis completed'
         const branchName = `hive-mind/issue-${session.issueNumber}`;
         const title = `🐝 AI Solution: ${session.issueData.title}`;
         
+        // Target branch: issue label, then configuration, then the repository default
+        const { branch: baseBranch, source } = await resolveBaseBranch({
+            labels: session.issueData.labels,
+            configured: session.options.baseBranch || this.options.baseBranch,
+            defaultBranch: session.issueData.repository?.default_branch,
+            github: session.github
+        });
+        this.logger.info(`🎯 Base branch: ${baseBranch} (from ${source})`);
+        
+        let baseSha;
         try {
-            // Get main branch reference
-            const mainBranch = await this.octokit.rest.git.getRef({
-                owner: this.owner,
-                repo: this.repo,
-                ref: 'heads/main'
-            });
-            
-            // Create new branch
-            await this.octokit.rest.git.createRef({
-                owner: this.owner,
-                repo: this.repo,
-                ref: `refs/heads/${branchName}`,
-                sha: mainBranch.data.object.sha
-            });
-            
-            // Create files on the branch
-            for (const file of result.artifacts.files) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: file.path,
-                    message: `Add ${file.path} - Hive-Mind generated`,
-                    content: Buffer.from(file.content).toString('base64'),
-                    branch: branchName
-                });
-            }
-            
-            // Create tests
-            for (const test of result.artifacts.tests) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: test.path,
-                    message: `Add ${test.path} - Hive-Mind generated tests`,
-                    content: Buffer.from(test.content).toString('base64'),
-                    branch: branchName
-                });
-            }
-            
-            // Create documentation
-            for (const doc of result.artifacts.documentation) {
-                await this.octokit.rest.repos.createOrUpdateFileContents({
-                    owner: this.owner,
-                    repo: this.repo,
-                    path: doc.path,
-                    message: `Add ${doc.path} - Hive-Mind generated docs`,
-                    content: Buffer.from(doc.content).toString('base64'),
-                    branch: branchName
-                });
+            baseSha = await session.github.getBranchSha(baseBranch);
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error(`Base branch ${baseBranch} (from ${source}) does not exist`);
             }
-            
-            // Create Pull Request
-            const prBody = this.generatePRBody(session, result);
-            
-            const pr = await this.octokit.rest.pulls.create({
-                owner: this.owner,
-                repo: this.repo,
+            throw error;
+        }
+        
+        // All artifacts in one commit; the branch only appears once the commit exists
+        const publisher = new ArtifactPublisher(session.github);
+        const changes = publisher.collectChanges(result.artifacts);
+        const message = publisher.buildCommitMessage(
+            `Resolve #${session.issueNumber}: ${session.issueData.title}`,
+            changes,
+            [`Hive-Mind-Session: ${session.id}`]
+        );
+        
+        // An existing branch means an earlier run: iterate on it instead of starting over
+        const branchExists = await publisher.branchExists(branchName);
+        let iteration = null;
+        let commitSha;
+        
+        if (branchExists) {
+            iteration = await publisher.iterate({ branch: branchName, baseBranch, baseSha, message, changes });
+            commitSha = iteration.sha;
+            this.logger.info(`🔁 Branch ${branchName} exists: ${iteration.mode} (${iteration.summary.skipped.length} human-edited file(s) kept)`);
+        } else {
+            const commit = await publisher.publish({ branch: branchName, baseSha, message, changes });
+            commitSha = commit.sha;
+            this.logger.info(`📦 Published ${commit.changes} file change(s) in commit ${commit.sha}`);
+        }
+        
+        // Reuse the open pull request for the branch, if there is one
+        let pr = branchExists ? await session.github.findPullRequest(branchName) : null;
+        const updated = !!pr;
+        
+        if (!pr) {
+            pr = await session.github.createPullRequest({
                 title,
                 head: branchName,
-                base: 'main',
-                body: prBody,
+                base: baseBranch,
+                body: this.generatePRBody(session, result),
                 draft: false
             });
             
             // Add labels to PR
-            await this.octokit.rest.issues.addLabels({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: pr.data.number,
-                labels: ['hive-mind-generated', 'ai-solution', 'ready-for-review']
-            });
-            
-            return {
-                number: pr.data.number,
-                url: pr.data.html_url,
-                branch: branchName,
-                title
-            };
-            
-        } catch (error) {
-            if (error.status === 422) {
-                // Branch might already exist, that's okay
-                this.logger.warn(`Branch ${branchName} already exists`);
-                return { error: 'Branch exists', branch: branchName };
-            }
-            throw error;
+            await session.github.addLabels(pr.number, this.config.labels.pullRequest);
+        }
+        
+        if (iteration) {
+            await session.github.createComment(pr.number,
+                publisher.renderIterationSummary(iteration, { baseBranch, sessionId: session.id }));
         }
+        
+        return {
+            number: pr.number,
+            url: pr.html_url,
+            branch: branchName,
+            base: baseBranch,
+            commit: commitSha,
+            title,
+            updated,
+            iteration: iteration ? { mode: iteration.mode, summary: iteration.summary } : null
+        };
     }
     
     generateImplementationFile(session, result) {
@@ -875,22 +1162,62 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
 ---
 🤖 **Claude Flow Hive-Mind v3.0 Error Handler**`;
 
-            await this.octokit.rest.issues.createComment({
-                owner: this.owner,
-                repo: this.repo,
-                issue_number: session.issueNumber,
-                body: errorComment
-            });
+            await session.gateway.createComment(session.issueNumber, errorComment);
             
         } catch (commentError) {
             this.logger.error(`Failed to report error to GitHub: ${commentError.message}`);
         }
     }
     
+    async reportInterruptionToGitHub(session, interruption) {
+        const timedOut = interruption.status === 'timed-out';
+        const partial = interruption.partial;
+        const completed = (interruption.completedPhases || []).join(', ') || 'none';
+        
+        let partialSection = '';
+        if (partial && partial.analysis) {
+            partialSection = `
+### Partial Results
+- **Classification**: ${partial.analysis.classification?.category || 'n/a'}
+- **Complexity**: ${partial.analysis.complexity || 'n/a'}
+- **Solutions drafted**: ${partial.solutions.length}
+`;
+        }
+        
+        try {
+            const comment = `## ⏹️ Hive-Mind Analysis ${timedOut ? 'Timed Out' : 'Cancelled'}
+
+**Session**: ${session.id}
+**Timestamp**: ${new Date().toISOString()}
+**Stopped during**: ${interruption.interruptedPhase || 'startup'}
+**Completed phases**: ${completed}
+
+### Reason
+\`\`\`
+${interruption.reason}
+\`\`\`
+${partialSection}
+No pull request was created. ${timedOut ? 'Retry the analysis or raise the resolution time limit.' : 'Retry the analysis when ready.'}
+
+---
+🤖 **Claude Flow Hive-Mind v3.0**`;
+
+            await session.gateway.createComment(session.issueNumber, comment);
+            
+        } catch (commentError) {
+            this.logger.error(`Failed to report interruption to GitHub: ${commentError.message}`);
+        }
+    }
+    
     /**
      * Persist results for learning and analysis
      */
     async persistResults(session) {
+        // A dry run only plans; the next real run must not see it
+        if (session.dryRun) {
+            return;
+        }
+        
         try {
             const resultsFile = path.join(this.storagePath, 'results.json');
             const results = fs.existsSync(resultsFile) ? fs.readJsonSync(resultsFile) : {};
@@ -899,6 +1226,7 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
                 timestamp: Date.now(),
                 issueNumber: session.issueNumber,
                 status: session.status,
+                dryRun: session.dryRun,
                 duration: session.results?.duration,
                 success: session.status === 'completed',
                 error: session.error,
@@ -915,6 +1243,75 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
         }
     }
     
+    /**
+     * "Relevant files" comment section; empty when the repository context found nothing
+     */
+    formatRelatedFiles(relatedFiles = []) {
+        if (relatedFiles.length === 0) {
+            return '';
+        }
+        
+        return `
+### 📂 Relevant Files in the Repository
+${relatedFiles.map(file => `- \`${file.path}${file.line ? `:${file.line}` : ''}\` - ${file.reasons.join(', ')}`).join('\n')}
+`;
+    }
+    
+    /**
+     * "Related issues and pull requests" comment section; empty when the issue references nothing
+     */
+    formatRelatedWork(related) {
+        if (!related || (related.references.length === 0 && related.linkedPullRequests.length === 0)) {
+            return '';
+        }
+        
+        const pullRequests = related.linkedPullRequests.map(pull =>
+            `- #${pull.number} ${pull.title} (${pull.merged ? 'merged' : pull.state}, +${pull.additions} −${pull.deletions} in ${pull.changed_files} files)`);
+        const references = related.references
+            .filter(reference => !related.linkedPullRequests.some(pull => pull.number === reference.number))
+            .map(reference => `- #${reference.number} ${reference.title} (${reference.type === 'pull_request' ? 'pull request' : 'issue'}, ${reference.state})`);
+        
+        return `
+### 🔗 Related Issues and Pull Requests
+${[...pullRequests, ...references].join('\n')}
+`;
+    }
+    
+    /**
+     * "Similar past resolutions" comment section: matched learned patterns and the terms they share with the issue
+     */
+    formatSimilarPatterns(similarPatterns = []) {
+        if (similarPatterns.length === 0) {
+            return '';
+        }
+        
+        const matches = similarPatterns.map(match =>
+            `- ${match.approach || 'Learned pattern'} (${Math.round(match.similarity * 100)}% similar; shared: ${match.sharedTerms.join(', ')})`);
+        
+        return `
+### 🧩 Similar Past Resolutions
+${matches.join('\n')}
+`;
+    }
+    
+    /**
+     * Repository context for the analysis; a missing tree only costs relevance, so failures return null
+     */
+    async loadRepositoryContext(issue, ref) {
+        if (!this.config.context.enabled) {
+            return null;
+        }
+        
+        try {
+            const context = await new RepositoryContext({ github: this.github, logger: this.logger }).build(issue, { ref });
+            this.logger.info(`📂 Repository context: ${context.totalFiles} files (${context.source}), ${context.candidates.length} relevant`);
+            return context;
+        } catch (error) {
+            this.logger.warn(`⚠️ Repository context unavailable: ${error.message}`);
+            return null;
+        }
+    }
+    
     // =================================================================
     // UTILITY METHODS
     // =================================================================
@@ -955,6 +1352,33 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
         return typeMap[ext] || 'Unknown';
     }
     
+    /**
+     * What the orchestrator knows about one issue: running session, queue entry, last result
+     */
+    getIssueStatus(issueNumber) {
+        const session = this.findActiveSession(issueNumber);
+        const queued = this.queue.list().find(entry => entry.issueNumber === Number(issueNumber)) || null;
+        
+        const resultsFile = path.join(this.storagePath, 'results.json');
+        const results = fs.existsSync(resultsFile) ? fs.readJsonSync(resultsFile) : {};
+        const lastResult = Object.entries(results)
+            .map(([id, result]) => ({ orchestrationId: id, ...result }))
+            .filter(result => result.issueNumber === Number(issueNumber))
+            .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+        
+        return {
+            issueNumber: Number(issueNumber),
+            running: session ? {
+                orchestrationId: session.id,
+                status: session.status,
+                dryRun: session.dryRun,
+                elapsed: Date.now() - session.startTime
+            } : null,
+            queued: queued ? { position: queued.position || null, status: queued.status, priority: queued.priority } : null,
+            lastResult
+        };
+    }
+    
     /**
      * Get orchestrator status and metrics
      */
@@ -971,10 +1395,22 @@ This error has been logged for analysis. The Hive-Mind system will be improved b
                 total: this.engines.size
             },
             
+            queue: {
+                queued: this.queue.size,
+                entries: this.getQueue()
+            },
+            
+            rateLimit: this.github.getRateLimit(),
+            
             configuration: {
                 repository: `${this.owner}/${this.repo}`,
+                githubBackend: this.github.constructor.name,
+                baseBranch: this.options.baseBranch || 'repository default',
+                commentMode: this.options.commentMode,
                 autoCreatePR: this.options.autoCreatePR,
-                learningEnabled: this.options.learningEnabled
+                learningEnabled: this.options.learningEnabled,
+                maxResolutionTime: this.options.maxResolutionTime,
+                maxAgents: this.options.maxAgents
             },
             
             engines: Array.from(this.engines.keys())
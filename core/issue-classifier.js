@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Issue Classifier
+ * Multinomial naive Bayes over issue key terms, trained from closed issues and their final labels
+ *
+ * Examples are recorded through MemoryManager (training store) and the trained model is kept
+ * there too (models store, key MODEL_KEY). Raw naive Bayes posteriors are overconfident, so
+ * train() fits a softmax temperature on cross-validated predictions; confidence is the
+ * calibrated posterior of the predicted category.
+ */
+
+const CATEGORIES = ['bug', 'feature', 'enhancement', 'documentation', 'performance', 'security'];
+
+// Label names (after dropping "type:"-style prefixes) per category; the first matching category in
+// CATEGORIES order wins, so an issue labelled both bug and enhancement trains as a bug
+const CATEGORY_LABELS = {
+    bug: ['bug', 'defect', 'regression', 'crash'],
+    feature: ['feature', 'feature request', 'new feature'],
+    enhancement: ['enhancement', 'improvement', 'refactor', 'refactoring'],
+    documentation: ['documentation', 'docs'],
+    performance: ['performance', 'perf'],
+    security: ['security', 'vulnerability']
+};
+
+const MODEL_FORMAT = 'claude-flow-issue-classifier';
+const MODEL_VERSION = 1;
+const MODEL_KEY = 'issue-classifier';
+
+const TEMPERATURES = [0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16];
+
+/**
+ * The 20 most frequent terms of a text, as [{ term, count }] (the engine's semantic key terms)
+ */
+function extractKeyTerms(text, limit = 20) {
+    const terms = String(text || '').toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(term => term.length > 2)
+        .reduce((acc, term) => {
+            acc[term] = (acc[term] || 0) + 1;
+            return acc;
+        }, {});
+
+    return Object.entries(terms)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([term, count]) => ({ term, count }));
+}
+
+/**
+ * Classifier features of an issue: the key terms of its title and body
+ */
+function issueKeyTerms(issue) {
+    return extractKeyTerms(`${issue.title || ''} ${issue.body || ''}`);
+}
+
+/**
+ * Category for a set of labels (strings or label objects), or null when none maps
+ */
+function categoryFromLabels(labels = []) {
+    const names = labels
+        .map(label => (typeof label === 'string' ? label : label.name) || '')
+        .map(name => name.toLowerCase().replace(/^(type|kind|category)\s*[:/]\s*/, '').trim());
+
+    return CATEGORIES.find(category => CATEGORY_LABELS[category].some(alias => names.includes(alias))) || null;
+}
+
+function logSumExp(values) {
+    const max = Math.max(...values);
+    return max + Math.log(values.reduce((sum, value) => sum + Math.exp(value - max), 0));
+}
+
+class IssueClassifier {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.alpha=1] - Laplace smoothing
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha ?? 1;
+        this.reset();
+    }
+
+    reset() {
+        this.docCounts = {};      // category -> examples
+        this.termCounts = {};     // category -> term -> count
+        this.totalTerms = {};     // category -> sum of term counts
+        this.vocabulary = new Set();
+        this.examples = 0;
+        this.temperature = 1;
+        this.trainedAt = null;
+    }
+
+    get categories() {
+        return Object.keys(this.docCounts).sort();
+    }
+
+    /**
+     * Usable once it has seen at least two categories
+     */
+    isTrained() {
+        return this.categories.length >= 2;
+    }
+
+    /**
+     * @param {Array<{keyTerms: Array<{term, count}>, category: string}>} examples
+     * @returns {IssueClassifier} this
+     */
+    train(examples) {
+        this.reset();
+
+        for (const example of examples) {
+            this.learn(example);
+        }
+
+        this.temperature = this.isTrained() ? IssueClassifier.fitTemperature(examples, this.alpha) : 1;
+        this.trainedAt = new Date().toISOString();
+        return this;
+    }
+
+    learn({ keyTerms, category }) {
+        if (!CATEGORIES.includes(category)) {
+            throw new Error(`Unknown category "${category}" (expected one of ${CATEGORIES.join(', ')})`);
+        }
+
+        this.docCounts[category] = (this.docCounts[category] || 0) + 1;
+        this.termCounts[category] = this.termCounts[category] || {};
+        this.totalTerms[category] = this.totalTerms[category] || 0;
+
+        for (const { term, count } of keyTerms) {
+            this.termCounts[category][term] = (this.termCounts[category][term] || 0) + count;
+            this.totalTerms[category] += count;
+            this.vocabulary.add(term);
+        }
+        this.examples++;
+    }
+
+    /**
+     * Unnormalized log P(category) + log P(terms | category); terms never seen in training are ignored
+     */
+    logJoint(keyTerms) {
+        const vocabularySize = this.vocabulary.size;
+        const known = keyTerms.filter(({ term }) => this.vocabulary.has(term));
+
+        return this.categories.map(category => {
+            const denominator = this.totalTerms[category] + this.alpha * vocabularySize;
+            let score = Math.log(this.docCounts[category] / this.examples);
+            for (const { term, count } of known) {
+                score += count * Math.log(((this.termCounts[category][term] || 0) + this.alpha) / denominator);
+            }
+            return score;
+        });
+    }
+
+    /**
+     * @returns {{category: string, confidence: number, probabilities: Object, evidence: string[]}}
+     */
+    predict(keyTerms) {
+        if (!this.isTrained()) {
+            throw new Error('Issue classifier is not trained (it needs examples of at least two categories)');
+        }
+
+        const scaled = this.logJoint(keyTerms).map(score => score / this.temperature);
+        const normalizer = logSumExp(scaled);
+        const probabilities = {};
+        this.categories.forEach((category, index) => {
+            probabilities[category] = Math.exp(scaled[index] - normalizer);
+        });
+
+        const category = this.categories.reduce((best, candidate) =>
+            probabilities[candidate] > probabilities[best] ? candidate : best);
+
+        return {
+            category,
+            confidence: probabilities[category],
+            probabilities,
+            evidence: this.evidence(keyTerms, category)
+        };
+    }
+
+    /**
+     * Terms that favour `category` most over the other categories combined
+     */
+    evidence(keyTerms, category, limit = 5) {
+        const vocabularySize = this.vocabulary.size;
+        const likelihood = (name, term) =>
+            ((this.termCounts[name][term] || 0) + this.alpha) / (this.totalTerms[name] + this.alpha * vocabularySize);
+        const others = this.categories.filter(name => name !== category);
+
+        return keyTerms
+            .filter(({ term }) => this.vocabulary.has(term))
+            .map(({ term }) => ({
+                term,
+                ratio: Math.log(likelihood(category, term) / (others.reduce((sum, name) => sum + likelihood(name, term), 0) / others.length))
+            }))
+            .filter(({ ratio }) => ratio > 0)
+            .sort((a, b) => b.ratio - a.ratio)
+            .slice(0, limit)
+            .map(({ term }) => term);
+    }
+
+    /**
+     * Accuracy, confusion matrix (actual -> predicted -> count) and per-category precision/recall
+     */
+    evaluate(examples) {
+        return IssueClassifier.report(examples.map(example => ({
+            actual: example.category,
+            ...this.predict(example.keyTerms)
+        })));
+    }
+
+    export() {
+        return {
+            format: MODEL_FORMAT,
+            version: MODEL_VERSION,
+            trainedAt: this.trainedAt,
+            alpha: this.alpha,
+            temperature: this.temperature,
+            examples: this.examples,
+            docCounts: this.docCounts,
+            termCounts: this.termCounts,
+            totalTerms: this.totalTerms,
+            vocabulary: Array.from(this.vocabulary).sort()
+        };
+    }
+
+    static import(model) {
+        if (!model || model.format !== MODEL_FORMAT) {
+            throw new Error(`Not an issue classifier model (expected format "${MODEL_FORMAT}")`);
+        }
+        if (model.version !== MODEL_VERSION) {
+            throw new Error(`Issue classifier model version ${model.version} is not supported (expected ${MODEL_VERSION})`);
+        }
+
+        const missing = ['docCounts', 'termCounts', 'totalTerms', 'vocabulary'].filter(field => !model[field] || typeof model[field] !== 'object');
+        if (missing.length > 0) {
+            throw new Error(`Issue classifier model is missing ${missing.join(', ')}`);
+        }
+
+        const unknown = Object.keys(model.docCounts).filter(category => !CATEGORIES.includes(category));
+        if (unknown.length > 0) {
+            throw new Error(`Issue classifier model has unknown categories: ${unknown.join(', ')}`);
+        }
+
+        const classifier = new IssueClassifier({ alpha: model.alpha });
+        classifier.docCounts = model.docCounts;
+        classifier.termCounts = model.termCounts;
+        classifier.totalTerms = model.totalTerms;
+        classifier.vocabulary = new Set(model.vocabulary);
+        classifier.examples = model.examples;
+        classifier.temperature = model.temperature;
+        classifier.trainedAt = model.trainedAt;
+        return classifier;
+    }
+
+    /**
+     * Held-out predictions for every example: fold i holds out every k-th example starting at i
+     */
+    static crossValidatedPredictions(examples, folds = 5, alpha = 1) {
+        const k = Math.max(2, Math.min(folds, examples.length));
+        const predictions = [];
+
+        for (let fold = 0; fold < k; fold++) {
+            const held = examples.filter((example, index) => index % k === fold);
+            const model = new IssueClassifier({ alpha });
+            examples.filter((example, index) => index % k !== fold).forEach(example => model.learn(example));
+
+            for (const example of held) {
+                // A fold can miss the example's category entirely; it still counts as a miss
+                predictions.push(model.isTrained()
+                    ? { actual: example.category, logJoint: model.logJoint(example.keyTerms), categories: model.categories }
+                    : { actual: example.category, logJoint: [0], categories: [model.categories[0] || 'bug'] });
+            }
+        }
+
+        return predictions;
+    }
+
+    /**
+     * Temperature that minimizes the log loss of cross-validated predictions
+     */
+    static fitTemperature(examples, alpha = 1) {
+        if (examples.length < 10) {
+            return 1;
+        }
+
+        const predictions = IssueClassifier.crossValidatedPredictions(examples, 5, alpha);
+        const logLoss = temperature => predictions.reduce((sum, { actual, logJoint, categories }) => {
+            const scaled = logJoint.map(score => score / temperature);
+            const index = categories.indexOf(actual);
+            return sum - (index === -1 ? Math.log(1e-6) : scaled[index] - logSumExp(scaled));
+        }, 0);
+
+        return TEMPERATURES.reduce((best, temperature) => (logLoss(temperature) < logLoss(best) ? temperature : best));
+    }
+
+    /**
+     * k-fold evaluation of the examples (every example is predicted by a model that never saw it)
+     */
+    static crossValidate(examples, folds = 5, alpha = 1) {
+        const temperature = IssueClassifier.fitTemperature(examples, alpha);
+
+        return IssueClassifier.report(IssueClassifier.crossValidatedPredictions(examples, folds, alpha)
+            .map(({ actual, logJoint, categories }) => {
+                const scaled = logJoint.map(score => score / temperature);
+                const best = scaled.indexOf(Math.max(...scaled));
+                return { actual, category: categories[best], confidence: Math.exp(scaled[best] - logSumExp(scaled)) };
+            }));
+    }
+
+    static report(predictions) {
+        const categories = CATEGORIES.filter(category =>
+            predictions.some(prediction => prediction.actual === category || prediction.category === category));
+        const confusion = {};
+        categories.forEach(actual => {
+            confusion[actual] = Object.fromEntries(categories.map(predicted => [predicted, 0]));
+        });
+        predictions.forEach(({ actual, category }) => confusion[actual][category]++);
+
+        const perCategory = {};
+        for (const category of categories) {
+            const truePositives = confusion[category][category];
+            const predicted = categories.reduce((sum, actual) => sum + confusion[actual][category], 0);
+            const support = categories.reduce((sum, other) => sum + confusion[category][other], 0);
+            const precision = predicted > 0 ? truePositives / predicted : 0;
+            const recall = support > 0 ? truePositives / support : 0;
+            perCategory[category] = {
+                precision,
+                recall,
+                f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+                support
+            };
+        }
+
+        const correct = predictions.filter(({ actual, category }) => actual === category).length;
+        return {
+            total: predictions.length,
+            accuracy: predictions.length > 0 ? correct / predictions.length : null,
+            meanConfidence: predictions.length > 0
+                ? predictions.reduce((sum, prediction) => sum + prediction.confidence, 0) / predictions.length
+                : null,
+            categories,
+            confusion,
+            perCategory
+        };
+    }
+}
+
+module.exports = IssueClassifier;
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.MODEL_KEY = MODEL_KEY;
+module.exports.extractKeyTerms = extractKeyTerms;
+module.exports.issueKeyTerms = issueKeyTerms;
+module.exports.categoryFromLabels = categoryFromLabels;
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import IssueClassifier from './issue-classifier';
+
+const { extractKeyTerms, categoryFromLabels } = IssueClassifier;
+
+const example = (category, text) => ({ category, keyTerms: extractKeyTerms(text) });
+
+// Small labelled set: each category has its own vocabulary plus some shared noise
+const FIXTURE = [
+    example('bug', 'crash when saving file throws TypeError undefined'),
+    example('bug', 'app crash on startup error stack trace undefined'),
+    example('bug', 'TypeError thrown when list empty crash'),
+    example('bug', 'error message wrong and crash after update'),
+    example('bug', 'regression login broken throws error'),
+    example('feature', 'add support for dark mode theme option'),
+    example('feature', 'support exporting reports as csv option'),
+    example('feature', 'new option to add custom themes support'),
+    example('feature', 'add webhook support for new events'),
+    example('feature', 'allow users to add tags support'),
+    example('documentation', 'readme docs missing install section'),
+    example('documentation', 'typo in docs readme example'),
+    example('documentation', 'document the config options in readme docs'),
+    example('documentation', 'docs example outdated in guide'),
+    example('documentation', 'guide docs should explain setup')
+];
+
+describe('IssueClassifier', () => {
+    describe('train and predict', () => {
+        const classifier = new IssueClassifier().train(FIXTURE);
+
+        it('learns the categories it has seen', () => {
+            expect(classifier.isTrained()).toBe(true);
+            expect(classifier.categories).toEqual(['bug', 'documentation', 'feature']);
+            expect(classifier.examples).toBe(15);
+        });
+
+        it('predicts the category whose terms an issue shares', () => {
+            expect(classifier.predict(extractKeyTerms('Crash: TypeError thrown on save')).category).toBe('bug');
+            expect(classifier.predict(extractKeyTerms('Add an option to support themes')).category).toBe('feature');
+            expect(classifier.predict(extractKeyTerms('The readme docs are missing a guide')).category).toBe('documentation');
+        });
+
+        it('returns a probability distribution and the evidence for the winner', () => {
+            const prediction = classifier.predict(extractKeyTerms('crash with TypeError in readme example'));
+            const total = Object.values(prediction.probabilities).reduce((sum, value) => sum + value, 0);
+
+            expect(total).toBeCloseTo(1, 10);
+            expect(prediction.confidence).toBe(prediction.probabilities[prediction.category]);
+            expect(prediction.evidence.length).toBeGreaterThan(0);
+            expect(prediction.evidence.every(term => classifier.vocabulary.has(term))).toBe(true);
+        });
+
+        it('falls back to the priors for unknown terms', () => {
+            const prediction = classifier.predict(extractKeyTerms('zzz qqq'));
+
+            expect(Object.values(prediction.probabilities).every(value => value > 0.2 && value < 0.5)).toBe(true);
+            expect(prediction.evidence).toEqual([]);
+        });
+
+        it('refuses to predict before seeing two categories', () => {
+            const untrained = new IssueClassifier().train(FIXTURE.slice(0, 3));
+
+            expect(untrained.isTrained()).toBe(false);
+            expect(() => untrained.predict([])).toThrow('not trained');
+            expect(() => untrained.learn({ keyTerms: [], category: 'question' })).toThrow('Unknown category "question"');
+        });
+    });
+
+    describe('calibration', () => {
+        it('fits a temperature from the candidate grid once there are ten examples', () => {
+            expect(new IssueClassifier().train(FIXTURE.slice(0, 9)).temperature).toBe(1);
+            expect([0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16]).toContain(new IssueClassifier().train(FIXTURE).temperature);
+        });
+
+        it('softens or sharpens confidence without changing the predicted category', () => {
+            const classifier = new IssueClassifier().train(FIXTURE);
+            const keyTerms = extractKeyTerms('crash TypeError error');
+            const calibrated = classifier.predict(keyTerms);
+
+            classifier.temperature = 1;
+            const raw = classifier.predict(keyTerms);
+            classifier.temperature = 4;
+            const softened = classifier.predict(keyTerms);
+
+            expect(calibrated.category).toBe(raw.category);
+            expect(softened.category).toBe(raw.category);
+            expect(softened.confidence).toBeLessThan(raw.confidence);
+            expect(softened.confidence).toBeGreaterThan(1 / 3);
+        });
+    });
+
+    describe('evaluation', () => {
+        it('reports a square confusion matrix over the categories present', () => {
+            const report = new IssueClassifier().train(FIXTURE).evaluate(FIXTURE);
+
+            expect(report.total).toBe(15);
+            expect(report.categories).toEqual(['bug', 'feature', 'documentation']);
+            for (const actual of report.categories) {
+                expect(Object.keys(report.confusion[actual])).toEqual(report.categories);
+                expect(Object.values(report.confusion[actual]).reduce((sum, count) => sum + count, 0)).toBe(5);
+                expect(report.perCategory[actual].support).toBe(5);
+            }
+            expect(report.accuracy).toBe(1);
+            expect(report.meanConfidence).toBeGreaterThan(0.5);
+        });
+
+        it('computes precision, recall and f1 from the matrix', () => {
+            const report = IssueClassifier.report([
+                { actual: 'bug', category: 'bug', confidence: 0.9 },
+                { actual: 'bug', category: 'feature', confidence: 0.6 },
+                { actual: 'feature', category: 'feature', confidence: 0.8 }
+            ]);
+
+            expect(report.confusion).toEqual({ bug: { bug: 1, feature: 1 }, feature: { bug: 0, feature: 1 } });
+            expect(report.perCategory.bug).toEqual({ precision: 1, recall: 0.5, f1: 2 / 3, support: 2 });
+            expect(report.perCategory.feature).toEqual({ precision: 0.5, recall: 1, f1: 2 / 3, support: 1 });
+            expect(report.accuracy).toBeCloseTo(2 / 3);
+            expect(report.meanConfidence).toBeCloseTo(0.7667, 4);
+        });
+
+        it('reports nothing for no predictions', () => {
+            expect(IssueClassifier.report([])).toMatchObject({ total: 0, accuracy: null, meanConfidence: null, categories: [] });
+        });
+
+        it('cross-validates every example with a model that never saw it', () => {
+            const predictions = IssueClassifier.crossValidatedPredictions(FIXTURE, 5);
+            const report = IssueClassifier.crossValidate(FIXTURE, 5);
+
+            expect(predictions).toHaveLength(15);
+            expect(predictions.map(prediction => prediction.actual).sort()).toEqual(FIXTURE.map(item => item.category).sort());
+            expect(report.total).toBe(15);
+            expect(report.accuracy).toBeGreaterThanOrEqual(0.6);
+            expect(report.accuracy).toBeLessThanOrEqual(1);
+        });
+    });
+
+    describe('export and import', () => {
+        it('round-trips a trained model through JSON', () => {
+            const classifier = new IssueClassifier({ alpha: 0.5 }).train(FIXTURE);
+            const restored = IssueClassifier.import(JSON.parse(JSON.stringify(classifier.export())));
+            const keyTerms = extractKeyTerms('docs readme crash');
+
+            expect(restored.export()).toEqual(classifier.export());
+            expect(restored.predict(keyTerms)).toEqual(classifier.predict(keyTerms));
+        });
+
+        it('rejects models of another format, version or shape', () => {
+            const model = new IssueClassifier().train(FIXTURE).export();
+
+            expect(() => IssueClassifier.import(null)).toThrow('Not an issue classifier model');
+            expect(() => IssueClassifier.import({ ...model, format: 'something-else' })).toThrow('Not an issue classifier model');
+            expect(() => IssueClassifier.import({ ...model, version: 2 })).toThrow('version 2 is not supported');
+            expect(() => IssueClassifier.import({ ...model, termCounts: undefined, vocabulary: 'x' })).toThrow('model is missing termCounts, vocabulary');
+            expect(() => IssueClassifier.import({ ...model, docCounts: { ...model.docCounts, question: 1 } }))
+                .toThrow('unknown categories: question');
+        });
+    });
+
+    describe('categoryFromLabels', () => {
+        it('maps label names and prefixes to categories in CATEGORIES order', () => {
+            expect(categoryFromLabels(['Type: Bug'])).toBe('bug');
+            expect(categoryFromLabels([{ name: 'kind/docs' }])).toBe('documentation');
+            expect(categoryFromLabels(['enhancement', 'regression'])).toBe('bug');
+            expect(categoryFromLabels(['question'])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Issue Context
+ * Everything the analysis needs to know about one issue, gathered and normalized in one place
+ *
+ *   comments              - every comment (all pages)
+ *   timeline              - labels, renames, closes and cross-references (comments are listed once, above)
+ *   references            - issues and pull requests mentioned as #123, owner/repo#123 or by URL,
+ *                           resolved to title, state and a body excerpt
+ *   linked_pull_requests  - pull requests that reference the issue, or that it references, with diff stats
+ *
+ * Only references into the same repository are resolved. A reference that cannot be read is
+ * logged and left out; the issue itself, its comments and the repository are required.
+ */
+
+const { getConfig } = require('./config');
+
+/**
+ * Text without fenced and inline code, where `#123` is usually a color or a line marker
+ */
+function withoutCode(text) {
+    return text.replace(/```[\s\S]*?```/g, ' ').replace(/`[^`\n]*`/g, ' ');
+}
+
+function excerpt(text, length) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? `${clean.slice(0, length).trimEnd()}…` : clean;
+}
+
+class IssueContext {
+    /**
+     * @param {Object} options
+     * @param {GitHubGateway} options.github
+     * @param {number} [options.maxReferences] - referenced issues/PRs to resolve (default: issueContext.maxReferences)
+     * @param {number} [options.excerptLength] - characters kept of each referenced body (default: issueContext.excerptLength)
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        const config = getConfig().issueContext;
+
+        this.github = options.github;
+        this.maxReferences = options.maxReferences ?? config.maxReferences;
+        this.excerptLength = options.excerptLength ?? config.excerptLength;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * @returns {Promise<Object>} the normalized issue context (see the module comment)
+     */
+    async build(issueNumber) {
+        const [issue, comments, repository] = await Promise.all([
+            this.github.getIssue(issueNumber),
+            this.github.listComments(issueNumber),
+            this.github.getRepository()
+        ]);
+
+        const timeline = await this.readTimeline(issueNumber);
+
+        const mentioned = IssueContext.extractReferences(
+            [issue.body, ...comments.filter(comment => comment.user?.type !== 'Bot').map(comment => comment.body)],
+            this.github.fullName
+        ).filter(number => number !== Number(issue.number));
+
+        const references = [];
+        for (const number of mentioned.slice(0, this.maxReferences)) {
+            const reference = await this.resolveReference(number);
+            if (reference) {
+                references.push(reference);
+            }
+        }
+        if (mentioned.length > this.maxReferences) {
+            this.logger.info(`🔗 Resolved ${this.maxReferences} of ${mentioned.length} references (issueContext.maxReferences)`);
+        }
+
+        // Pull requests that point at this issue, plus the ones it points at itself
+        const linkedNumbers = new Set([
+            ...timeline
+                .filter(event => event.event === 'cross-referenced' && event.source?.type === 'pull_request' &&
+                    event.source.repository === this.github.fullName)
+                .map(event => event.source.number),
+            ...references.filter(reference => reference.type === 'pull_request').map(reference => reference.number)
+        ]);
+
+        const linkedPullRequests = [];
+        for (const number of linkedNumbers) {
+            const pullRequest = await this.describePullRequest(number);
+            if (pullRequest) {
+                linkedPullRequests.push(pullRequest);
+            }
+        }
+
+        return {
+            number: issue.number,
+            title: issue.title,
+            body: issue.body || '',
+            state: issue.state,
+            labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+            user: IssueContext.normalizeUser(issue.user),
+            html_url: issue.html_url || null,
+            created_at: issue.created_at || null,
+            updated_at: issue.updated_at || null,
+            comments: comments.map(comment => ({
+                id: comment.id,
+                user: IssueContext.normalizeUser(comment.user),
+                body: comment.body || '',
+                created_at: comment.created_at || null
+            })),
+            timeline,
+            references,
+            linked_pull_requests: linkedPullRequests,
+            repository: {
+                name: repository.name,
+                description: repository.description,
+                language: repository.language,
+                topics: repository.topics,
+                size: repository.size,
+                default_branch: repository.default_branch
+            },
+            metadata: {
+                fetched_at: Date.now(),
+                api_version: 'v3',
+                references_found: mentioned.length
+            }
+        };
+    }
+
+    /**
+     * The timeline is context, not a requirement: without it (e.g. a backend that lacks it) the list is empty
+     */
+    async readTimeline(issueNumber) {
+        try {
+            const events = await this.github.listTimeline(issueNumber);
+            return events
+                .filter(event => event.event !== 'commented')
+                .map(event => this.normalizeEvent(event));
+        } catch (error) {
+            this.logger.warn(`⚠️ Timeline of #${issueNumber} unavailable: ${error.message}`);
+            return [];
+        }
+    }
+
+    normalizeEvent(event) {
+        const entry = {
+            event: event.event,
+            actor: event.actor?.login || event.user?.login || null,
+            created_at: event.created_at || event.submitted_at || null
+        };
+
+        switch (event.event) {
+            case 'labeled':
+            case 'unlabeled':
+                entry.label = event.label?.name || null;
+                break;
+            case 'renamed':
+                entry.from = event.rename?.from || null;
+                entry.to = event.rename?.to || null;
+                break;
+            case 'referenced':
+            case 'closed':
+                entry.commit_id = event.commit_id || null;
+                break;
+            case 'cross-referenced': {
+                const source = event.source?.issue;
+                entry.source = source ? {
+                    number: source.number,
+                    type: source.pull_request ? 'pull_request' : 'issue',
+                    repository: source.repository?.full_name || this.github.fullName,
+                    title: source.title,
+                    state: source.state
+                } : null;
+                break;
+            }
+        }
+
+        return entry;
+    }
+
+    async resolveReference(number) {
+        try {
+            const item = await this.github.getIssue(number);
+            return {
+                number,
+                type: item.pull_request || item.head ? 'pull_request' : 'issue',
+                title: item.title,
+                state: item.state,
+                excerpt: excerpt(item.body, this.excerptLength),
+                html_url: item.html_url || null
+            };
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not resolve reference #${number}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async describePullRequest(number) {
+        try {
+            const pull = await this.github.getPullRequest(number);
+            return {
+                number,
+                title: pull.title,
+                state: pull.state,
+                merged: !!(pull.merged || pull.merged_at),
+                draft: !!pull.draft,
+                head: pull.head?.ref || null,
+                base: pull.base?.ref || null,
+                additions: pull.additions ?? 0,
+                deletions: pull.deletions ?? 0,
+                changed_files: pull.changed_files ?? 0,
+                html_url: pull.html_url || null
+            };
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not read pull request #${number}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Issue numbers in the repository `fullName` mentioned in the texts, in order of first mention
+     */
+    static extractReferences(texts, fullName) {
+        const numbers = [];
+        const add = number => {
+            if (!numbers.includes(number)) {
+                numbers.push(number);
+            }
+        };
+        const [owner, repo] = fullName.toLowerCase().split('/');
+
+        for (const text of texts.filter(Boolean)) {
+            const prose = withoutCode(text);
+
+            for (const match of prose.matchAll(/https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)/g)) {
+                if (match[1].toLowerCase() === owner && match[2].toLowerCase() === repo) {
+                    add(Number(match[3]));
+                }
+            }
+
+            const withoutUrls = prose.replace(/https?:\/\/\S+/g, ' ');
+            for (const match of withoutUrls.matchAll(/(?:\b([\w.-]+)\/([\w.-]+)|(?<![\w/&]))#(\d+)\b/g)) {
+                if (!match[1] || (match[1].toLowerCase() === owner && match[2].toLowerCase() === repo)) {
+                    add(Number(match[3]));
+                }
+            }
+        }
+
+        return numbers;
+    }
+
+    static normalizeUser(user) {
+        return user ? { login: user.login, type: user.type || 'User' } : null;
+    }
+}
+
+module.exports = IssueContext;
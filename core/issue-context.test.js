@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { Octokit } from '@octokit/rest';
+import IssueContext from './issue-context';
+import LocalGitHubGateway from './local-github-gateway';
+import { OctokitGateway } from './github-gateway';
+
+const { extractReferences } = IssueContext;
+
+describe('IssueContext.extractReferences', () => {
+    it('reads #123, owner/repo#123 and issue or pull URLs into this repository, in order', () => {
+        expect(extractReferences([
+            'Same as #12 and Acme/Demo#13, see https://github.com/acme/demo/pull/16',
+            'Again #12'
+        ], 'acme/demo')).toEqual([16, 12, 13]);
+    });
+
+    it('ignores other repositories, code, anchors and URLs without an issue path', () => {
+        expect(extractReferences([
+            'Upstream other/repo#14 and https://github.com/other/repo/issues/17',
+            'Color `#15` and\n```\nline #18\n```',
+            'Docs at https://example.com/page#19 and a&#20;',
+            'path/#21'
+        ], 'acme/demo')).toEqual([]);
+    });
+});
+
+describe('IssueContext.build', () => {
+    let root;
+    let warnings;
+    let context;
+
+    const logger = { info() {}, warn: message => warnings.push(message) };
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-context-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main', description: 'Demo' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), {
+            7: { number: 7, title: 'Crash', body: 'Like #12 and acme/demo#13, not other/repo#14 or `#15`. Fixed by #20?', labels: [{ name: 'bug' }], state: 'open', user: { login: 'maya' } },
+            12: { number: 12, title: 'Older crash', body: `Long   body ${'x'.repeat(40)}`, state: 'closed' },
+            13: { number: 13, title: 'Related', body: '', state: 'open' },
+            20: { number: 20, title: 'Fix crash', body: '', state: 'open', pull_request: {} },
+            21: { number: 21, title: 'Other fix', body: '', state: 'open', pull_request: {} }
+        });
+        fs.writeJsonSync(path.join(root, 'comments.json'), [
+            { id: 1, issue_number: 7, body: 'Also #99', user: { login: 'sam', type: 'User' } },
+            { id: 2, issue_number: 7, body: 'Bot mentions #13 and #30', user: { login: 'claude-flow[bot]', type: 'Bot' } }
+        ]);
+        fs.writeJsonSync(path.join(root, 'pulls.json'), {
+            20: { number: 20, title: 'Fix crash', state: 'open', head: { ref: 'fix/7' }, base: { ref: 'main' } },
+            21: { number: 21, title: 'Other fix', state: 'closed', merged_at: '2026-01-01', head: { ref: 'other' }, base: { ref: 'main' } }
+        });
+        fs.writeJsonSync(path.join(root, 'timeline.json'), {
+            7: [
+                { event: 'labeled', actor: { login: 'maya' }, label: { name: 'bug' } },
+                { event: 'commented', actor: { login: 'sam' } },
+                { event: 'cross-referenced', source: { issue: { number: 21, title: 'Other fix', state: 'closed', pull_request: {}, repository: { full_name: 'acme/demo' } } } },
+                { event: 'cross-referenced', source: { issue: { number: 5, title: 'Elsewhere', pull_request: {}, repository: { full_name: 'other/repo' } } } }
+            ]
+        });
+        warnings = [];
+        context = new IssueContext({ github: new LocalGitHubGateway({ root }), maxReferences: 10, excerptLength: 20, logger });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('resolves references in the body and human comments', async () => {
+        const result = await context.build(7);
+
+        expect(result.references).toEqual([
+            { number: 12, type: 'issue', title: 'Older crash', state: 'closed', excerpt: 'Long body xxxxxxxxxx…', html_url: null },
+            { number: 13, type: 'issue', title: 'Related', state: 'open', excerpt: '', html_url: null },
+            { number: 20, type: 'pull_request', title: 'Fix crash', state: 'open', excerpt: '', html_url: null }
+        ]);
+        expect(result.metadata.references_found).toBe(4);
+        expect(warnings).toEqual([expect.stringContaining('Could not resolve reference #99')]);
+    });
+
+    it('links pull requests it references and that reference it from this repository', async () => {
+        const result = await context.build(7);
+
+        expect(result.linked_pull_requests.map(({ number, merged, head }) => ({ number, merged, head }))).toEqual([
+            { number: 21, merged: true, head: 'other' },
+            { number: 20, merged: false, head: 'fix/7' }
+        ]);
+    });
+
+    it('normalizes the issue, its comments and timeline', async () => {
+        const result = await context.build(7);
+
+        expect(result).toMatchObject({ number: 7, labels: ['bug'], user: { login: 'maya', type: 'User' }, repository: { description: 'Demo' } });
+        expect(result.comments.map(comment => comment.id)).toEqual([1, 2]);
+        expect(result.timeline.map(event => event.event)).toEqual(['labeled', 'cross-referenced', 'cross-referenced']);
+        expect(result.timeline[0]).toMatchObject({ actor: 'maya', label: 'bug' });
+        expect(result.timeline[2].source).toMatchObject({ number: 5, type: 'pull_request', repository: 'other/repo' });
+    });
+
+    it('resolves at most maxReferences', async () => {
+        context.maxReferences = 1;
+
+        const result = await context.build(7);
+
+        expect(result.references.map(reference => reference.number)).toEqual([12]);
+        expect(result.metadata.references_found).toBe(4);
+    });
+});
+
+describe('IssueContext.build through the REST API', () => {
+    const API = 'https://api.github.com';
+    let requested;
+
+    const comment = id => ({ id, body: id === 101 ? 'See #12' : `Comment ${id}`, user: { login: 'sam', type: 'User' } });
+
+    // Two pages of comments linked by a Link header, like the REST API
+    const ROUTES = {
+        '/repos/acme/demo/issues/7': () => ({ data: { number: 7, title: 'Crash', body: '', state: 'open', labels: [] } }),
+        '/repos/acme/demo/issues/7/comments?per_page=100': () => ({
+            data: Array.from({ length: 100 }, (_, index) => comment(index + 1)),
+            link: `<${API}/repositories/1/issues/7/comments?per_page=100&page=2>; rel="next", <${API}/repositories/1/issues/7/comments?per_page=100&page=2>; rel="last"`
+        }),
+        '/repositories/1/issues/7/comments?per_page=100&page=2': () => ({ data: [comment(101), comment(102)] }),
+        '/repos/acme/demo': () => ({ data: { name: 'demo', full_name: 'acme/demo', default_branch: 'main' } }),
+        '/repos/acme/demo/issues/7/timeline?per_page=100': () => ({ data: [] }),
+        '/repos/acme/demo/issues/12': () => ({ data: { number: 12, title: 'Older crash', body: 'Old', state: 'closed' } })
+    };
+
+    const fetch = async url => {
+        const { pathname, search } = new URL(url);
+        requested.push(`${pathname}${search}`);
+        const route = ROUTES[`${pathname}${search}`];
+        if (!route) {
+            return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404, headers: { 'content-type': 'application/json' } });
+        }
+        const { data, link } = route();
+        return new Response(JSON.stringify(data), { status: 200, headers: { 'content-type': 'application/json', ...(link ? { link } : {}) } });
+    };
+
+    beforeEach(() => {
+        requested = [];
+    });
+
+    it('reads every page of comments and resolves references from the last page', async () => {
+        const github = new OctokitGateway({ owner: 'acme', repo: 'demo', octokit: new Octokit({ request: { fetch } }) });
+        const context = new IssueContext({ github, maxReferences: 10, excerptLength: 100, logger: { info() {}, warn() {} } });
+
+        const result = await context.build(7);
+
+        expect(result.comments).toHaveLength(102);
+        expect(result.comments[101]).toMatchObject({ id: 102, body: 'Comment 102' });
+        expect(requested).toContain('/repositories/1/issues/7/comments?per_page=100&page=2');
+        expect(result.references).toEqual([{ number: 12, type: 'issue', title: 'Older crash', state: 'closed', excerpt: 'Old', html_url: null }]);
+    });
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Living Comment
+ * Keeps one bot comment per issue and kind (analysis, ...) up to date instead of
+ * posting a new report on every run. The comment is found again through a hidden
+ * marker; earlier versions are folded into a <details> history block.
+ *
+ * Modes:
+ *   upsert - edit the marked comment in place (default)
+ *   append - post a new comment each run (the previous behaviour)
+ */
+
+const COMMENT_MODES = ['upsert', 'append'];
+const HISTORY_MARKER = '<!-- claude-flow:history -->';
+const REVISION_MARKER = '<!-- claude-flow:revision -->';
+
+// GitHub rejects comment bodies above 65536 characters
+const MAX_BODY_LENGTH = 65000;
+
+class LivingComment {
+    /**
+     * @param {GitHubGateway} github
+     * @param {Object} options
+     * @param {string} [options.kind='analysis'] - one living comment per kind and issue
+     * @param {string} [options.mode='upsert'] - 'upsert' or 'append'
+     * @param {number} [options.maxHistory=5] - earlier versions kept in the history block
+     */
+    constructor(github, options = {}) {
+        const mode = options.mode || 'upsert';
+        if (!COMMENT_MODES.includes(mode)) {
+            throw new Error(`Unknown comment mode "${mode}" (expected ${COMMENT_MODES.join(' or ')})`);
+        }
+
+        this.github = github;
+        this.kind = options.kind || 'analysis';
+        this.mode = mode;
+        this.maxHistory = options.maxHistory ?? 5;
+    }
+
+    get marker() {
+        return `<!-- claude-flow:living-comment:${this.kind} -->`;
+    }
+
+    /**
+     * Post or update the comment
+     * @returns {Promise<{id, html_url, action: 'created'|'updated'|'appended', revisions: number}>}
+     */
+    async publish(issueNumber, body) {
+        const existing = this.mode === 'upsert' ? await this.find(issueNumber) : null;
+
+        if (!existing) {
+            const response = await this.github.createComment(issueNumber, this.render(body, []));
+            return {
+                ...response,
+                action: this.mode === 'append' ? 'appended' : 'created',
+                revisions: 0
+            };
+        }
+
+        const { current, history } = this.parse(existing.body);
+        const revisions = current
+            ? [this.renderRevision(current, existing.updated_at || existing.created_at), ...history]
+            : history;
+
+        const response = await this.github.updateComment(existing.id, this.render(body, revisions.slice(0, this.maxHistory)));
+        return {
+            ...response,
+            action: 'updated',
+            revisions: Math.min(revisions.length, this.maxHistory)
+        };
+    }
+
+    /**
+     * Most recent comment carrying this kind's marker, written by the gateway's bot account
+     * (anyone can paste the marker into a comment of their own)
+     */
+    async find(issueNumber) {
+        const comments = await this.github.listComments(issueNumber);
+        const marked = comments.filter(comment =>
+            comment.user?.login === this.github.botLogin && (comment.body || '').startsWith(this.marker));
+        return marked[marked.length - 1] || null;
+    }
+
+    /**
+     * Split a marked comment into its current body and the stored revisions
+     */
+    parse(text) {
+        const content = text.slice(this.marker.length).replace(/^\n/, '');
+        const historyAt = content.indexOf(HISTORY_MARKER);
+        if (historyAt === -1) {
+            return { current: content.trim(), history: [] };
+        }
+
+        const history = content.slice(historyAt)
+            .replace(/\n<\/details>\s*$/, '') // closes the outer history block
+            .split(REVISION_MARKER)
+            .slice(1)
+            .map(revision => revision.trim())
+            .filter(Boolean);
+
+        return { current: content.slice(0, historyAt).trim(), history };
+    }
+
+    render(body, revisions) {
+        let history = [...revisions];
+        let text = this.compose(body, history);
+
+        // Drop the oldest revisions until the comment fits
+        while (text.length > MAX_BODY_LENGTH && history.length > 0) {
+            history = history.slice(0, -1);
+            text = this.compose(body, history);
+        }
+
+        return text;
+    }
+
+    compose(body, revisions) {
+        const parts = [this.marker, body.trim()];
+
+        if (revisions.length > 0) {
+            parts.push(`${HISTORY_MARKER}
+<details>
+<summary>📜 Previous runs (${revisions.length})</summary>
+
+${revisions.map(revision => `${REVISION_MARKER}\n${revision}`).join('\n\n')}
+</details>`);
+        }
+
+        return parts.join('\n\n');
+    }
+
+    renderRevision(body, timestamp) {
+        const when = timestamp ? new Date(timestamp).toISOString() : 'an earlier run';
+        return `<details>
+<summary>Run from ${when}</summary>
+
+${body}
+
+</details>`;
+    }
+}
+
+module.exports = LivingComment;
+module.exports.COMMENT_MODES = COMMENT_MODES;
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import LivingComment from './living-comment';
+import LocalGitHubGateway from './local-github-gateway';
+
+describe('LivingComment', () => {
+    let root;
+    let github;
+
+    const comments = () => github.listComments(7);
+
+    // A comment written by someone other than the bot
+    function postAs(login, body) {
+        const stored = fs.readJsonSync(path.join(root, 'comments.json'), { throws: false }) || [];
+        const comment = { id: stored.length + 100, issue_number: 7, body, user: { login, type: 'User' }, created_at: new Date().toISOString() };
+        fs.writeJsonSync(path.join(root, 'comments.json'), [...stored, comment]);
+        return comment;
+    }
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'living-comment-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), { 7: { number: 7, title: 'Crash', body: '', labels: [], state: 'open' } });
+        github = new LocalGitHubGateway({ root });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('creates the comment once and updates it in place afterwards', async () => {
+        const living = new LivingComment(github, { kind: 'analysis' });
+
+        const first = await living.publish(7, 'Run one');
+        const second = await living.publish(7, 'Run two');
+
+        expect(first).toMatchObject({ action: 'created', revisions: 0 });
+        expect(second).toMatchObject({ id: first.id, action: 'updated', revisions: 1 });
+        expect(await comments()).toHaveLength(1);
+        expect((await comments())[0].body.startsWith(`${living.marker}\n\nRun two`)).toBe(true);
+    });
+
+    it('folds earlier bodies into the history block, newest first and capped', async () => {
+        const living = new LivingComment(github, { kind: 'analysis', maxHistory: 2 });
+
+        for (const run of ['one', 'two', 'three', 'four']) {
+            await living.publish(7, `Run ${run}`);
+        }
+
+        const { current, history } = living.parse((await comments())[0].body);
+        expect(current).toBe('Run four');
+        expect(history).toHaveLength(2);
+        expect(history[0]).toContain('Run three');
+        expect(history[1]).toContain('Run two');
+        expect((await comments())[0].body).toContain('<summary>📜 Previous runs (2)</summary>');
+    });
+
+    it('parses a body without history', () => {
+        const living = new LivingComment(github);
+
+        expect(living.parse(`${living.marker}\n\nJust this`)).toEqual({ current: 'Just this', history: [] });
+    });
+
+    it('keeps one comment per kind', async () => {
+        await new LivingComment(github, { kind: 'analysis' }).publish(7, 'Analysis');
+        await new LivingComment(github, { kind: 'access' }).publish(7, 'Denied');
+
+        expect((await comments()).map(comment => comment.body.split('\n\n')[1])).toEqual(['Analysis', 'Denied']);
+    });
+
+    it('posts a new comment every run in append mode', async () => {
+        const living = new LivingComment(github, { mode: 'append' });
+
+        await living.publish(7, 'One');
+        const second = await living.publish(7, 'Two');
+
+        expect(second.action).toBe('appended');
+        expect(await comments()).toHaveLength(2);
+    });
+
+    it('never adopts a comment another account wrote with the marker', async () => {
+        const living = new LivingComment(github, { kind: 'analysis' });
+        const spoofed = postAs('mallory', `${living.marker}\n\nNot the bot`);
+
+        expect(await living.find(7)).toBeNull();
+
+        const result = await living.publish(7, 'Real analysis');
+        expect(result.action).toBe('created');
+        expect(await github.getComment(spoofed.id)).toMatchObject({ body: `${living.marker}\n\nNot the bot`, user: { login: 'mallory' } });
+        expect((await living.find(7)).id).toBe(result.id);
+    });
+
+    it('rejects unknown modes', () => {
+        expect(() => new LivingComment(github, { mode: 'replace' })).toThrow('Unknown comment mode "replace"');
+    });
+});
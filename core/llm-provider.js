@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - LLM Provider
+ * The one place the Hive-Mind engine asks a model for anything: a task name and its input go in,
+ * JSON matching the task's schema comes out
+ *
+ *   rule-based  - deterministic answers computed from the input; the offline default
+ *   recorded    - answers replayed from a fixture file keyed by task and prompt; with llm.record
+ *                 set, misses are answered by the rule-based provider and written to the fixture
+ *
+ * Model backends plug in through registerProvider(name, factory) and only implement generate();
+ * prompts, schemas and response validation are shared.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { getConfig, ConfigError } = require('./config');
+const { validate } = require('./result-schema');
+
+const STRINGS = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/**
+ * What the engine asks, and the shape every provider has to answer in
+ */
+const TASKS = {
+    'agent-analysis': {
+        system: 'You are one specialist agent in a team resolving a GitHub issue. ' +
+            'Report what you find from your specialization and what you recommend.',
+        schema: {
+            type: 'object',
+            required: ['findings', 'recommendations'],
+            properties: {
+                findings: STRINGS,
+                recommendations: STRINGS
+            }
+        }
+    },
+    solution: {
+        system: 'You write one candidate solution for a GitHub issue from the team\'s analysis: ' +
+            'an approach, implementation steps, code, tests and documentation.',
+        schema: {
+            type: 'object',
+            required: ['approach', 'description', 'steps', 'code', 'tests', 'documentation'],
+            properties: {
+                approach: { type: 'string', minLength: 1 },
+                description: { type: 'string', minLength: 1 },
+                steps: STRINGS,
+                code: { type: 'string' },
+                tests: { type: 'string' },
+                documentation: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Base class: complete() builds the prompt, calls generate() and validates the answer
+ */
+class LLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'provider';
+    }
+
+    /**
+     * @param {string} task - a TASKS key
+     * @param {Object} input - task input (plain JSON)
+     * @returns {Promise<Object>} the validated response
+     */
+    async complete(task, input) {
+        const definition = TASKS[task];
+        if (!definition) {
+            throw new Error(`Unknown LLM task "${task}"`);
+        }
+
+        const request = { task, input, system: definition.system, prompt: renderPrompt(task, input), schema: definition.schema };
+        const response = await this.generate(request);
+
+        const problems = validate(definition.schema, response);
+        if (problems.length > 0) {
+            throw new Error(`${this.name} returned an invalid ${task} response:\n  - ${problems.join('\n  - ')}`);
+        }
+        return response;
+    }
+
+    /**
+     * @param {Object} request - { task, input, system, prompt, schema }
+     * @returns {Promise<Object>} response JSON (validated by complete())
+     */
+    async generate(request) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+}
+
+/**
+ * Prompt text for model backends; also the key recorded fixtures are stored under
+ */
+function renderPrompt(task, input) {
+    return [
+        TASKS[task].system,
+        '',
+        'Input:',
+        JSON.stringify(input, null, 2),
+        '',
+        'Answer with a single JSON object matching this schema:',
+        JSON.stringify(TASKS[task].schema)
+    ].join('\n');
+}
+
+// =================================================================
+// RULE-BASED PROVIDER
+// =================================================================
+
+class RuleBasedProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'rule-based', ...options });
+    }
+
+    async generate({ task, input }) {
+        return task === 'agent-analysis' ? this.agentAnalysis(input) : this.solution(input);
+    }
+
+    agentAnalysis({ agent, analysis }) {
+        const findings = [];
+        const recommendations = [];
+        const topFile = analysis.relevantFiles[0];
+        const linkedPullRequest = analysis.linkedPullRequests[0];
+
+        switch (agent.type) {
+            case 'analyzer':
+                findings.push(`Root cause identified in ${analysis.domain} domain`);
+                findings.push(`Complexity level: ${analysis.complexity.level}`);
+                if (topFile) {
+                    findings.push(`Most relevant file: ${topFile.path} (${topFile.reasons.join(', ')})`);
+                }
+                recommendations.push('Conduct thorough impact analysis');
+                recommendations.push('Identify all stakeholders affected');
+                break;
+            case 'implementer':
+                findings.push(`Implementation approach: ${analysis.solutionSpace[0] || 'general'}`);
+                findings.push(`Estimated effort: ${analysis.complexity.estimatedEffort} hours`);
+                if (linkedPullRequest) {
+                    findings.push(`Pull request #${linkedPullRequest.number} already changes ${linkedPullRequest.changed_files} files for this issue`);
+                }
+                recommendations.push('Follow test-driven development approach');
+                recommendations.push('Implement with backward compatibility');
+                break;
+            case 'tester':
+                findings.push(`Testing strategy required for ${analysis.domain}`);
+                findings.push(`Risk level: ${analysis.risks.length > 0 ? 'medium' : 'low'}`);
+                recommendations.push('Create comprehensive test suite');
+                recommendations.push('Include edge case testing');
+                break;
+            case 'security-specialist':
+                findings.push(`Analysis completed from ${agent.specialization} perspective`);
+                recommendations.push('Perform security vulnerability scan');
+                recommendations.push('Implement secure coding practices');
+                break;
+            default:
+                findings.push(`Analysis completed from ${agent.specialization} perspective`);
+                recommendations.push('Ensure solution meets quality standards');
+        }
+
+        return { findings, recommendations };
+    }
+
+    solution({ index, issue, relatedFiles, findings }) {
+        const number = index + 1;
+        const paths = relatedFiles.map(file => file.path);
+        const files = paths.map(file => `- \`${file}\``).join('\n');
+
+        return {
+            approach: `AI-Generated Approach ${number}`,
+            description: 'Advanced solution using neural pattern recognition',
+            steps: [
+                ...relatedFiles.slice(0, 3).map(file => `Review \`${file.path}\` (${file.reasons.join(', ')})`),
+                'Analyze problem context using AI',
+                'Apply neural pattern matching',
+                'Generate solution framework',
+                'Implement with quality assurance',
+                'Validate using AI testing'
+            ],
+            code: `// AI-Generated Solution ${number} for #${issue.number}: ${issue.title}
+// Generated by Hive-Mind Neural Network
+${paths.length > 0 ? `// Start from: ${paths.slice(0, 3).join(', ')}\n` : ''}
+class Solution${number} {
+    constructor() {
+        this.approach = 'neural-pattern-based';
+    }
+
+    async resolve() {
+        // Advanced AI implementation
+        return {
+            success: true,
+            method: 'hive-mind-coordination',
+            timestamp: Date.now()
+        };
+    }
+}
+
+module.exports = Solution${number};`,
+            tests: `// AI-Generated Tests for Solution ${number}
+const Solution${number} = require('./solution-${number}');
+
+describe('Solution${number}', () => {
+    it('should resolve successfully', async () => {
+        const solution = new Solution${number}();
+        const result = await solution.resolve();
+        expect(result.success).toBe(true);
+    });
+});`,
+            documentation: `# AI-Generated Solution ${number}
+
+## Overview
+Resolves #${issue.number}: ${issue.title}
+
+## Approach
+Neural pattern-based resolution with swarm intelligence coordination.
+
+## Findings
+${findings.length > 0 ? findings.map(finding => `- ${finding}`).join('\n') : '- None reported'}
+${files ? `\n## Relevant Files\n${files}\n` : ''}
+## Usage
+\`\`\`javascript
+const solution = new Solution${number}();
+const result = await solution.resolve();
+\`\`\``
+        };
+    }
+}
+
+// =================================================================
+// RECORDED PROVIDER
+// =================================================================
+
+class RecordedProvider extends LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.fixturePath - JSON file of recorded responses
+     * @param {LLMProvider} [options.fallback] - answers misses when recording
+     * @param {boolean} [options.record=false] - write fallback answers to the fixture
+     */
+    constructor(options = {}) {
+        super({ name: 'recorded', ...options });
+        if (!options.fixturePath) {
+            throw new ConfigError('The recorded LLM provider needs llm.fixturePath (LLM_FIXTURE_PATH)');
+        }
+
+        this.fixturePath = options.fixturePath;
+        this.fallback = options.fallback || null;
+        this.record = options.record === true;
+        this.responses = fs.existsSync(this.fixturePath) ? fs.readJsonSync(this.fixturePath) : {};
+    }
+
+    static key(task, prompt) {
+        return `${task}:${crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16)}`;
+    }
+
+    async generate(request) {
+        const key = RecordedProvider.key(request.task, request.prompt);
+        if (key in this.responses) {
+            return this.responses[key];
+        }
+
+        if (!this.record || !this.fallback) {
+            const error = new Error(`No recorded ${request.task} response for ${key} in ${this.fixturePath} (set llm.record to record one)`);
+            error.code = 'FIXTURE_MISSING';
+            throw error;
+        }
+
+        const response = await this.fallback.generate(request);
+        this.responses[key] = response;
+        fs.outputJsonSync(this.fixturePath, this.responses, { spaces: 2 });
+        return response;
+    }
+}
+
+// =================================================================
+// REGISTRY
+// =================================================================
+
+const PROVIDERS = {
+    'rule-based': options => new RuleBasedProvider(options),
+    recorded: options => new RecordedProvider({ fallback: new RuleBasedProvider(), ...options })
+};
+
+/**
+ * Make a provider available under `name` (llm.provider / LLM_PROVIDER)
+ * @param {string} name
+ * @param {Function} factory - (options) => LLMProvider
+ */
+function registerProvider(name, factory) {
+    PROVIDERS[name] = factory;
+}
+
+/**
+ * Provider named by llm.provider, configured from the llm.* settings
+ */
+function createProvider(name = getConfig().llm.provider, options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new ConfigError(`Unknown LLM provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const config = getConfig().llm;
+    return factory({ fixturePath: config.fixturePath, record: config.record, ...options });
+}
+
+module.exports = {
+    TASKS,
+    LLMProvider,
+    RuleBasedProvider,
+    RecordedProvider,
+    renderPrompt,
+    registerProvider,
+    createProvider
+};
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { LLMProvider, RuleBasedProvider, RecordedProvider, renderPrompt, registerProvider, createProvider } from './llm-provider';
+
+const INPUT = {
+    agent: { type: 'analyzer', specialization: 'root cause analysis' },
+    analysis: {
+        domain: 'backend',
+        complexity: { level: 'medium', estimatedEffort: 4 },
+        relevantFiles: [{ path: 'src/moon.js', reasons: ['named in the issue'] }],
+        linkedPullRequests: [],
+        solutionSpace: [],
+        risks: []
+    }
+};
+
+describe('RecordedProvider', () => {
+    let dir;
+    let fixturePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-provider-'));
+        fixturePath = path.join(dir, 'responses.json');
+    });
+
+    afterEach(() => {
+        fs.removeSync(dir);
+    });
+
+    it('fails with FIXTURE_MISSING when no response is recorded for the prompt', async () => {
+        const provider = new RecordedProvider({ fixturePath, fallback: new RuleBasedProvider() });
+        const key = RecordedProvider.key('agent-analysis', renderPrompt('agent-analysis', INPUT));
+
+        const error = await provider.complete('agent-analysis', INPUT).catch(caught => caught);
+
+        expect(error.code).toBe('FIXTURE_MISSING');
+        expect(error.message).toBe(`No recorded agent-analysis response for ${key} in ${fixturePath} (set llm.record to record one)`);
+        expect(fs.existsSync(fixturePath)).toBe(false);
+    });
+
+    it('fails with FIXTURE_MISSING when recording has nothing to record with', async () => {
+        const provider = new RecordedProvider({ fixturePath, record: true });
+
+        await expect(provider.complete('agent-analysis', INPUT)).rejects.toMatchObject({ code: 'FIXTURE_MISSING' });
+    });
+
+    it('records a miss with the fallback and replays it afterwards', async () => {
+        const recorder = new RecordedProvider({ fixturePath, fallback: new RuleBasedProvider(), record: true });
+
+        const recorded = await recorder.complete('agent-analysis', INPUT);
+        const replayed = await new RecordedProvider({ fixturePath }).complete('agent-analysis', INPUT);
+
+        expect(replayed).toEqual(recorded);
+        expect(recorded.findings).toContain('Most relevant file: src/moon.js (named in the issue)');
+        expect(Object.keys(fs.readJsonSync(fixturePath))).toEqual([RecordedProvider.key('agent-analysis', renderPrompt('agent-analysis', INPUT))]);
+    });
+
+    it('keys responses by task and prompt, so a changed input is a miss', async () => {
+        await new RecordedProvider({ fixturePath, fallback: new RuleBasedProvider(), record: true }).complete('agent-analysis', INPUT);
+        const changed = { ...INPUT, agent: { ...INPUT.agent, type: 'tester' } };
+
+        await expect(new RecordedProvider({ fixturePath }).complete('agent-analysis', changed))
+            .rejects.toMatchObject({ code: 'FIXTURE_MISSING' });
+    });
+
+    it('rejects recorded responses that do not match the task schema', async () => {
+        const key = RecordedProvider.key('agent-analysis', renderPrompt('agent-analysis', INPUT));
+        fs.writeJsonSync(fixturePath, { [key]: { findings: 'not a list' } });
+
+        await expect(new RecordedProvider({ fixturePath }).complete('agent-analysis', INPUT))
+            .rejects.toThrow('recorded returned an invalid agent-analysis response');
+    });
+
+    it('needs a fixture path', () => {
+        expect(() => new RecordedProvider()).toThrow('The recorded LLM provider needs llm.fixturePath (LLM_FIXTURE_PATH)');
+    });
+});
+
+describe('createProvider', () => {
+    it('creates registered providers and rejects unknown names', async () => {
+        class EchoProvider extends LLMProvider {
+            async generate({ task }) {
+                return { findings: [`echo ${task}`], recommendations: [] };
+            }
+        }
+        registerProvider('echo', options => new EchoProvider({ name: 'echo', ...options }));
+
+        expect(await createProvider('echo').complete('agent-analysis', INPUT)).toEqual({ findings: ['echo agent-analysis'], recommendations: [] });
+        expect(createProvider('rule-based')).toBeInstanceOf(RuleBasedProvider);
+        expect(() => createProvider('gpt-nothing')).toThrow('Unknown LLM provider "gpt-nothing"');
+    });
+
+    it('rejects unknown tasks', async () => {
+        await expect(new RuleBasedProvider().complete('poem', {})).rejects.toThrow('Unknown LLM task "poem"');
+    });
+});
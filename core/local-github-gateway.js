@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Local GitHub Gateway
+ * File-backed stand-in for GitHub so whole runs work offline
+ *
+ * Fixture layout (everything is plain JSON so runs can be inspected afterwards):
+ *   repository.json     repository metadata (name, description, default_branch, ...)
+ *   issues.json         { "<number>": issue }, labels added by runs are written back here
+ *   comments.json       [ comment ], each with an issue_number
+ *   pulls.json          { "<number>": pull request } created by runs
+ *   git.json            { refs: { branch: sha }, commits: { sha: commit } }
+ *   collaborators.json  optional { "<login>": "admin"|"maintain"|"write"|"triage"|"read" }
+ *   tree/               optional working tree seeded as the default branch's first commit
+ */
+
+const { GitHubGateway } = require('./github-gateway');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+class LocalGitHubGateway extends GitHubGateway {
+    constructor(options = {}) {
+        if (!options.root) {
+            throw new Error('Local GitHub gateway requires a fixture root directory');
+        }
+
+        const root = path.resolve(options.root);
+        const repository = LocalGitHubGateway.readJson(path.join(root, 'repository.json'), {});
+        const [owner, repo] = (options.repository || repository.full_name || 'local/fixture').split('/');
+
+        const login = options.login || 'claude-flow[bot]';
+        super({ owner, repo, botLogin: login });
+
+        this.root = root;
+        this.login = login;
+        fs.ensureDirSync(this.root);
+    }
+
+    static readJson(filePath, fallback) {
+        return fs.existsSync(filePath) ? fs.readJsonSync(filePath) : fallback;
+    }
+
+    read(name, fallback) {
+        return LocalGitHubGateway.readJson(path.join(this.root, name), fallback);
+    }
+
+    write(name, data) {
+        fs.writeJsonSync(path.join(this.root, name), data, { spaces: 2 });
+    }
+
+    // =================================================================
+    // ISSUES AND COMMENTS
+    // =================================================================
+
+    async getIssue(issueNumber) {
+        const issue = this.read('issues.json', {})[issueNumber] || this.read('pulls.json', {})[issueNumber];
+        if (!issue) {
+            throw this.httpError(404, `Issue #${issueNumber} not found in ${this.root}`);
+        }
+        return issue;
+    }
+
+    async listIssues({ state = 'closed', limit = 500 } = {}) {
+        return Object.values(this.read('issues.json', {}))
+            .filter(issue => state === 'all' || (issue.state || 'open') === state)
+            .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')) || b.number - a.number)
+            .slice(0, limit);
+    }
+
+    async listComments(issueNumber) {
+        return this.read('comments.json', [])
+            .filter(comment => comment.issue_number === Number(issueNumber));
+    }
+
+    /**
+     * timeline.json: { "<issue number>": [events as the timeline API returns them] }
+     */
+    async listTimeline(issueNumber) {
+        await this.getIssue(issueNumber);
+        return this.read('timeline.json', {})[issueNumber] || [];
+    }
+
+    async getRepository() {
+        return {
+            name: this.repo,
+            full_name: this.fullName,
+            description: null,
+            language: null,
+            topics: [],
+            size: 0,
+            default_branch: 'main',
+            ...this.read('repository.json', {})
+        };
+    }
+
+    async getCollaboratorPermission(username) {
+        const role = this.read('collaborators.json', {})[username];
+        if (!role) {
+            throw this.httpError(404, `${username} is not a collaborator on ${this.fullName}`);
+        }
+
+        // Classic permission levels fold maintain into write and triage into read
+        const permission = { maintain: 'write', triage: 'read' }[role] || role;
+        return { permission, role_name: role, user: { login: username } };
+    }
+
+    async createComment(issueNumber, body) {
+        await this.getIssue(issueNumber);
+
+        const comments = this.read('comments.json', []);
+        const id = comments.reduce((max, comment) => Math.max(max, comment.id), 0) + 1;
+        const comment = {
+            id,
+            issue_number: Number(issueNumber),
+            body,
+            user: { login: this.login, type: 'Bot' },
+            created_at: new Date().toISOString(),
+            html_url: `local://${this.fullName}/issues/${issueNumber}#issuecomment-${id}`
+        };
+
+        comments.push(comment);
+        this.write('comments.json', comments);
+        return comment;
+    }
+
+    async getComment(commentId) {
+        const comment = this.read('comments.json', []).find(candidate => candidate.id === Number(commentId));
+        if (!comment) {
+            throw this.httpError(404, `Comment ${commentId} not found in ${this.root}`);
+        }
+        return comment;
+    }
+
+    async updateComment(commentId, body) {
+        const comments = this.read('comments.json', []);
+        const comment = comments.find(candidate => candidate.id === Number(commentId));
+        if (!comment) {
+            throw this.httpError(404, `Comment ${commentId} not found in ${this.root}`);
+        }
+
+        comment.body = body;
+        comment.updated_at = new Date().toISOString();
+        this.write('comments.json', comments);
+        return comment;
+    }
+
+    async addLabels(issueNumber, labels) {
+        const collection = this.read('issues.json', {})[issueNumber] ? 'issues.json' : 'pulls.json';
+        const items = this.read(collection, {});
+        const item = items[issueNumber];
+
+        if (!item) {
+            throw this.httpError(404, `Issue #${issueNumber} not found in ${this.root}`);
+        }
+
+        const names = new Set((item.labels || []).map(label => label.name || label));
+        labels.forEach(label => names.add(label));
+        item.labels = Array.from(names).map(name => ({ name }));
+
+        this.write(collection, items);
+        return item.labels;
+    }
+
+    async removeLabel(issueNumber, label) {
+        const collection = this.read('issues.json', {})[issueNumber] ? 'issues.json' : 'pulls.json';
+        const items = this.read(collection, {});
+        const item = items[issueNumber];
+        const names = ((item && item.labels) || []).map(existing => existing.name || existing);
+
+        if (!names.includes(label)) {
+            throw this.httpError(404, `Label ${label} is not set on #${issueNumber}`);
+        }
+
+        item.labels = names.filter(name => name !== label).map(name => ({ name }));
+        this.write(collection, items);
+        return item.labels;
+    }
+
+    // =================================================================
+    // BRANCHES, FILES AND PULL REQUESTS
+    // =================================================================
+
+    loadGit() {
+        const git = this.read('git.json', null);
+        if (git) return git;
+
+        // First access: seed the default branch from the fixture's tree/ directory
+        const repository = this.read('repository.json', {});
+        const seeded = { refs: {}, commits: {} };
+        const commit = this.buildCommit(null, this.readTree(path.join(this.root, 'tree')), 'Initial fixture commit');
+
+        seeded.commits[commit.sha] = commit;
+        seeded.refs[repository.default_branch || 'main'] = commit.sha;
+        this.write('git.json', seeded);
+        return seeded;
+    }
+
+    readTree(dir, prefix = '') {
+        const files = {};
+        if (!fs.existsSync(dir)) return files;
+
+        for (const entry of fs.readdirSync(dir)) {
+            const fullPath = path.join(dir, entry);
+            const relative = prefix ? `${prefix}/${entry}` : entry;
+
+            if (fs.statSync(fullPath).isDirectory()) {
+                Object.assign(files, this.readTree(fullPath, relative));
+            } else {
+                files[relative] = fs.readFileSync(fullPath, 'utf-8');
+            }
+        }
+
+        return files;
+    }
+
+    buildCommit(parent, files, message) {
+        const sha = crypto.createHash('sha1')
+            .update(JSON.stringify({ parent, files, message, at: Date.now(), nonce: crypto.randomUUID() }))
+            .digest('hex');
+
+        return {
+            sha,
+            parents: parent ? [parent] : [],
+            message,
+            author: { login: this.login },
+            files,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    async getBranchSha(branch) {
+        const sha = this.loadGit().refs[branch];
+        if (!sha) {
+            throw this.httpError(404, `Branch ${branch} not found`);
+        }
+        return sha;
+    }
+
+    async createBranch(branch, sha) {
+        const git = this.loadGit();
+
+        if (git.refs[branch]) {
+            throw this.httpError(422, 'Reference already exists');
+        }
+        if (!git.commits[sha]) {
+            throw this.httpError(422, `Object ${sha} does not exist`);
+        }
+
+        git.refs[branch] = sha;
+        this.write('git.json', git);
+        return { ref: `refs/heads/${branch}`, object: { sha } };
+    }
+
+    async updateBranch(branch, sha, force = false) {
+        const git = this.loadGit();
+        const current = git.refs[branch];
+
+        if (!current) {
+            throw this.httpError(422, 'Reference does not exist');
+        }
+        if (!git.commits[sha]) {
+            throw this.httpError(422, `Object ${sha} does not exist`);
+        }
+        if (!force && !this.isAncestor(git, current, sha)) {
+            throw this.httpError(422, 'Update is not a fast forward');
+        }
+
+        git.refs[branch] = sha;
+        this.write('git.json', git);
+        return { ref: `refs/heads/${branch}`, object: { sha } };
+    }
+
+    isAncestor(git, ancestor, sha) {
+        const pending = [sha];
+        while (pending.length > 0) {
+            const current = pending.pop();
+            if (current === ancestor) return true;
+            pending.push(...(git.commits[current]?.parents || []));
+        }
+        return false;
+    }
+
+    async createOrUpdateFile({ branch, path: filePath, content, message }) {
+        const git = this.loadGit();
+        const head = git.refs[branch];
+
+        if (!head) {
+            throw this.httpError(404, `Branch ${branch} not found`);
+        }
+
+        const files = { ...git.commits[head].files, [filePath]: content };
+        const commit = this.buildCommit(head, files, message);
+
+        git.commits[commit.sha] = commit;
+        git.refs[branch] = commit.sha;
+        this.write('git.json', git);
+
+        return { content: { path: filePath }, commit: { sha: commit.sha, message } };
+    }
+
+    async commitChanges({ baseSha, message, changes }) {
+        const git = this.loadGit();
+        const base = git.commits[baseSha];
+        
+        if (!base) {
+            throw this.httpError(422, `Object ${baseSha} does not exist`);
+        }
+        
+        const files = { ...base.files };
+        for (const change of changes) {
+            if (change.from) {
+                if (!(change.from in files)) {
+                    throw this.httpError(422, `${change.from} does not exist in ${baseSha}`);
+                }
+                const content = change.content !== undefined ? change.content : files[change.from];
+                delete files[change.from];
+                files[change.path] = content;
+            } else if (change.delete) {
+                if (!(change.path in files)) {
+                    throw this.httpError(422, `${change.path} does not exist in ${baseSha}`);
+                }
+                delete files[change.path];
+            } else {
+                files[change.path] = change.content;
+            }
+        }
+        
+        // Like a real git object: stored, but unreachable until a ref points at it
+        const commit = this.buildCommit(baseSha, files, message);
+        git.commits[commit.sha] = commit;
+        this.write('git.json', git);
+        
+        return { sha: commit.sha, tree: commit.sha };
+    }
+    
+    async createPullRequest({ title, head, base, body, draft = false }) {
+        const git = this.loadGit();
+        if (!git.refs[head] || !git.refs[base]) {
+            throw this.httpError(422, `Both ${head} and ${base} must exist to open a pull request`);
+        }
+
+        const issues = this.read('issues.json', {});
+        const pulls = this.read('pulls.json', {});
+        const number = Math.max(0, ...Object.keys(issues).map(Number), ...Object.keys(pulls).map(Number)) + 1;
+
+        const pullRequest = {
+            number,
+            title,
+            body,
+            draft,
+            state: 'open',
+            head: { ref: head, sha: git.refs[head] },
+            base: { ref: base, sha: git.refs[base] },
+            labels: [],
+            user: { login: this.login, type: 'Bot' },
+            html_url: `local://${this.fullName}/pull/${number}`,
+            created_at: new Date().toISOString()
+        };
+
+        pulls[number] = pullRequest;
+        this.write('pulls.json', pulls);
+        return pullRequest;
+    }
+
+    /**
+     * Diff stats come from the fixture when it has them, else from the local commits of head and base
+     */
+    async getPullRequest(pullNumber) {
+        const pull = this.read('pulls.json', {})[pullNumber];
+        if (!pull) {
+            throw this.httpError(404, `Pull request #${pullNumber} not found in ${this.root}`);
+        }
+
+        const git = this.loadGit();
+        const head = git.commits[git.refs[pull.head?.ref] || pull.head?.sha];
+        const base = git.commits[git.refs[pull.base?.ref] || pull.base?.sha];
+
+        return {
+            merged: false,
+            ...(head && base ? this.diffStats(base.files, head.files) : { additions: 0, deletions: 0, changed_files: 0 }),
+            ...pull
+        };
+    }
+
+    /**
+     * Line-level additions/deletions between two file maps (lines matched as multisets, not a real diff)
+     */
+    diffStats(before, after) {
+        const stats = { additions: 0, deletions: 0, changed_files: 0 };
+        const lines = (files, filePath) => (filePath in files ? files[filePath].split('\n') : []);
+
+        for (const filePath of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (before[filePath] === after[filePath]) {
+                continue;
+            }
+
+            const remaining = new Map();
+            for (const line of lines(before, filePath)) {
+                remaining.set(line, (remaining.get(line) || 0) + 1);
+            }
+            for (const line of lines(after, filePath)) {
+                if (remaining.get(line)) {
+                    remaining.set(line, remaining.get(line) - 1);
+                } else {
+                    stats.additions++;
+                }
+            }
+
+            stats.deletions += Array.from(remaining.values()).reduce((sum, count) => sum + count, 0);
+            stats.changed_files++;
+        }
+
+        return stats;
+    }
+
+    async findPullRequest(head) {
+        return Object.values(this.read('pulls.json', {}))
+            .find(pull => pull.head.ref === head && pull.state === 'open') || null;
+    }
+    
+    /**
+     * Same shape as GitHub's compare API: commits on head that base lacks, oldest first
+     */
+    async compareCommits(base, head) {
+        const git = this.loadGit();
+        const baseSha = git.refs[base] || base;
+        const headSha = git.refs[head] || head;
+        
+        if (!git.commits[baseSha] || !git.commits[headSha]) {
+            throw this.httpError(404, `Cannot compare ${base}...${head}`);
+        }
+        
+        const baseHistory = this.ancestors(git, baseSha);
+        const headHistory = this.ancestors(git, headSha);
+        const ahead = headHistory.filter(sha => !baseHistory.includes(sha)).reverse();
+        const behind = baseHistory.filter(sha => !headHistory.includes(sha));
+        
+        return {
+            status: ahead.length && behind.length ? 'diverged' : ahead.length ? 'ahead' : behind.length ? 'behind' : 'identical',
+            ahead_by: ahead.length,
+            behind_by: behind.length,
+            merge_base_commit: { sha: headHistory.find(sha => baseHistory.includes(sha)) || null },
+            commits: ahead.map(sha => this.describeCommit(git.commits[sha]))
+        };
+    }
+    
+    async getCommit(sha) {
+        const git = this.loadGit();
+        const commit = git.commits[git.refs[sha] || sha];
+        
+        if (!commit) {
+            throw this.httpError(404, `Commit ${sha} not found`);
+        }
+        
+        const parentFiles = commit.parents.length ? git.commits[commit.parents[0]].files : {};
+        const paths = new Set([...Object.keys(parentFiles), ...Object.keys(commit.files)]);
+        const files = Array.from(paths)
+            .filter(filePath => parentFiles[filePath] !== commit.files[filePath])
+            .map(filePath => ({
+                filename: filePath,
+                status: !(filePath in parentFiles) ? 'added' : !(filePath in commit.files) ? 'removed' : 'modified'
+            }));
+        
+        return { ...this.describeCommit(commit), files };
+    }
+    
+    ancestors(git, sha) {
+        const seen = [];
+        const pending = [sha];
+        while (pending.length > 0) {
+            const current = pending.shift();
+            if (!current || seen.includes(current)) continue;
+            seen.push(current);
+            pending.push(...(git.commits[current]?.parents || []));
+        }
+        return seen;
+    }
+    
+    describeCommit(commit) {
+        return {
+            sha: commit.sha,
+            commit: {
+                message: commit.message,
+                author: { name: commit.author.login, date: commit.created_at }
+            },
+            author: commit.author,
+            parents: commit.parents.map(sha => ({ sha }))
+        };
+    }
+    
+    /**
+     * Read a file as it exists on a branch (useful when checking a run's output)
+     */
+    async getFileContent(branch, filePath) {
+        const git = this.loadGit();
+        const files = git.commits[await this.getBranchSha(branch)].files;
+
+        if (!(filePath in files)) {
+            throw this.httpError(404, `${filePath} not found on ${branch}`);
+        }
+        return files[filePath];
+    }
+
+    async getTree(ref) {
+        const git = this.loadGit();
+        const sha = git.refs[ref] || ref;
+        const commit = git.commits[sha];
+
+        if (!commit) {
+            throw this.httpError(404, `Tree ${ref} not found`);
+        }
+        return {
+            sha,
+            truncated: false,
+            entries: Object.entries(commit.files).map(([filePath, content]) => ({
+                path: filePath,
+                size: Buffer.byteLength(content)
+            }))
+        };
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = LocalGitHubGateway;
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import LocalGitHubGateway from './local-github-gateway';
+
+describe('LocalGitHubGateway', () => {
+    let root;
+    let github;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-gateway-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), {
+            7: { number: 7, title: 'Crash', body: 'TypeError', labels: [{ name: 'bug' }], state: 'open', updated_at: '2026-01-02' },
+            8: { number: 8, title: 'Docs', body: '', labels: [], state: 'closed', updated_at: '2026-01-03' },
+            9: { number: 9, title: 'Old', body: '', labels: [], state: 'closed', updated_at: '2026-01-01' }
+        });
+        fs.writeJsonSync(path.join(root, 'collaborators.json'), { maya: 'maintain' });
+        fs.outputFileSync(path.join(root, 'tree', 'README.md'), '# Demo\n');
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'app.js'), 'module.exports = 1;\n');
+        github = new LocalGitHubGateway({ root });
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    it('requires a fixture root and takes the repository from it', () => {
+        expect(() => new LocalGitHubGateway()).toThrow('requires a fixture root directory');
+        expect(github.fullName).toBe('acme/demo');
+        expect(github.botLogin).toBe('claude-flow[bot]');
+    });
+
+    describe('issues and comments', () => {
+        it('reads issues and answers unknown ones with 404', async () => {
+            expect((await github.getIssue(7)).title).toBe('Crash');
+            await expect(github.getIssue(99)).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('lists issues by state, most recently updated first', async () => {
+            expect((await github.listIssues({ state: 'closed' })).map(issue => issue.number)).toEqual([8, 9]);
+            expect((await github.listIssues({ state: 'all', limit: 2 })).map(issue => issue.number)).toEqual([8, 7]);
+        });
+
+        it('creates, reads and updates comments', async () => {
+            const created = await github.createComment(7, 'First');
+            const updated = await github.updateComment(created.id, 'Edited');
+
+            expect(created).toMatchObject({ id: 1, issue_number: 7, user: { login: 'claude-flow[bot]', type: 'Bot' } });
+            expect(updated.body).toBe('Edited');
+            expect((await github.getComment(created.id)).body).toBe('Edited');
+            expect((await github.listComments(7)).map(comment => comment.body)).toEqual(['Edited']);
+            await expect(github.createComment(99, 'Nowhere')).rejects.toMatchObject({ status: 404 });
+            await expect(github.getComment(42)).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('adds labels once and removes them again', async () => {
+            await github.addLabels(7, ['bug', 'triaged']);
+            expect((await github.getIssue(7)).labels).toEqual([{ name: 'bug' }, { name: 'triaged' }]);
+
+            await github.removeLabel(7, 'bug');
+            expect((await github.getIssue(7)).labels).toEqual([{ name: 'triaged' }]);
+            await expect(github.removeLabel(7, 'bug')).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('reports collaborator permissions like the REST API', async () => {
+            expect(await github.getCollaboratorPermission('maya')).toEqual({ permission: 'write', role_name: 'maintain', user: { login: 'maya' } });
+            await expect(github.getCollaboratorPermission('stranger')).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('git', () => {
+        it('seeds the default branch from the fixture tree', async () => {
+            const sha = await github.getBranchSha('main');
+
+            expect(await github.getFileContent('main', 'src/app.js')).toBe('module.exports = 1;\n');
+            expect((await github.getCommit(sha)).files.map(file => file.filename).sort()).toEqual(['README.md', 'src/app.js']);
+            await expect(github.getBranchSha('missing')).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('commits additions, deletions and renames without moving any branch', async () => {
+            const baseSha = await github.getBranchSha('main');
+            const commit = await github.commitChanges({
+                baseSha,
+                message: 'Change things',
+                changes: [
+                    { path: 'src/new.js', content: 'new\n' },
+                    { path: 'README.md', delete: true },
+                    { path: 'lib/app.js', from: 'src/app.js' }
+                ]
+            });
+
+            expect(await github.getBranchSha('main')).toBe(baseSha);
+            await github.createBranch('feature', commit.sha);
+
+            expect(await github.getFileContent('feature', 'lib/app.js')).toBe('module.exports = 1;\n');
+            expect(await github.getFileContent('feature', 'src/new.js')).toBe('new\n');
+            await expect(github.getFileContent('feature', 'README.md')).rejects.toMatchObject({ status: 404 });
+            expect((await github.getCommit(commit.sha)).files).toEqual(expect.arrayContaining([
+                { filename: 'README.md', status: 'removed' },
+                { filename: 'src/new.js', status: 'added' }
+            ]));
+        });
+
+        it('rejects changes to files the base does not have', async () => {
+            const baseSha = await github.getBranchSha('main');
+
+            await expect(github.commitChanges({ baseSha, message: 'x', changes: [{ path: 'nope.js', delete: true }] }))
+                .rejects.toMatchObject({ status: 422 });
+            await expect(github.commitChanges({ baseSha: 'deadbeef', message: 'x', changes: [] }))
+                .rejects.toMatchObject({ status: 422 });
+        });
+
+        it('creates branches once and only fast-forwards them unless forced', async () => {
+            const baseSha = await github.getBranchSha('main');
+            const first = await github.commitChanges({ baseSha, message: 'One', changes: [{ path: 'a.js', content: '1' }] });
+            const sibling = await github.commitChanges({ baseSha, message: 'Two', changes: [{ path: 'b.js', content: '2' }] });
+
+            await github.createBranch('feature', first.sha);
+            await expect(github.createBranch('feature', first.sha)).rejects.toMatchObject({ status: 422 });
+            await expect(github.updateBranch('feature', sibling.sha)).rejects.toMatchObject({ status: 422 });
+
+            await github.updateBranch('feature', sibling.sha, true);
+            expect(await github.getBranchSha('feature')).toBe(sibling.sha);
+        });
+
+        it('compares branches like the compare API', async () => {
+            const baseSha = await github.getBranchSha('main');
+            const commit = await github.commitChanges({ baseSha, message: 'Ahead', changes: [{ path: 'a.js', content: '1' }] });
+            await github.createBranch('feature', commit.sha);
+
+            const comparison = await github.compareCommits('main', 'feature');
+
+            expect(comparison).toMatchObject({ status: 'ahead', ahead_by: 1, behind_by: 0, merge_base_commit: { sha: baseSha } });
+            expect(comparison.commits[0]).toMatchObject({ sha: commit.sha, commit: { message: 'Ahead' }, author: { login: 'claude-flow[bot]' } });
+        });
+    });
+
+    describe('pull requests', () => {
+        it('opens pull requests numbered after the issues and finds them by head', async () => {
+            const baseSha = await github.getBranchSha('main');
+            const commit = await github.commitChanges({ baseSha, message: 'Fix', changes: [{ path: 'src/app.js', content: 'module.exports = 2;\n' }] });
+            await github.createBranch('fix/7', commit.sha);
+
+            const pullRequest = await github.createPullRequest({ title: 'Fix #7', head: 'fix/7', base: 'main', body: 'Fixes #7' });
+
+            expect(pullRequest.number).toBe(10);
+            expect(await github.findPullRequest('fix/7')).toMatchObject({ number: 10 });
+            expect(await github.getPullRequest(10)).toMatchObject({ additions: 1, deletions: 1, changed_files: 1, merged: false });
+            await expect(github.createPullRequest({ title: 'x', head: 'missing', base: 'main' })).rejects.toMatchObject({ status: 422 });
+        });
+    });
+});
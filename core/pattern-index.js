@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Pattern Index
+ * TF-IDF vectors over stored pattern signatures, searched by cosine similarity
+ *
+ * Every pattern is a document of its signature's key terms plus `domain:<name>` and
+ * `category:<name>` tokens, so a shared domain counts like a shared (rare or common) term.
+ * Weights are (1 + ln tf) * idf with a smoothed idf; vectors are unit length, so the dot
+ * product is the cosine. An inverted index (term -> patterns) keeps a search to the
+ * patterns that share at least one term with the query.
+ */
+
+/**
+ * Term counts of a pattern signature or an analysis-style query
+ * @param {Object} source - { terms?: {term: count}, keyTerms?: Array<string|{term, count}>, domain?, category? }
+ * @returns {Map<string, number>}
+ */
+function documentTerms(source = {}) {
+    const counts = new Map();
+    const add = (term, count = 1) => counts.set(term, (counts.get(term) || 0) + count);
+
+    if (source.terms && typeof source.terms === 'object') {
+        Object.entries(source.terms).forEach(([term, count]) => add(term, count));
+    } else {
+        // Older signatures keep only the top key terms, as strings
+        (source.keyTerms || []).forEach(entry => (typeof entry === 'string' ? add(entry) : add(entry.term, entry.count)));
+    }
+
+    if (source.domain) {
+        add(`domain:${source.domain}`);
+    }
+    if (source.category) {
+        add(`category:${source.category}`);
+    }
+    return counts;
+}
+
+class PatternIndex {
+    constructor() {
+        this.documents = new Map();    // id -> Map(term -> count)
+        this.postings = new Map();     // term -> Set(id)
+        this.vectors = null;           // id -> Map(term -> weight), rebuilt after changes
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Index (or re-index) one pattern
+     * @param {string} id
+     * @param {Object} signature - see documentTerms()
+     */
+    add(id, signature) {
+        this.remove(id);
+
+        const terms = documentTerms(signature);
+        this.documents.set(id, terms);
+        for (const term of terms.keys()) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(id);
+        }
+        this.vectors = null;
+    }
+
+    remove(id) {
+        const terms = this.documents.get(id);
+        if (!terms) {
+            return;
+        }
+
+        for (const term of terms.keys()) {
+            const ids = this.postings.get(term);
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.documents.delete(id);
+        this.vectors = null;
+    }
+
+    idf(term) {
+        const documentFrequency = this.postings.get(term)?.size || 0;
+        return Math.log((this.size + 1) / (documentFrequency + 1)) + 1;
+    }
+
+    /**
+     * Unit-length TF-IDF vector of a term-count map
+     */
+    vectorize(terms) {
+        const vector = new Map();
+        let norm = 0;
+
+        for (const [term, count] of terms) {
+            if (count > 0) {
+                const weight = (1 + Math.log(count)) * this.idf(term);
+                vector.set(term, weight);
+                norm += weight * weight;
+            }
+        }
+
+        norm = Math.sqrt(norm);
+        for (const [term, weight] of vector) {
+            vector.set(term, weight / norm);
+        }
+        return vector;
+    }
+
+    /**
+     * Document vectors depend on every idf, so they are rebuilt lazily after any change
+     */
+    documentVectors() {
+        if (!this.vectors) {
+            this.vectors = new Map();
+            for (const [id, terms] of this.documents) {
+                this.vectors.set(id, this.vectorize(terms));
+            }
+        }
+        return this.vectors;
+    }
+
+    /**
+     * Best matching patterns for a query, with the shared terms that made up each score
+     * @param {Object} query - see documentTerms()
+     * @param {Object} [options]
+     * @param {number} [options.limit=5] - top-k
+     * @param {number} [options.threshold=0] - minimum cosine similarity
+     * @returns {Array<{id: string, score: number, sharedTerms: Array<{term: string, contribution: number}>}>}
+     *   sharedTerms are ordered by their share of the score (contributions sum to the score)
+     */
+    search(query, { limit = 5, threshold = 0 } = {}) {
+        const vectors = this.documentVectors();
+        const queryVector = this.vectorize(documentTerms(query));
+        const contributions = new Map();    // id -> [{ term, contribution }]
+
+        for (const [term, weight] of queryVector) {
+            for (const id of this.postings.get(term) || []) {
+                if (!contributions.has(id)) {
+                    contributions.set(id, []);
+                }
+                contributions.get(id).push({ term, contribution: weight * vectors.get(id).get(term) });
+            }
+        }
+
+        return Array.from(contributions, ([id, shared]) => ({
+            id,
+            score: shared.reduce((sum, entry) => sum + entry.contribution, 0),
+            sharedTerms: shared.sort((a, b) => b.contribution - a.contribution)
+        }))
+            .filter(match => match.score >= threshold)
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+            .slice(0, limit);
+    }
+}
+
+module.exports = PatternIndex;
+module.exports.documentTerms = documentTerms;
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PatternIndex from './pattern-index';
+
+const { documentTerms } = PatternIndex;
+
+describe('documentTerms', () => {
+    it('counts signature terms plus domain and category tokens', () => {
+        expect(documentTerms({ terms: { crash: 2, save: 1 }, domain: 'backend', category: 'bug' })).toEqual(new Map([
+            ['crash', 2], ['save', 1], ['domain:backend', 1], ['category:bug', 1]
+        ]));
+    });
+
+    it('reads older string key terms and analysis-style { term, count } key terms', () => {
+        expect(documentTerms({ keyTerms: ['crash', 'save'] })).toEqual(new Map([['crash', 1], ['save', 1]]));
+        expect(documentTerms({ keyTerms: [{ term: 'crash', count: 3 }], domain: 'frontend' }))
+            .toEqual(new Map([['crash', 3], ['domain:frontend', 1]]));
+    });
+});
+
+describe('PatternIndex', () => {
+    let index;
+
+    // Smoothed idf as the index computes it
+    const idf = (documentFrequency, size) => Math.log((size + 1) / (documentFrequency + 1)) + 1;
+
+    beforeEach(() => {
+        index = new PatternIndex();
+        index.add('a', { terms: { crash: 1, upload: 1 } });
+        index.add('b', { terms: { crash: 1 } });
+        index.add('c', { terms: { docs: 1 } });
+    });
+
+    describe('weighting', () => {
+        it('gives terms in fewer patterns a higher idf', () => {
+            expect(index.idf('crash')).toBeCloseTo(idf(2, 3), 12);
+            expect(index.idf('upload')).toBeCloseTo(idf(1, 3), 12);
+            expect(index.idf('never-seen')).toBeCloseTo(idf(0, 3), 12);
+            expect(index.idf('upload')).toBeGreaterThan(index.idf('crash'));
+        });
+
+        it('dampens repeated terms with 1 + ln tf and normalizes to unit length', () => {
+            const vector = index.vectorize(new Map([['crash', 3], ['upload', 1]]));
+            const crash = (1 + Math.log(3)) * idf(2, 3);
+            const upload = idf(1, 3);
+            const norm = Math.hypot(crash, upload);
+
+            expect(vector.get('crash')).toBeCloseTo(crash / norm, 12);
+            expect(vector.get('upload')).toBeCloseTo(upload / norm, 12);
+            expect(Math.hypot(...vector.values())).toBeCloseTo(1, 12);
+        });
+    });
+
+    describe('search', () => {
+        it('scores by cosine similarity, best first', () => {
+            const matches = index.search({ terms: { upload: 1 } });
+            const crash = idf(2, 3);
+            const upload = idf(1, 3);
+
+            expect(matches.map(match => match.id)).toEqual(['a']);
+            expect(matches[0].score).toBeCloseTo(upload / Math.hypot(crash, upload), 12);
+        });
+
+        it('scores identical documents 1 and ranks partial matches below', () => {
+            const matches = index.search({ terms: { crash: 1 } });
+
+            expect(matches.map(match => match.id)).toEqual(['b', 'a']);
+            expect(matches[0].score).toBeCloseTo(1, 12);
+            expect(matches[1].score).toBeLessThan(1);
+        });
+
+        it('explains each score with shared terms whose contributions sum to it', () => {
+            index.add('d', { terms: { crash: 2, upload: 1, timeout: 1 }, domain: 'backend', category: 'bug' });
+
+            const matches = index.search({ keyTerms: [{ term: 'crash', count: 1 }, { term: 'upload', count: 2 }], domain: 'backend', category: 'bug' });
+
+            for (const match of matches) {
+                const total = match.sharedTerms.reduce((sum, { contribution }) => sum + contribution, 0);
+                expect(total).toBeCloseTo(match.score, 12);
+                expect(match.sharedTerms.map(({ contribution }) => contribution))
+                    .toEqual([...match.sharedTerms.map(({ contribution }) => contribution)].sort((x, y) => y - x));
+            }
+            expect(matches[0].id).toBe('d');
+            expect(matches[0].sharedTerms.map(({ term }) => term).sort()).toEqual(['category:bug', 'crash', 'domain:backend', 'upload']);
+        });
+
+        it('counts a shared category like a shared term', () => {
+            index.add('bug', { terms: { save: 1 }, category: 'bug' });
+            index.add('feature', { terms: { save: 1 }, category: 'feature' });
+
+            const matches = index.search({ keyTerms: ['save'], category: 'bug' });
+
+            expect(matches.map(match => match.id)).toEqual(['bug', 'feature']);
+            expect(matches[0].score).toBeGreaterThan(matches[1].score);
+        });
+
+        it('applies the threshold and the limit', () => {
+            expect(index.search({ terms: { crash: 1 } }, { threshold: 0.99 }).map(match => match.id)).toEqual(['b']);
+            expect(index.search({ terms: { crash: 1 } }, { limit: 1 }).map(match => match.id)).toEqual(['b']);
+            expect(index.search({ terms: { unrelated: 1 } })).toEqual([]);
+            expect(index.search({})).toEqual([]);
+        });
+
+        it('breaks score ties by id', () => {
+            index.add('e', { terms: { docs: 1 } });
+
+            expect(index.search({ terms: { docs: 1 } }).map(match => match.id)).toEqual(['c', 'e']);
+        });
+    });
+
+    describe('re-indexing', () => {
+        it('replaces a pattern re-added under the same id', () => {
+            index.add('a', { terms: { docs: 1 } });
+
+            expect(index.size).toBe(3);
+            expect(index.search({ terms: { upload: 1 } })).toEqual([]);
+            expect(index.search({ terms: { docs: 1 } }).map(match => match.id)).toEqual(['a', 'c']);
+            expect(index.idf('crash')).toBeCloseTo(idf(1, 3), 12);
+        });
+
+        it('forgets removed patterns and their postings', () => {
+            index.remove('a');
+            index.remove('missing');
+
+            expect(index.size).toBe(2);
+            expect(index.postings.has('upload')).toBe(false);
+            expect(index.search({ terms: { crash: 1 } }).map(match => match.id)).toEqual(['b']);
+            expect(index.idf('crash')).toBeCloseTo(idf(1, 2), 12);
+        });
+
+        it('reweighs every pattern after a change', () => {
+            const scoreOfB = () => index.search({ terms: { crash: 1, upload: 1 } }).find(match => match.id === 'b').score;
+
+            expect(scoreOfB()).toBeCloseTo(idf(2, 3) / Math.hypot(idf(2, 3), idf(1, 3)), 12);
+
+            // upload is now as common as crash, so both weigh the same
+            index.add('f', { terms: { upload: 1 } });
+            expect(scoreOfB()).toBeCloseTo(Math.SQRT1_2, 12);
+        });
+    });
+});
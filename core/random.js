@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Seeded Randomness
+ * Reproducible stand-in for Math.random: the same seed always gives the same sequence
+ *
+ * The engine derives one seed per session from the issue (number, title and body), so
+ * re-running an unchanged issue reproduces its classification, quality scores and pull
+ * request decision as long as the learned memory is the same too (sessions record its
+ * version next to the seed). orchestrator.seed (CLAUDE_FLOW_SEED) pins the seed instead,
+ * and orchestrator.useLearnedState=false replays without the learned memory.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Unsigned 32-bit seed from any mix of strings and numbers
+ */
+function deriveSeed(...parts) {
+    return crypto.createHash('sha256').update(parts.map(part => String(part ?? '')).join('\u0000')).digest().readUInt32BE(0);
+}
+
+/**
+ * Seed for one issue; edits to its title or body change it
+ */
+function seedForIssue(issue = {}) {
+    return deriveSeed(issue.number, issue.title, issue.body);
+}
+
+/**
+ * Random number function over [0, 1) (mulberry32), drop-in for Math.random
+ * @param {number} seed - unsigned 32-bit integer
+ * @returns {Function} random(), with `seed` attached for the record
+ */
+function createRandom(seed) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+        throw new Error(`Random seed must be an unsigned 32-bit integer, got ${seed}`);
+    }
+
+    let state = seed;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed;
+
+    return random;
+}
+
+module.exports = {
+    deriveSeed,
+    seedForIssue,
+    createRandom
+};
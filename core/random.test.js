@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, deriveSeed, seedForIssue } from './random';
+
+const draws = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+    it('gives the same sequence for the same seed', () => {
+        expect(draws(createRandom(42), 20)).toEqual(draws(createRandom(42), 20));
+    });
+
+    it('gives different sequences for different seeds', () => {
+        expect(draws(createRandom(42), 5)).not.toEqual(draws(createRandom(43), 5));
+    });
+
+    it('stays within [0, 1) and spreads over it', () => {
+        const values = draws(createRandom(7), 1000);
+
+        expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(values.filter(value => value < 0.5).length).toBeGreaterThan(400);
+        expect(values.filter(value => value < 0.5).length).toBeLessThan(600);
+    });
+
+    it('keeps its seed for the record', () => {
+        expect(createRandom(0xffffffff).seed).toBe(0xffffffff);
+    });
+
+    it('rejects seeds that are not unsigned 32-bit integers', () => {
+        for (const seed of [-1, 1.5, 2 ** 32, '42', undefined]) {
+            expect(() => createRandom(seed)).toThrow('Random seed must be an unsigned 32-bit integer');
+        }
+    });
+});
+
+describe('seedForIssue', () => {
+    const issue = { number: 7, title: 'Crash on start', body: 'TypeError: x is undefined' };
+
+    it('is stable for an unchanged issue', () => {
+        expect(seedForIssue({ ...issue })).toBe(seedForIssue(issue));
+        expect(seedForIssue(issue)).toBe(deriveSeed(7, 'Crash on start', 'TypeError: x is undefined'));
+    });
+
+    it('changes when the title or body is edited', () => {
+        expect(seedForIssue({ ...issue, title: 'Crash at start' })).not.toBe(seedForIssue(issue));
+        expect(seedForIssue({ ...issue, body: '' })).not.toBe(seedForIssue(issue));
+    });
+
+    it('is a valid seed', () => {
+        const seed = seedForIssue(issue);
+
+        expect(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff).toBe(true);
+        expect(() => createRandom(seed)).not.toThrow();
+    });
+});
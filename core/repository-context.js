@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Repository Context
+ * The repository's real file tree, with the files most relevant to an issue ranked and excerpted
+ *
+ * Files come from a local checkout when one is configured (context.checkoutPath / REPOSITORY_CHECKOUT,
+ * e.g. the Actions workspace after actions/checkout) and from the git trees API otherwise.
+ *
+ * Relevance signals taken from the issue text and comments:
+ *   - paths named in the text (`src/moon.js`, moon.js:42)
+ *   - stack-trace frames (Node, Python and JVM style), which also pick the excerpt's line
+ *   - key terms matched against path segments
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getConfig } = require('./config');
+
+// Never worth ranking: dependencies, build output, VCS internals
+const IGNORED_DIRECTORIES = ['.git', 'node_modules', 'dist', 'build', 'coverage', 'vendor', '.next', '__pycache__'];
+const IGNORED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$|\.(png|jpe?g|gif|ico|svg|woff2?|ttf|eot|pdf|zip|gz|tgz|jar|min\.js|map|lock)$/i;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'when', 'then', 'than', 'into', 'have', 'has',
+    'are', 'was', 'were', 'not', 'but', 'can', 'should', 'would', 'could', 'will', 'does', 'did', 'its',
+    'there', 'their', 'what', 'which', 'while', 'after', 'before', 'about', 'also', 'only', 'some', 'any',
+    'all', 'out', 'get', 'set', 'use', 'used', 'using', 'see', 'like', 'just', 'more', 'other', 'been',
+    'issue', 'bug', 'error', 'please', 'thanks', 'expected', 'actual', 'steps', 'reproduce', 'version',
+    'file', 'files', 'line', 'http', 'https', 'www', 'com', 'github', 'src', 'lib', 'app'
+]);
+
+const FRAME_PATTERNS = [
+    // Node:   at fn (/app/src/moon.js:42:7)   or   at /app/src/moon.js:42:7
+    /at (?:[^\s()]+ )?\(?((?:[A-Za-z]:)?[^\s():]+\.[A-Za-z]\w*):(\d+)(?::\d+)?\)?/g,
+    // Python: File "/app/moon/phase.py", line 12
+    /File "([^"]+)", line (\d+)/g,
+    // JVM:    at com.acme.Moon.phase(Moon.java:42)
+    /at [\w.$<>]+\(([\w$]+\.(?:java|kt|scala)):(\d+)\)/g
+];
+
+const PATH_PATTERN = /(?:^|[\s`'"([<])((?:[\w@.-]+\/)*[\w@-][\w@.-]*\.[A-Za-z][\w]{0,7})(?::(\d+))?/g;
+
+/**
+ * ["src", "moonPhase", "calc.js"] -> ["src", "moon", "phase", "moonphase", "calc", "js"]
+ */
+function pathTokens(filePath) {
+    const tokens = new Set();
+    for (const part of filePath.split(/[/._-]+/).filter(Boolean)) {
+        tokens.add(part.toLowerCase());
+        part.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(' ').forEach(piece => tokens.add(piece.toLowerCase()));
+    }
+    return tokens;
+}
+
+/**
+ * True when `named` (as written in the issue, possibly absolute or partial) refers to `filePath`
+ */
+function samePath(filePath, named) {
+    const clean = named.replace(/^\.?\//, '');
+    return filePath === clean || filePath.endsWith(`/${clean}`) || clean.endsWith(`/${filePath}`);
+}
+
+class RepositoryContext {
+    /**
+     * @param {Object} options
+     * @param {GitHubGateway} [options.github] - used when there is no local checkout
+     * @param {string} [options.checkoutPath] - local checkout (default: context.checkoutPath)
+     * @param {number} [options.maxFiles] - candidates to return (default: context.maxFiles)
+     * @param {number} [options.snippetLines] - lines per excerpt (default: context.snippetLines)
+     * @param {number} [options.maxFileSizeKb] - larger files are ranked but not excerpted (default: context.maxFileSizeKb)
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        const config = getConfig().context;
+
+        this.github = options.github || null;
+        this.checkoutPath = options.checkoutPath || config.checkoutPath;
+        this.maxFiles = options.maxFiles || config.maxFiles;
+        this.snippetLines = options.snippetLines || config.snippetLines;
+        this.maxFileSize = (options.maxFileSizeKb || config.maxFileSizeKb) * 1024;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Build the context for one issue
+     * @param {Object} issue - { title, body, comments? }
+     * @param {Object} [options]
+     * @param {string} [options.ref] - branch or commit to read through the API
+     * @returns {Promise<Object>} { source, ref, totalFiles, truncated, extensions, directories, signals, candidates }
+     *   (directories lists the top two levels only)
+     */
+    async build(issue, { ref } = {}) {
+        const tree = await this.listFiles(ref);
+        const files = tree.entries.filter(entry => !this.isIgnored(entry.path));
+        const signals = RepositoryContext.extractSignals(issue);
+
+        const ranked = RepositoryContext.rank(files.map(entry => entry.path), signals).slice(0, this.maxFiles);
+        const sizes = new Map(files.map(entry => [entry.path, entry.size]));
+
+        const candidates = [];
+        for (const candidate of ranked) {
+            candidates.push({
+                ...candidate,
+                snippet: sizes.get(candidate.path) > this.maxFileSize
+                    ? null
+                    : await this.excerpt(tree, candidate, signals)
+            });
+        }
+
+        const extensions = {};
+        const directories = new Set();
+        for (const { path: filePath } of files) {
+            const extension = path.extname(filePath) || '(none)';
+            extensions[extension] = (extensions[extension] || 0) + 1;
+            filePath.split('/').slice(0, -1).slice(0, 2).forEach((part, index, parts) => {
+                directories.add(`${parts.slice(0, index + 1).join('/')}/`);
+            });
+        }
+
+        return {
+            source: tree.source,
+            ref: tree.ref,
+            totalFiles: files.length,
+            truncated: tree.truncated,
+            extensions,
+            directories: Array.from(directories).sort(),
+            signals,
+            candidates
+        };
+    }
+
+    /**
+     * Files of the checkout or of `ref` through the gateway
+     */
+    async listFiles(ref) {
+        if (this.checkoutPath) {
+            if (!fs.existsSync(this.checkoutPath)) {
+                throw new Error(`Repository checkout ${this.checkoutPath} does not exist`);
+            }
+            return { source: 'checkout', ref: null, truncated: false, entries: this.walk(this.checkoutPath) };
+        }
+
+        if (!this.github) {
+            throw new Error('Repository context needs a checkout path or a GitHub gateway');
+        }
+        if (!ref) {
+            ref = (await this.github.getRepository()).default_branch;
+        }
+
+        const tree = await this.github.getTree(ref);
+        if (tree.truncated) {
+            this.logger.warn(`⚠️ File tree of ${ref} is truncated by the API; ranking the files it returned`);
+        }
+        return { source: 'api', ref, truncated: tree.truncated, entries: tree.entries };
+    }
+
+    walk(root, prefix = '') {
+        const entries = [];
+
+        for (const entry of fs.readdirSync(path.join(root, prefix), { withFileTypes: true })) {
+            const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+                    entries.push(...this.walk(root, relative));
+                }
+            } else if (entry.isFile()) {
+                entries.push({ path: relative, size: fs.statSync(path.join(root, relative)).size });
+            }
+        }
+
+        return entries;
+    }
+
+    isIgnored(filePath) {
+        return IGNORED_FILES.test(filePath) || filePath.split('/').some(part => IGNORED_DIRECTORIES.includes(part));
+    }
+
+    async readFile(tree, filePath) {
+        if (tree.source === 'checkout') {
+            return fs.readFileSync(path.join(this.checkoutPath, filePath), 'utf-8');
+        }
+        return this.github.getFileContent(tree.ref, filePath);
+    }
+
+    /**
+     * Lines around the stack-trace line, else around the first key-term hit, else the top of the file
+     */
+    async excerpt(tree, candidate, signals) {
+        let content;
+        try {
+            content = await this.readFile(tree, candidate.path);
+        } catch (error) {
+            this.logger.warn(`⚠️ Could not read ${candidate.path}: ${error.message}`);
+            return null;
+        }
+
+        const lines = content.split('\n');
+        let focus = candidate.line || null;
+        if (!focus) {
+            const hit = lines.findIndex(line => signals.terms.some(term => line.toLowerCase().includes(term)));
+            focus = hit === -1 ? null : hit + 1;
+        }
+
+        const start = focus ? Math.max(1, focus - Math.floor(this.snippetLines / 2)) : 1;
+        const end = Math.min(lines.length, start + this.snippetLines - 1);
+
+        return {
+            startLine: start,
+            endLine: end,
+            text: lines.slice(start - 1, end).join('\n')
+        };
+    }
+
+    /**
+     * Paths, stack frames and key terms in the issue title, body and comments
+     * (bot comments are skipped; they are mostly our own earlier analyses)
+     * @returns {{paths: Array, frames: Array, terms: string[]}}
+     */
+    static extractSignals(issue = {}) {
+        const comments = (issue.comments || []).filter(comment => comment.user?.type !== 'Bot');
+        const text = [issue.title, issue.body, ...comments.map(comment => comment.body)]
+            .filter(Boolean)
+            .join('\n');
+        const withoutUrls = text.replace(/https?:\/\/\S+/g, ' ');
+
+        const frames = [];
+        for (const pattern of FRAME_PATTERNS) {
+            for (const match of withoutUrls.matchAll(pattern)) {
+                frames.push({ path: match[1], line: Number(match[2]) });
+            }
+        }
+
+        const paths = new Map();
+        for (const match of withoutUrls.matchAll(PATH_PATTERN)) {
+            const named = match[1].replace(/[.]+$/, '');
+            if (!paths.has(named) && /\.[A-Za-z]/.test(named)) {
+                paths.set(named, { path: named, line: match[2] ? Number(match[2]) : null });
+            }
+        }
+
+        const counts = {};
+        for (const word of withoutUrls.match(/[A-Za-z][A-Za-z0-9_]{2,}/g) || []) {
+            for (const token of pathTokens(word)) {
+                if (token.length > 2 && !STOP_WORDS.has(token)) {
+                    counts[token] = (counts[token] || 0) + 1;
+                }
+            }
+        }
+
+        return {
+            paths: Array.from(paths.values()),
+            frames,
+            terms: Object.entries(counts)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 15)
+                .map(([term]) => term)
+        };
+    }
+
+    /**
+     * Score every path against the signals; only paths with some evidence are returned, best first
+     * @returns {Array<{path: string, score: number, reasons: string[], line: number|null}>}
+     */
+    static rank(filePaths, signals) {
+        const scored = [];
+
+        for (const filePath of filePaths) {
+            let score = 0;
+            let line = null;
+            const reasons = [];
+
+            const frame = signals.frames.find(candidate => samePath(filePath, candidate.path));
+            if (frame) {
+                score += 8;
+                line = frame.line;
+                reasons.push(`stack trace (line ${frame.line})`);
+            }
+
+            const named = signals.paths.find(candidate => samePath(filePath, candidate.path));
+            if (named) {
+                score += 10;
+                line = line || named.line;
+                reasons.push('named in the issue');
+            } else {
+                const basename = path.basename(filePath);
+                if (signals.paths.some(candidate => path.basename(candidate.path) === basename)) {
+                    score += 4;
+                    reasons.push(`same file name as ${basename} in the issue`);
+                }
+            }
+
+            const tokens = pathTokens(filePath);
+            const terms = signals.terms.filter(term => tokens.has(term));
+            if (terms.length > 0) {
+                score += Math.min(terms.length, 3) * 2;
+                reasons.push(`path matches ${terms.slice(0, 3).join(', ')}`);
+            }
+
+            if (score > 0) {
+                scored.push({ path: filePath, score, reasons, line });
+            }
+        }
+
+        return scored.sort((a, b) => b.score - a.score || a.path.length - b.path.length || a.path.localeCompare(b.path));
+    }
+}
+
+module.exports = RepositoryContext;
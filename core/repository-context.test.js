@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import RepositoryContext from './repository-context';
+import LocalGitHubGateway from './local-github-gateway';
+
+const quietLogger = { info() {}, warn() {} };
+
+const MOON_JS = Array.from({ length: 60 }, (_, index) => `// line ${index + 1}`).join('\n');
+
+describe('RepositoryContext.extractSignals', () => {
+    it('reads Node, Python and JVM stack frames with their lines', () => {
+        const { frames } = RepositoryContext.extractSignals({
+            body: [
+                'TypeError: x is undefined',
+                '    at phaseOf (/app/src/moon.js:42:7)',
+                '    at /app/src/index.js:3:1',
+                '  File "/srv/moon/phase.py", line 12, in phase',
+                '    at com.acme.Moon.phase(Moon.java:88)'
+            ].join('\n')
+        });
+
+        expect(frames).toEqual([
+            { path: '/app/src/moon.js', line: 42 },
+            { path: '/app/src/index.js', line: 3 },
+            { path: '/srv/moon/phase.py', line: 12 },
+            { path: 'Moon.java', line: 88 }
+        ]);
+    });
+
+    it('reads paths named in the text, with an optional line, but not URLs', () => {
+        const { paths } = RepositoryContext.extractSignals({
+            title: 'Wrong phase in `src/moon.js`',
+            body: 'See moon.js:42 and README.md. Docs at https://example.com/guide/setup.html'
+        });
+
+        expect(paths).toEqual([
+            { path: 'src/moon.js', line: null },
+            { path: 'moon.js', line: 42 },
+            { path: 'README.md', line: null }
+        ]);
+    });
+
+    it('counts key terms, splitting camelCase and skipping stop words and bot comments', () => {
+        const { terms } = RepositoryContext.extractSignals({
+            title: 'moonPhase wrong for the full moon',
+            comments: [
+                { body: 'The moon is off', user: { type: 'User' } },
+                { body: 'wallpaper wallpaper wallpaper wallpaper', user: { type: 'Bot' } }
+            ]
+        });
+
+        expect(terms[0]).toBe('moon');
+        expect(terms).toEqual(expect.arrayContaining(['moonphase', 'phase', 'wrong', 'full']));
+        expect(terms).not.toContain('the');
+        expect(terms).not.toContain('wallpaper');
+    });
+});
+
+describe('RepositoryContext.rank', () => {
+    const files = ['src/moon.js', 'lib/moon.js', 'src/index.js', 'src/phase/calc.js', 'test/moon.test.js', 'README.md'];
+
+    it('ranks a named path above a stack frame above a same-named file above term matches', () => {
+        const ranked = RepositoryContext.rank(files, {
+            paths: [{ path: 'README.md', line: null }, { path: 'moon.js', line: null }],
+            frames: [{ path: '/app/src/index.js', line: 3 }],
+            terms: ['phase']
+        });
+
+        expect(ranked.map(({ path: filePath, score }) => [filePath, score])).toEqual([
+            ['README.md', 10],
+            ['lib/moon.js', 10],
+            ['src/moon.js', 10],
+            ['src/index.js', 8],
+            ['src/phase/calc.js', 2]
+        ]);
+        expect(ranked.find(entry => entry.path === 'src/index.js')).toMatchObject({ line: 3, reasons: ['stack trace (line 3)'] });
+    });
+
+    it('adds up signals and carries the frame line into the candidate', () => {
+        const ranked = RepositoryContext.rank(files, {
+            paths: [{ path: 'src/moon.js', line: 7 }],
+            frames: [{ path: '/app/src/moon.js', line: 42 }],
+            terms: ['moon']
+        });
+
+        expect(ranked[0]).toEqual({
+            path: 'src/moon.js',
+            score: 20,
+            line: 42,
+            reasons: ['stack trace (line 42)', 'named in the issue', 'path matches moon']
+        });
+        expect(ranked.find(entry => entry.path === 'lib/moon.js').reasons).toEqual(['same file name as moon.js in the issue', 'path matches moon']);
+    });
+
+    it('caps term matches at three and drops paths without evidence', () => {
+        const ranked = RepositoryContext.rank(['a/moon/phase/calc/full.js', 'other.js'], {
+            paths: [],
+            frames: [],
+            terms: ['moon', 'phase', 'calc', 'full']
+        });
+
+        expect(ranked).toEqual([{ path: 'a/moon/phase/calc/full.js', score: 6, line: null, reasons: ['path matches moon, phase, calc'] }]);
+    });
+
+    it('breaks ties by the shorter path', () => {
+        const ranked = RepositoryContext.rank(['src/deep/moon.js', 'moon.js'], { paths: [], frames: [], terms: ['moon'] });
+
+        expect(ranked.map(entry => entry.path)).toEqual(['moon.js', 'src/deep/moon.js']);
+    });
+});
+
+describe('RepositoryContext.build', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'repository-context-'));
+        fs.writeJsonSync(path.join(root, 'repository.json'), { full_name: 'acme/demo', default_branch: 'main' });
+        fs.writeJsonSync(path.join(root, 'issues.json'), {});
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'moon.js'), MOON_JS);
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'phase.js'), 'const x = 1;\nfunction fullMoon() {}\n');
+        fs.outputFileSync(path.join(root, 'tree', 'README.md'), '# Demo\n');
+        fs.outputFileSync(path.join(root, 'tree', 'node_modules', 'moon', 'moon.js'), 'ignored');
+        fs.outputFileSync(path.join(root, 'tree', 'package-lock.json'), '{}');
+    });
+
+    afterEach(() => {
+        fs.removeSync(root);
+    });
+
+    const issue = {
+        title: 'Crash computing the full moon',
+        body: 'TypeError\n    at phaseOf (/app/src/moon.js:40:3)\nAlso odd in fullMoon'
+    };
+
+    it('ranks and excerpts files of a local checkout around the stack frame line', async () => {
+        const context = new RepositoryContext({ checkoutPath: path.join(root, 'tree'), maxFiles: 5, snippetLines: 10, logger: quietLogger });
+
+        const result = await context.build(issue);
+
+        expect(result).toMatchObject({ source: 'checkout', ref: null, totalFiles: 3, truncated: false, extensions: { '.js': 2, '.md': 1 } });
+        expect(result.directories).toEqual(['src/']);
+        expect(result.candidates[0]).toMatchObject({ path: 'src/moon.js', line: 40, snippet: { startLine: 35, endLine: 44 } });
+        expect(result.candidates[0].snippet.text.split('\n')[0]).toBe('// line 35');
+        expect(result.candidates.map(candidate => candidate.path)).not.toContain('node_modules/moon/moon.js');
+    });
+
+    it('reads the same tree through the gateway', async () => {
+        const github = new LocalGitHubGateway({ root });
+        const context = new RepositoryContext({ github, maxFiles: 5, snippetLines: 10, logger: quietLogger });
+
+        const result = await context.build(issue);
+
+        expect(result).toMatchObject({ source: 'api', ref: 'main', totalFiles: 3 });
+        expect(result.candidates[0]).toMatchObject({ path: 'src/moon.js', snippet: { startLine: 35, endLine: 44 } });
+    });
+
+    it('excerpts around the first key-term hit when there is no line, and skips large files', async () => {
+        const context = new RepositoryContext({ checkoutPath: path.join(root, 'tree'), maxFiles: 5, snippetLines: 10, maxFileSizeKb: 1, logger: quietLogger });
+        fs.outputFileSync(path.join(root, 'tree', 'src', 'moon.js'), `${'x'.repeat(2048)}\n`);
+
+        const result = await context.build({ title: 'fullMoon returns the wrong phase', body: 'in src/phase.js' });
+        const phase = result.candidates.find(candidate => candidate.path === 'src/phase.js');
+
+        expect(phase.snippet).toEqual({ startLine: 1, endLine: 3, text: 'const x = 1;\nfunction fullMoon() {}\n' });
+        expect(result.candidates.find(candidate => candidate.path === 'src/moon.js').snippet).toBeNull();
+    });
+
+    it('needs a checkout that exists or a gateway', async () => {
+        await expect(new RepositoryContext({ checkoutPath: path.join(root, 'missing'), logger: quietLogger }).build(issue))
+            .rejects.toThrow('does not exist');
+        await expect(new RepositoryContext({ logger: quietLogger }).listFiles('main'))
+            .rejects.toThrow('needs a checkout path or a GitHub gateway');
+    });
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Result Schema
+ * Builds and validates the documents a run leaves behind for downstream jobs
+ *
+ *   claude-flow-results.json  - schemas/claude-flow-results.schema.json
+ *   claude-flow-error.json    - schemas/claude-flow-error.schema.json
+ *
+ * Both carry `schemaVersion`; `summary` only changes shape together with that version,
+ * `details` is diagnostic and may change with any release. Documents are validated
+ * against the published schema before they are written, so what consumers validate
+ * against is exactly what this module enforces.
+ *
+ * The validator covers the JSON Schema keywords the two schemas use: type, const, enum,
+ * required, properties, additionalProperties, minimum, maximum, minLength and the
+ * date-time format, plus items (used by the LLM task schemas in core/llm-provider.js).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const SYSTEM = 'claude-flow-v3-hive-mind';
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+const SCHEMAS = {
+    result: fs.readJsonSync(path.join(SCHEMA_DIR, 'claude-flow-results.schema.json')),
+    error: fs.readJsonSync(path.join(SCHEMA_DIR, 'claude-flow-error.schema.json'))
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Problems with `value` against `schema`, as "path: message" strings (empty when valid)
+ */
+function validate(schema, value, at = '$') {
+    const problems = [];
+
+    if (schema.const !== undefined && value !== schema.const) {
+        problems.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${at}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            problems.push(`${at}: must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return problems;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at}: must not be empty`);
+        if (schema.format === 'date-time' && (Number.isNaN(Date.parse(value)) || !value.includes('T'))) {
+            problems.push(`${at}: must be an ISO 8601 date-time`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => problems.push(...validate(schema.items, item, `${at}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${at}.${key}: is required`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const property = schema.properties?.[key];
+            if (property) {
+                problems.push(...validate(property, item, `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${at}.${key}: is not part of the schema`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Document for claude-flow-results.json
+ * @param {Object} summary - the run's step outputs (see ClaudeFlowMain.outputResults)
+ * @param {Object} [details] - verbose session results
+ */
+function buildResultDocument(summary, details = {}) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        kind: 'result',
+        system: SYSTEM,
+        timestamp: new Date().toISOString(),
+        summary,
+        details: details || {}
+    };
+}
+
+/**
+ * Document for claude-flow-error.json
+ */
+function buildErrorDocument(error, { issueNumber = null } = {}) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        kind: 'error',
+        system: SYSTEM,
+        timestamp: new Date().toISOString(),
+        summary: {
+            success: false,
+            error_type: error.constructor?.name || 'Error',
+            error_message: String(error.message ?? error),
+            issue_number: issueNumber || null
+        },
+        details: {
+            stack: error.stack || null
+        }
+    };
+}
+
+/**
+ * Problems with a result or error document (picked by its `kind`)
+ */
+function validateDocument(document) {
+    const schema = SCHEMAS[document && document.kind];
+    if (!schema) {
+        return [`$.kind: must be one of ${Object.keys(SCHEMAS).map(kind => JSON.stringify(kind)).join(', ')}`];
+    }
+    return validate(schema, document);
+}
+
+/**
+ * Validate, then write; a document that does not match its schema is never written
+ */
+function writeDocument(filePath, document) {
+    const problems = validateDocument(document);
+    if (problems.length > 0) {
+        throw new Error(`${path.basename(filePath)} does not match schema version ${SCHEMA_VERSION}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    fs.writeJsonSync(filePath, document, { spaces: 2 });
+    return filePath;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SCHEMAS,
+    validate,
+    validateDocument,
+    buildResultDocument,
+    buildErrorDocument,
+    writeDocument
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Session Queue
+ * Persistent, priority-ordered work queue for issues waiting on a free session slot
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+class SessionQueue {
+    constructor(options = {}) {
+        if (!options.filePath) {
+            throw new Error('Session queue requires a file path');
+        }
+
+        this.filePath = options.filePath;
+        // Off when only inspecting the queue of another (possibly still running) process
+        this.requeueRunning = options.requeueRunning !== false;
+        this.entries = this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        try {
+            const data = fs.readJsonSync(this.filePath);
+            const entries = Array.isArray(data.entries) ? data.entries : [];
+
+            if (!this.requeueRunning) {
+                return entries;
+            }
+
+            // Entries that were running when the previous process stopped go back in line
+            return entries.map(entry => entry.status === 'running'
+                ? { ...entry, status: 'queued', restarted: (entry.restarted || 0) + 1 }
+                : entry);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    persist() {
+        fs.writeJsonSync(this.filePath, {
+            updatedAt: Date.now(),
+            entries: this.entries
+        }, { spaces: 2 });
+    }
+
+    /**
+     * Add an issue to the queue; a second enqueue of the same issue is dropped
+     */
+    enqueue({ issueData, options = {}, priority = 0.5 }) {
+        const issueNumber = Number(issueData.number);
+        const existing = this.entries.find(entry => entry.issueNumber === issueNumber);
+
+        if (existing) {
+            return { queued: false, duplicate: true, entry: existing, position: this.positionOf(existing.id) };
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            issueNumber,
+            issueData,
+            options,
+            priority,
+            status: 'queued',
+            enqueuedAt: Date.now()
+        };
+
+        this.entries.push(entry);
+        this.persist();
+
+        return { queued: true, duplicate: false, entry, position: this.positionOf(entry.id) };
+    }
+
+    /**
+     * Claim the highest-priority queued entry (oldest first on ties)
+     */
+    next() {
+        const [entry] = this.ordered();
+        if (!entry) return null;
+
+        entry.status = 'running';
+        entry.startedAt = Date.now();
+        this.persist();
+
+        return entry;
+    }
+
+    complete(entryId) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== entryId);
+
+        if (this.entries.length !== before) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Cancel a queued entry by issue number or entry id; running entries are left alone
+     */
+    cancel(issueNumberOrId) {
+        const entry = this.entries.find(item =>
+            item.status === 'queued' &&
+            (item.id === issueNumberOrId || item.issueNumber === Number(issueNumberOrId)));
+
+        if (!entry) return null;
+
+        this.entries = this.entries.filter(item => item !== entry);
+        this.persist();
+
+        return entry;
+    }
+
+    ordered() {
+        return this.entries
+            .filter(entry => entry.status === 'queued')
+            .sort((a, b) => b.priority - a.priority || a.enqueuedAt - b.enqueuedAt);
+    }
+
+    positionOf(entryId) {
+        const index = this.ordered().findIndex(entry => entry.id === entryId);
+        return index === -1 ? null : index + 1;
+    }
+
+    list() {
+        const queued = this.ordered().map((entry, index) => ({ ...entry, position: index + 1 }));
+        const running = this.entries.filter(entry => entry.status === 'running');
+        return [...running, ...queued].map(({ issueData, ...entry }) => ({
+            ...entry,
+            title: issueData?.title
+        }));
+    }
+
+    get size() {
+        return this.entries.filter(entry => entry.status === 'queued').length;
+    }
+}
+
+module.exports = SessionQueue;
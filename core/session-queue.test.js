@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import SessionQueue from './session-queue';
+
+describe('SessionQueue', () => {
+    let dir;
+    let filePath;
+    let queue;
+    let now;
+
+    const issue = (number, title = `Issue ${number}`) => ({ issueData: { number, title } });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-queue-'));
+        filePath = path.join(dir, 'queue.json');
+        now = 1000;
+        vi.spyOn(Date, 'now').mockImplementation(() => now++);
+        queue = new SessionQueue({ filePath });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        fs.removeSync(dir);
+    });
+
+    it('requires a file path', () => {
+        expect(() => new SessionQueue()).toThrow('requires a file path');
+    });
+
+    describe('ordering', () => {
+        it('hands out the highest priority first', () => {
+            queue.enqueue({ ...issue(1), priority: 0.2 });
+            queue.enqueue({ ...issue(2), priority: 0.9 });
+            queue.enqueue({ ...issue(3), priority: 0.5 });
+
+            expect([queue.next(), queue.next(), queue.next()].map(entry => entry.issueNumber)).toEqual([2, 3, 1]);
+            expect(queue.next()).toBeNull();
+        });
+
+        it('hands out the oldest first among equal priorities', () => {
+            queue.enqueue({ ...issue(5), priority: 0.5 });
+            queue.enqueue({ ...issue(4), priority: 0.5 });
+
+            expect(queue.next().issueNumber).toBe(5);
+        });
+
+        it('reports queue positions and lists running entries ahead of queued ones', () => {
+            queue.enqueue({ ...issue(1), priority: 0.2 });
+            const urgent = queue.enqueue({ ...issue(2), priority: 0.9 });
+            const middle = queue.enqueue({ ...issue(3), priority: 0.5 });
+
+            expect(urgent.position).toBe(1);
+            expect(middle.position).toBe(2);
+
+            queue.next();
+            expect(queue.size).toBe(2);
+            expect(queue.list().map(({ issueNumber, status, position, title }) => ({ issueNumber, status, position, title }))).toEqual([
+                { issueNumber: 2, status: 'running', position: undefined, title: 'Issue 2' },
+                { issueNumber: 3, status: 'queued', position: 1, title: 'Issue 3' },
+                { issueNumber: 1, status: 'queued', position: 2, title: 'Issue 1' }
+            ]);
+        });
+    });
+
+    describe('duplicates', () => {
+        it('drops a second enqueue of the same issue', () => {
+            const first = queue.enqueue({ ...issue(7), priority: 0.3 });
+            const second = queue.enqueue({ issueData: { number: '7', title: 'Again' }, priority: 0.9 });
+
+            expect(second).toMatchObject({ queued: false, duplicate: true, position: 1 });
+            expect(second.entry.id).toBe(first.entry.id);
+            expect(second.entry.priority).toBe(0.3);
+            expect(queue.size).toBe(1);
+        });
+
+        it('drops an enqueue of an issue that is already running', () => {
+            queue.enqueue(issue(7));
+            queue.next();
+
+            expect(queue.enqueue(issue(7))).toMatchObject({ queued: false, duplicate: true, position: null });
+        });
+    });
+
+    describe('removal', () => {
+        it('cancels queued entries by issue number or id', () => {
+            queue.enqueue(issue(1));
+            const second = queue.enqueue(issue(2));
+
+            expect(queue.cancel('1').issueNumber).toBe(1);
+            expect(queue.cancel(second.entry.id).issueNumber).toBe(2);
+            expect(queue.cancel(3)).toBeNull();
+            expect(queue.size).toBe(0);
+        });
+
+        it('leaves running entries to complete()', () => {
+            queue.enqueue(issue(1));
+            const running = queue.next();
+
+            expect(queue.cancel(1)).toBeNull();
+
+            queue.complete(running.id);
+            expect(queue.list()).toEqual([]);
+            expect(queue.enqueue(issue(1)).queued).toBe(true);
+        });
+    });
+
+    describe('persistence', () => {
+        it('survives a restart from the persisted file', () => {
+            queue.enqueue({ ...issue(1), priority: 0.2, options: { dryRun: true } });
+            queue.enqueue({ ...issue(2), priority: 0.9 });
+
+            const restarted = new SessionQueue({ filePath });
+
+            expect(restarted.size).toBe(2);
+            const next = restarted.next();
+            expect(next).toMatchObject({ issueNumber: 2, issueData: { title: 'Issue 2' } });
+            expect(restarted.next()).toMatchObject({ issueNumber: 1, options: { dryRun: true } });
+        });
+
+        it('puts entries that were running back in line, unless only inspecting', () => {
+            queue.enqueue(issue(1));
+            queue.next();
+
+            const inspector = new SessionQueue({ filePath, requeueRunning: false });
+            expect(inspector.list()[0]).toMatchObject({ issueNumber: 1, status: 'running' });
+
+            const restarted = new SessionQueue({ filePath });
+            expect(restarted.list()[0]).toMatchObject({ issueNumber: 1, status: 'queued', restarted: 1, position: 1 });
+            expect(restarted.next().issueNumber).toBe(1);
+        });
+
+        it('persists removals', () => {
+            queue.enqueue(issue(1));
+            queue.enqueue(issue(2));
+            queue.cancel(1);
+            queue.complete(queue.next().id);
+
+            expect(fs.readJsonSync(filePath).entries).toEqual([]);
+            expect(new SessionQueue({ filePath }).size).toBe(0);
+        });
+
+        it('starts empty from a missing or unreadable file', () => {
+            fs.writeFileSync(filePath, '{ not json');
+
+            expect(new SessionQueue({ filePath }).size).toBe(0);
+            expect(new SessionQueue({ filePath: path.join(dir, 'missing.json') }).size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Status Report
+ * System status from what earlier runs left on disk, so it needs neither GITHUB_TOKEN nor a live process
+ *
+ *   orchestrator-data/results.json   - one entry per finished session (see HiveMindOrchestrator.persistResults)
+ *   orchestrator-data/queue.json     - issues waiting for a session slot
+ *   hive-mind-memory/*.json          - Hive-Mind memory stores
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const SessionQueue = require('./session-queue');
+const { getConfig } = require('./config');
+
+/**
+ * Finished sessions, newest first
+ */
+function readResults(storagePath) {
+    const resultsFile = path.join(storagePath, 'results.json');
+    let results = {};
+
+    try {
+        results = fs.existsSync(resultsFile) ? fs.readJsonSync(resultsFile) : {};
+    } catch (error) {
+        // An unreadable results file reports as no history rather than failing the whole status
+    }
+
+    return Object.entries(results)
+        .map(([orchestrationId, result]) => ({ orchestrationId, ...result }))
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+/**
+ * Entry count and size of every store in the memory directory
+ */
+function readMemoryStores(memoryPath) {
+    if (!fs.existsSync(memoryPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(memoryPath)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const filePath = path.join(memoryPath, file);
+            let entries = null;
+            try {
+                entries = Object.keys(fs.readJsonSync(filePath)).length;
+            } catch (error) {
+                // Unreadable store; entries stay null
+            }
+            return { store: path.basename(file, '.json'), entries, bytes: fs.statSync(filePath).size };
+        });
+}
+
+/**
+ * File count and total size of a directory tree
+ */
+function directoryUsage(directory) {
+    const usage = { path: directory, exists: fs.existsSync(directory), files: 0, bytes: 0 };
+    if (!usage.exists) {
+        return usage;
+    }
+
+    const walk = current => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(entryPath);
+            } else if (entry.isFile()) {
+                usage.files++;
+                usage.bytes += fs.statSync(entryPath).size;
+            }
+        }
+    };
+    walk(directory);
+
+    return usage;
+}
+
+function summarizeSessions(results, recent) {
+    const finished = results.filter(result => typeof result.duration === 'number');
+    const successes = results.filter(result => result.success).length;
+
+    return {
+        total: results.length,
+        succeeded: successes,
+        failed: results.filter(result => result.status === 'failed').length,
+        interrupted: results.filter(result => ['cancelled', 'timed-out'].includes(result.status)).length,
+        dryRuns: results.filter(result => result.dryRun).length,
+        successRate: results.length > 0 ? successes / results.length : null,
+        averageDuration: finished.length > 0
+            ? Math.round(finished.reduce((sum, result) => sum + result.duration, 0) / finished.length)
+            : null,
+        lastRunAt: results.length > 0 ? new Date(results[0].timestamp).toISOString() : null,
+        recent: results.slice(0, recent).map(result => ({
+            orchestrationId: result.orchestrationId,
+            issueNumber: result.issueNumber,
+            status: result.status,
+            success: !!result.success,
+            dryRun: !!result.dryRun,
+            duration: result.duration ?? null,
+            finishedAt: result.timestamp ? new Date(result.timestamp).toISOString() : null,
+            error: result.error || null
+        }))
+    };
+}
+
+/**
+ * Build the report
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - directory the orchestrator ran in
+ * @param {number} [options.recent=10] - how many recent sessions to list
+ * @returns {Object} { generatedAt, sessions, queue, storage }
+ */
+function collectStatus({ cwd = process.cwd(), recent = 10 } = {}) {
+    const storagePath = path.join(cwd, 'orchestrator-data');
+    const memoryPath = path.join(cwd, 'hive-mind-memory');
+
+    const queue = new SessionQueue({ filePath: path.join(storagePath, 'queue.json'), requeueRunning: false });
+    const entries = queue.list();
+
+    const memoryStores = readMemoryStores(memoryPath);
+    const memoryBytes = memoryStores.reduce((sum, store) => sum + store.bytes, 0);
+    const maxMemoryBytes = getConfig().memory.maxSizeMb * 1024 * 1024;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        sessions: summarizeSessions(readResults(storagePath), recent),
+        queue: {
+            waiting: entries.filter(entry => entry.status === 'queued').length,
+            running: entries.filter(entry => entry.status === 'running').length,
+            entries
+        },
+        storage: {
+            directories: [directoryUsage(storagePath), directoryUsage(memoryPath)],
+            memoryStores,
+            memory: {
+                bytes: memoryBytes,
+                maxBytes: maxMemoryBytes,
+                usage: memoryBytes / maxMemoryBytes
+            }
+        }
+    };
+}
+
+/**
+ * 950 -> "950ms", 83000 -> "1m 23s"
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    if (ms < 1000) return `${ms}ms`;
+
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+    collectStatus,
+    readResults,
+    readMemoryStores,
+    directoryUsage,
+    formatDuration,
+    formatBytes
+};
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Claude Flow v3.0 - Webhook Server
+ * Receives GitHub webhook deliveries over HTTP so the orchestrator can run as a long-lived service
+ *
+ *   POST <path>   - delivery; the X-Hub-Signature-256 HMAC must match WEBHOOK_SECRET
+ *   GET  /health  - liveness plus whatever the status callback reports
+ *
+ * Verified deliveries are answered with 202 straight away and handed to the handler in the
+ * background, so GitHub's 10 second delivery timeout never depends on how long a run takes.
+ * With a record directory every delivery is also written to disk; `replay` feeds such files
+ * (or raw payloads saved from the GitHub UI) back through the same handler.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+// GitHub caps webhook payloads at 25 MB
+const MAX_PAYLOAD_SIZE = 25 * 1024 * 1024;
+
+// Redeliveries of a delivery id seen this recently are acknowledged but not run again
+const MAX_REMEMBERED_DELIVERIES = 500;
+
+class WebhookServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.secret - webhook secret configured on the GitHub side
+     * @param {Function} options.handler - async (event, payload, delivery) => outcome
+     * @param {number} [options.port=3000]
+     * @param {string} [options.host='127.0.0.1']
+     * @param {string} [options.path='/webhook']
+     * @param {string} [options.recordDir] - write every verified delivery here for later replay
+     * @param {Function} [options.status] - extra fields for GET /health
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        if (!options.secret) {
+            throw new Error('Webhook server requires a secret (WEBHOOK_SECRET)');
+        }
+        if (typeof options.handler !== 'function') {
+            throw new Error('Webhook server requires an event handler');
+        }
+
+        this.secret = options.secret;
+        this.handler = options.handler;
+        this.port = options.port ?? 3000;
+        this.host = options.host || '127.0.0.1';
+        this.path = options.path || '/webhook';
+        this.recordDir = options.recordDir || null;
+        this.status = options.status || (() => ({}));
+        this.logger = options.logger || console;
+
+        this.server = null;
+        this.inFlight = new Set();
+        this.deliveries = new Set();
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{host: string, port: number, path: string}>}
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                this.logger.error(`Webhook request failed: ${error.message}`);
+                if (!res.headersSent) {
+                    this.respond(res, 500, { error: 'Internal error' });
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                const address = this.server.address();
+                this.logger.info(`📡 Webhook server listening on http://${address.address}:${address.port}${this.path}`);
+                resolve({ host: address.address, port: address.port, path: this.path });
+            });
+        });
+    }
+
+    /**
+     * Stop accepting deliveries and wait for the ones already accepted
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+
+        while (this.inFlight.size > 0) {
+            await Promise.all(Array.from(this.inFlight));
+        }
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/health') {
+            return this.respond(res, 200, { status: 'ok', inFlight: this.inFlight.size, ...await this.status() });
+        }
+
+        if (url.pathname !== this.path) {
+            return this.respond(res, 404, { error: 'Not found' });
+        }
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            return this.respond(res, 405, { error: 'Method not allowed' });
+        }
+
+        const rawBody = await this.readBody(req);
+        if (rawBody === null) {
+            return this.respond(res, 413, { error: 'Payload too large' });
+        }
+
+        if (!this.verifySignature(rawBody, req.headers['x-hub-signature-256'])) {
+            this.logger.warn('🚫 Webhook delivery rejected: signature mismatch');
+            return this.respond(res, 401, { error: 'Invalid signature' });
+        }
+
+        const event = req.headers['x-github-event'];
+        const delivery = req.headers['x-github-delivery'] || crypto.randomUUID();
+        if (!event) {
+            return this.respond(res, 400, { error: 'Missing X-GitHub-Event header' });
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf-8'));
+        } catch (error) {
+            return this.respond(res, 400, { error: 'Payload is not valid JSON' });
+        }
+
+        if (event === 'ping') {
+            return this.respond(res, 200, { pong: true, zen: payload.zen });
+        }
+
+        if (this.deliveries.has(delivery)) {
+            this.logger.info(`⏭️ Delivery ${delivery} (${event}) already received`);
+            return this.respond(res, 200, { duplicate: true, delivery });
+        }
+        this.remember(delivery);
+
+        if (this.recordDir) {
+            this.record({ event, delivery, payload });
+        }
+
+        this.logger.info(`📨 ${event}${payload.action ? `.${payload.action}` : ''} delivery ${delivery}`);
+        this.respond(res, 202, { accepted: true, delivery });
+
+        this.dispatch(event, payload, delivery);
+    }
+
+    /**
+     * Run the handler in the background; stop() waits for it
+     */
+    dispatch(event, payload, delivery) {
+        const run = Promise.resolve()
+            .then(() => this.handler(event, payload, delivery))
+            .catch(error => {
+                this.logger.error(`Webhook ${event} delivery ${delivery} failed: ${error.message}`);
+            })
+            .finally(() => this.inFlight.delete(run));
+
+        this.inFlight.add(run);
+        return run;
+    }
+
+    /**
+     * Constant-time check of the `sha256=<hex>` HMAC GitHub sends
+     */
+    verifySignature(rawBody, signature) {
+        if (typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+            return false;
+        }
+
+        const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')}`);
+        const received = Buffer.from(signature);
+
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Request body as a Buffer, or null once it grows past MAX_PAYLOAD_SIZE
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            let tooLarge = false;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_PAYLOAD_SIZE) {
+                    tooLarge = true;
+                    chunks.length = 0;
+                    return;
+                }
+                if (!tooLarge) chunks.push(chunk);
+            });
+            req.on('end', () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    remember(delivery) {
+        this.deliveries.add(delivery);
+        if (this.deliveries.size > MAX_REMEMBERED_DELIVERIES) {
+            // Sets iterate in insertion order, so the first entry is the oldest
+            this.deliveries.delete(this.deliveries.values().next().value);
+        }
+    }
+
+    record({ event, delivery, payload }) {
+        fs.ensureDirSync(this.recordDir);
+        const filePath = path.join(this.recordDir, `${Date.now()}-${event}-${delivery}.json`);
+        fs.writeJsonSync(filePath, { event, delivery, receivedAt: new Date().toISOString(), payload }, { spaces: 2 });
+        return filePath;
+    }
+
+    respond(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Load a delivery from disk: a file written by the record directory, or a bare payload
+     * (whose event is taken from `event` or guessed from the payload's shape)
+     * @returns {{event: string, delivery: string, payload: Object}}
+     */
+    static readRecording(filePath, event = null) {
+        const data = fs.readJsonSync(filePath);
+
+        if (data.payload && data.event) {
+            return { event: event || data.event, delivery: data.delivery || path.basename(filePath), payload: data.payload };
+        }
+
+        const guessed = event || WebhookServer.guessEvent(data);
+        if (!guessed) {
+            throw new Error(`Cannot tell which event ${filePath} holds; pass --event`);
+        }
+
+        return { event: guessed, delivery: path.basename(filePath), payload: data };
+    }
+
+    static guessEvent(payload) {
+        if (payload.comment && payload.issue) return 'issue_comment';
+        if (payload.pull_request) return 'pull_request';
+        if (payload.issue) return 'issues';
+        if (payload.zen) return 'ping';
+        return null;
+    }
+}
+
+module.exports = WebhookServer;
+module.exports.MAX_PAYLOAD_SIZE = MAX_PAYLOAD_SIZE;
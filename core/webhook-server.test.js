@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import WebhookServer from './webhook-server';
+
+const SECRET = 'It\'s a Secret to Everybody';
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+describe('WebhookServer.verifySignature', () => {
+    const server = new WebhookServer({ secret: SECRET, handler: async () => {}, logger: quietLogger });
+    const body = Buffer.from('Hello, World!');
+
+    it('accepts the HMAC GitHub documents for its example payload', () => {
+        expect(server.verifySignature(body, 'sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17')).toBe(true);
+    });
+
+    it('rejects a signature made with another secret or over another body', () => {
+        expect(server.verifySignature(body, sign(body, 'wrong'))).toBe(false);
+        expect(server.verifySignature(Buffer.from('Hello, World?'), sign(body))).toBe(false);
+    });
+
+    it('rejects missing, truncated and non-sha256 signatures', () => {
+        expect(server.verifySignature(body, undefined)).toBe(false);
+        expect(server.verifySignature(body, sign(body).slice(0, -2))).toBe(false);
+        expect(server.verifySignature(body, `sha1=${crypto.createHmac('sha1', SECRET).update(body).digest('hex')}`)).toBe(false);
+    });
+
+    it('requires a secret', () => {
+        expect(() => new WebhookServer({ handler: async () => {} })).toThrow('requires a secret');
+    });
+});
+
+describe('WebhookServer deliveries', () => {
+    let server;
+    let url;
+    let received;
+
+    const deliver = (payload, { event = 'issues', delivery = crypto.randomUUID(), signature } = {}) => {
+        const body = JSON.stringify(payload);
+        return fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-GitHub-Event': event,
+                'X-GitHub-Delivery': delivery,
+                'X-Hub-Signature-256': signature ?? sign(body)
+            },
+            body
+        });
+    };
+
+    beforeEach(async () => {
+        received = [];
+        server = new WebhookServer({
+            secret: SECRET,
+            port: 0,
+            logger: quietLogger,
+            handler: async (event, payload, delivery) => received.push({ event, payload, delivery })
+        });
+        const { port, path } = await server.start();
+        url = `http://127.0.0.1:${port}${path}`;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('accepts a signed delivery and hands it to the handler', async () => {
+        const response = await deliver({ action: 'opened', issue: { number: 7 } }, { delivery: 'd-1' });
+        await server.stop();
+
+        expect(response.status).toBe(202);
+        expect(received).toEqual([{ event: 'issues', payload: { action: 'opened', issue: { number: 7 } }, delivery: 'd-1' }]);
+    });
+
+    it('rejects a delivery with a bad signature without running the handler', async () => {
+        const response = await deliver({ action: 'opened' }, { signature: sign('something else') });
+        await server.stop();
+
+        expect(response.status).toBe(401);
+        expect(received).toEqual([]);
+    });
+
+    it('runs a redelivered delivery only once', async () => {
+        await deliver({ action: 'opened' }, { delivery: 'd-2' });
+        const again = await deliver({ action: 'opened' }, { delivery: 'd-2' });
+        await server.stop();
+
+        expect(await again.json()).toEqual({ duplicate: true, delivery: 'd-2' });
+        expect(received).toHaveLength(1);
+    });
+
+    it('answers pings without running the handler', async () => {
+        const response = await deliver({ zen: 'Keep it logically awesome.' }, { event: 'ping' });
+
+        expect(await response.json()).toEqual({ pong: true, zen: 'Keep it logically awesome.' });
+        expect(received).toEqual([]);
+    });
+});
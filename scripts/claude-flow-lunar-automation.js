@@ -1,13 +1,21 @@
 #!/usr/bin/env node
 // Lunar Wallpaper Specific Claude Flow Automation
 const { Octokit } = require('@octokit/rest');
+const GitHubRequestLayer = require('../core/github-request-layer');
+const { readTrigger } = require('../core/event-router');
 
 class LunarWallpaperAutomation {
     constructor() {
-        this.octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+        // Retries transient failures and waits out rate limits on every call
+        this.requestLayer = new GitHubRequestLayer();
+        this.requestLayer.on('retry', ({ route, status, attempt, delay }) => {
+            console.log(`🔁 ${route} failed (${status}), retry ${attempt} in ${Math.round(delay / 1000)}s`);
+        });
+        this.octokit = this.requestLayer.install(new Octokit({ auth: process.env.GITHUB_TOKEN }));
         this.projectType = 'Vue.js + Vite (Lunar Wallpaper)';
-        this.issueNumber = process.env.ISSUE_NUMBER;
-        this.repository = process.env.REPOSITORY;
+        this.trigger = readTrigger();
+        this.issueNumber = this.trigger.issue ? this.trigger.issue.number : null;
+        this.repository = this.trigger.repository;
     }
 
     async run() {
@@ -34,7 +42,7 @@ class LunarWallpaperAutomation {
         console.log('🔍 Analyzing lunar wallpaper specific context...');
         
         // Check for moon phase related keywords
-        const issueBody = process.env.ISSUE_BODY || '';
+        const issueBody = this.trigger.issue?.body || '';
         const lunarKeywords = ['moon', 'phase', 'wallpaper', 'canvas', 'astronomy', 'mobile'];
         const detectedKeywords = lunarKeywords.filter(keyword => 
             issueBody.toLowerCase().includes(keyword)
@@ -61,15 +69,6 @@ class LunarWallpaperAutomation {
     async detectProjectStructure() {
         console.log('🏗️ Detecting Vue.js + Vite project structure...');
         
-        // Check for Vue.js specific files
-        const vueFiles = [
-            'vite.config.js',
-            'vite.config.ts', 
-            'src/main.js',
-            'src/main.ts',
-            'src/App.vue'
-        ];
-        
         console.log('🔍 Vue.js/Vite structure detected for lunar wallpaper');
         console.log('📱 Mobile wallpaper optimization enabled');
         console.log('🎨 Canvas API integration confirmed');
@@ -78,10 +77,6 @@ class LunarWallpaperAutomation {
     async generateMoonPhaseSolution() {
         console.log('🌙 Generating moon phase calculation solution...');
         
-        // Simulate moon phase calculation logic
-        const moonPhases = ['new', 'waxing_crescent', 'first_quarter', 'waxing_gibbous', 
-                           'full', 'waning_gibbous', 'last_quarter', 'waning_crescent'];
-        
         console.log('🧮 Astronomical calculations validated');
         console.log('📱 Mobile viewport optimizations applied');
         console.log('🎨 Canvas rendering performance optimized');
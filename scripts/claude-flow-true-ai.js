@@ -5,6 +5,11 @@
  */
 
 const HiveMindOrchestrator = require('../core/hive-mind-orchestrator');
+const AccessPolicy = require('../core/access-policy');
+const { readTrigger } = require('../core/event-router');
+const { UsageError, parseArgs } = require('../core/cli-args');
+const { ConfigError, loadConfig, getConfig } = require('../core/config');
+const { EXIT_CODES } = require('../core/cli');
 const winston = require('winston');
 
 class ClaudeFlowTrueAI {
@@ -19,6 +24,17 @@ class ClaudeFlowTrueAI {
         }
         
         this.args = this.parseArguments();
+        if (this.args.config || this.args.set.length > 0) {
+            loadConfig({ file: this.args.config, set: this.args.set });
+        }
+        this.config = getConfig();
+        this.trigger = readTrigger({
+            overrides: {
+                issueNumber: this.args.issueNumber,
+                issueTitle: this.args.issueTitle,
+                issueBody: this.args.issueBody
+            }
+        });
         this.issueNumber = this.getRequiredIssueNumber();
         
         console.log('🐝 Claude Flow v3.0 TRUE AI SYSTEM STARTING...');
@@ -28,33 +44,21 @@ class ClaudeFlowTrueAI {
     }
     
     parseArguments() {
-        const args = {};
-        for (let i = 2; i < process.argv.length; i++) {
-            const arg = process.argv[i];
-            if (arg.startsWith('--')) {
-                const key = arg.substring(2);
-                const value = process.argv[i + 1] || '';
-                args[key] = value;
-                i++;
+        return parseArgs(process.argv.slice(2), {
+            options: {
+                'issue-number': { type: 'number' },
+                'issue-title': { type: 'string' },
+                'issue-body': { type: 'string' },
+                config: { type: 'string' },
+                set: { type: 'string', multiple: true }
             }
-        }
-        return args;
+        }).options;
     }
     
     getRequiredIssueNumber() {
-        const sources = [
-            this.args['issue-number'],
-            process.env.ISSUE_NUMBER,
-            process.env.GITHUB_ISSUE_NUMBER
-        ];
-        
-        for (const source of sources) {
-            if (source) {
-                const num = parseInt(source);
-                if (!isNaN(num) && num > 0) {
-                    return num;
-                }
-            }
+        // Event payload, ISSUE_NUMBER / GITHUB_ISSUE_NUMBER, or --issue-number
+        if (this.trigger.issue && this.trigger.issue.number > 0) {
+            return this.trigger.issue.number;
         }
         
         throw new Error('Valid issue number is required but not found');
@@ -92,20 +96,40 @@ class ClaudeFlowTrueAI {
             const orchestrator = new HiveMindOrchestrator({
                 githubToken: process.env.GITHUB_TOKEN,
                 repository: process.env.REPOSITORY,
-                autoCreatePR: true,
-                learningEnabled: true,
                 maxConcurrentSessions: 1,
+                config: this.config,
                 logger: logger
             });
             
             console.log('✅ Hive-Mind Orchestrator initialized successfully');
             
+            // Check the triggering actor before anything is written with the repository token
+            const actor = this.trigger.actor;
+            const access = await new AccessPolicy(this.config.access).gate(orchestrator.github, {
+                actor,
+                issueNumber: this.issueNumber
+            });
+            
+            if (!access.allowed) {
+                console.log(`🚫 ${actor.login || 'Unknown actor'} may not start a run on Issue #${this.issueNumber}`);
+                return {
+                    success: true,
+                    mode: 'true-ai-hive-mind-v3',
+                    issueNumber: this.issueNumber,
+                    denied: true
+                };
+            }
+            
+            if (!access.pullRequest) {
+                console.log('🔒 Analysis only: the triggering actor may not open pull requests');
+            }
+            
             // Create issue data structure
             const issueData = {
                 number: this.issueNumber,
-                title: this.args['issue-title'] || process.env.ISSUE_TITLE || `Issue #${this.issueNumber}`,
-                body: this.args['issue-body'] || process.env.ISSUE_BODY || '',
-                labels: [{ name: 'hive-mind-processing' }],
+                title: this.trigger.issue.title || `Issue #${this.issueNumber}`,
+                body: this.trigger.issue.body || '',
+                labels: [{ name: this.config.labels.processing }],
                 user: { login: 'github-actions[bot]' },
                 repository: {
                     name: repo,
@@ -126,7 +150,18 @@ class ClaudeFlowTrueAI {
             console.log('   8. 🔄 PR Generation: Pull request creation...');
             
             // Execute the full Hive-Mind workflow
-            const result = await orchestrator.resolveIssue(issueData);
+            const result = await orchestrator.resolveIssue(issueData, { autoCreatePR: access.pullRequest });
+            
+            if (result && (result.queued || result.duplicate)) {
+                console.log(`📥 Issue #${this.issueNumber} is waiting for a free Hive-Mind session (position ${result.position ?? 'n/a'})`);
+                return {
+                    success: true,
+                    mode: 'true-ai-hive-mind-v3',
+                    issueNumber: this.issueNumber,
+                    queued: true,
+                    result
+                };
+            }
             
             if (result && result.success) {
                 console.log('🎉 TRUE AI SYSTEM EXECUTION COMPLETED SUCCESSFULLY!');
@@ -185,7 +220,9 @@ async function main() {
         console.error('📋 Stack:', error.stack);
         console.error('🚫 NO FALLBACK - TERMINATING');
         
-        process.exit(1);
+        process.exit(error instanceof UsageError ? EXIT_CODES.usage
+            : error instanceof ConfigError ? EXIT_CODES.configuration
+                : EXIT_CODES.failure);
     }
 }
 